@@ -2,12 +2,12 @@
 
 /**
  * Main entry point for Auto Performance Report
- * This script provides convenient access to all tools from the root directory
+ * This script provides convenient access to all tools from the root directory.
+ * Commands run in this process; for the programmatic API see src/core/pipeline.js
  */
 
-import { spawn } from 'child_process';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -20,11 +20,15 @@ const commands = {
     'fetch': 'src/fetchers/fetchdatadogmetrics.js',
     'fetch-container': 'src/fetchers/fetch-container-metrics.js', 
     'fetch-errors': 'src/fetchers/fetch-error-metrics.js',
+    'fetch-dependencies': 'src/fetchers/fetch-dependency-metrics.js',
+    'fetch-runtime': 'src/fetchers/fetch-runtime-metrics.js',
     'generate-html': 'src/generators/generate-full-interactive-report.js',
     'confluence': 'src/generators/confluence-uploader.js',
     'auto-report': 'src/core/auto-report.js',
     'slack': 'src/utils/slack-poster.js',
-    'deploy': 'src/utils/deploy-to-main.js'
+    'deploy': 'src/utils/deploy-to-main.js',
+    'history': 'src/utils/run-history.js',
+    'mock-datadog': 'src/utils/mock-datadog-server.js'
 };
 
 function showHelp() {
@@ -37,16 +41,22 @@ Available commands:
   fetch              Fetch Datadog metrics data
   fetch-container    Fetch container/pod metrics  
   fetch-errors       Fetch error metrics
+  fetch-dependencies Fetch the downstream dependency breakdown (DB, cache, HTTP clients)
+  fetch-runtime      Fetch runtime metrics (Node event loop, GC, heap; Python CPU, memory, GC)
   generate-html      Generate interactive HTML report
   confluence         Generate and upload Confluence report
   auto-report        Run complete automated report process
   slack              Post report to Slack
   deploy             Deploy to main environment
+  history            List, show or prune stored runs (list | show <runId> | prune)
+  mock-datadog       Serve recorded Datadog fixtures for offline runs
 
 Examples:
   node index.js fetch --service "operator-agent-service" --from "Feb 9, 11:18 am" --to "Feb 9, 12:19 pm"
   node index.js confluence
   node index.js auto-report --service "my-service" --from "Jan 9, 1:53 pm" --to "Jan 9, 2:24 pm"
+  node index.js auto-report --services "service-a,service-b" --from "Jan 9, 1:53 pm" --to "Jan 9, 2:24 pm"
+  node index.js history list --service "stardust-task-service"
 `);
 }
 
@@ -63,16 +73,11 @@ if (!commands[command]) {
     process.exit(1);
 }
 
-// Execute the command
+// Execute the command - each script runs its CLI when process.argv[1] is its own path
 const scriptPath = path.join(__dirname, commands[command]);
-const childArgs = args.slice(1); // Remove the command from args
+const commandArgs = args.slice(1); // Remove the command from args
 
 console.log(`🚀 Running: ${command}`);
-const child = spawn('node', [scriptPath, ...childArgs], {
-    stdio: 'inherit',
-    cwd: __dirname
-});
-
-child.on('close', (code) => {
-    process.exit(code);
-});
\ No newline at end of file
+process.chdir(__dirname);
+process.argv = [process.argv[0], scriptPath, ...commandArgs];
+await import(pathToFileURL(scriptPath).href);
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Autoscaling Behaviour Analysis
+ *
+ * Lines the replica count series (desired and available) up with the service's
+ * request rate and reports each scaling step: how long the autoscaler took to
+ * react to a load change, how long new pods took to become available, the
+ * requests per pod before and after, and whether the replica ceiling was hit.
+ *
+ * Series are [{ timestamp (ms), value }]. They are not assumed to share
+ * timestamps - a value "at" a time is the last point at or before it.
+ */
+
+// A load change the autoscaler should react to: the request rate moving this far
+// from what it was at the previous scaling step (or the start of the window)
+export const LOAD_CHANGE_PCT = 20;
+
+/**
+ * Value of a series at a time: the last point at or before it (the first point before the series starts)
+ */
+export function valueAt(points, timestamp) {
+    let value = null;
+    for (const point of points) {
+        if (point.timestamp > timestamp) break;
+        value = point.value;
+    }
+    return value !== null ? value : points[0]?.value ?? null;
+}
+
+/**
+ * Points where a replica series changed value
+ */
+function changes(points) {
+    const steps = [];
+    for (let i = 1; i < points.length; i++) {
+        if (Math.round(points[i].value) !== Math.round(points[i - 1].value)) {
+            steps.push({ timestamp: points[i].timestamp, from: Math.round(points[i - 1].value), to: Math.round(points[i].value) });
+        }
+    }
+    return steps;
+}
+
+/**
+ * First time in (after, before] when the request rate moved LOAD_CHANGE_PCT
+ * above (direction 'up') or below ('down') the baseline rate
+ */
+function loadChangeAt(requestRate, baseline, after, before, direction) {
+    const factor = direction === 'up' ? 1 + LOAD_CHANGE_PCT / 100 : 1 - LOAD_CHANGE_PCT / 100;
+    const crossed = requestRate.find(point => point.timestamp > after && point.timestamp <= before &&
+        (direction === 'up' ? point.value >= baseline * factor : point.value <= baseline * factor));
+    return crossed ? crossed.timestamp : null;
+}
+
+const seconds = (from, to) => from !== null && to !== null ? Math.max(0, (to - from) / 1000) : null;
+const perPod = (rate, replicas) => rate !== null && replicas > 0 ? rate / replicas : null;
+
+/**
+ * Analyse the autoscaling of one test window.
+ *
+ * @param {object} series
+ * @param {Array} series.desired - desired replicas (HPA desired, else the deployment's)
+ * @param {Array} series.available - available (ready) replicas
+ * @param {Array} series.requestRate - service requests per second
+ * @param {object} [bounds] - { minReplicas, maxReplicas } of the HPA, when known
+ * @returns {{ steps: object[], summary: object }|null} null without replica data
+ */
+export function analyzeAutoscaling({ desired = [], available = [], requestRate = [] }, { minReplicas = null, maxReplicas = null } = {}) {
+    if (desired.length === 0 && available.length === 0) {
+        return null;
+    }
+    const target = desired.length > 0 ? desired : available;
+    const ready = available.length > 0 ? available : desired;
+    const windowStart = target[0].timestamp;
+
+    let previousAt = windowStart;
+    const steps = changes(target).map(change => {
+        const direction = change.to > change.from ? 'up' : 'down';
+
+        // The load change that called for this step, measured from the rate at the previous step
+        const baselineRate = valueAt(requestRate, previousAt);
+        const loadChangedAt = baselineRate !== null ? loadChangeAt(requestRate, baselineRate, previousAt, change.timestamp, direction) : null;
+
+        // When the available replicas caught up with the new target
+        const readyPoint = ready.find(point => point.timestamp >= change.timestamp &&
+            (direction === 'up' ? point.value >= change.to : point.value <= change.to));
+        const readyAt = readyPoint ? readyPoint.timestamp : null;
+
+        const rateAtStep = valueAt(requestRate, change.timestamp);
+        const rateWhenReady = readyAt !== null ? valueAt(requestRate, readyAt) : null;
+        const reactionSec = seconds(loadChangedAt, change.timestamp);
+        const readySec = seconds(change.timestamp, readyAt);
+
+        previousAt = change.timestamp;
+        return {
+            timestamp: change.timestamp,
+            direction,
+            from: change.from,
+            to: change.to,
+            requestRate: rateAtStep,
+            requestsPerPodBefore: perPod(rateAtStep, valueAt(ready, change.timestamp - 1)),
+            requestsPerPodAfter: perPod(rateWhenReady, change.to),
+            loadChangedAt,
+            readyAt,
+            // Scale-up: load rise -> desired raised (reaction) -> pods available (ready)
+            // Scale-down: load drop -> desired lowered (the HPA's stabilization window, mostly)
+            reactionSec,
+            readySec,
+            lagSec: direction === 'up' && reactionSec !== null && readySec !== null ? reactionSec + readySec : null
+        };
+    });
+
+    const targetValues = target.map(point => point.value);
+    const atMax = maxReplicas !== null ? target.filter(point => Math.round(point.value) >= maxReplicas) : [];
+    const interval = target.length > 1 ? (target[target.length - 1].timestamp - windowStart) / (target.length - 1) : 0;
+
+    const scaleUps = steps.filter(step => step.direction === 'up');
+    const lags = scaleUps.map(step => step.lagSec).filter(lag => lag !== null);
+    const podLoads = requestRate
+        .map(point => perPod(point.value, Math.round(valueAt(ready, point.timestamp))))
+        .filter(load => load !== null);
+
+    return {
+        steps,
+        summary: {
+            minReplicas: Math.round(Math.min(...targetValues)),
+            maxReplicas: Math.round(Math.max(...targetValues)),
+            hpaMinReplicas: minReplicas,
+            hpaMaxReplicas: maxReplicas,
+            maxReplicasHit: atMax.length > 0,
+            maxReplicasHitAt: atMax.length > 0 ? atMax[0].timestamp : null,
+            secondsAtMax: atMax.length * interval / 1000,
+            scaleUps: scaleUps.length,
+            scaleDowns: steps.length - scaleUps.length,
+            avgScaleUpLagSec: lags.length > 0 ? lags.reduce((a, b) => a + b, 0) / lags.length : null,
+            maxScaleUpLagSec: lags.length > 0 ? Math.max(...lags) : null,
+            peakRequestsPerPod: podLoads.length > 0 ? Math.max(...podLoads) : null
+        }
+    };
+}
@@ -0,0 +1,172 @@
+/**
+ * Capacity Analysis
+ *
+ * Fits P95 latency against request rate (the aligned per-interval series of a
+ * service or endpoint) with a hinge: a straight line that bends up once at the
+ * knee, where latency starts to grow with load. From the fit it reports the
+ * knee, the most requests per second that stay under the latency SLO and the
+ * headroom that leaves over the peak rate observed in the test.
+ *
+ * Series are [{ timestamp (ms), value }], latency in ms.
+ */
+
+// Fewest (rate, latency) samples to fit, and to leave on each side of a knee
+export const MIN_SAMPLES = 8;
+const MIN_SIDE_SAMPLES = 3;
+// A knee: latency rising at least this many times faster after it than before
+export const KNEE_SLOPE_RATIO = 2;
+// ... and the bent line explaining at least this much more of the variance than a straight one
+const KNEE_MIN_GAIN_PCT = 20;
+// The SLO crossing is only extrapolated this far past the observed peak
+export const EXTRAPOLATION_LIMIT = 2;
+// Less headroom than this over the observed peak is worth a finding
+export const LOW_HEADROOM_PCT = 20;
+
+/**
+ * (rate, latency) pairs of the intervals both series have a value for - the
+ * latency point nearest each rate point, within half a rate interval
+ */
+export function alignSeries(rate = [], latency = []) {
+    const rates = rate.filter(point => point.value > 0);
+    const latencies = latency.filter(point => point.value > 0);
+    if (rates.length < 2 || latencies.length === 0) return [];
+
+    const tolerance = (rates[rates.length - 1].timestamp - rates[0].timestamp) / (rates.length - 1) / 2;
+    const samples = [];
+    let j = 0;
+    rates.forEach(point => {
+        while (j < latencies.length - 1 &&
+            Math.abs(latencies[j + 1].timestamp - point.timestamp) <= Math.abs(latencies[j].timestamp - point.timestamp)) {
+            j++;
+        }
+        if (Math.abs(latencies[j].timestamp - point.timestamp) <= tolerance) {
+            samples.push({ timestamp: point.timestamp, rps: point.value, latencyMs: latencies[j].value });
+        }
+    });
+    return samples;
+}
+
+/**
+ * Least squares fit of y = a + b·x + c·max(0, x - knee) (c = 0: a straight line).
+ * Returns { intercept, slope, slopeAfter, sse } or null when the system is singular.
+ */
+function leastSquares(samples, knee = null) {
+    const rows = samples.map(({ rps, latencyMs }) => ({
+        features: knee === null ? [1, rps] : [1, rps, Math.max(0, rps - knee)],
+        y: latencyMs
+    }));
+    const size = rows[0].features.length;
+
+    // Normal equations, solved by Gaussian elimination
+    const matrix = Array.from({ length: size }, (_, i) => [
+        ...Array.from({ length: size }, (_, k) => rows.reduce((sum, row) => sum + row.features[i] * row.features[k], 0)),
+        rows.reduce((sum, row) => sum + row.features[i] * row.y, 0)
+    ]);
+    for (let col = 0; col < size; col++) {
+        const pivot = matrix.slice(col).reduce((best, row, i) => Math.abs(row[col]) > Math.abs(matrix[best][col]) ? col + i : best, col);
+        if (Math.abs(matrix[pivot][col]) < 1e-9) return null;
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        for (let row = 0; row < size; row++) {
+            if (row === col) continue;
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let k = col; k <= size; k++) matrix[row][k] -= factor * matrix[col][k];
+        }
+    }
+    const [intercept, slope, bend = 0] = matrix.map((row, i) => row[size] / row[i]);
+
+    const fit = { intercept, slope, kneeRps: knee, slopeAfter: slope + bend };
+    fit.sse = samples.reduce((sum, { rps, latencyMs }) => sum + (latencyMs - predictLatency(fit, rps)) ** 2, 0);
+    return fit;
+}
+
+/**
+ * Latency (ms) of a fitted curve at a request rate
+ */
+export function predictLatency(fit, rps) {
+    const before = fit.intercept + fit.slope * rps;
+    return fit.kneeRps === null || rps <= fit.kneeRps ? before : before + (fit.slopeAfter - fit.slope) * (rps - fit.kneeRps);
+}
+
+/**
+ * Best hinge over every candidate knee (the observed rates with enough samples
+ * on each side), kept only when it bends up clearly; else the straight line
+ */
+function fitCurve(samples) {
+    const linear = leastSquares(samples);
+    if (!linear) return null;
+
+    const sorted = [...samples].sort((a, b) => a.rps - b.rps);
+    let best = null;
+    for (let i = MIN_SIDE_SAMPLES; i <= sorted.length - MIN_SIDE_SAMPLES; i++) {
+        const hinge = leastSquares(samples, sorted[i].rps);
+        if (hinge && (!best || hinge.sse < best.sse)) {
+            best = hinge;
+        }
+    }
+
+    const bendsUp = best && best.slopeAfter > 0 && best.slopeAfter >= KNEE_SLOPE_RATIO * Math.max(best.slope, 0);
+    const explainsMore = best && best.sse <= linear.sse * (1 - KNEE_MIN_GAIN_PCT / 100);
+    return bendsUp && explainsMore ? best : linear;
+}
+
+/**
+ * Lowest rate at which the fitted curve reaches the SLO, or null when it stays under it
+ * up to the extrapolation limit
+ */
+function sloCrossing(fit, sloMs, limitRps) {
+    if (predictLatency(fit, 0) >= sloMs) return 0;
+    const segments = fit.kneeRps === null ?
+        [{ from: 0, to: limitRps, slope: fit.slope }] :
+        [{ from: 0, to: fit.kneeRps, slope: fit.slope }, { from: fit.kneeRps, to: limitRps, slope: fit.slopeAfter }];
+    for (const { from, to, slope } of segments) {
+        if (slope <= 0) continue;
+        const crossing = from + (sloMs - predictLatency(fit, from)) / slope;
+        if (crossing >= from && crossing <= to) return crossing;
+    }
+    return null;
+}
+
+/**
+ * Capacity of one service or endpoint.
+ *
+ * @param {Array} rate - requests per second
+ * @param {Array} latency - P95 latency (ms)
+ * @param {number|null} sloMs - P95 latency SLO (thresholds latency.p95Ms); null: knee only
+ * @returns {object|null} null with fewer than MIN_SAMPLES aligned samples or no spread in load
+ */
+export function analyzeCapacity(rate, latency, sloMs = null) {
+    const samples = alignSeries(rate, latency);
+    if (samples.length < MIN_SAMPLES) return null;
+
+    const rates = samples.map(sample => sample.rps);
+    const peakRps = Math.max(...rates);
+    if (peakRps === Math.min(...rates)) return null;
+
+    const fit = fitCurve(samples);
+    if (!fit) return null;
+
+    const mean = samples.reduce((sum, sample) => sum + sample.latencyMs, 0) / samples.length;
+    const sst = samples.reduce((sum, sample) => sum + (sample.latencyMs - mean) ** 2, 0);
+    const limitRps = peakRps * EXTRAPOLATION_LIMIT;
+    const maxSustainableRps = sloMs !== null ? sloCrossing(fit, sloMs, limitRps) : null;
+
+    return {
+        samples: samples.length,
+        peakRps,
+        // Fitted P95 at the peak rate
+        peakLatencyMs: predictLatency(fit, peakRps),
+        sloMs,
+        fit: {
+            intercept: fit.intercept,
+            slope: fit.slope,
+            kneeRps: fit.kneeRps,
+            slopeAfter: fit.slopeAfter,
+            rSquared: sst > 0 ? 1 - fit.sse / sst : null
+        },
+        knee: fit.kneeRps !== null ? { rps: fit.kneeRps, latencyMs: predictLatency(fit, fit.kneeRps) } : null,
+        // null: the SLO is not reached before EXTRAPOLATION_LIMIT x the peak (or there is no SLO)
+        maxSustainableRps,
+        extrapolated: maxSustainableRps !== null && maxSustainableRps > peakRps,
+        headroomPct: maxSustainableRps !== null ? (maxSustainableRps - peakRps) / peakRps * 100 : null
+    };
+}
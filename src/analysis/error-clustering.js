@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+
+/**
+ * Error Log Clustering
+ *
+ * Groups error logs by message template instead of by raw text, so
+ * "Task 3f2a... not found for txn 81723" and "Task 9b1c... not found for txn 81730"
+ * land in one cluster. Variable tokens (URLs, emails, quoted strings, UUIDs,
+ * timestamps, hex, IPs and numbers) are masked, and the top stack frames are
+ * part of the fingerprint when the log carries a stack.
+ */
+
+// Order matters: URLs and emails before numbers, UUIDs before hex
+const MASKS = [
+    [/\bhttps?:\/\/[^\s"'<>]+/gi, '<url>'],
+    [/\b[\w.+-]+@[\w-]+(\.[\w-]+)+\b/g, '<email>'],
+    [/(^|[^\w])"(?:[^"\\]|\\.)*"/g, '$1<str>'],
+    [/(^|[^\w])'(?:[^'\\]|\\.)*'/g, '$1<str>'],
+    [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+    [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g, '<ts>'],
+    [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+    [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hex>'],
+    [/\b\d{1,3}(\.\d{1,3}){3}(:\d+)?\b/g, '<ip>'],
+    [/(?<![A-Za-z])-?\d+(\.\d+)?/g, '<num>']
+];
+
+const MAX_FRAMES = 3;
+const MAX_TEMPLATE_LENGTH = 300;
+
+/**
+ * Message template: variable tokens masked, whitespace collapsed
+ */
+export function messageTemplate(message) {
+    let template = String(message || '');
+    MASKS.forEach(([pattern, replacement]) => {
+        template = template.replace(pattern, replacement);
+    });
+    template = template.replace(/\s+/g, ' ').trim();
+    return template.length > MAX_TEMPLATE_LENGTH ? template.substring(0, MAX_TEMPLATE_LENGTH) + '…' : template;
+}
+
+/**
+ * The frames nearest the throw, without line numbers: the first "at ..." lines
+ * of a Node stack, or the last "File ..." lines of a Python traceback
+ */
+export function topStackFrames(stack, count = MAX_FRAMES) {
+    if (!stack) return [];
+    const lines = String(stack).split('\n').map(line => line.trim());
+
+    const nodeFrames = lines.filter(line => line.startsWith('at '));
+    if (nodeFrames.length > 0) {
+        return nodeFrames.slice(0, count).map(frame => frame.replace(/:\d+(:\d+)?(\)?)$/, '$2'));
+    }
+
+    const pythonFrames = lines.filter(line => line.startsWith('File "'));
+    return pythonFrames.slice(-count).reverse().map(frame => frame.replace(/, line \d+/, ''));
+}
+
+/**
+ * Stable id of an error: type, message template and top stack frames
+ */
+export function fingerprintError({ errorType = 'Unknown', message, stack = null }) {
+    const template = messageTemplate(message);
+    const frames = topStackFrames(stack);
+    const fingerprint = crypto.createHash('sha1')
+        .update([errorType, template, ...frames].join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+    return { fingerprint, template, frames };
+}
+
+/**
+ * Cluster error logs ({ timestamp, errorType, message, stack, pod, host }) by fingerprint.
+ *
+ * @returns {object[]} clusters, largest first: { fingerprint, errorType, template, frames,
+ *   count, firstSeen, lastSeen, pods, sample }
+ */
+export function clusterErrors(errors = []) {
+    const clusters = new Map();
+
+    errors.forEach(error => {
+        const { fingerprint, template, frames } = fingerprintError(error);
+        let cluster = clusters.get(fingerprint);
+        if (!cluster) {
+            cluster = {
+                fingerprint,
+                errorType: error.errorType || 'Unknown',
+                template,
+                frames,
+                count: 0,
+                firstSeen: null,
+                lastSeen: null,
+                pods: new Set(),
+                sample: error.message || ''
+            };
+            clusters.set(fingerprint, cluster);
+        }
+
+        cluster.count++;
+        const seen = Date.parse(error.timestamp);
+        if (!Number.isNaN(seen)) {
+            if (cluster.firstSeen === null || seen < Date.parse(cluster.firstSeen)) cluster.firstSeen = new Date(seen).toISOString();
+            if (cluster.lastSeen === null || seen > Date.parse(cluster.lastSeen)) cluster.lastSeen = new Date(seen).toISOString();
+        }
+        if (error.pod || error.host) cluster.pods.add(error.pod || error.host);
+    });
+
+    return [...clusters.values()]
+        .map(cluster => ({ ...cluster, pods: [...cluster.pods].sort() }))
+        .sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,212 @@
+/**
+ * Load Step Detection
+ *
+ * Splits the service's request rate series into plateaus (the steps of a
+ * stepped load test) by change-point detection, and reports what each step
+ * achieved: its start and end, the request rate, P95 / P99 and error rate.
+ * The LOAD_STEP_n_RATE / LOAD_STEP_n_DURATION env vars are only the intended
+ * plan - compareWithPlan() lines them up with the detected steps.
+ *
+ * Series are [{ timestamp (ms), value }], latency in ms.
+ */
+
+// A step lasts at least this long - shorter rate changes are ramps or noise
+export const MIN_STEP_SECONDS = 120;
+// Adjacent plateaus whose mean rates differ by less than this are one step
+export const STEP_CHANGE_PCT = 20;
+// Plateaus below this rate are idle time around the test, not steps
+export const MIN_STEP_RPS = 0.05;
+// A step that reached less than (100 - this)% of its planned rate fell short of the plan
+export const PLAN_SHORTFALL_PCT = 10;
+
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+/**
+ * Typical spacing of a series' points, in ms
+ */
+function pointInterval(points) {
+    const gaps = points.slice(1).map((point, i) => point.timestamp - points[i].timestamp).sort((a, b) => a - b);
+    return gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+}
+
+/**
+ * Whether two plateau means are different load levels
+ */
+function isLevelChange(a, b) {
+    const difference = Math.abs(a - b);
+    return difference >= MIN_STEP_RPS && difference / Math.max(a, b) * 100 >= STEP_CHANGE_PCT;
+}
+
+/**
+ * Binary segmentation: split [start, end) where the two sides' means differ the
+ * most (the largest drop in squared error), keep the split when the means are
+ * different load levels and recurse into both sides. Returns the split indexes.
+ */
+function changePoints(values, start, end, minLength, prefix) {
+    const sum = (from, to) => prefix[to] - prefix[from];
+    let best = null;
+    for (let k = start + minLength; k <= end - minLength; k++) {
+        const left = k - start;
+        const right = end - k;
+        const leftMean = sum(start, k) / left;
+        const rightMean = sum(k, end) / right;
+        const gain = left * right / (end - start) * (leftMean - rightMean) ** 2;
+        if (!best || gain > best.gain) {
+            best = { k, gain, leftMean, rightMean };
+        }
+    }
+    if (!best || !isLevelChange(best.leftMean, best.rightMean)) {
+        return [];
+    }
+    return [
+        ...changePoints(values, start, best.k, minLength, prefix),
+        best.k,
+        ...changePoints(values, best.k, end, minLength, prefix)
+    ];
+}
+
+/**
+ * Plateaus of a rate series as [start, end) index ranges, with neighbours that
+ * ended up at the same level merged
+ */
+function segment(values, minLength) {
+    const prefix = [0];
+    values.forEach(value => prefix.push(prefix[prefix.length - 1] + value));
+
+    const bounds = [0, ...changePoints(values, 0, values.length, minLength, prefix), values.length];
+    let segments = bounds.slice(1).map((end, i) => ({ start: bounds[i], end }));
+
+    let merged = true;
+    while (merged) {
+        merged = false;
+        for (let i = 1; i < segments.length; i++) {
+            const levelOf = ({ start, end }) => mean(values.slice(start, end));
+            if (!isLevelChange(levelOf(segments[i - 1]), levelOf(segments[i]))) {
+                segments = [...segments.slice(0, i - 1), { start: segments[i - 1].start, end: segments[i].end }, ...segments.slice(i + 1)];
+                merged = true;
+                break;
+            }
+        }
+    }
+    return segments;
+}
+
+/**
+ * Points of a series in [from, to)
+ */
+const within = (points, from, to) => points.filter(point => point.timestamp >= from && point.timestamp < to);
+
+/**
+ * Request-weighted mean of a latency series over a step - Datadog gives one
+ * percentile per interval, so a step's P95 is the mean of its intervals' P95s
+ * weighted by their hits (approximate, not the percentile of every request)
+ */
+function weightedLatency(points, hitsAt) {
+    if (points.length === 0) return null;
+    let weighted = 0;
+    let weights = 0;
+    points.forEach(point => {
+        const weight = hitsAt.get(point.timestamp) ?? 1;
+        weighted += point.value * weight;
+        weights += weight;
+    });
+    return weights > 0 ? weighted / weights : mean(points.map(point => point.value));
+}
+
+/**
+ * Detect the load steps of one test window.
+ *
+ * @param {object} series
+ * @param {Array} series.rate - service requests per second (segmented into steps)
+ * @param {Array} [series.p95] - service P95 latency (ms)
+ * @param {Array} [series.p99] - service P99 latency (ms)
+ * @param {Array} [series.hits] - requests per interval
+ * @param {Array} [series.errors] - errors per interval
+ * @returns {{ steps: object[], summary: object }|null} null without a rate series to segment
+ */
+export function detectLoadSteps({ rate = [], p95 = [], p99 = [], hits = [], errors = [] }) {
+    // Idle time before the first and after the last request is not part of any step
+    const measured = rate.filter(point => point.value !== null && point.value !== undefined);
+    const first = measured.findIndex(point => point.value >= MIN_STEP_RPS);
+    const last = measured.findLastIndex(point => point.value >= MIN_STEP_RPS);
+    const points = first === -1 ? [] : measured.slice(first, last + 1);
+    const interval = pointInterval(points);
+    if (points.length < 2 || interval <= 0) {
+        return null;
+    }
+
+    const minLength = Math.max(2, Math.ceil(MIN_STEP_SECONDS * 1000 / interval));
+    const values = points.map(point => point.value);
+    const hitsAt = new Map(hits.map(point => [point.timestamp, point.value]));
+
+    const steps = segment(values, minLength)
+        .map(({ start, end }) => {
+            const from = points[start].timestamp;
+            const to = end < points.length ? points[end].timestamp : points[end - 1].timestamp + interval;
+            const stepValues = values.slice(start, end);
+            const durationSec = (to - from) / 1000;
+            const achievedRps = mean(stepValues);
+
+            const stepHits = within(hits, from, to);
+            const requests = stepHits.length > 0 ? stepHits.reduce((sum, point) => sum + (point.value || 0), 0) : achievedRps * durationSec;
+            const stepErrors = within(errors, from, to).reduce((sum, point) => sum + (point.value || 0), 0);
+
+            return {
+                start: from,
+                end: to,
+                durationSec,
+                achievedRps,
+                peakRps: Math.max(...stepValues),
+                requests: Math.round(requests),
+                errors: Math.round(stepErrors),
+                errorRate: requests > 0 ? (stepErrors / requests) * 100 : null,
+                p95Ms: weightedLatency(within(p95, from, to), hitsAt),
+                p99Ms: weightedLatency(within(p99, from, to), hitsAt)
+            };
+        })
+        .filter(step => step.achievedRps >= MIN_STEP_RPS)
+        .map((step, index) => ({ step: index + 1, ...step }));
+
+    const peak = steps.reduce((max, step) => !max || step.achievedRps > max.achievedRps ? step : max, null);
+    return {
+        steps,
+        summary: {
+            stepCount: steps.length,
+            intervalSec: interval / 1000,
+            peakStep: peak ? peak.step : null,
+            peakRps: peak ? peak.achievedRps : null
+        }
+    };
+}
+
+/**
+ * The intended load plan from LOAD_STEP_1_RATE, LOAD_STEP_1_DURATION (minutes),
+ * LOAD_STEP_2_RATE, ... - empty when no step is configured
+ */
+export function plannedSteps(env = process.env) {
+    const plan = [];
+    for (let n = 1; env[`LOAD_STEP_${n}_RATE`]; n++) {
+        const duration = parseFloat(env[`LOAD_STEP_${n}_DURATION`]);
+        plan.push({ step: n, rps: parseFloat(env[`LOAD_STEP_${n}_RATE`]), durationMin: isNaN(duration) ? null : duration });
+    }
+    return plan;
+}
+
+/**
+ * Planned against detected steps, in order. Either side is null where the
+ * test had more (or fewer) steps than planned.
+ */
+export function compareWithPlan(steps = [], plan = []) {
+    return Array.from({ length: Math.max(steps.length, plan.length) }, (_, i) => {
+        const achieved = steps[i] || null;
+        const planned = plan[i] || null;
+        const achievedPct = achieved && planned?.rps > 0 ? (achieved.achievedRps / planned.rps) * 100 : null;
+        return {
+            step: i + 1,
+            planned,
+            achieved,
+            achievedPct,
+            shortfall: achievedPct !== null && achievedPct < 100 - PLAN_SHORTFALL_PCT
+        };
+    });
+}
@@ -0,0 +1,180 @@
+/**
+ * Baseline Regression Analysis
+ *
+ * Compares the endpoint table of a run against an earlier run of the same
+ * service and classifies every per-endpoint delta as improved, stable or
+ * regressed using percentage tolerance bands.
+ */
+
+/**
+ * Default tolerance bands. Latency and throughput are relative (%), error rate
+ * is absolute (percentage points) because a 0% baseline has no relative delta.
+ */
+export const DEFAULT_TOLERANCES = {
+    latencyPct: 10,
+    throughputPct: 10,
+    errorRatePoints: 0.5
+};
+
+/**
+ * Tolerance overrides from .env (read at call time, after dotenv has loaded)
+ */
+function envTolerances() {
+    const overrides = {};
+    if (process.env.REGRESSION_LATENCY_TOLERANCE_PCT) overrides.latencyPct = parseFloat(process.env.REGRESSION_LATENCY_TOLERANCE_PCT);
+    if (process.env.REGRESSION_THROUGHPUT_TOLERANCE_PCT) overrides.throughputPct = parseFloat(process.env.REGRESSION_THROUGHPUT_TOLERANCE_PCT);
+    if (process.env.REGRESSION_ERROR_RATE_TOLERANCE) overrides.errorRatePoints = parseFloat(process.env.REGRESSION_ERROR_RATE_TOLERANCE);
+    return overrides;
+}
+
+/**
+ * Parse a formatted metric cell ("123.4 ms", "0.50 hits/s", "—") into a number
+ */
+export function parseMetricValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return value;
+    if (value === 'N/A') return null;
+    if (value === '—' || value === '') return 0;
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Build a { current, baseline, delta, deltaPct } entry for one metric
+ */
+function buildDelta(current, baseline) {
+    const delta = current !== null && baseline !== null ? current - baseline : null;
+    const deltaPct = delta !== null && baseline ? (delta / baseline) * 100 : null;
+    return { current, baseline, delta, deltaPct };
+}
+
+/**
+ * Classify a metric delta: 'regressed', 'improved' or 'stable'.
+ * higherIsWorse flips the direction for latency and error rate.
+ */
+function classifyDelta(entry, tolerance, { higherIsWorse = true, absolute = false } = {}) {
+    const change = absolute ? entry.delta : entry.deltaPct;
+    if (change === null || Math.abs(change) <= tolerance) return 'stable';
+    const worse = higherIsWorse ? change > 0 : change < 0;
+    return worse ? 'regressed' : 'improved';
+}
+
+function indexByResource(metrics = []) {
+    const map = new Map();
+    metrics.forEach(metric => map.set(metric.resource_name, metric));
+    return map;
+}
+
+function endpointValues(metric) {
+    return {
+        requests: parseMetricValue(metric.requests),
+        p95: parseMetricValue(metric.p95_latency),
+        p99: parseMetricValue(metric.p99_latency),
+        rate: parseMetricValue(metric.rate),
+        errorRate: parseMetricValue(metric.error_rate)
+    };
+}
+
+function serviceTotals(metrics = []) {
+    let requests = 0;
+    let errors = 0;
+    let rate = 0;
+    metrics.forEach(metric => {
+        requests += parseMetricValue(metric.requests) || 0;
+        errors += parseMetricValue(metric.errors) || 0;
+        rate += parseMetricValue(metric.rate) || 0;
+    });
+    return { requests, errors, rate, errorRate: requests > 0 ? (errors / requests) * 100 : 0 };
+}
+
+/**
+ * Compare a run against its baseline.
+ *
+ * @param {object} current - endpoint metrics JSON of the run being reported
+ * @param {object} baseline - endpoint metrics JSON of the earlier run
+ * @param {object} tolerances - overrides for DEFAULT_TOLERANCES
+ * @returns {{ endpoints: object[], checks: object, summary: object }}
+ */
+export function compareRuns(current, baseline, tolerances = {}) {
+    const tol = { ...DEFAULT_TOLERANCES, ...envTolerances(), ...tolerances };
+    const currentByResource = indexByResource(current.metrics);
+    const baselineByResource = indexByResource(baseline.metrics);
+    const resources = new Set([...currentByResource.keys(), ...baselineByResource.keys()]);
+
+    const endpoints = [];
+    resources.forEach(resource => {
+        const cur = currentByResource.get(resource);
+        const base = baselineByResource.get(resource);
+
+        if (!base || !cur) {
+            endpoints.push({ resource_name: resource, status: base ? 'removed' : 'new', deltas: null });
+            return;
+        }
+
+        const curValues = endpointValues(cur);
+        const baseValues = endpointValues(base);
+        const deltas = {
+            requests: buildDelta(curValues.requests, baseValues.requests),
+            p95: buildDelta(curValues.p95, baseValues.p95),
+            p99: buildDelta(curValues.p99, baseValues.p99),
+            rate: buildDelta(curValues.rate, baseValues.rate),
+            errorRate: buildDelta(curValues.errorRate, baseValues.errorRate)
+        };
+
+        const verdicts = [
+            classifyDelta(deltas.p95, tol.latencyPct),
+            classifyDelta(deltas.p99, tol.latencyPct),
+            classifyDelta(deltas.errorRate, tol.errorRatePoints, { absolute: true })
+        ];
+        const status = verdicts.includes('regressed') ? 'regressed' :
+            verdicts.includes('improved') ? 'improved' : 'stable';
+
+        endpoints.push({ resource_name: resource, status, deltas });
+    });
+
+    const statusOrder = { regressed: 0, new: 1, removed: 2, improved: 3, stable: 4 };
+    endpoints.sort((a, b) => statusOrder[a.status] - statusOrder[b.status]);
+
+    const compared = endpoints.filter(e => e.deltas);
+    const latencyRegressions = compared.filter(e =>
+        classifyDelta(e.deltas.p95, tol.latencyPct) === 'regressed' ||
+        classifyDelta(e.deltas.p99, tol.latencyPct) === 'regressed');
+    const latencyImprovements = compared.filter(e =>
+        classifyDelta(e.deltas.p95, tol.latencyPct) === 'improved');
+
+    const curTotals = serviceTotals(current.metrics);
+    const baseTotals = serviceTotals(baseline.metrics);
+    const errorRateDelta = buildDelta(curTotals.errorRate, baseTotals.errorRate);
+    const throughputDelta = buildDelta(curTotals.rate, baseTotals.rate);
+
+    const checks = {
+        responseTime: {
+            status: latencyRegressions.length > 0 ? 'regressed' : latencyImprovements.length > 0 ? 'improved' : 'stable',
+            regressed: latencyRegressions.map(e => e.resource_name),
+            improved: latencyImprovements.map(e => e.resource_name)
+        },
+        errorRate: {
+            status: classifyDelta(errorRateDelta, tol.errorRatePoints, { absolute: true }),
+            ...errorRateDelta
+        },
+        throughput: {
+            status: classifyDelta(throughputDelta, tol.throughputPct, { higherIsWorse: false }),
+            ...throughputDelta
+        }
+    };
+
+    const regressed = Object.values(checks).some(check => check.status === 'regressed');
+
+    return {
+        endpoints,
+        checks,
+        tolerances: tol,
+        summary: {
+            status: regressed ? 'regressed' : 'stable',
+            regressedEndpoints: endpoints.filter(e => e.status === 'regressed').length,
+            improvedEndpoints: endpoints.filter(e => e.status === 'improved').length,
+            newEndpoints: endpoints.filter(e => e.status === 'new').length,
+            removedEndpoints: endpoints.filter(e => e.status === 'removed').length
+        }
+    };
+}
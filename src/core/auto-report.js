@@ -1,4 +1,5 @@
-import { execSync } from 'child_process';
+import fs from 'fs';
+import { OUTPUTS, runBatchReport, runReport } from './pipeline.js';
 
 console.log('🚀 AUTO PERFORMANCE REPORT - COMPLETE AUTOMATION');
 
@@ -7,6 +8,19 @@ const args = process.argv.slice(2);
 let fromTime = null;
 let toTime = null;
 let serviceName = null;
+let servicesList = null;
+let manifestFile = null;
+let runName = null;
+let environment = null;
+let timeZone = null;
+let framework = null;
+let maxLogs = null;
+let topEndpoints = null;
+let topBy = 'traffic';
+let columns = null;
+let outputs = OUTPUTS;
+let dryRun = false;
+let useCached = false;
 
 for (let i = 0; i < args.length; i++) {
     if (args[i] === '--from' && args[i + 1]) {
@@ -18,78 +32,241 @@ for (let i = 0; i < args.length; i++) {
     } else if (args[i] === '--service' && args[i + 1]) {
         serviceName = args[i + 1];
         i++;
+    } else if (args[i] === '--services' && args[i + 1]) {
+        servicesList = args[i + 1];
+        i++;
+    } else if (args[i] === '--manifest' && args[i + 1]) {
+        manifestFile = args[i + 1];
+        i++;
+    } else if (args[i] === '--run-name' && args[i + 1]) {
+        runName = args[i + 1];
+        i++;
+    } else if (args[i] === '--env' && args[i + 1]) {
+        environment = args[i + 1];
+        i++;
+    } else if (args[i] === '--tz' && args[i + 1]) {
+        timeZone = args[i + 1];
+        i++;
+    } else if (args[i] === '--framework' && args[i + 1]) {
+        framework = args[i + 1];
+        i++;
+    } else if (args[i] === '--max-logs' && args[i + 1]) {
+        maxLogs = args[i + 1];
+        i++;
+    } else if (args[i] === '--top-endpoints' && args[i + 1]) {
+        topEndpoints = args[i + 1];
+        i++;
+    } else if (args[i] === '--top-by' && args[i + 1]) {
+        topBy = args[i + 1];
+        i++;
+    } else if (args[i] === '--columns' && args[i + 1]) {
+        columns = args[i + 1];
+        i++;
+    } else if (args[i] === '--outputs' && args[i + 1]) {
+        outputs = args[i + 1].split(',').map(output => output.trim()).filter(Boolean);
+        i++;
+    } else if (args[i] === '--dry-run') {
+        dryRun = true;
+    } else if (args[i] === '--cached') {
+        useCached = true;
+    } else if (args[i] === '--record') {
+        // Applies to every fetch this run makes
+        process.env.DD_RECORD_FIXTURES = '1';
     } else if (args[i] === '--help') {
-        console.log(`Usage: node auto-report.js --from 'time' --to 'time' --service 'service-name'
+        console.log(`Usage: node auto-report.js --from 'time' --to 'time' --service 'service-name' [--env 'staging'] [--framework 'fastapi']
+       node auto-report.js --from 'time' --to 'time' --services 'service-a,service-b' [--run-name 'name']
+       node auto-report.js --manifest batch.json
+
+Options:
+  --env <env>           Datadog env tag (default: staging)
+  --tz <zone>           Time zone of --from / --to, e.g. America/Los_Angeles, UTC or +05:30
+                        (default: REPORT_TZ, then the machine's zone). --from also takes ISO 8601,
+                        epoch seconds, "now-2h" or "last 30m"; --to defaults to now
+  --framework <name>    Override the framework from config/services.json (express, fastapi, flask, django, grpc, http)
+  --max-logs <n>        Most error logs to download per service (default: DD_LOGS_MAX or 10000); beyond that
+                        the total is counted exactly and the breakdowns are reported as sampled
+  --top-endpoints <n>   Chart only the top N endpoints (default: all); the table still lists every endpoint
+  --top-by <ranking>    Rank endpoints for --top-endpoints by traffic (default) or latency (P95)
+  --columns <list>      Endpoint table columns, e.g. requests,p50,p95,p99,tail (default: REPORT_COLUMNS or all:
+                        requests,p50,p75,p90,p95,p99,avg,max,tail,rate,errors,error_rate,2xx,3xx,4xx,429,5xx)
+  --services <list>     Comma-separated services - fetched in parallel, one page per service
+                        under a combined test run page, deployed in a single commit
+  --manifest <file>     Batch manifest JSON: { "name", "from", "to", "tz", "env", "services": ["a", { "service": "b", "framework": "fastapi" }] }
+                        (--from / --to / --tz / --env / --run-name on the command line win over the manifest)
+  --run-name <name>     Title of the combined test run page (default: "Load Test Run - <start time>")
+  --outputs <list>      Comma-separated outputs (default: ${OUTPUTS.join(',')})
+  --record              Save every Datadog response to fixtures/datadog/ for offline replay
+  --dry-run             Render local previews and print the planned Confluence and git operations
+                        without uploading, committing or pushing
+  --cached              Reuse reports/<service>_*.json from an earlier fetch when present
 
 Examples:
   node auto-report.js --from 'Jan 14, 1:51 pm' --to 'Jan 14, 2:21 pm' --service 'stardust-communication-service'
   node auto-report.js --from 'Feb 3, 12:33 am' --to 'Feb 3, 12:36 am' --service 'stardust-activity-log-service'
+  node auto-report.js --from 'Feb 9, 11:18 am' --to 'Feb 9, 12:19 pm' --service 'billing-grpc-service' --framework grpc
+  node auto-report.js --from 'Feb 9, 11:18 am' --to 'Feb 9, 12:19 pm' --tz America/Los_Angeles --service 'stardust-task-service'
+  node auto-report.js --from 'last 30m' --service 'stardust-task-service'
+  node auto-report.js --from 'Feb 10, 4:00 pm' --to 'Feb 10, 4:30 pm' --services 'stardust-task-service,stardust-transaction-service,stardust-transaction-participant-service'
+  node auto-report.js --manifest batches/closing-flow.json
+  node auto-report.js --from 'Jan 14, 1:51 pm' --to 'Jan 14, 2:21 pm' --service 'stardust-communication-service' --cached --dry-run
+  node auto-report.js --from 'Jan 14, 1:51 pm' --to 'Jan 14, 2:21 pm' --service 'stardust-communication-service' --outputs html
 `);
         process.exit(0);
     }
 }
 
-if (!fromTime || !toTime || !serviceName) {
+// Build the service list: --services, a manifest, or the single --service
+let services = [];
+
+if (manifestFile) {
+    if (!fs.existsSync(manifestFile)) {
+        console.error(`❌ Manifest not found: ${manifestFile}`);
+        process.exit(1);
+    }
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    fromTime = fromTime || manifest.from;
+    toTime = toTime || manifest.to;
+    environment = environment || manifest.env;
+    timeZone = timeZone || manifest.tz || null;
+    runName = runName || manifest.name;
+    services = (manifest.services || []).map(entry =>
+        typeof entry === 'string' ? { service: entry, framework: null } : { service: entry.service, framework: entry.framework || null });
+}
+
+if (servicesList) {
+    services = services.concat(servicesList.split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => ({ service: name, framework: null })));
+}
+
+if (serviceName) {
+    services.push({ service: serviceName, framework });
+}
+
+environment = environment || 'staging';
+const isBatch = Boolean(manifestFile || servicesList);
+
+if (!fromTime || services.length === 0) {
     console.error('❌ Missing required parameters!');
     console.log('Usage: node auto-report.js --from \'time\' --to \'time\' --service \'service-name\'');
+    console.log('       node auto-report.js --from \'time\' --to \'time\' --services \'service-a,service-b\'');
     console.log('Use --help for more examples');
     process.exit(1);
 }
 
 console.log('🎯 Parameters:');
-console.log(`   📅 Time Range: ${fromTime} → ${toTime}`);
-console.log(`   🏷️  Service: ${serviceName}`);
+console.log(`   📅 Time Range: ${fromTime} → ${toTime || 'now'}${timeZone ? ` (${timeZone})` : ''}`);
+if (isBatch) {
+    console.log(`   🏷️  Services (${services.length}): ${services.map(s => s.service).join(', ')}`);
+} else {
+    console.log(`   🏷️  Service: ${services[0].service}`);
+}
+console.log(`   🌐 Environment: ${environment}`);
+if (framework) {
+    console.log(`   🧩 Framework: ${framework}`);
+}
+console.log(`   📦 Outputs: ${outputs.join(', ')}`);
+if (dryRun) {
+    console.log('   🔍 Dry run: nothing will be uploaded, committed or pushed');
+}
 console.log('='.repeat(70));
 
-function runCommand(command, description) {
-    try {
-        console.log(`\n${description}`);
-        console.log('⏳ ' + description.split(' ')[0] + '...');
-        execSync(command, { stdio: 'inherit' });
-        console.log(`✅ ${description.split(' ')[0]} - Done`);
-        return true;
-    } catch (error) {
-        console.error(`❌ ${description.split(' ')[0]} - Failed:`, error.message);
-        return false;
-    }
+function stepStatus(step) {
+    if (!step) return '⏭️  skipped';
+    return step.ok ? '✅' : `❌ ${step.error}`;
 }
 
 async function runAutomation() {
     console.log('🎯 AUTOMATED REPORT GENERATION');
     console.log('='.repeat(70));
 
-    // Step 1: Fetch Datadog metrics
-    const step1 = `node src/fetchers/fetchdatadogmetrics.js --from "${fromTime}" --to "${toTime}" --service "${serviceName}"`;
-    if (!runCommand(step1, '1️⃣  FETCHING DATADOG METRICS')) {
-        process.exit(1);
+    const result = await runReport({
+        service: services[0].service,
+        framework: services[0].framework,
+        from: fromTime,
+        to: toTime,
+        tz: timeZone,
+        env: environment,
+        maxLogs,
+        topEndpoints,
+        topBy,
+        columns,
+        outputs,
+        dryRun,
+        cached: useCached
+    });
+
+    console.log('\n' + '='.repeat(70));
+    if (!result.ok) {
+        console.log('❌ AUTOMATION FAILED');
+    } else {
+        console.log(dryRun ? '🔍 DRY RUN COMPLETE - nothing was uploaded, committed or pushed' : '🎉 AUTOMATION COMPLETE!');
     }
+    console.log('='.repeat(70));
+    console.log(`   1. Fetch metrics${result.steps.fetch?.cached ? ' (cached)' : ''}: ${stepStatus(result.steps.fetch)}`);
+    (result.steps.fetch?.warnings || []).forEach(warning => console.log(`      ⚠️  ${warning}`));
+    ['confluence', 'html', 'deploy']
+        .filter(output => outputs.includes(output))
+        .forEach((output, index) => console.log(`   ${index + 2}. ${output}: ${stepStatus(result.steps[output])}`));
 
-    // Step 2: Generate HTML report and upload to Confluence
-    const step2 = `node src/generators/confluence-uploader.js`;
-    if (!runCommand(step2, '2️⃣  GENERATING HTML REPORT & UPLOADING TO CONFLUENCE')) {
-        process.exit(1);
+    if (result.ok && dryRun) {
+        console.log('\n   📄 Confluence preview: reports/preview/');
+        console.log('   📊 Interactive report: html-reports/');
+        console.log('\n💡 Review the preview, then run again without --dry-run to publish.');
+    } else if (result.ok && outputs.includes('confluence')) {
+        console.log('\n💡 Your report is now available in both Confluence and GitHub Pages!');
+        console.log('🔗 Check your Confluence space for the updated report.');
     }
+    console.log('='.repeat(70));
 
-    // Step 3: Deploy to GitHub main branch
-    const step3 = `node src/utils/deploy-to-main.js`;
-    if (!runCommand(step3, '3️⃣  DEPLOYING TO GITHUB MAIN BRANCH')) {
+    if (!result.ok) {
         process.exit(1);
     }
+}
+
+async function runBatchAutomation() {
+    console.log(`🎯 AUTOMATED BATCH REPORT GENERATION (${services.length} services)`);
+    console.log('='.repeat(70));
+
+    const batch = await runBatchReport({
+        services,
+        framework,
+        from: fromTime,
+        to: toTime,
+        tz: timeZone,
+        env: environment,
+        maxLogs,
+        topEndpoints,
+        topBy,
+        columns,
+        name: runName,
+        outputs,
+        dryRun,
+        cached: useCached
+    });
 
     console.log('\n' + '='.repeat(70));
-    console.log('🎉 AUTOMATION COMPLETE!');
+    console.log(dryRun ? '🔍 BATCH DRY RUN COMPLETE - nothing was uploaded, committed or pushed' : '🎉 BATCH AUTOMATION COMPLETE!');
     console.log('='.repeat(70));
-    console.log('✅ Successfully completed:');
-    console.log('   1. ✅ Fetched metrics from Datadog');
-    console.log('   2. ✅ Generated HTML report');
-    console.log('   3. ✅ Uploaded to Confluence with download + browser links');
-    console.log('   4. ✅ Deployed to GitHub main branch');
-    console.log('\n💡 Your report is now available in both Confluence and GitHub Pages!');
-    console.log('🔗 Check your Confluence space for the updated report.');
+    batch.services.forEach(result => {
+        console.log(`   ${result.ok ? '✅' : '❌'} ${result.service}${result.data ? '' : ' (fetch failed)'}`);
+        result.errors.forEach(error => console.log(`      ${error}`));
+    });
+    batch.errors.forEach(error => console.log(`   ❌ ${error}`));
+    if (batch.name && outputs.includes('confluence')) {
+        console.log(dryRun ?
+            '\n💡 Review the previews in reports/preview/, then run again without --dry-run to publish.' :
+            `\n🔗 Check the "${batch.name}" page in your Confluence space.`);
+    }
     console.log('='.repeat(70));
+
+    if (!batch.ok) {
+        process.exit(1);
+    }
 }
 
-runAutomation().catch(error => {
+(isBatch ? runBatchAutomation() : runAutomation()).catch(error => {
     console.error('\n❌ Automation failed:', error.message);
     process.exit(1);
-});
\ No newline at end of file
+});
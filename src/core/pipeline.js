@@ -0,0 +1,312 @@
+import fs from 'fs';
+import ConfluenceReportGenerator from '../scripts/confluenceReportGenerator.js';
+import { fetchServiceMetrics } from '../fetchers/fetchdatadogmetrics.js';
+import { generateInteractiveReport } from '../generators/generate-full-interactive-report.js';
+import { publishConfluenceReport } from '../generators/confluence-uploader.js';
+import { deployReports } from '../utils/deploy-to-main.js';
+import { formatInTimeZone } from '../utils/time-range.js';
+import { apiCallStats, logApiCallSummary } from '../utils/datadog-client.js';
+import { resolveColumns } from '../utils/endpoint-columns.js';
+
+/**
+ * Report Pipeline
+ *
+ * In-process API behind auto-report.js, for embedding report generation in
+ * other jobs (e.g. a CI load test):
+ *
+ *   import { runReport } from './src/core/pipeline.js';
+ *   const result = await runReport({ service: 'stardust-task-service', env: 'staging', from: 'Feb 10, 4:00 pm', to: 'Feb 10, 4:30 pm' });
+ *   if (!result.ok) console.error(result.errors);
+ *
+ * Steps never throw: each one records { ok, error } in result.steps, and
+ * steps after a failed one are not run. Data still goes through reports/
+ * so the CLIs and earlier runs can reuse it (--cached).
+ *
+ * Outputs:
+ *   confluence - upload the service page (with the interactive report attached)
+ *   html       - generate html-reports/<service>-report-<date>.html
+ *   deploy     - commit and push html-reports/ to GitHub Pages
+ */
+
+export const OUTPUTS = ['confluence', 'html', 'deploy'];
+
+function metricsFile(service) {
+    return `reports/${service}_endpoint_metrics_table.json`;
+}
+
+/**
+ * Run one step, recording its outcome in result.steps[name]. Resolves to false on failure.
+ */
+async function runStep(result, name, step) {
+    try {
+        result.steps[name] = { ok: true, ...(await step()) };
+        return true;
+    } catch (error) {
+        console.error(`❌ ${name} failed: ${error.message}`);
+        result.steps[name] = { ok: false, error: error.message };
+        result.errors.push(`${name}: ${error.message}`);
+        return false;
+    }
+}
+
+function validateOutputs(outputs) {
+    const unknown = outputs.filter(output => !OUTPUTS.includes(output));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown output: ${unknown.join(', ')} (known: ${OUTPUTS.join(', ')})`);
+    }
+}
+
+/**
+ * Fetch (or, with cached, reuse) the metrics of one service and load them the
+ * way the report generators see them: endpoint data plus errorMetrics, podMetrics, dependencyMetrics and runtimeMetrics
+ */
+async function fetchStep({ service, from, to, tz, env, framework, maxLogs, topEndpoints, topBy, columns, cached }) {
+    const generator = new ConfluenceReportGenerator();
+
+    if (cached && fs.existsSync(metricsFile(service))) {
+        console.log(`♻️  Using cached metrics: ${metricsFile(service)}`);
+        return { cached: true, data: generator.loadServiceData(service), warnings: [] };
+    }
+
+    const { warnings } = await fetchServiceMetrics({ service, from, to, tz, environment: env, framework, maxLogs, topEndpoints, topBy, columns });
+    return { cached: false, data: generator.loadServiceData(service), warnings };
+}
+
+/**
+ * Confluence and/or HTML outputs for one fetched service
+ */
+async function publishSteps(result, { outputs, title, parentId, dryRun, columns }) {
+    const inputFile = metricsFile(result.service);
+
+    if (outputs.includes('confluence')) {
+        const published = await runStep(result, 'confluence', async () => {
+            const { page, previewPath, plan, interactiveReport, attached, title: pageTitle } =
+                await publishConfluenceReport({ inputFile, title, parentId, dryRun, columns });
+            result.title = pageTitle;
+            return { page: page && { id: page.id, title: page.title }, previewPath, plan, interactiveReport, attached };
+        });
+        if (!published) return false;
+    }
+
+    if (outputs.includes('html')) {
+        // The Confluence step already generated it for the attachment
+        const interactiveReport = result.steps.confluence?.interactiveReport;
+        return runStep(result, 'html', async () => ({
+            path: interactiveReport || generateInteractiveReport({ inputFile, columns }).path
+        }));
+    }
+
+    return true;
+}
+
+/**
+ * Fetch, publish and deploy the report for one service.
+ *
+ * @param {object} options
+ * @param {string} options.service - Datadog service name
+ * @param {string|number} options.from - start ("Feb 10, 4:00 pm", ISO, epoch, "last 30m" - see src/utils/time-range.js)
+ * @param {string|number} [options.to] - end (default: now)
+ * @param {string} [options.tz] - time zone of wall-clock times (default: REPORT_TZ or the machine's)
+ * @param {string} [options.env] - Datadog env tag (default: staging)
+ * @param {string} [options.framework] - framework override (see config/services.json)
+ * @param {number} [options.maxLogs] - most error logs to download per service (default: DD_LOGS_MAX or 10000)
+ * @param {number} [options.topEndpoints] - chart only the top N endpoints (default: all)
+ * @param {string} [options.topBy] - rank endpoints for topEndpoints by 'traffic' or 'latency' (default: traffic)
+ * @param {string|string[]} [options.columns] - endpoint table columns (see src/utils/endpoint-columns.js; default: REPORT_COLUMNS or all)
+ * @param {string[]} [options.outputs] - any of OUTPUTS (default: all)
+ * @param {boolean} [options.dryRun] - preview locally, plan Confluence and git operations only
+ * @param {boolean} [options.cached] - reuse reports/<service>_*.json when present
+ * @param {string} [options.title] - Confluence page title (default: generated)
+ * @param {string} [options.parentId] - Confluence parent page (default: CONFLUENCE_PARENT_FOLDER_ID)
+ * @param {string} [options.message] - deploy commit message
+ * @returns {Promise<{ ok, service, title, data, steps, errors, apiCalls }>} apiCalls: Datadog calls made by this run
+ */
+export async function runReport({
+    service,
+    from,
+    to = null,
+    tz = null,
+    env = 'staging',
+    framework = null,
+    maxLogs = null,
+    topEndpoints = null,
+    topBy = 'traffic',
+    columns = null,
+    outputs = OUTPUTS,
+    dryRun = false,
+    cached = false,
+    title = null,
+    parentId = null,
+    message = null
+}) {
+    const result = { ok: false, service, title, data: null, steps: {}, errors: [], apiCalls: null };
+    const callsBefore = apiCallStats();
+
+    try {
+        validateOutputs(outputs);
+        resolveColumns(columns);
+    } catch (error) {
+        result.errors.push(error.message);
+        return result;
+    }
+
+    const fetched = await runStep(result, 'fetch', async () => {
+        const { cached: fromCache, data, warnings } = await fetchStep({ service, from, to, tz, env, framework, maxLogs, topEndpoints, topBy, columns, cached });
+        result.data = data;
+        return { cached: fromCache, warnings };
+    });
+
+    if (fetched && await publishSteps(result, { outputs, title, parentId, dryRun, columns }) && outputs.includes('deploy')) {
+        await runStep(result, 'deploy', () => deployReports({ message, dryRun }));
+    }
+
+    result.apiCalls = logApiCallSummary(callsBefore);
+    result.ok = result.errors.length === 0;
+    return result;
+}
+
+/**
+ * Report several services from one test run: fetch them in parallel, create a
+ * combined test run page, upload one page per service under it (sequentially -
+ * the uploader shares complete-interactive-report.html) and deploy once.
+ *
+ * @param {object} options - as runReport, plus:
+ * @param {Array<string|{ service, framework }>} options.services
+ * @param {string} [options.name] - test run page title (default: "Load Test Run - <start time>")
+ * @returns {Promise<{ ok, name, runPage, services: object[], steps, errors, apiCalls }>}
+ */
+export async function runBatchReport({
+    services,
+    from,
+    to = null,
+    tz = null,
+    env = 'staging',
+    framework = null,
+    maxLogs = null,
+    topEndpoints = null,
+    topBy = 'traffic',
+    columns = null,
+    name = null,
+    outputs = OUTPUTS,
+    dryRun = false,
+    cached = false
+}) {
+    const batch = { ok: false, name, runPage: null, services: [], steps: {}, errors: [], apiCalls: null };
+    const callsBefore = apiCallStats();
+
+    try {
+        validateOutputs(outputs);
+        resolveColumns(columns);
+    } catch (error) {
+        batch.errors.push(error.message);
+        return batch;
+    }
+
+    const entries = services.map(entry =>
+        typeof entry === 'string' ? { service: entry, framework } : { service: entry.service, framework: entry.framework || framework });
+
+    // Step 1: fetch every service in parallel - each writes its own reports/<service>_*.json
+    batch.services = await Promise.all(entries.map(async entry => {
+        const result = { ok: false, service: entry.service, title: null, data: null, steps: {}, errors: [] };
+        await runStep(result, 'fetch', async () => {
+            const { cached: fromCache, data, warnings } = await fetchStep({ ...entry, from, to, tz, env, maxLogs, topEndpoints, topBy, columns, cached });
+            result.data = data;
+            return { cached: fromCache, warnings };
+        });
+        return result;
+    }));
+    batch.apiCalls = logApiCallSummary(callsBefore);
+
+    const generator = new ConfluenceReportGenerator();
+    const fetched = batch.services.filter(result => result.data);
+    fetched.forEach(result => {
+        result.title = generator.generateReportTitle(result.data);
+    });
+
+    if (fetched.length === 0) {
+        batch.errors.push('No service could be fetched');
+        return batch;
+    }
+
+    // Step 2: combined test run page - the parent of every service page
+    if (!batch.name) {
+        const { timeRange } = fetched[0].data;
+        const startTime = formatInTimeZone(timeRange.from, timeRange.timeZone, {
+            month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
+        });
+        batch.name = `Load Test Run - ${startTime}`;
+    }
+
+    if (outputs.includes('confluence')) {
+        console.log(`\n📋 Test run page: ${batch.name}`);
+        const run = {
+            name: batch.name,
+            environment: env,
+            timeRange: fetched[0].data.timeRange,
+            services: batch.services.map(result => ({
+                service: result.service,
+                data: result.data,
+                title: result.title,
+                error: result.data ? undefined : 'Metrics fetch failed'
+            }))
+        };
+        const content = generator.generateTestRunPage(run);
+
+        await runStep(batch, 'runPage', async () => {
+            if (dryRun) {
+                const previewPath = `./reports/preview/${batch.name.replace(/[^a-zA-Z0-9]+/g, '-')}.html`;
+                await generator.saveReport(content, previewPath, 'html');
+                console.log('🔍 DRY RUN - planned Confluence operations (not performed):');
+                const plan = await generator.planUpload(batch.name);
+                generator.printUploadPlan(plan);
+                // Service pages can only be planned against a test run page that already exists
+                batch.runPage = plan.pageId ? { id: plan.pageId, title: batch.name } : null;
+                return { previewPath, plan };
+            }
+
+            const page = await generator.uploadToConfluence(content, batch.name);
+            if (!page) {
+                console.warn('⚠️  Test run page not created - service pages will use the default parent');
+                return { page: null };
+            }
+            batch.runPage = { id: page.id, title: page.title };
+            return { page: batch.runPage };
+        });
+    }
+
+    // Step 3: one page per service
+    for (const result of fetched) {
+        console.log(`\n📝 ${result.service}`);
+        await publishSteps(result, {
+            outputs: outputs.filter(output => output !== 'deploy'),
+            title: result.title,
+            parentId: batch.runPage?.id || null,
+            dryRun,
+            columns
+        });
+    }
+
+    // Step 4: deploy every interactive report in a single commit
+    if (outputs.includes('deploy')) {
+        await runStep(batch, 'deploy', () => deployReports({
+            message: `Update service reports - ${batch.name} (${fetched.length} services)`,
+            dryRun
+        }));
+    }
+
+    batch.services.forEach(result => {
+        result.ok = result.errors.length === 0;
+    });
+    batch.ok = batch.errors.length === 0 && batch.services.every(result => result.ok);
+    return batch;
+}
+
+// Building blocks, for jobs that only need one step
+export { fetchServiceMetrics, fetchEndpointMetricsTable } from '../fetchers/fetchdatadogmetrics.js';
+export { fetchContainerMetrics } from '../fetchers/fetch-container-metrics.js';
+export { fetchErrorMetrics } from '../fetchers/fetch-error-metrics.js';
+export { fetchDependencyMetrics } from '../fetchers/fetch-dependency-metrics.js';
+export { fetchRuntimeMetrics } from '../fetchers/fetch-runtime-metrics.js';
+export { buildInteractiveReport, generateInteractiveReport } from '../generators/generate-full-interactive-report.js';
+export { publishConfluenceReport } from '../generators/confluence-uploader.js';
+export { deployReports } from '../utils/deploy-to-main.js';
@@ -1,220 +1,222 @@
-import axios from 'axios';
-import https from 'https';
 import dotenv from 'dotenv';
 import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { saveSnapshot } from '../utils/run-history.js';
+import { resolveService } from '../utils/service-registry.js';
+import { analyzeAutoscaling } from '../analysis/autoscaling.js';
+import { datadogGet, logApiCallSummary, queryMetrics } from '../utils/datadog-client.js';
+import { parseTimeRange } from '../utils/time-range.js';
 
 dotenv.config();
 
-const httpsAgent = new https.Agent({
-    rejectUnauthorized: false
-});
-
-const DD_API_KEY = process.env.DD_API_KEY;
-const DD_APP_KEY = process.env.DD_APP_KEY;
-const DD_SITE = process.env.DD_SITE || 'datadoghq.com';
-
-const args = process.argv.slice(2);
-let SERVICE_NAME = '';
-let ENVIRONMENT = 'staging';
-let FROM_TIME = null;
-let TO_TIME = null;
-
-function parseDateTime(dateTimeStr) {
-    // Parse formats like "Jan 3, 2:37 pm"
-    const now = new Date();
-    const currentYear = now.getFullYear();
-
-    // Try parsing with current year
-    let parsed = new Date(`${dateTimeStr}, ${currentYear}`);
-
-    // If that didn't work, try a different format
-    if (isNaN(parsed.getTime())) {
-        parsed = new Date(dateTimeStr);
+/**
+ * Fetch metric from Datadog
+ */
+async function fetchMetric(query, from, to) {
+    try {
+        return await queryMetrics(query, from, to);
+    } catch (error) {
+        console.error(`Error fetching metric: ${error.message}`);
+        return null;
     }
+}
 
-    if (isNaN(parsed.getTime())) {
-        throw new Error(`Invalid date format: ${dateTimeStr}`);
-    }
+const MB = 1024 * 1024;
 
-    return Math.floor(parsed.getTime() / 1000);
-}
+/**
+ * Get container metrics. Every query uses the same tag scope (see containerScope
+ * in src/utils/service-registry.js). CPU is in nanocores for usage and cores for
+ * requests / limits; memory and filesystem are in bytes, network in bytes/s.
+ * CFS periods, throttled time and network errors / drops are counts per interval.
+ * Restarts are the cumulative restart count of each pod's containers; terminated
+ * is 1 per container while it is terminated, grouped by the reason.
+ */
+async function getContainerMetrics(scope, from, to) {
+    console.log('📦 Fetching container metrics...\n');
 
-for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--service' && args[i + 1]) {
-        SERVICE_NAME = args[i + 1];
-        i++;
-    } else if (args[i] === '--env' && args[i + 1]) {
-        ENVIRONMENT = args[i + 1];
-        i++;
-    } else if (args[i] === '--from' && args[i + 1]) {
-        FROM_TIME = args[i + 1];
-        i++;
-    } else if (args[i] === '--to' && args[i + 1]) {
-        TO_TIME = args[i + 1];
-        i++;
-    }
-}
+    const queries = {
+        runningContainers: `sum:kubernetes.containers.running{${scope}}`,
+        cpu: `sum:kubernetes.cpu.usage.total{${scope}} by {pod_name}`,
+        cpuRequest: `sum:kubernetes.cpu.requests{${scope}} by {pod_name}`,
+        cpuLimit: `sum:kubernetes.cpu.limits{${scope}} by {pod_name}`,
+        memory: `sum:kubernetes.memory.usage{${scope}} by {pod_name}`,
+        memoryRequest: `sum:kubernetes.memory.requests{${scope}} by {pod_name}`,
+        memoryLimit: `sum:kubernetes.memory.limits{${scope}} by {pod_name}`,
+        pods: `sum:kubernetes.pods.running{${scope}}`,
+        restarts: `sum:kubernetes.containers.restarts{${scope}} by {pod_name}`,
+        terminated: `sum:kubernetes_state.container.status_report.count.terminated{${scope}} by {pod_name,reason}`,
+        exitCode: `max:kubernetes_state.container.last_terminated_exit_code{${scope}} by {pod_name}`,
+        cfsPeriods: `sum:kubernetes.cpu.cfs.periods{${scope}} by {pod_name}.as_count()`,
+        cfsThrottledPeriods: `sum:kubernetes.cpu.cfs.throttled.periods{${scope}} by {pod_name}.as_count()`,
+        cfsThrottledSeconds: `sum:kubernetes.cpu.cfs.throttled.seconds{${scope}} by {pod_name}.as_count()`,
+        networkRx: `sum:kubernetes.network.rx_bytes{${scope}} by {pod_name}`,
+        networkTx: `sum:kubernetes.network.tx_bytes{${scope}} by {pod_name}`,
+        networkRxErrors: `sum:kubernetes.network.rx_errors{${scope}} by {pod_name}.as_count()`,
+        networkTxErrors: `sum:kubernetes.network.tx_errors{${scope}} by {pod_name}.as_count()`,
+        networkRxDropped: `sum:kubernetes.network.rx_dropped{${scope}} by {pod_name}.as_count()`,
+        networkTxDropped: `sum:kubernetes.network.tx_dropped{${scope}} by {pod_name}.as_count()`,
+        filesystem: `sum:kubernetes.filesystem.usage{${scope}} by {pod_name}`,
+        filesystemPct: `max:kubernetes.filesystem.usage_pct{${scope}} by {pod_name}`
+    };
 
-if (!SERVICE_NAME) {
-    console.error('❌ Missing required parameter: --service');
-    console.log('\nUsage: node fetch-container-metrics.js --service "process-document-service" --env "staging" --from "Jan 3, 2:37 pm" --to "Jan 3, 3:09 pm"');
-    process.exit(1);
+    // Fetched side by side - the Datadog client applies the concurrency and rate limits
+    return Object.fromEntries(await Promise.all(Object.entries(queries).map(async ([name, query]) => {
+        const data = await fetchMetric(query, from, to);
+        console.log(data?.series ? `  ✅ ${name}: ${data.series.length} series` : `  ⚠️  ${name}: no data`);
+        return [name, data];
+    })));
 }
 
-let from, to;
+/**
+ * Replica counts over time (deployment and HPA, kubernetes_state) and the
+ * service's request rate, for the autoscaling analysis
+ */
+async function getAutoscalingMetrics(profile, environment, from, to) {
+    console.log('\n📈 Fetching autoscaling metrics...\n');
+
+    const { deploymentScope, hpaScope } = profile;
+    const queries = {
+        replicasDesired: `sum:kubernetes_state.deployment.replicas_desired{${deploymentScope}}`,
+        replicasAvailable: `sum:kubernetes_state.deployment.replicas_available{${deploymentScope}}`,
+        hpaDesired: `sum:kubernetes_state.hpa.desired_replicas{${hpaScope}}`,
+        hpaCurrent: `sum:kubernetes_state.hpa.current_replicas{${hpaScope}}`,
+        hpaMin: `max:kubernetes_state.hpa.min_replicas{${hpaScope}}`,
+        hpaMax: `max:kubernetes_state.hpa.max_replicas{${hpaScope}}`,
+        requestRate: `sum:${profile.traceOperation}.hits{env:${environment},service:${profile.service}}.as_rate()`
+    };
 
-if (FROM_TIME && TO_TIME) {
-    from = parseDateTime(FROM_TIME);
-    to = parseDateTime(TO_TIME);
-} else {
-    const now = Math.floor(Date.now() / 1000);
-    from = now - 3600; // Last 1 hour
-    to = now;
+    return Object.fromEntries(await Promise.all(Object.entries(queries).map(async ([name, query]) => {
+        const data = await fetchMetric(query, from, to);
+        console.log(data?.series?.length ? `  ✅ ${name}: ${data.series.length} series` : `  ⚠️  ${name}: no data`);
+        return [name, data];
+    })));
 }
 
-console.log(`📊 Fetching Container/Pod Metrics from Datadog`);
-console.log(`🏷️  Service: ${SERVICE_NAME}, Environment: ${ENVIRONMENT}\n`);
-
 /**
- * Fetch metric from Datadog
+ * Kubernetes events (BackOff, Killing, OOMKilling, Unhealthy, ...) of the service's
+ * pods - the kubelet's account of why containers were restarted
  */
-async function fetchMetric(query) {
-    const url = `https://api.${DD_SITE}/api/v1/query`;
+async function getKubernetesEvents(scope, from, to) {
+    console.log('\n📣 Fetching Kubernetes events...\n');
 
     try {
-        const response = await axios.get(url, {
-            params: {
-                query: query,
-                from: from,
-                to: to
-            },
-            headers: {
-                'DD-API-KEY': DD_API_KEY,
-                'DD-APPLICATION-KEY': DD_APP_KEY
-            },
-            httpsAgent
+        const response = await datadogGet('/api/v1/events', {
+            start: from,
+            end: to,
+            sources: 'kubernetes',
+            tags: scope,
+            priority: 'all'
         });
-
-        return response.data;
+        const events = response.data?.events || [];
+        console.log(`  ✅ events: ${events.length}`);
+        return events;
     } catch (error) {
-        console.error(`Error fetching metric: ${error.message}`);
-        return null;
+        console.warn(`  ⚠️  Could not fetch Kubernetes events (${error.response?.status || error.message}), continuing without them`);
+        return [];
     }
 }
 
+const podName = series => series.scope.match(/pod_name:([^,}]+)/)?.[1] || 'unknown';
+const seriesValues = series => series.pointlist.map(p => p[1]).filter(v => v != null);
+const average = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+const pctOf = (value, of) => of > 0 ? (value / of) * 100 : null;
+const total = values => values.reduce((sum, v) => sum + v, 0);
+
 /**
- * Get container metrics
+ * { <timestamp ms>: value } of a series, to line series of one pod up by interval
  */
-async function getContainerMetrics() {
-    console.log('📦 Fetching container metrics...\n');
-
-    const queries = {
-        runningContainers: `sum:kubernetes.containers.running{service:${SERVICE_NAME},env:${ENVIRONMENT}}`,
-        cpu: `sum:kubernetes.cpu.usage.total{service:${SERVICE_NAME},env:${ENVIRONMENT}} by {pod_name}`,
-        cpuLimit: `sum:kubernetes.cpu.limits{service:${SERVICE_NAME},env:${ENVIRONMENT}} by {pod_name}`,
-        memoryPct: `sum:kubernetes.memory.usage_pct{kube_cluster_name:staging-usw2-jd56cpu4,kube_deployment:${SERVICE_NAME}} by {pod_name}`,
-        pods: `sum:kubernetes.pods.running{service:${SERVICE_NAME},env:${ENVIRONMENT}}`,
-        restarts: `sum:kubernetes.containers.restarts{service:${SERVICE_NAME},env:${ENVIRONMENT}} by {pod_name}`
-    };
-
-    const results = {};
-
-    for (const [name, query] of Object.entries(queries)) {
-        console.log(`  Fetching ${name}...`);
-        const data = await fetchMetric(query);
-        results[name] = data;
-
-        if (data?.series) {
-            console.log(`  ✅ Got ${data.series.length} series`);
-        } else {
-            console.log(`  ⚠️  No data`);
-        }
-    }
+function pointsByTime(series) {
+    return new Map((series?.pointlist || []).filter(p => p[1] != null).map(p => [p[0], p[1]]));
+}
 
-    return results;
+function formatPct(pct) {
+    return pct === null || pct === undefined ? '—' : `${pct.toFixed(1)}%`;
 }
 
 /**
  * Process and display results
  */
-function displayResults(results) {
+function displayResults(processed) {
+    const { summary, podMetrics, restartEvents } = processed;
+
     console.log('\n' + '═'.repeat(100));
     console.log('📊 CONTAINER/POD METRICS SUMMARY');
     console.log('═'.repeat(100));
     console.log();
 
-    // Running containers
-    if (results.runningContainers?.series?.[0]) {
-        const series = results.runningContainers.series[0];
-        const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-        const current = values[values.length - 1] || 0;
-        const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
-
-        console.log('🏃 Running Containers:');
-        console.log(`   Current: ${Math.round(current)}`);
-        console.log(`   Average: ${Math.round(avg)}`);
-        console.log();
-    }
-
-    // Running pods
-    if (results.pods?.series?.[0]) {
-        const series = results.pods.series[0];
-        const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-        const current = values[values.length - 1] || 0;
-        const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
-
-        console.log('📦 Running Pods:');
-        console.log(`   Current: ${Math.round(current)}`);
-        console.log(`   Average: ${Math.round(avg)}`);
-        console.log();
-    }
-
-    // CPU usage by pod
-    if (results.cpu?.series && results.cpu.series.length > 0) {
-        console.log('💻 CPU Usage by Pod:');
-        console.log(`${'POD NAME'.padEnd(60)} ${'AVG CPU'.padEnd(20)} ${'MAX CPU'.padEnd(20)}`);
-        console.log('─'.repeat(100));
-
-        results.cpu.series.forEach(series => {
-            const podName = series.scope.match(/pod_name:([^,}]+)/)?.[1] || 'unknown';
-            const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-            const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
-            const max = Math.max(...values);
+    console.log(`🏃 Running Containers: ${summary.runningContainers.current} current, ${summary.runningContainers.average} average`);
+    console.log(`📦 Running Pods: ${summary.runningPods.current} current, ${summary.runningPods.average} average`);
+    console.log();
 
-            console.log(`${podName.padEnd(60)} ${(avg / 1e9).toFixed(2).padEnd(20)} ${(max / 1e9).toFixed(2).padEnd(20)}`);
+    const withUsage = podMetrics.filter(pod => pod.hasUsage);
+    if (withUsage.length > 0) {
+        // Usage as avg / max, against the pod's requests and limits
+        console.log('💻 CPU and 💾 Memory by Pod (avg / max):');
+        console.log(`${'POD NAME'.padEnd(50)} ${'CPU (cores)'.padEnd(14)} ${'% REQUEST'.padEnd(16)} ${'% LIMIT'.padEnd(16)} ${'MEMORY (MB)'.padEnd(16)} ${'% REQUEST'.padEnd(16)} ${'% LIMIT'.padEnd(16)}`);
+        console.log('─'.repeat(150));
+
+        withUsage.forEach(pod => {
+            console.log(
+                `${pod.podName.padEnd(50)} ` +
+                `${`${pod.avgCpu.toFixed(2)} / ${pod.maxCpu.toFixed(2)}`.padEnd(14)} ` +
+                `${`${formatPct(pod.avgCpuRequestPct)} / ${formatPct(pod.maxCpuRequestPct)}`.padEnd(16)} ` +
+                `${`${formatPct(pod.avgCpuPct)} / ${formatPct(pod.maxCpuPct)}`.padEnd(16)} ` +
+                `${`${pod.avgMemory.toFixed(0)} / ${pod.maxMemory.toFixed(0)}`.padEnd(16)} ` +
+                `${`${formatPct(pod.avgMemoryRequestPct)} / ${formatPct(pod.maxMemoryRequestPct)}`.padEnd(16)} ` +
+                `${formatPct(pod.avgMemoryPct)} / ${formatPct(pod.maxMemoryPct)}`
+            );
         });
         console.log();
+    } else {
+        console.log('⚠️  No CPU or memory usage found - check containerTags / kubeCluster in config/services.json');
+        console.log();
     }
 
-    // Memory usage by pod
-    if (results.memoryPct?.series && results.memoryPct.series.length > 0) {
-        console.log('💾 Memory Usage by Pod:');
-        console.log(`${'POD NAME'.padEnd(60)} ${'AVG MEMORY (%)'.padEnd(20)} ${'MAX MEMORY (%)'.padEnd(20)}`);
-        console.log('─'.repeat(100));
-
-        results.memoryPct.series.forEach(series => {
-            const podName = series.scope.match(/pod_name:([^,}]+)/)?.[1] || 'unknown';
-            const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-            const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
-            const max = Math.max(...values);
-
-            console.log(`${podName.padEnd(60)} ${(avg * 100).toFixed(2).padEnd(20)} ${(max * 100).toFixed(2).padEnd(20)}`);
+    const withThrottlingOrNetwork = podMetrics.filter(pod => pod.throttledPct !== null || pod.maxRxBytesPerSec !== null);
+    if (withThrottlingOrNetwork.length > 0) {
+        console.log('🚦 Throttling & Network by Pod:');
+        console.log(`${'POD NAME'.padEnd(50)} ${'THROTTLED'.padEnd(12)} ${'THROTTLED TIME'.padEnd(16)} ${'RX KB/s (avg/max)'.padEnd(20)} ${'TX KB/s (avg/max)'.padEnd(20)} ${'ERR / DROP'.padEnd(12)} ${'DISK (MB)'.padEnd(10)}`);
+        console.log('─'.repeat(150));
+
+        withThrottlingOrNetwork.forEach(pod => {
+            const kb = bytes => bytes === null ? '—' : (bytes / 1024).toFixed(1);
+            console.log(
+                `${pod.podName.padEnd(50)} ` +
+                `${formatPct(pod.throttledPct).padEnd(12)} ` +
+                `${(pod.throttledSeconds === null ? '—' : `${pod.throttledSeconds.toFixed(1)}s`).padEnd(16)} ` +
+                `${`${kb(pod.avgRxBytesPerSec)} / ${kb(pod.maxRxBytesPerSec)}`.padEnd(20)} ` +
+                `${`${kb(pod.avgTxBytesPerSec)} / ${kb(pod.maxTxBytesPerSec)}`.padEnd(20)} ` +
+                `${`${pod.networkErrors} / ${pod.networkDrops}`.padEnd(12)} ` +
+                `${pod.maxFilesystemMb === null ? '—' : pod.maxFilesystemMb.toFixed(0)}`
+            );
         });
         console.log();
     }
 
     // Container restarts
-    if (results.restarts?.series && results.restarts.series.length > 0) {
+    const restarted = podMetrics.filter(pod => pod.restarts > 0);
+    if (restarted.length > 0) {
         console.log('🔄 Container Restarts:');
-        console.log(`${'POD NAME'.padEnd(60)} ${'RESTART COUNT'.padEnd(20)}`);
-        console.log('─'.repeat(100));
-
-        results.restarts.series.forEach(series => {
-            const podName = series.scope.match(/pod_name:([^,}]+)/)?.[1] || 'unknown';
-            const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-            const totalRestarts = Math.max(...values);
+        console.log(`${'POD NAME'.padEnd(60)} ${'RESTART COUNT'.padEnd(20)} ${'IN WINDOW'.padEnd(12)} ${'LAST REASON'.padEnd(20)}`);
+        console.log('─'.repeat(120));
+
+        restarted.forEach(pod => {
+            console.log(
+                `${pod.podName.padEnd(60)} ${pod.restarts.toFixed(0).padEnd(20)} ${String(pod.restartsInWindow).padEnd(12)} ` +
+                `${pod.lastTerminationReason || '—'}${pod.lastExitCode !== null ? ` (exit ${pod.lastExitCode})` : ''}`
+            );
+        });
+        console.log();
+    }
 
-            console.log(`${podName.padEnd(60)} ${totalRestarts.toFixed(0).padEnd(20)}`);
+    if (restartEvents.length > 0) {
+        console.log('🕒 Restart Timeline:');
+        restartEvents.forEach(restart => {
+            console.log(
+                `   ${new Date(restart.timestamp).toISOString()}  ${restart.podName}  +${restart.restarts}  ` +
+                `${restart.reason || 'unknown reason'}${restart.exitCode !== null ? ` (exit ${restart.exitCode})` : ''}` +
+                `${restart.event ? `  - ${restart.event.title}` : ''}`
+            );
         });
         console.log();
     }
@@ -223,7 +225,16 @@ function displayResults(results) {
 }
 
 /**
- * Process metrics into structured format for report
+ * Process metrics into structured format for report.
+ *
+ * Per pod: CPU in cores and memory in MB (avg / max over the window), the
+ * pod's requests and limits in the same units, and usage as a percentage of
+ * each - null where the pod sets no request or limit. *Pct fields are against
+ * the limit, *RequestPct against the request.
+ *
+ * Also per pod: CFS throttling (share of CPU periods throttled, and seconds
+ * throttled), network rx / tx bytes/s (avg / max), network errors and drops
+ * (rx + tx totals) and filesystem usage (peak MB and %) - null when not reported.
  */
 function processMetrics(results) {
     const summary = {
@@ -231,181 +242,453 @@ function processMetrics(results) {
         runningPods: { current: 0, average: 0 }
     };
 
-    const podMetrics = [];
-    const timeSeries = { cpu: [], memory: [] };
+    const timeSeries = { cpu: [], memory: [], throttling: [], networkRx: [], networkTx: [], networkErrors: [], filesystem: [] };
 
     // Process running containers
     if (results.runningContainers?.series?.[0]) {
-        const series = results.runningContainers.series[0];
-        const values = series.pointlist.map(p => p[1]).filter(v => v != null);
+        const values = seriesValues(results.runningContainers.series[0]);
         summary.runningContainers.current = Math.round(values[values.length - 1] || 0);
-        summary.runningContainers.average = Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+        summary.runningContainers.average = Math.round(average(values));
     }
 
     // Process running pods
     if (results.pods?.series?.[0]) {
-        const series = results.pods.series[0];
-        const values = series.pointlist.map(p => p[1]).filter(v => v != null);
+        const values = seriesValues(results.pods.series[0]);
         summary.runningPods.current = Math.round(values[values.length - 1] || 0);
-        summary.runningPods.average = Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+        summary.runningPods.average = Math.round(average(values));
     }
 
     // Process CPU and Memory by pod
     const podMap = new Map();
+    const podFor = series => {
+        const name = podName(series);
+        if (!podMap.has(name)) {
+            podMap.set(name, {
+                podName: name,
+                hasUsage: false,
+                avgCpu: 0, maxCpu: 0, cpuRequest: null, cpuLimit: null,
+                avgMemory: 0, maxMemory: 0, memoryRequest: null, memoryLimit: null,
+                throttledPeriods: 0, totalPeriods: 0, throttledPct: null, throttledSeconds: null,
+                avgRxBytesPerSec: null, maxRxBytesPerSec: null, avgTxBytesPerSec: null, maxTxBytesPerSec: null,
+                networkErrors: 0, networkDrops: 0,
+                maxFilesystemMb: null, maxFilesystemPct: null,
+                restarts: 0, restartsInWindow: 0, lastTerminationReason: null, lastExitCode: null
+            });
+        }
+        return podMap.get(name);
+    };
 
-    if (results.cpu?.series) {
-        results.cpu.series.forEach(series => {
-            const podName = series.scope.match(/pod_name:([^,}]+)/)?.[1] || 'unknown';
-            const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-            const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
-            const max = Math.max(...values);
+    (results.cpu?.series || []).forEach(series => {
+        const pod = podFor(series);
+        const values = seriesValues(series);
+        pod.hasUsage = pod.hasUsage || values.length > 0;
+        pod.avgCpu = average(values) / 1e9; // Convert to cores
+        pod.maxCpu = values.length > 0 ? Math.max(...values) / 1e9 : 0;
 
-            if (!podMap.has(podName)) {
-                podMap.set(podName, { podName, avgCpu: 0, maxCpu: 0, avgCpuPct: 0, maxCpuPct: 0, avgMemory: 0, maxMemory: 0, avgMemoryPct: 0, maxMemoryPct: 0, restarts: 0, cpuLimit: 0, memoryLimit: 0 });
-            }
+        series.pointlist.forEach(point => {
+            timeSeries.cpu.push({ timestamp: new Date(point[0]).toISOString(), podName: pod.podName, value: point[1] / 1e9 });
+        });
+    });
 
-            const pod = podMap.get(podName);
-            pod.avgCpu = avg / 1e9; // Convert to cores
-            pod.maxCpu = max / 1e9;
+    (results.memory?.series || []).forEach(series => {
+        const pod = podFor(series);
+        const values = seriesValues(series);
+        pod.hasUsage = pod.hasUsage || values.length > 0;
+        pod.avgMemory = average(values) / MB;
+        pod.maxMemory = values.length > 0 ? Math.max(...values) / MB : 0;
 
-            // Add time series
-            series.pointlist.forEach(point => {
-                timeSeries.cpu.push({
-                    timestamp: new Date(point[0]).toISOString(),
-                    podName: podName,
-                    value: point[1] / 1e9
-                });
-            });
+        series.pointlist.forEach(point => {
+            timeSeries.memory.push({ timestamp: new Date(point[0]).toISOString(), podName: pod.podName, value: point[1] / MB });
         });
-    }
-
-    if (results.cpuLimit?.series) {
-        results.cpuLimit.series.forEach(series => {
-            const podName = series.scope.match(/pod_name:([^,}]+)/)?.[1] || 'unknown';
-            const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-            const limit = values.reduce((sum, v) => sum + v, 0) / values.length;
+    });
 
-            if (!podMap.has(podName)) {
-                podMap.set(podName, { podName, avgCpu: 0, maxCpu: 0, avgCpuPct: 0, maxCpuPct: 0, avgMemory: 0, maxMemory: 0, avgMemoryPct: 0, maxMemoryPct: 0, restarts: 0, cpuLimit: 0, memoryLimit: 0 });
+    // Requests and limits - constant for a pod's lifetime, so the average is the configured value
+    [['cpuRequest', 1], ['cpuLimit', 1], ['memoryRequest', MB], ['memoryLimit', MB]].forEach(([name, unit]) => {
+        (results[name]?.series || []).forEach(series => {
+            const values = seriesValues(series);
+            if (values.length > 0) {
+                podFor(series)[name] = average(values) / unit;
             }
-
-            const pod = podMap.get(podName);
-            pod.cpuLimit = limit; // Keep in nanocores for percentage calculation
         });
-    }
+    });
+
+    // Usage against requests and limits
+    podMap.forEach(pod => {
+        pod.avgCpuRequestPct = pctOf(pod.avgCpu, pod.cpuRequest);
+        pod.maxCpuRequestPct = pctOf(pod.maxCpu, pod.cpuRequest);
+        pod.avgCpuPct = pctOf(pod.avgCpu, pod.cpuLimit);
+        pod.maxCpuPct = pctOf(pod.maxCpu, pod.cpuLimit);
+        pod.avgMemoryRequestPct = pctOf(pod.avgMemory, pod.memoryRequest);
+        pod.maxMemoryRequestPct = pctOf(pod.maxMemory, pod.memoryRequest);
+        pod.avgMemoryPct = pctOf(pod.avgMemory, pod.memoryLimit);
+        pod.maxMemoryPct = pctOf(pod.maxMemory, pod.memoryLimit);
+    });
 
-    if (results.memoryPct?.series) {
-        results.memoryPct.series.forEach(series => {
-            const podName = series.scope.match(/pod_name:([^,}]+)/)?.[1] || 'unknown';
-            const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-            const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
-            const max = Math.max(...values);
+    (results.restarts?.series || []).forEach(series => {
+        const values = seriesValues(series);
+        podFor(series).restarts = values.length > 0 ? Math.max(...values) : 0;
+    });
 
-            if (!podMap.has(podName)) {
-                podMap.set(podName, { podName, avgCpu: 0, maxCpu: 0, avgCpuPct: 0, maxCpuPct: 0, avgMemory: 0, maxMemory: 0, avgMemoryPct: 0, maxMemoryPct: 0, restarts: 0, cpuLimit: 0, memoryLimit: 0 });
-            }
+    // CFS throttling: throttled periods over all CFS periods, per interval and over the window
+    (results.cfsPeriods?.series || []).forEach(series => {
+        const pod = podFor(series);
+        const periods = pointsByTime(series);
+        const throttledSeries = results.cfsThrottledPeriods?.series?.find(s => podName(s) === pod.podName);
+        const throttled = pointsByTime(throttledSeries);
+
+        pod.totalPeriods = total([...periods.values()]);
+        pod.throttledPeriods = total([...throttled.values()]);
+        pod.throttledPct = throttledSeries ? pctOf(pod.throttledPeriods, pod.totalPeriods) : null;
 
-            const pod = podMap.get(podName);
-            // Since we're using usage_pct query, multiply by 100 for percentage display
-            pod.avgMemoryPct = avg * 100;
-            pod.maxMemoryPct = max * 100;
+        if (throttledSeries) {
+            periods.forEach((count, timestamp) => {
+                timeSeries.throttling.push({ timestamp: new Date(timestamp).toISOString(), podName: pod.podName, value: pctOf(throttled.get(timestamp) || 0, count) || 0 });
+            });
+        }
+    });
+
+    (results.cfsThrottledSeconds?.series || []).forEach(series => {
+        podFor(series).throttledSeconds = total(seriesValues(series));
+    });
+
+    [['networkRx', 'RxBytesPerSec'], ['networkTx', 'TxBytesPerSec']].forEach(([name, field]) => {
+        (results[name]?.series || []).forEach(series => {
+            const pod = podFor(series);
+            const values = seriesValues(series);
+            if (values.length === 0) return;
+            pod[`avg${field}`] = average(values);
+            pod[`max${field}`] = Math.max(...values);
 
-            // Add time series
             series.pointlist.forEach(point => {
-                timeSeries.memory.push({
-                    timestamp: new Date(point[0]).toISOString(),
-                    podName: podName,
-                    value: point[1] * 100 // Multiply by 100 for percentage
-                });
+                timeSeries[name].push({ timestamp: new Date(point[0]).toISOString(), podName: pod.podName, value: point[1] });
             });
         });
-    }
+    });
 
-    if (results.memoryLimit?.series) {
-        results.memoryLimit.series.forEach(series => {
-            const podName = series.scope.match(/pod_name:([^,}]+)/)?.[1] || 'unknown';
-            const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-            const limit = values.reduce((sum, v) => sum + v, 0) / values.length;
+    // Errors and drops, rx + tx - one time series of both per pod
+    const networkProblems = new Map();
+    [['networkRxErrors', 'networkErrors'], ['networkTxErrors', 'networkErrors'], ['networkRxDropped', 'networkDrops'], ['networkTxDropped', 'networkDrops']].forEach(([name, field]) => {
+        (results[name]?.series || []).forEach(series => {
+            const pod = podFor(series);
+            pod[field] += total(seriesValues(series));
 
-            if (!podMap.has(podName)) {
-                podMap.set(podName, { podName, avgCpu: 0, maxCpu: 0, avgCpuPct: 0, maxCpuPct: 0, avgMemory: 0, maxMemory: 0, avgMemoryPct: 0, maxMemoryPct: 0, restarts: 0, cpuLimit: 0, memoryLimit: 0 });
-            }
+            const byTime = networkProblems.get(pod.podName) || new Map();
+            pointsByTime(series).forEach((count, timestamp) => byTime.set(timestamp, (byTime.get(timestamp) || 0) + count));
+            networkProblems.set(pod.podName, byTime);
+        });
+    });
+    networkProblems.forEach((byTime, name) => {
+        [...byTime.entries()].sort((a, b) => a[0] - b[0]).forEach(([timestamp, value]) => {
+            timeSeries.networkErrors.push({ timestamp: new Date(timestamp).toISOString(), podName: name, value });
+        });
+    });
+
+    (results.filesystem?.series || []).forEach(series => {
+        const pod = podFor(series);
+        const values = seriesValues(series);
+        if (values.length === 0) return;
+        pod.maxFilesystemMb = Math.max(...values) / MB;
 
-            const pod = podMap.get(podName);
-            pod.memoryLimit = limit; // Keep in bytes for percentage calculation
+        series.pointlist.forEach(point => {
+            timeSeries.filesystem.push({ timestamp: new Date(point[0]).toISOString(), podName: pod.podName, value: point[1] / MB });
         });
-    }
+    });
 
-    // Calculate percentages
-    podMap.forEach(pod => {
-        if (pod.cpuLimit > 0) {
-            // CPU usage and limit are both in cores
-            pod.avgCpuPct = (pod.avgCpu / pod.cpuLimit) * 100;
-            pod.maxCpuPct = (pod.maxCpu / pod.cpuLimit) * 100;
-        }
-        if (pod.memoryLimit > 0) {
-            // Memory usage in MB, limit in bytes
-            pod.avgMemoryPct = ((pod.avgMemory * 1024 * 1024) / pod.memoryLimit) * 100;
-            pod.maxMemoryPct = ((pod.maxMemory * 1024 * 1024) / pod.memoryLimit) * 100;
+    (results.filesystemPct?.series || []).forEach(series => {
+        const values = seriesValues(series);
+        if (values.length > 0) {
+            podFor(series).maxFilesystemPct = Math.max(...values) * 100; // usage_pct is a fraction
         }
     });
 
-    if (results.restarts?.series) {
-        results.restarts.series.forEach(series => {
-            const podName = series.scope.match(/pod_name:([^,}]+)/)?.[1] || 'unknown';
-            const values = series.pointlist.map(p => p[1]).filter(v => v != null);
-            const totalRestarts = Math.max(...values);
-
-            if (!podMap.has(podName)) {
-                podMap.set(podName, { podName, avgCpu: 0, maxCpu: 0, avgMemory: 0, maxMemory: 0, restarts: 0 });
-            }
+    const podMetrics = [...podMap.values()];
 
-            podMap.get(podName).restarts = totalRestarts;
-        });
-    }
+    // Service-wide: mean of the pods' averages, and the highest peak of any pod
+    const measured = podMetrics.filter(pod => pod.hasUsage);
+    ['CpuPct', 'CpuRequestPct', 'MemoryPct', 'MemoryRequestPct'].forEach(name => {
+        const avgs = measured.map(pod => pod[`avg${name}`]).filter(pct => pct !== null);
+        const maxes = measured.map(pod => pod[`max${name}`]).filter(pct => pct !== null);
+        summary[`avg${name}`] = avgs.length > 0 ? average(avgs) : null;
+        summary[`max${name}`] = maxes.length > 0 ? Math.max(...maxes) : null;
+    });
 
-    // Convert podMap to array
-    podMap.forEach(pod => podMetrics.push(pod));
+    // Service-wide throttling: all throttled periods over all periods, and the worst pod
+    const throttledPods = podMetrics.filter(pod => pod.throttledPct !== null);
+    summary.throttledPct = throttledPods.length > 0 ?
+        pctOf(total(throttledPods.map(pod => pod.throttledPeriods)), total(throttledPods.map(pod => pod.totalPeriods))) :
+        null;
+    summary.maxThrottledPct = throttledPods.length > 0 ? Math.max(...throttledPods.map(pod => pod.throttledPct)) : null;
+    summary.networkErrors = total(podMetrics.map(pod => pod.networkErrors));
+    summary.networkDrops = total(podMetrics.map(pod => pod.networkDrops));
 
     return { summary, podMetrics, timeSeries };
 }
 
+// Furthest a termination reason or Kubernetes event may be from the restart it explains
+const RESTART_MATCH_MS = 5 * 60 * 1000;
+
 /**
- * Main function
+ * Item of a time-sorted list nearest to a time, within RESTART_MATCH_MS (null if none)
  */
-async function main() {
-    try {
-        const results = await getContainerMetrics();
-
-        displayResults(results);
-
-        const processed = processMetrics(results);
-
-        // Save to JSON
-        const outputData = {
-            timestamp: new Date().toISOString(),
-            service: SERVICE_NAME,
-            environment: ENVIRONMENT,
-            timeRange: {
-                from: new Date(from * 1000).toISOString(),
-                to: new Date(to * 1000).toISOString()
-            },
-            summary: processed.summary,
-            podMetrics: processed.podMetrics,
-            timeSeries: processed.timeSeries,
-            rawMetrics: results
+function nearest(items, timestamp) {
+    return items.reduce((best, item) => {
+        const distance = Math.abs(item.timestamp - timestamp);
+        return distance <= RESTART_MATCH_MS && (!best || distance < Math.abs(best.timestamp - timestamp)) ? item : best;
+    }, null);
+}
+
+/**
+ * Kubernetes events with their pod: the pod_name tag, else a known pod named in the event
+ */
+function processKubernetesEvents(events, podNames) {
+    return events.map(event => {
+        const text = `${event.title || ''} ${event.text || ''}`;
+        const tagged = (event.tags || []).find(tag => tag.startsWith('pod_name:'));
+        return {
+            timestamp: event.date_happened * 1000,
+            podName: tagged ? tagged.slice('pod_name:'.length) : podNames.find(name => text.includes(name)) || null,
+            title: event.title || '',
+            message: (event.text || '').replace(/\s+/g, ' ').trim().slice(0, 300),
+            alertType: event.alert_type || null
         };
+    }).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Restart timeline: one entry per interval in which a pod's restart count went
+ * up, with the termination reason and exit code Kubernetes reported for it and
+ * the pod's nearest Kubernetes event. Without a reported reason or exit code,
+ * the event text is used (OOMKilled, "exit code 137").
+ *
+ * Sets each pod's restartsInWindow, lastTerminationReason and lastExitCode, and
+ * returns the timeline with the restart count series in the shape of a Datadog
+ * query response ({ from_date, to_date, series: [{ expression, pointlist }] }).
+ */
+function processRestarts(results, kubernetesEvents, podMetrics, fromMs, toMs) {
+    const restartEvents = [];
+
+    (results.restarts?.series || []).forEach(series => {
+        const name = podName(series);
+        const points = series.pointlist.filter(point => point[1] != null);
+        const reasons = (results.terminated?.series || [])
+            .filter(terminated => podName(terminated) === name)
+            .flatMap(terminated => terminated.pointlist
+                .filter(point => point[1] > 0)
+                .map(point => ({ timestamp: point[0], reason: terminated.scope.match(/reason:([^,}]+)/)?.[1] || null })));
+        const exitCodes = (results.exitCode?.series || [])
+            .filter(exitCode => podName(exitCode) === name)
+            .flatMap(exitCode => exitCode.pointlist.filter(point => point[1] != null));
+        const events = kubernetesEvents.filter(event => event.podName === name);
+
+        for (let i = 1; i < points.length; i++) {
+            const [timestamp, count] = points[i];
+            if (count <= points[i - 1][1]) continue;
+
+            const event = nearest(events, timestamp);
+            const eventText = event ? `${event.title} ${event.message}` : '';
+            // The last terminated exit code is updated once the container has restarted
+            const reportedExitCode = exitCodes.find(point => point[0] >= timestamp)?.[1];
+            const eventExitCode = eventText.match(/exit code:?\s*(\d+)/i)?.[1];
+
+            restartEvents.push({
+                timestamp,
+                podName: name,
+                restarts: Math.round(count - points[i - 1][1]),
+                reason: nearest(reasons, timestamp)?.reason || (/oomkill/i.test(eventText) ? 'OOMKilled' : null),
+                exitCode: reportedExitCode !== undefined ? Math.round(reportedExitCode) : eventExitCode !== undefined ? Number(eventExitCode) : null,
+                event: event ? { timestamp: event.timestamp, title: event.title, message: event.message } : null
+            });
+        }
+    });
 
-        const outputFile = `./reports/${SERVICE_NAME}_container_metrics.json`;
-        fs.writeFileSync(outputFile, JSON.stringify(outputData, null, 2));
+    restartEvents.sort((a, b) => a.timestamp - b.timestamp);
+    podMetrics.forEach(pod => {
+        const own = restartEvents.filter(restart => restart.podName === pod.podName);
+        pod.restartsInWindow = total(own.map(restart => restart.restarts));
+        pod.lastTerminationReason = own.length > 0 ? own[own.length - 1].reason : null;
+        pod.lastExitCode = own.length > 0 ? own[own.length - 1].exitCode : null;
+    });
 
-        console.log(`\n💾 Saved results to: ${outputFile}`);
-        console.log(`\n💡 Tip: You can integrate this data into your Confluence reports!`);
+    return {
+        restartEvents,
+        series: {
+            from_date: fromMs,
+            to_date: toMs,
+            series: (results.restarts?.series || []).map(series => ({
+                expression: `kubernetes.containers.restarts{pod_name:${podName(series)}}`,
+                scope: series.scope,
+                pointlist: series.pointlist
+            }))
+        }
+    };
+}
 
-    } catch (error) {
-        console.error('❌ Error:', error.message);
-        process.exit(1);
+/**
+ * Replica and request rate series plus their analysis (src/analysis/autoscaling.js).
+ * Desired replicas come from the HPA when it reports, else from the deployment.
+ */
+function processAutoscaling(results, scopes) {
+    const points = data => (data?.series?.[0]?.pointlist || [])
+        .filter(point => point[1] !== null)
+        .map(point => ({ timestamp: point[0], value: point[1] }));
+    const bound = data => {
+        const values = points(data).map(point => point.value);
+        return values.length > 0 ? Math.round(Math.max(...values)) : null;
+    };
+
+    const hpaDesired = points(results.hpaDesired);
+    const series = {
+        desired: hpaDesired.length > 0 ? hpaDesired : points(results.replicasDesired),
+        available: points(results.replicasAvailable).length > 0 ? points(results.replicasAvailable) : points(results.hpaCurrent),
+        requestRate: points(results.requestRate)
+    };
+    const bounds = { minReplicas: bound(results.hpaMin), maxReplicas: bound(results.hpaMax) };
+
+    return {
+        ...scopes,
+        source: hpaDesired.length > 0 ? 'hpa' : 'deployment',
+        ...bounds,
+        series,
+        analysis: analyzeAutoscaling(series, bounds)
+    };
+}
+
+function displayAutoscaling(autoscaling) {
+    const { analysis } = autoscaling;
+    if (!analysis) {
+        console.log('\n⚠️  No replica counts found - check deploymentTags / hpaTags in config/services.json');
+        return;
+    }
+
+    const { summary, steps } = analysis;
+    console.log('\n📈 AUTOSCALING');
+    console.log(`   Replicas: ${summary.minReplicas} → ${summary.maxReplicas}` +
+        (summary.hpaMaxReplicas !== null ? ` (HPA ${summary.hpaMinReplicas ?? '?'}-${summary.hpaMaxReplicas}${summary.maxReplicasHit ? ', max hit' : ''})` : ' (no HPA bounds)'));
+    console.log(`   Scale-ups: ${summary.scaleUps}, scale-downs: ${summary.scaleDowns}` +
+        (summary.avgScaleUpLagSec !== null ? `, scale-up lag ${summary.avgScaleUpLagSec.toFixed(0)}s avg / ${summary.maxScaleUpLagSec.toFixed(0)}s max` : ''));
+    steps.forEach(step => {
+        console.log(`   ${new Date(step.timestamp).toISOString()}  ${step.from} → ${step.to}` +
+            `${step.requestsPerPodBefore !== null ? `  ${step.requestsPerPodBefore.toFixed(1)} req/s per pod before` : ''}` +
+            `${step.reactionSec !== null ? `, reacted in ${step.reactionSec.toFixed(0)}s` : ''}` +
+            `${step.readySec !== null ? `, ready in ${step.readySec.toFixed(0)}s` : ''}`);
+    });
+}
+
+/**
+ * Fetch container/pod metrics for a service, save them to
+ * reports/<service>_container_metrics.json and the run history, and return them.
+ *
+ * @param {object} options
+ * @param {string} options.service - Datadog service name
+ * @param {string} [options.environment] - Datadog env tag (default: staging)
+ * @param {string} [options.framework] - framework override, for the request rate the autoscaling is compared with
+ * @param {string|number} [options.from] - start (anything src/utils/time-range.js accepts), default: 1 hour ago
+ * @param {string|number} [options.to] - end, default: now
+ * @param {string} [options.tz] - time zone of wall-clock times (default: REPORT_TZ or the machine's)
+ */
+export async function fetchContainerMetrics({ service, environment = 'staging', framework = null, from = null, to = null, tz = null }) {
+    if (!service) {
+        throw new Error('Missing required parameter: service');
     }
+
+    const profile = resolveService(service, { framework, environment });
+    const { containerScope } = profile;
+    const range = parseTimeRange(from || 'last 1h', to, { tz });
+    const { from: fromUnix, to: toUnix } = range;
+
+    console.log(`📊 Fetching Container/Pod Metrics from Datadog`);
+    console.log(`🏷️  Service: ${service}, Environment: ${environment}`);
+    console.log(`🔎 Scope: {${containerScope}}\n`);
+
+    const results = await getContainerMetrics(containerScope, fromUnix, toUnix);
+    const processed = processMetrics(results);
+    const events = await getKubernetesEvents(containerScope, fromUnix, toUnix);
+    const kubernetesEvents = processKubernetesEvents(events, processed.podMetrics.map(pod => pod.podName));
+    const restarts = processRestarts(results, kubernetesEvents, processed.podMetrics, fromUnix * 1000, toUnix * 1000);
+    processed.timeSeries.restarts = restarts.series;
+    processed.summary.restartsInWindow = total(processed.podMetrics.map(pod => pod.restartsInWindow));
+    processed.restartEvents = restarts.restartEvents;
+    const autoscalingResults = await getAutoscalingMetrics(profile, environment, fromUnix, toUnix);
+    const autoscaling = processAutoscaling(autoscalingResults, { deploymentScope: profile.deploymentScope, hpaScope: profile.hpaScope });
+
+    displayResults(processed);
+    displayAutoscaling(autoscaling);
+
+    // Save to JSON
+    const outputData = {
+        timestamp: new Date().toISOString(),
+        service,
+        environment,
+        scope: containerScope,
+        timeRange: {
+            from: range.fromIso,
+            to: range.toIso,
+            timeZone: range.timeZone
+        },
+        summary: processed.summary,
+        podMetrics: processed.podMetrics,
+        timeSeries: processed.timeSeries,
+        restartEvents: restarts.restartEvents,
+        kubernetesEvents,
+        autoscaling,
+        rawMetrics: { ...results, ...autoscalingResults }
+    };
+
+    const outputFile = `./reports/${service}_container_metrics.json`;
+    fs.mkdirSync('./reports', { recursive: true });
+    fs.writeFileSync(outputFile, JSON.stringify(outputData, null, 2));
+
+    console.log(`\n💾 Saved results to: ${outputFile}`);
+
+    const { runId } = saveSnapshot({ service, environment, fromUnix, toUnix, kind: 'container', data: outputData });
+    console.log(`🗂️  Recorded in run history: ${runId}`);
+
+    return outputData;
 }
 
-main();
+// CLI Support
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const options = { service: '', environment: 'staging', framework: null, from: null, to: null, tz: null };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--service' && args[i + 1]) {
+            options.service = args[i + 1];
+            i++;
+        } else if (args[i] === '--env' && args[i + 1]) {
+            options.environment = args[i + 1];
+            i++;
+        } else if (args[i] === '--framework' && args[i + 1]) {
+            options.framework = args[i + 1];
+            i++;
+        } else if (args[i] === '--from' && args[i + 1]) {
+            options.from = args[i + 1];
+            i++;
+        } else if (args[i] === '--to' && args[i + 1]) {
+            options.to = args[i + 1];
+            i++;
+        } else if (args[i] === '--tz' && args[i + 1]) {
+            options.tz = args[i + 1];
+            i++;
+        } else if (args[i] === '--record') {
+            // Save every Datadog response to fixtures
+            process.env.DD_RECORD_FIXTURES = '1';
+        }
+    }
+
+    if (!options.service) {
+        console.error('❌ Missing required parameter: --service');
+        console.log('\nUsage: node fetch-container-metrics.js --service "process-document-service" --env "staging" --from "Jan 3, 2:37 pm" --to "Jan 3, 3:09 pm" [--tz America/Los_Angeles] [--framework express] [--record]');
+        process.exit(1);
+    }
+
+    fetchContainerMetrics(options)
+        .then(() => {
+            logApiCallSummary();
+            console.log(`\n💡 Tip: You can integrate this data into your Confluence reports!`);
+        })
+        .catch(error => {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        });
+}
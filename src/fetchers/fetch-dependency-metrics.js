@@ -0,0 +1,282 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { saveSnapshot } from '../utils/run-history.js';
+import { resolveService } from '../utils/service-registry.js';
+import { logApiCallSummary, queryMetrics } from '../utils/datadog-client.js';
+import { parseTimeRange } from '../utils/time-range.js';
+
+dotenv.config();
+
+/**
+ * Downstream Dependency Metrics
+ *
+ * Where a service's request time goes: hits, P95, average and errors of its
+ * child spans (Postgres, Redis, outgoing HTTP - the `dependencies` of
+ * config/services.json), the slowest query resources of each, and each
+ * dependency's share of the total request time (average x hits of the
+ * dependency over average x hits of the service's requests).
+ */
+
+// A dependency type taking at least this share of request time dominates latency
+const DOMINANT_SHARE_PCT = 50;
+const TOP_RESOURCES = 5;
+
+const TYPE_LABELS = { db: 'DB', cache: 'cache', http: 'downstream HTTP' };
+
+async function fetchMetric(query, from, to) {
+    try {
+        return await queryMetrics(query, from, to);
+    } catch (error) {
+        console.error(`Error fetching metric: ${error.message}`);
+        return null;
+    }
+}
+
+async function fetchAll(namedQueries, from, to) {
+    return Object.fromEntries(await Promise.all(Object.entries(namedQueries).map(async ([name, query]) => {
+        const data = await fetchMetric(query, from, to);
+        console.log(data?.series?.length ? `  ✅ ${name}: ${data.series.length} series` : `  ⚠️  ${name}: no data`);
+        return [name, data];
+    })));
+}
+
+/**
+ * Value of an ungrouped whole-window rollup (points added up when the window spans two buckets)
+ */
+function windowValue(data, combine = 'sum') {
+    const values = (data?.series?.[0]?.pointlist || []).map(point => point[1]).filter(value => value !== null && value !== undefined);
+    if (values.length === 0) return null;
+    if (combine === 'max') return Math.max(...values);
+    const sum = values.reduce((a, b) => a + b, 0);
+    return combine === 'avg' ? sum / values.length : sum;
+}
+
+/**
+ * { <resource_name>: value } of a grouped whole-window rollup
+ */
+function windowValuesByResource(data, combine = 'sum') {
+    const byResource = {};
+    (data?.series || []).forEach(series => {
+        const resourceName = series.scope?.match(/resource_name:([^,}]+)/)?.[1] || 'unknown';
+        byResource[resourceName] = windowValue({ series: [series] }, combine);
+    });
+    return byResource;
+}
+
+/**
+ * Fetch the downstream dependency breakdown for a service, save it to
+ * reports/<service>_dependency_metrics.json and the run history, and return it.
+ *
+ * @param {object} options
+ * @param {string} options.service - Datadog service name
+ * @param {string} [options.environment] - Datadog env tag (default: staging)
+ * @param {string} [options.framework] - framework override (see config/services.json)
+ * @param {string|number} [options.from] - start (anything src/utils/time-range.js accepts), default: 1 hour ago
+ * @param {string|number} [options.to] - end, default: now
+ * @param {string} [options.tz] - time zone of wall-clock times (default: REPORT_TZ or the machine's)
+ */
+export async function fetchDependencyMetrics({ service, environment = 'staging', framework = null, from = null, to = null, tz = null }) {
+    if (!service) {
+        throw new Error('Missing required parameter: service');
+    }
+
+    const profile = resolveService(service, { framework, environment });
+    const range = parseTimeRange(from || 'last 1h', to, { tz });
+    const { from: fromUnix, to: toUnix } = range;
+    const windowSeconds = toUnix - fromUnix;
+    const scope = `{env:${environment},service:${service}}`;
+
+    console.log('🔗 Fetching Downstream Dependency Metrics from Datadog');
+    console.log(`🏷️  Service: ${service}, Environment: ${environment}`);
+    console.log(`🧩 Dependencies: ${profile.dependencies.map(dependency => dependency.operation).join(', ') || 'none configured'}\n`);
+
+    // Step 1: the service's own request time, and which dependencies were called at all
+    const firstQueries = {
+        request_hits: `sum:${profile.traceOperation}.hits${scope}.as_count().rollup(sum, ${windowSeconds})`,
+        request_avg: `avg:${profile.traceOperation}${scope}.rollup(avg, ${windowSeconds})`
+    };
+    profile.dependencies.forEach(({ operation }) => {
+        firstQueries[`${operation}.hits`] = `sum:${operation}.hits${scope}.as_count().rollup(sum, ${windowSeconds})`;
+    });
+    const first = await fetchAll(firstQueries, fromUnix, toUnix);
+
+    const requestHits = windowValue(first.request_hits) || 0;
+    const requestAvgMs = (windowValue(first.request_avg, 'avg') || 0) * 1000;
+    const requestTimeMs = requestHits * requestAvgMs;
+    const called = profile.dependencies.filter(({ operation }) => windowValue(first[`${operation}.hits`]) > 0);
+
+    // Step 2: latency, errors, slowest resources and P95 timeline of the dependencies that were called
+    const details = {};
+    await Promise.all(called.map(async ({ operation }) => {
+        details[operation] = await fetchAll({
+            [`${operation}.errors`]: `sum:${operation}.errors${scope}.as_count().rollup(sum, ${windowSeconds})`,
+            [`${operation}.p95`]: `p95:${operation}${scope}.rollup(max, ${windowSeconds})`,
+            [`${operation}.avg`]: `avg:${operation}${scope}.rollup(avg, ${windowSeconds})`,
+            [`${operation}.resource_p95`]: `p95:${operation}${scope} by {resource_name}.rollup(max, ${windowSeconds})`,
+            [`${operation}.resource_hits`]: `sum:${operation}.hits${scope} by {resource_name}.as_count().rollup(sum, ${windowSeconds})`,
+            [`${operation}.timeline`]: `p95:${operation}${scope}`
+        }, fromUnix, toUnix);
+    }));
+
+    const timeSeries = {};
+    const dependencies = called.map(({ operation, type, name }) => {
+        const results = details[operation];
+        const hits = Math.round(windowValue(first[`${operation}.hits`]));
+        const errors = Math.round(windowValue(results[`${operation}.errors`]) || 0);
+        const p95Ms = (windowValue(results[`${operation}.p95`], 'max') || 0) * 1000;
+        const avgMs = (windowValue(results[`${operation}.avg`], 'avg') || 0) * 1000;
+        const totalTimeMs = hits * avgMs;
+
+        const resourceP95 = windowValuesByResource(results[`${operation}.resource_p95`], 'max');
+        const resourceHits = windowValuesByResource(results[`${operation}.resource_hits`]);
+        const topResources = Object.entries(resourceP95)
+            .map(([resource, p95]) => ({ resource, p95Ms: p95 * 1000, hits: Math.round(resourceHits[resource] || 0) }))
+            .sort((a, b) => b.p95Ms - a.p95Ms)
+            .slice(0, TOP_RESOURCES);
+
+        timeSeries[operation] = (results[`${operation}.timeline`]?.series?.[0]?.pointlist || []).map(point => ({
+            timestamp: point[0],
+            value: point[1] ? parseFloat((point[1] * 1000).toFixed(1)) : 0
+        }));
+
+        return {
+            operation,
+            type,
+            name,
+            hits,
+            errors,
+            errorRate: hits > 0 ? (errors / hits) * 100 : 0,
+            p95Ms,
+            avgMs,
+            callsPerRequest: requestHits > 0 ? hits / requestHits : null,
+            totalTimeMs,
+            timeSharePct: requestTimeMs > 0 ? (totalTimeMs / requestTimeMs) * 100 : null,
+            topResources
+        };
+    }).sort((a, b) => b.totalTimeMs - a.totalTimeMs);
+
+    // Share of request time per dependency type; whatever is left is the handler itself.
+    // Shares can add up past 100% when calls run in parallel.
+    const byType = {};
+    dependencies.forEach(dependency => {
+        if (dependency.timeSharePct !== null) {
+            byType[dependency.type] = (byType[dependency.type] || 0) + dependency.timeSharePct;
+        }
+    });
+    const dependencyShare = Object.values(byType).reduce((a, b) => a + b, 0);
+    const [dominantType, dominantShare] = Object.entries(byType).sort((a, b) => b[1] - a[1])[0] || [];
+    const summary = {
+        requestHits,
+        requestAvgMs,
+        byTypePct: byType,
+        handlerPct: requestTimeMs > 0 ? Math.max(0, 100 - dependencyShare) : null,
+        dominant: dominantShare >= DOMINANT_SHARE_PCT ?
+            { type: dominantType, label: TYPE_LABELS[dominantType] || dominantType, sharePct: dominantShare } :
+            null
+    };
+
+    displayResults(dependencies, summary);
+
+    const outputData = {
+        timestamp: new Date().toISOString(),
+        service,
+        environment,
+        traceOperation: profile.traceOperation,
+        timeRange: {
+            from: range.fromIso,
+            to: range.toIso,
+            timeZone: range.timeZone
+        },
+        summary,
+        dependencies,
+        timeSeries,
+        rawMetrics: { ...first, ...Object.assign({}, ...Object.values(details)) }
+    };
+
+    const outputFile = `./reports/${service}_dependency_metrics.json`;
+    fs.mkdirSync('./reports', { recursive: true });
+    fs.writeFileSync(outputFile, JSON.stringify(outputData, null, 2));
+
+    console.log(`\n💾 Saved results to: ${outputFile}`);
+
+    const { runId } = saveSnapshot({ service, environment, fromUnix, toUnix, kind: 'dependency', data: outputData });
+    console.log(`🗂️  Recorded in run history: ${runId}`);
+
+    return outputData;
+}
+
+function displayResults(dependencies, summary) {
+    console.log('\n' + '═'.repeat(100));
+    console.log('🔗 DOWNSTREAM DEPENDENCIES');
+    console.log('═'.repeat(100));
+    console.log();
+
+    if (dependencies.length === 0) {
+        console.log('ℹ️  No dependency spans found for this service in the time range');
+    } else {
+        console.log(`${'DEPENDENCY'.padEnd(30)} ${'HITS'.padEnd(12)} ${'P95'.padEnd(14)} ${'AVG'.padEnd(14)} ${'ERRORS'.padEnd(10)} ${'TIME SHARE'.padEnd(12)}`);
+        console.log('─'.repeat(100));
+        dependencies.forEach(dependency => {
+            console.log(
+                `${`${dependency.name} (${dependency.type})`.padEnd(30)} ` +
+                `${String(dependency.hits).padEnd(12)} ` +
+                `${`${dependency.p95Ms.toFixed(1)} ms`.padEnd(14)} ` +
+                `${`${dependency.avgMs.toFixed(1)} ms`.padEnd(14)} ` +
+                `${String(dependency.errors).padEnd(10)} ` +
+                `${dependency.timeSharePct !== null ? `${dependency.timeSharePct.toFixed(1)}%` : 'N/A'}`
+            );
+        });
+    }
+
+    if (summary.dominant) {
+        console.log(`\n⚠️  Latency dominated by ${summary.dominant.label}: ${summary.dominant.sharePct.toFixed(1)}% of request time`);
+    }
+    console.log('\n' + '═'.repeat(100));
+}
+
+// CLI Support
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const options = { service: '', environment: 'staging', framework: null, from: null, to: null, tz: null };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--service' && args[i + 1]) {
+            options.service = args[i + 1];
+            i++;
+        } else if (args[i] === '--env' && args[i + 1]) {
+            options.environment = args[i + 1];
+            i++;
+        } else if (args[i] === '--framework' && args[i + 1]) {
+            options.framework = args[i + 1];
+            i++;
+        } else if (args[i] === '--from' && args[i + 1]) {
+            options.from = args[i + 1];
+            i++;
+        } else if (args[i] === '--to' && args[i + 1]) {
+            options.to = args[i + 1];
+            i++;
+        } else if (args[i] === '--tz' && args[i + 1]) {
+            options.tz = args[i + 1];
+            i++;
+        } else if (args[i] === '--record') {
+            // Save every Datadog response to fixtures
+            process.env.DD_RECORD_FIXTURES = '1';
+        }
+    }
+
+    if (!options.service) {
+        console.error('❌ Missing required parameter: --service');
+        console.log('\nUsage: node fetch-dependency-metrics.js --service "stardust-task-service" --env "staging" --from "Jan 3, 2:37 pm" --to "Jan 3, 3:09 pm" [--tz America/Los_Angeles] [--framework express] [--record]');
+        process.exit(1);
+    }
+
+    fetchDependencyMetrics(options)
+        .then(() => {
+            logApiCallSummary();
+        })
+        .catch(error => {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        });
+}
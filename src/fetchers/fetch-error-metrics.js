@@ -1,86 +1,99 @@
-import axios from 'axios';
-import https from 'https';
 import dotenv from 'dotenv';
 import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { saveSnapshot } from '../utils/run-history.js';
+import { resolveService } from '../utils/service-registry.js';
+import { datadogGet, datadogPost, logApiCallSummary } from '../utils/datadog-client.js';
+import { parseTimeRange } from '../utils/time-range.js';
+import { clusterErrors } from '../analysis/error-clustering.js';
 
 dotenv.config();
 
-// Create axios instance with SSL configuration
-const axiosInstance = axios.create({
-    httpsAgent: new https.Agent({
-        rejectUnauthorized: false
-    })
-});
-
-const DD_API_KEY = process.env.DD_API_KEY;
-const DD_APP_KEY = process.env.DD_APP_KEY;
-
-const parseDateTime = (dateTimeStr) => {
-    const months = {
-        'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5,
-        'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11
-    };
-
-    const match = dateTimeStr.match(/^(\w+)\s+(\d+),\s+(\d+):(\d+)\s+(am|pm)$/i);
-    if (!match) throw new Error(`Invalid date format: ${dateTimeStr}`);
-
-    const [, month, day, hour, minute, period] = match;
-    let hours = parseInt(hour);
-    if (period.toLowerCase() === 'pm' && hours !== 12) hours += 12;
-    if (period.toLowerCase() === 'am' && hours === 12) hours = 0;
-
-    const date = new Date(2026, months[month], parseInt(day), hours, parseInt(minute));
-    return Math.floor(date.getTime() / 1000);
-};
-
-const fetchErrorMetrics = async (service, from, to) => {
-    const fromTimestamp = parseDateTime(from);
-    const toTimestamp = parseDateTime(to);
+// Datadog returns at most 1000 logs per search page
+const LOGS_PAGE_LIMIT = 1000;
+const DEFAULT_MAX_LOGS = 10000;
+
+/**
+ * Fetch OOM events, error logs and APM trace errors for a service, save them to
+ * reports/<service>_error_metrics.json and the run history, and return them.
+ *
+ * @param {object} options
+ * @param {string} options.service - Datadog service name
+ * @param {string|number} options.from - start (anything src/utils/time-range.js accepts)
+ * @param {string|number} [options.to] - end (default: now, for "last 30m")
+ * @param {string} [options.environment] - Datadog env tag (default: staging)
+ * @param {string} [options.framework] - framework override (see config/services.json)
+ * @param {string} [options.tz] - time zone of wall-clock times (default: REPORT_TZ or the machine's)
+ * @param {number} [options.maxLogs] - most error logs to download (default: DD_LOGS_MAX or 10000); beyond
+ *   that the total comes from the logs aggregate API and the breakdowns are a sample
+ */
+export const fetchErrorMetrics = async ({ service, from, to = null, environment = 'staging', framework = null, tz = null, maxLogs = null }) => {
+    const range = parseTimeRange(from, to, { tz });
+    maxLogs = parseInt(maxLogs || process.env.DD_LOGS_MAX) || DEFAULT_MAX_LOGS;
+    const { from: fromTimestamp, to: toTimestamp } = range;
+
+    // Same framework selection as the endpoint fetcher (config/services.json or --framework)
+    const profile = resolveService(service, { framework, environment });
+    const traceOperation = profile.traceOperation;
+
+    // Every query issued, with its outcome, so the report can tell "zero" from "no data"
+    const queries = {};
 
     console.log(`\n🔍 Fetching error metrics for ${service}...`);
-    console.log(`📅 Time range: ${new Date(fromTimestamp * 1000).toISOString()} to ${new Date(toTimestamp * 1000).toISOString()}\n`);
+    console.log(`🏷️  Environment: ${environment}, Framework: ${profile.framework} (${traceOperation})`);
+    console.log(`📅 Time range: ${range.fromIso} to ${range.toIso} (${range.timeZone})\n`);
+
+    // Search error logs newest first, following the page cursor until maxLogs.
+    // capped: more logs matched than were fetched (or a later page failed)
+    const searchLogs = async (query) => {
+        const found = [];
+        let cursor = null;
 
-    // Helper function to retry API calls
-    const retryApiCall = async (apiCall, maxRetries = 3) => {
-        for (let i = 0; i < maxRetries; i++) {
+        do {
+            let logsResponse;
             try {
-                return await apiCall();
+                logsResponse = await datadogPost('/api/v2/logs/events/search', {
+                    filter: {
+                        query: query,
+                        from: new Date(fromTimestamp * 1000).toISOString(),
+                        to: new Date(toTimestamp * 1000).toISOString()
+                    },
+                    page: {
+                        limit: Math.min(LOGS_PAGE_LIMIT, maxLogs - found.length),
+                        ...(cursor && { cursor })
+                    },
+                    sort: '-timestamp'
+                });
             } catch (error) {
-                console.log(`   ⚠️  Attempt ${i + 1} failed: ${error.response?.status} ${error.response?.statusText || error.message}`);
-
-                if (i === maxRetries - 1) {
-                    throw error; // Re-throw on final attempt
-                }
+                // Keep the pages already fetched rather than dropping the whole query
+                if (found.length === 0) throw error;
+                console.warn(`   ⚠️  Log page after ${found.length} logs failed, keeping what was fetched`);
+                return { logs: found, capped: true };
+            }
 
-                // Wait before retrying (exponential backoff)
-                const delay = Math.pow(2, i) * 1000;
-                console.log(`   ⏳ Waiting ${delay}ms before retry...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
+            const page = logsResponse.data?.data || [];
+            found.push(...page);
+            cursor = page.length > 0 ? logsResponse.data?.meta?.page?.after || null : null;
+            if (cursor && found.length < maxLogs) {
+                console.log(`   📄 ${found.length} logs so far, fetching next page...`);
             }
-        }
+        } while (cursor && found.length < maxLogs);
+
+        return { logs: found, capped: Boolean(cursor) };
     };
 
     try {
-        // Fetch OOM (Out of Memory) events with retry logic
+        // Fetch OOM (Out of Memory) events
         console.log(`🔍 Fetching OOM events...`);
 
         let oomEventsResponse;
         try {
-            oomEventsResponse = await retryApiCall(() =>
-                axiosInstance.get('https://api.datadoghq.com/api/v1/events', {
-                    params: {
-                        start: fromTimestamp,
-                        end: toTimestamp,
-                        tags: `service:${service}`,
-                        priority: 'all'
-                    },
-                    headers: {
-                        'DD-API-KEY': DD_API_KEY,
-                        'DD-APPLICATION-KEY': DD_APP_KEY
-                    },
-                    timeout: 10000 // 10 second timeout
-                })
-            );
+            oomEventsResponse = await datadogGet('/api/v1/events', {
+                start: fromTimestamp,
+                end: toTimestamp,
+                tags: `service:${service}`,
+                priority: 'all'
+            });
         } catch (eventError) {
             console.warn(`⚠️  Could not fetch OOM events (${eventError.response?.status || 'unknown error'}), continuing without OOM data...`);
             oomEventsResponse = { data: { events: [] } };
@@ -101,89 +114,78 @@ const fetchErrorMetrics = async (service, from, to) => {
 
         console.log(`📊 Found ${oomEvents.length} OOM-related events out of ${allEvents.length} total events`);
 
-        // Fetch log-based errors using Logs API - try multiple query variations
-        const logsQueries = [
-            `service:${service} env:staging status:error`,
+        // Fetch log-based errors using Logs API - the registry query and the common variations
+        // of the service / env / level tags, as one OR query so Datadog returns (and counts)
+        // every matching log once, whichever variation it matches
+        const logsQueries = [...new Set([
+            profile.logQuery,
+            `service:${service} env:${environment} status:error`,
             `service:${service} level:error`,
-            `@service:${service} @env:staging status:error`,
-            `service:${service} status:error OR level:error`
-        ];
+            `@service:${service} @env:${environment} status:error`,
+            `service:${service} (status:error OR level:error)`
+        ])];
+        const logsQuery = logsQueries.map(query => `(${query})`).join(' OR ');
 
         let logs = [];
-        let successfulQuery = '';
+        let logsCapped = false;
+        let logsFailed = false;
 
-        for (const query of logsQueries) {
-            try {
-                console.log(`📝 Trying query: ${query}`);
-
-                const logsResponse = await retryApiCall(() =>
-                    axiosInstance.post('https://api.datadoghq.com/api/v2/logs/events/search', {
-                        filter: {
-                            query: query,
-                            from: new Date(fromTimestamp * 1000).toISOString(),
-                            to: new Date(toTimestamp * 1000).toISOString()
-                        },
-                        page: {
-                            limit: 1000
-                        },
-                        sort: '-timestamp'
-                    }, {
-                        timeout: 15000, // 15 second timeout
-                        headers: {
-                            'DD-API-KEY': DD_API_KEY,
-                            'DD-APPLICATION-KEY': DD_APP_KEY,
-                            'Content-Type': 'application/json'
-                        }
-                    })
-                );
-
-                const foundLogs = logsResponse.data?.data || [];
-                if (foundLogs.length > 0) {
-                    logs = foundLogs;
-                    successfulQuery = query;
-                    console.log(`✅ Found ${logs.length} error logs with query: ${query}`);
-                    break;
-                }
-            } catch (err) {
-                console.log(`   ⚠️  Query failed: ${err.message}`);
-                continue;
+        try {
+            console.log(`📝 Searching error logs: ${logsQuery}`);
+            const { logs: foundLogs, capped } = await searchLogs(logsQuery);
+            logs = foundLogs;
+            logsCapped = capped;
+            if (logs.length > 0) {
+                console.log(`✅ Found ${logs.length}${capped ? '+' : ''} error logs`);
             }
+        } catch (err) {
+            console.log(`   ⚠️  Log search failed: ${err.message}`);
+            logsFailed = true;
         }
 
-        if (logs.length === 0) {
-            console.log(`📊 No error logs found with any query`);
+        if (logs.length === 0 && !logsFailed) {
+            console.log(`📊 No error logs found`);
+        }
+        queries.logs = { query: logsQuery, tried: logsQueries, status: logsFailed ? 'failed' : logs.length > 0 ? 'ok' : 'empty' };
+
+        // The raw logs stopped short of everything matching - count them exactly with the aggregate API
+        let totalLogErrors = logs.length;
+        let logCountExact = !logsCapped;
+        if (logsCapped) {
+            console.log(`📊 Log search capped at ${logs.length} logs, counting all matches...`);
+            queries.logCount = { query: logsQuery, status: 'ok' };
+            try {
+                const countResponse = await datadogPost('/api/v2/logs/analytics/aggregate', {
+                    compute: [{ aggregation: 'count', type: 'total' }],
+                    filter: {
+                        query: logsQuery,
+                        from: new Date(fromTimestamp * 1000).toISOString(),
+                        to: new Date(toTimestamp * 1000).toISOString()
+                    }
+                });
+                const count = countResponse.data?.data?.buckets?.[0]?.computes?.c0;
+                if (typeof count === 'number') {
+                    totalLogErrors = Math.max(count, logs.length);
+                    logCountExact = true;
+                    console.log(`✅ ${totalLogErrors} error logs in total (breakdown from the ${logs.length} most recent)`);
+                } else {
+                    queries.logCount.status = 'empty';
+                }
+            } catch (error) {
+                console.warn(`⚠️  Could not count error logs (${error.response?.status || error.message}), reporting ${logs.length}+ (sampled)`);
+                queries.logCount.status = 'failed';
+            }
         }
 
         // Also fetch trace-based errors for comparison
-        const errorCountQuery = `sum:trace.express.request.errors{env:staging,service:${service}}.as_count()`;
-        const errorRateQuery = `sum:trace.express.request.errors{env:staging,service:${service}}.as_rate()`;
-        const totalRequestsQuery = `sum:trace.express.request.hits{env:staging,service:${service}}.as_count()`;
+        const errorCountQuery = `sum:${traceOperation}.errors{env:${environment},service:${service}}.as_count()`;
+        const errorRateQuery = `sum:${traceOperation}.errors{env:${environment},service:${service}}.as_rate()`;
+        const totalRequestsQuery = `sum:${traceOperation}.hits{env:${environment},service:${service}}.as_count()`;
 
         const [errorCountResponse, errorRateResponse, totalRequestsResponse] = await Promise.allSettled([
-            retryApiCall(() => axiosInstance.get('https://api.datadoghq.com/api/v1/query', {
-                params: { query: errorCountQuery, from: fromTimestamp, to: toTimestamp },
-                headers: {
-                    'DD-API-KEY': DD_API_KEY,
-                    'DD-APPLICATION-KEY': DD_APP_KEY
-                },
-                timeout: 10000
-            })),
-            retryApiCall(() => axiosInstance.get('https://api.datadoghq.com/api/v1/query', {
-                params: { query: errorRateQuery, from: fromTimestamp, to: toTimestamp },
-                headers: {
-                    'DD-API-KEY': DD_API_KEY,
-                    'DD-APPLICATION-KEY': DD_APP_KEY
-                },
-                timeout: 10000
-            })),
-            retryApiCall(() => axiosInstance.get('https://api.datadoghq.com/api/v1/query', {
-                params: { query: totalRequestsQuery, from: fromTimestamp, to: toTimestamp },
-                headers: {
-                    'DD-API-KEY': DD_API_KEY,
-                    'DD-APPLICATION-KEY': DD_APP_KEY
-                },
-                timeout: 10000
-            }))
+            datadogGet('/api/v1/query', { query: errorCountQuery, from: fromTimestamp, to: toTimestamp }),
+            datadogGet('/api/v1/query', { query: errorRateQuery, from: fromTimestamp, to: toTimestamp }),
+            datadogGet('/api/v1/query', { query: totalRequestsQuery, from: fromTimestamp, to: toTimestamp })
         ]);
 
         // Handle settled promises
@@ -197,6 +199,12 @@ const fetchErrorMetrics = async (service, from, to) => {
             ? totalRequestsResponse.value.data?.series?.[0]?.pointlist || []
             : [];
 
+        const settledStatus = (response, points) =>
+            response.status !== 'fulfilled' ? 'failed' : points.length > 0 ? 'ok' : 'empty';
+        queries.traceErrors = { query: errorCountQuery, status: settledStatus(errorCountResponse, errorCountData) };
+        queries.traceErrorRate = { query: errorRateQuery, status: settledStatus(errorRateResponse, errorRateData) };
+        queries.totalRequests = { query: totalRequestsQuery, status: settledStatus(totalRequestsResponse, totalRequestsData) };
+
         // Calculate total errors and error rate (data already extracted above)
 
         const totalErrors = errorCountData.reduce((sum, [, value]) => sum + (value || 0), 0);
@@ -207,27 +215,22 @@ const fetchErrorMetrics = async (service, from, to) => {
         const errorPercentage = totalRequests > 0 ? (totalErrors / totalRequests) * 100 : 0;
 
         // Fetch error details by resource (endpoint) with retry logic
-        const resourceQuery = `sum:trace.express.request.errors{env:staging,service:${service}} by {resource_name}.as_count()`;
+        const resourceQuery = `sum:${traceOperation}.errors{env:${environment},service:${service}} by {resource_name}.as_count()`;
+        queries.errorsByResource = { query: resourceQuery, status: 'ok' };
         let resourceResponse;
         try {
-            resourceResponse = await retryApiCall(() => axiosInstance.get('https://api.datadoghq.com/api/v1/query', {
-                params: { query: resourceQuery, from: fromTimestamp, to: toTimestamp },
-                headers: {
-                    'DD-API-KEY': DD_API_KEY,
-                    'DD-APPLICATION-KEY': DD_APP_KEY
-                },
-                timeout: 10000
-            }));
+            resourceResponse = await datadogGet('/api/v1/query', { query: resourceQuery, from: fromTimestamp, to: toTimestamp });
         } catch (error) {
             console.warn(`⚠️  Could not fetch resource error data: ${error.message}`);
+            queries.errorsByResource.status = 'failed';
             resourceResponse = { data: { series: [] } };
         }
 
+        // The scope carries the query's filter tags too: env:staging,resource_name:...,service:...
         const errorsByResource = (resourceResponse.data?.series || []).map(series => {
-            const resourceName = series.scope || 'unknown';
             const errorCount = series.pointlist.reduce((sum, [, value]) => sum + (value || 0), 0);
             return {
-                resource: resourceName.replace('resource_name:', ''),
+                resource: series.scope?.match(/resource_name:([^,}]+)/)?.[1] || 'unknown',
                 errorCount: Math.round(errorCount),
                 timeSeries: series.pointlist.map(([timestamp, value]) => ({
                     timestamp: new Date(timestamp).toISOString(),
@@ -238,27 +241,21 @@ const fetchErrorMetrics = async (service, from, to) => {
             .sort((a, b) => b.errorCount - a.errorCount);
 
         // Fetch error details by error type with retry logic
-        const errorTypeQuery = `sum:trace.express.request.errors{env:staging,service:${service}} by {error.type}.as_count()`;
+        const errorTypeQuery = `sum:${traceOperation}.errors{env:${environment},service:${service}} by {error.type}.as_count()`;
+        queries.errorsByType = { query: errorTypeQuery, status: 'ok' };
         let errorTypeResponse;
         try {
-            errorTypeResponse = await retryApiCall(() => axiosInstance.get('https://api.datadoghq.com/api/v1/query', {
-                params: { query: errorTypeQuery, from: fromTimestamp, to: toTimestamp },
-                headers: {
-                    'DD-API-KEY': DD_API_KEY,
-                    'DD-APPLICATION-KEY': DD_APP_KEY
-                },
-                timeout: 10000
-            }));
+            errorTypeResponse = await datadogGet('/api/v1/query', { query: errorTypeQuery, from: fromTimestamp, to: toTimestamp });
         } catch (error) {
             console.warn(`⚠️  Could not fetch error type data: ${error.message}`);
+            queries.errorsByType.status = 'failed';
             errorTypeResponse = { data: { series: [] } };
         }
 
         const errorsByType = (errorTypeResponse.data?.series || []).map(series => {
-            const errorType = series.scope || 'unknown';
             const errorCount = series.pointlist.reduce((sum, [, value]) => sum + (value || 0), 0);
             return {
-                errorType: errorType.replace('error.type:', '') || 'Unknown',
+                errorType: series.scope?.match(/error\.type:([^,}]+)/)?.[1] || 'Unknown',
                 errorCount: Math.round(errorCount),
                 timeSeries: series.pointlist.map(([timestamp, value]) => ({
                     timestamp: new Date(timestamp).toISOString(),
@@ -270,43 +267,42 @@ const fetchErrorMetrics = async (service, from, to) => {
 
         // Process log-based errors
         const logErrorsByType = {};
-        const logErrorsByMessage = {};
         const logErrorDetails = [];
 
         logs.forEach(log => {
             const attributes = log.attributes?.attributes || {};
-            const errorType = attributes['error.kind'] || attributes['error.type'] || 'Unknown';
-            const errorMessage = attributes.message || attributes.error?.message || 'No message';
+            // Datadog nests dotted attributes (error.kind → error: { kind }) - accept both shapes
+            const errorType = attributes['error.kind'] || attributes['error.type'] || attributes.error?.kind || attributes.error?.type || 'Unknown';
+            const errorMessage = attributes.message || attributes.error?.message || log.attributes?.message || 'No message';
             const timestamp = log.attributes?.timestamp;
 
             // Count by type
             logErrorsByType[errorType] = (logErrorsByType[errorType] || 0) + 1;
 
-            // Count by message (first 100 chars)
-            const shortMessage = errorMessage.substring(0, 100);
-            logErrorsByMessage[shortMessage] = (logErrorsByMessage[shortMessage] || 0) + 1;
-
             // Store error details
             logErrorDetails.push({
                 timestamp: timestamp,
                 errorType: errorType,
                 message: errorMessage,
                 field: attributes['error.field'] || null,
-                stack: attributes['error.stack'] || attributes.stack || null,
-                host: attributes.host || null,
-                pod: attributes.pod_name || null
+                stack: attributes['error.stack'] || attributes.error?.stack || attributes.stack || null,
+                host: attributes.host || log.attributes?.host || null,
+                pod: attributes.pod_name || attributes.kube_pod_name || null
             });
         });
 
+        // Group messages by template (UUIDs, ids, numbers... masked) and top stack frames
+        const logErrorClusters = clusterErrors(logErrorDetails);
+
         const logErrorsByTypeArray = Object.entries(logErrorsByType).map(([type, count]) => ({
             errorType: type,
             errorCount: count
         })).sort((a, b) => b.errorCount - a.errorCount);
 
-        const logErrorsByMessageArray = Object.entries(logErrorsByMessage).map(([message, count]) => ({
-            message: message,
-            errorCount: count
-        })).sort((a, b) => b.errorCount - a.errorCount);
+        const logErrorsByMessageArray = logErrorClusters.map(cluster => ({
+            message: cluster.template,
+            errorCount: cluster.count
+        }));
 
         // Process OOM events
         const oomEventDetails = oomEvents.map(event => ({
@@ -321,21 +317,34 @@ const fetchErrorMetrics = async (service, from, to) => {
 
         const result = {
             service,
+            environment,
+            framework: profile.framework,
+            traceOperation,
             timeRange: {
-                from: new Date(fromTimestamp * 1000).toISOString(),
-                to: new Date(toTimestamp * 1000).toISOString()
+                from: range.fromIso,
+                to: range.toIso,
+                timeZone: range.timeZone
             },
             traceSummary: {
                 totalErrors: Math.round(totalErrors),
                 totalRequests: Math.round(totalRequests),
                 errorRate: avgErrorRate,
-                errorPercentage: parseFloat(errorPercentage.toFixed(2))
+                errorPercentage: parseFloat(errorPercentage.toFixed(2)),
+                // false when the hits query returned nothing - errors are unknown, not zero
+                dataAvailable: queries.totalRequests.status === 'ok'
             },
             logSummary: {
-                totalLogErrors: logs.length,
-                successfulQuery: successfulQuery || null, // Save which query worked
+                totalLogErrors: totalLogErrors,
+                fetchedLogs: logs.length,
+                // complete: every matching log was fetched. Otherwise the breakdowns below are
+                // from the most recent fetchedLogs, and totalLogErrors is exact only if countExact
+                complete: !logsCapped,
+                countExact: logCountExact,
+                successfulQuery: logs.length > 0 ? logsQuery : null, // The query that found the logs
                 errorsByType: logErrorsByTypeArray,
-                errorsByMessage: logErrorsByMessageArray.slice(0, 20) // Top 20 messages
+                errorsByMessage: logErrorsByMessageArray.slice(0, 20), // Top 20 message templates
+                clusters: logErrorClusters.slice(0, 20),
+                totalClusters: logErrorClusters.length
             },
             oomSummary: {
                 totalOOMEvents: oomEvents.length,
@@ -347,19 +356,32 @@ const fetchErrorMetrics = async (service, from, to) => {
             traceTimeSeries: errorCountData.map(([timestamp, value]) => ({
                 timestamp: new Date(timestamp).toISOString(),
                 errors: value || 0
-            }))
+            })),
+            queries
         };
 
         // Save to file
         const fileName = `./reports/${service}_error_metrics.json`;
+        fs.mkdirSync('./reports', { recursive: true });
         fs.writeFileSync(fileName, JSON.stringify(result, null, 2));
 
+        const { runId } = saveSnapshot({ service, environment, fromUnix: fromTimestamp, toUnix: toTimestamp, kind: 'error', data: result });
+
         console.log('✅ Error Metrics Summary:');
         console.log(`   📊 Trace Errors: ${result.traceSummary.totalErrors}`);
-        console.log(`   📊 Log Errors: ${result.logSummary.totalLogErrors}`);
+        if (result.logSummary.complete) {
+            console.log(`   📊 Log Errors: ${result.logSummary.totalLogErrors}`);
+        } else if (result.logSummary.countExact) {
+            console.log(`   📊 Log Errors: ${result.logSummary.totalLogErrors} (breakdowns from ${result.logSummary.fetchedLogs} sampled)`);
+        } else {
+            console.log(`   📊 Log Errors: ${result.logSummary.totalLogErrors}+ (sampled)`);
+        }
         console.log(`   📊 OOM Events: ${result.oomSummary.totalOOMEvents}`);
         console.log(`   📊 Total Requests: ${result.traceSummary.totalRequests}`);
         console.log(`   📊 Trace Error Rate: ${result.traceSummary.errorPercentage.toFixed(2)}%`);
+        if (!result.traceSummary.dataAvailable) {
+            console.log(`   ⚠️  No trace data returned by: ${totalRequestsQuery}`);
+        }
 
         if (result.oomSummary.totalOOMEvents > 0) {
             console.log(`\n🚨 OOM Events:`);
@@ -374,9 +396,9 @@ const fetchErrorMetrics = async (service, from, to) => {
             console.log(`   ${idx + 1}. ${error.errorType}: ${error.errorCount} errors`);
         });
 
-        console.log(`\n📋 Top Log Error Messages:`);
-        result.logSummary.errorsByMessage.slice(0, 5).forEach((error, idx) => {
-            console.log(`   ${idx + 1}. ${error.message.substring(0, 80)}... (${error.errorCount} occurrences)`);
+        console.log(`\n📋 Top Log Error Patterns (${result.logSummary.totalClusters} distinct):`);
+        result.logSummary.clusters.slice(0, 5).forEach((cluster, idx) => {
+            console.log(`   ${idx + 1}. ${cluster.template.substring(0, 80)} (${cluster.count} occurrences, ${cluster.pods.length} pods)`);
         });
 
         if (result.traceErrorsByType.length > 0) {
@@ -393,7 +415,8 @@ const fetchErrorMetrics = async (service, from, to) => {
             });
         }
 
-        console.log(`\n💾 Saved to: ${fileName}\n`);
+        console.log(`\n💾 Saved to: ${fileName}`);
+        console.log(`🗂️  Recorded in run history: ${runId}\n`);
 
         return result;
 
@@ -403,24 +426,47 @@ const fetchErrorMetrics = async (service, from, to) => {
     }
 };
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const fromIndex = args.indexOf('--from');
-const toIndex = args.indexOf('--to');
-const serviceIndex = args.indexOf('--service');
+// CLI Support
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const fromIndex = args.indexOf('--from');
+    const toIndex = args.indexOf('--to');
+    const serviceIndex = args.indexOf('--service');
+    const envIndex = args.indexOf('--env');
+    const frameworkIndex = args.indexOf('--framework');
+    const tzIndex = args.indexOf('--tz');
+    const maxLogsIndex = args.indexOf('--max-logs');
+
+    // --record saves every Datadog response to fixtures
+    if (args.includes('--record')) {
+        process.env.DD_RECORD_FIXTURES = '1';
+    }
 
-if (fromIndex === -1 || toIndex === -1 || serviceIndex === -1) {
-    console.log('Usage: node fetch-error-metrics.js --from "Jan 13, 1:25 pm" --to "Jan 13, 1:56 pm" --service "stardust-closing-requirements-service"');
-    process.exit(1);
-}
+    if (fromIndex === -1 || serviceIndex === -1) {
+        console.log('Usage: node fetch-error-metrics.js --from "Jan 13, 1:25 pm" --to "Jan 13, 1:56 pm" --service "stardust-closing-requirements-service" [--env "staging"] [--framework "fastapi"] [--tz "America/Los_Angeles"] [--max-logs 10000] [--record]');
+        process.exit(1);
+    }
 
-const from = args[fromIndex + 1];
-const to = args[toIndex + 1];
-let service = args[serviceIndex + 1];
+    const from = args[fromIndex + 1];
+    const to = toIndex !== -1 ? args[toIndex + 1] : null;
+    // Clean up service name - remove trailing spaces, commas, and quotes
+    const service = args[serviceIndex + 1].trim().replace(/[,\s]+$/, '').replace(/^["']|["']$/g, '');
+    const environment = envIndex !== -1 ? args[envIndex + 1] : 'staging';
+    const framework = frameworkIndex !== -1 ? args[frameworkIndex + 1] : null;
+    const tz = tzIndex !== -1 ? args[tzIndex + 1] : null;
+    const maxLogs = maxLogsIndex !== -1 ? args[maxLogsIndex + 1] : null;
 
-// Clean up service name - remove trailing spaces, commas, and quotes
-service = service.trim().replace(/[,\s]+$/, '').replace(/^["']|["']$/g, '');
+    console.log(`🔧 Cleaned service name: "${service}"`);
 
-console.log(`🔧 Cleaned service name: "${service}"`);
+    try {
+        resolveService(service, { framework, environment });
+        parseTimeRange(from, to, { tz });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 
-fetchErrorMetrics(service, from, to);
+    fetchErrorMetrics({ service, from, to, environment, framework, tz, maxLogs })
+        .then(() => logApiCallSummary())
+        .catch(() => process.exit(1));
+}
@@ -0,0 +1,279 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { saveSnapshot } from '../utils/run-history.js';
+import { resolveService } from '../utils/service-registry.js';
+import { logApiCallSummary, queryMetrics } from '../utils/datadog-client.js';
+import { parseTimeRange } from '../utils/time-range.js';
+
+dotenv.config();
+
+/**
+ * Runtime Metrics
+ *
+ * What the language runtime was doing under load, per pod: event loop delay,
+ * GC pauses and heap for Node.js (dd-trace runtime metrics, reported in
+ * nanoseconds and bytes), CPU, RSS, threads and GC generation counts for
+ * Python. Latency spikes without a matching dependency or CPU spike usually
+ * show up here as event-loop blocking or GC pauses.
+ *
+ * The runtime comes from the service's framework (`runtime` in the frameworks
+ * of config/services.json), or a `runtime` set on the service. Runtime metrics
+ * need DD_RUNTIME_METRICS_ENABLED=true in the service, and pod_name on them
+ * needs DogStatsD origin detection - without it every pod is reported as one.
+ */
+
+const MB = 1024 * 1024;
+const NS_PER_MS = 1e6;
+
+/**
+ * Metrics per runtime. Gauges are summarised as avg / max per pod (peak: the
+ * max of each interval instead of its average); totals are added up over the
+ * whole window. Overlay metrics are drawn over the P95 timeline.
+ */
+export const RUNTIME_METRICS = {
+    node: [
+        { key: 'eventLoopDelay', label: 'Event loop delay', metric: 'runtime.node.event_loop.delay.avg', unit: 'ms', scale: 1 / NS_PER_MS },
+        { key: 'eventLoopDelayP95', label: 'Event loop delay P95', metric: 'runtime.node.event_loop.delay.95percentile', unit: 'ms', scale: 1 / NS_PER_MS, peak: true, overlay: true },
+        { key: 'eventLoopDelayMax', label: 'Event loop delay max', metric: 'runtime.node.event_loop.delay.max', unit: 'ms', scale: 1 / NS_PER_MS, peak: true },
+        { key: 'gcPauseMax', label: 'GC pause max', metric: 'runtime.node.gc.pause.max', unit: 'ms', scale: 1 / NS_PER_MS, peak: true, overlay: true },
+        { key: 'gcPauseTime', label: 'GC pause time', metric: 'runtime.node.gc.pause.sum', unit: 'ms', scale: 1 / NS_PER_MS, total: true },
+        { key: 'gcRuns', label: 'GC runs', metric: 'runtime.node.gc.pause.count', unit: '', scale: 1, total: true },
+        { key: 'heapUsed', label: 'Heap used', metric: 'runtime.node.heap.used_heap_size', unit: 'MB', scale: 1 / MB },
+        { key: 'heapLimit', label: 'Heap limit', metric: 'runtime.node.heap.heap_size_limit', unit: 'MB', scale: 1 / MB }
+    ],
+    python: [
+        { key: 'cpu', label: 'CPU', metric: 'runtime.python.cpu.percent', unit: '%', scale: 1, overlay: true },
+        { key: 'rss', label: 'RSS memory', metric: 'runtime.python.mem.rss', unit: 'MB', scale: 1 / MB },
+        { key: 'threads', label: 'Threads', metric: 'runtime.python.thread_count', unit: '', scale: 1, peak: true },
+        { key: 'gcGen0', label: 'GC objects (gen 0)', metric: 'runtime.python.gc.count.gen0', unit: '', scale: 1 },
+        { key: 'gcGen1', label: 'GC objects (gen 1)', metric: 'runtime.python.gc.count.gen1', unit: '', scale: 1 },
+        { key: 'gcGen2', label: 'GC objects (gen 2)', metric: 'runtime.python.gc.count.gen2', unit: '', scale: 1 }
+    ]
+};
+
+async function fetchMetric(query, from, to) {
+    try {
+        return await queryMetrics(query, from, to);
+    } catch (error) {
+        console.error(`Error fetching metric: ${error.message}`);
+        return null;
+    }
+}
+
+async function fetchAll(namedQueries, from, to) {
+    return Object.fromEntries(await Promise.all(Object.entries(namedQueries).map(async ([name, query]) => {
+        const data = await fetchMetric(query, from, to);
+        console.log(data?.series?.length ? `  ✅ ${name}: ${data.series.length} series` : `  ⚠️  ${name}: no data`);
+        return [name, data];
+    })));
+}
+
+const podName = series => series.scope?.match(/pod_name:([^,}]+)/)?.[1] || 'all pods';
+const seriesValues = series => (series.pointlist || []).map(point => point[1]).filter(value => value !== null && value !== undefined);
+const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+function buildQuery({ metric, peak, total }, scope, windowSeconds) {
+    if (total) {
+        // Every reported interval added up: the window's total
+        return `sum:${metric}${scope} by {pod_name}.rollup(sum, ${windowSeconds})`;
+    }
+    return peak ? `max:${metric}${scope} by {pod_name}.rollup(max)` : `avg:${metric}${scope} by {pod_name}`;
+}
+
+/**
+ * Per-pod summaries, service-wide summary and per-pod time series of the gauges.
+ *
+ * Node pods also get gcPausePct (share of the window spent in GC pauses) and
+ * heapPct (peak heap used over the heap limit).
+ */
+function processRuntimeMetrics(definitions, results, windowSeconds) {
+    const podMap = new Map();
+    const podFor = name => {
+        if (!podMap.has(name)) {
+            podMap.set(name, { podName: name, metrics: {} });
+        }
+        return podMap.get(name);
+    };
+    const timeSeries = {};
+
+    definitions.forEach(({ key, scale, total }) => {
+        if (!total) timeSeries[key] = [];
+        (results[key]?.series || []).forEach(series => {
+            const values = seriesValues(series).map(value => value * scale);
+            if (values.length === 0) return;
+            const pod = podFor(podName(series));
+
+            if (total) {
+                pod.metrics[key] = { total: values.reduce((sum, value) => sum + value, 0) };
+                return;
+            }
+            pod.metrics[key] = { avg: average(values), max: Math.max(...values) };
+            series.pointlist.filter(point => point[1] !== null).forEach(point => {
+                timeSeries[key].push({ timestamp: point[0], podName: pod.podName, value: point[1] * scale });
+            });
+        });
+    });
+
+    const pods = [...podMap.values()].sort((a, b) => a.podName.localeCompare(b.podName));
+    pods.forEach(pod => {
+        const { gcPauseTime, heapUsed, heapLimit } = pod.metrics;
+        pod.gcPausePct = gcPauseTime && windowSeconds > 0 ? (gcPauseTime.total / (windowSeconds * 1000)) * 100 : null;
+        pod.heapPct = heapUsed && heapLimit?.max > 0 ? (heapUsed.max / heapLimit.max) * 100 : null;
+    });
+
+    // Service-wide: mean of the pods' averages, the highest peak of any pod, totals added up
+    const summary = {};
+    definitions.forEach(({ key, total }) => {
+        const measured = pods.map(pod => pod.metrics[key]).filter(Boolean);
+        if (measured.length === 0) {
+            summary[key] = null;
+        } else if (total) {
+            summary[key] = { total: measured.reduce((sum, stats) => sum + stats.total, 0) };
+        } else {
+            summary[key] = { avg: average(measured.map(stats => stats.avg)), max: Math.max(...measured.map(stats => stats.max)) };
+        }
+    });
+    const worst = field => {
+        const values = pods.map(pod => pod[field]).filter(value => value !== null);
+        return values.length > 0 ? Math.max(...values) : null;
+    };
+    summary.maxGcPausePct = worst('gcPausePct');
+    summary.maxHeapPct = worst('heapPct');
+
+    return { pods, summary, timeSeries };
+}
+
+/**
+ * Fetch the runtime metrics of a service, save them to
+ * reports/<service>_runtime_metrics.json and the run history, and return them.
+ *
+ * @param {object} options
+ * @param {string} options.service - Datadog service name
+ * @param {string} [options.environment] - Datadog env tag (default: staging)
+ * @param {string} [options.framework] - framework override (see config/services.json); picks the runtime
+ * @param {string|number} [options.from] - start (anything src/utils/time-range.js accepts), default: 1 hour ago
+ * @param {string|number} [options.to] - end, default: now
+ * @param {string} [options.tz] - time zone of wall-clock times (default: REPORT_TZ or the machine's)
+ */
+export async function fetchRuntimeMetrics({ service, environment = 'staging', framework = null, from = null, to = null, tz = null }) {
+    if (!service) {
+        throw new Error('Missing required parameter: service');
+    }
+
+    const profile = resolveService(service, { framework, environment });
+    const definitions = RUNTIME_METRICS[profile.runtime];
+    if (!definitions) {
+        throw new Error(`No runtime metrics for ${service} (framework: ${profile.framework}, runtime: ${profile.runtime || 'not configured'}) - set "runtime" to ${Object.keys(RUNTIME_METRICS).join(' or ')} in config/services.json`);
+    }
+
+    const range = parseTimeRange(from || 'last 1h', to, { tz });
+    const { from: fromUnix, to: toUnix } = range;
+    const windowSeconds = toUnix - fromUnix;
+    const scope = `{env:${environment},service:${service}}`;
+
+    console.log('⚙️  Fetching Runtime Metrics from Datadog');
+    console.log(`🏷️  Service: ${service}, Environment: ${environment}, Runtime: ${profile.runtime}\n`);
+
+    const results = await fetchAll(Object.fromEntries(definitions.map(definition =>
+        [definition.key, buildQuery(definition, scope, windowSeconds)])), fromUnix, toUnix);
+    const { pods, summary, timeSeries } = processRuntimeMetrics(definitions, results, windowSeconds);
+
+    displayResults(profile.runtime, definitions, pods);
+
+    const outputData = {
+        timestamp: new Date().toISOString(),
+        service,
+        environment,
+        runtime: profile.runtime,
+        timeRange: {
+            from: range.fromIso,
+            to: range.toIso,
+            timeZone: range.timeZone
+        },
+        metrics: definitions.map(({ key, label, metric, unit, total, overlay }) => ({ key, label, metric, unit, total: Boolean(total), overlay: Boolean(overlay) })),
+        summary,
+        pods,
+        timeSeries,
+        rawMetrics: results
+    };
+
+    const outputFile = `./reports/${service}_runtime_metrics.json`;
+    fs.mkdirSync('./reports', { recursive: true });
+    fs.writeFileSync(outputFile, JSON.stringify(outputData, null, 2));
+
+    console.log(`\n💾 Saved results to: ${outputFile}`);
+
+    const { runId } = saveSnapshot({ service, environment, fromUnix, toUnix, kind: 'runtime', data: outputData });
+    console.log(`🗂️  Recorded in run history: ${runId}`);
+
+    return outputData;
+}
+
+function displayResults(runtime, definitions, pods) {
+    console.log('\n' + '═'.repeat(100));
+    console.log(`⚙️  RUNTIME HEALTH (${runtime})`);
+    console.log('═'.repeat(100));
+    console.log();
+
+    if (pods.length === 0) {
+        console.log('ℹ️  No runtime metrics found - is DD_RUNTIME_METRICS_ENABLED set in the service?');
+    }
+    pods.forEach(pod => {
+        console.log(`📦 ${pod.podName}`);
+        definitions.filter(({ key }) => pod.metrics[key]).forEach(({ key, label, unit, total }) => {
+            const stats = pod.metrics[key];
+            const value = total ? `${stats.total.toFixed(1)} ${unit}` : `${stats.avg.toFixed(1)} / ${stats.max.toFixed(1)} ${unit} (avg / max)`;
+            console.log(`   ${label.padEnd(28)} ${value}`);
+        });
+        if (pod.gcPausePct !== null) console.log(`   ${'Time in GC'.padEnd(28)} ${pod.gcPausePct.toFixed(2)}%`);
+        if (pod.heapPct !== null) console.log(`   ${'Peak heap of limit'.padEnd(28)} ${pod.heapPct.toFixed(1)}%`);
+    });
+    console.log('\n' + '═'.repeat(100));
+}
+
+// CLI Support
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const options = { service: '', environment: 'staging', framework: null, from: null, to: null, tz: null };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--service' && args[i + 1]) {
+            options.service = args[i + 1];
+            i++;
+        } else if (args[i] === '--env' && args[i + 1]) {
+            options.environment = args[i + 1];
+            i++;
+        } else if (args[i] === '--framework' && args[i + 1]) {
+            options.framework = args[i + 1];
+            i++;
+        } else if (args[i] === '--from' && args[i + 1]) {
+            options.from = args[i + 1];
+            i++;
+        } else if (args[i] === '--to' && args[i + 1]) {
+            options.to = args[i + 1];
+            i++;
+        } else if (args[i] === '--tz' && args[i + 1]) {
+            options.tz = args[i + 1];
+            i++;
+        } else if (args[i] === '--record') {
+            // Save every Datadog response to fixtures
+            process.env.DD_RECORD_FIXTURES = '1';
+        }
+    }
+
+    if (!options.service) {
+        console.error('❌ Missing required parameter: --service');
+        console.log('\nUsage: node fetch-runtime-metrics.js --service "stardust-task-service" --env "staging" --from "Jan 3, 2:37 pm" --to "Jan 3, 3:09 pm" [--tz America/Los_Angeles] [--framework fastapi] [--record]');
+        process.exit(1);
+    }
+
+    fetchRuntimeMetrics(options)
+        .then(() => {
+            logApiCallSummary();
+        })
+        .catch(error => {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        });
+}
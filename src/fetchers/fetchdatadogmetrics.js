@@ -1,144 +1,100 @@
-import axios from 'axios';
-import https from 'https';
 import dotenv from 'dotenv';
 import fs from 'fs';
-import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { saveSnapshot } from '../utils/run-history.js';
+import { resolveService } from '../utils/service-registry.js';
+import { resolveThresholds } from '../utils/thresholds.js';
+import { logApiCallSummary, queryMetrics } from '../utils/datadog-client.js';
+import { formatInTimeZone, parseTimeRange } from '../utils/time-range.js';
+import { ENDPOINT_COLUMNS, resolveColumns } from '../utils/endpoint-columns.js';
+import { fetchContainerMetrics } from './fetch-container-metrics.js';
+import { fetchErrorMetrics } from './fetch-error-metrics.js';
+import { fetchDependencyMetrics } from './fetch-dependency-metrics.js';
+import { fetchRuntimeMetrics } from './fetch-runtime-metrics.js';
+import { detectLoadSteps } from '../analysis/load-steps.js';
+import { EXTRAPOLATION_LIMIT, analyzeCapacity } from '../analysis/capacity.js';
 
 dotenv.config();
 
-const httpsAgent = new https.Agent({  
-  rejectUnauthorized: false
-});
+// Rankings for charting only the top N endpoints
+export const TOP_BY = ['traffic', 'latency'];
 
-const DD_API_KEY = process.env.DD_API_KEY;
-const DD_APP_KEY = process.env.DD_APP_KEY;
-const DD_SITE = process.env.DD_SITE || 'datadoghq.com';
+// Latency columns of the endpoint table, from the trace distribution
+const LATENCY_LADDER = [
+    { column: 'p50_latency', aggregator: 'p50', kind: 'percentile' },
+    { column: 'p75_latency', aggregator: 'p75', kind: 'percentile' },
+    { column: 'p90_latency', aggregator: 'p90', kind: 'percentile' },
+    { column: 'p95_latency', aggregator: 'p95', kind: 'percentile' },
+    { column: 'p99_latency', aggregator: 'p99', kind: 'percentile' },
+    { column: 'avg_latency', aggregator: 'avg', kind: 'avg' },
+    { column: 'max_latency', aggregator: 'max', kind: 'max' }
+];
 
-// ==================== CONFIGURATION ====================
-// Usage: node fetch_endpoint_table.js "Jan 9, 3:00 pm – Jan 9, 3:31 pm, stardust-task-service"
+const STATUS_CLASSES = ['2xx', '3xx', '4xx', '5xx'];
 
-const args = process.argv.slice(2);
-let SERVICE_NAME = '';
-let ENVIRONMENT = 'staging';
-let TIME_FROM = '';
-let TIME_TO = '';
-let TIME_FROM_ORIGINAL = '';
-let TIME_TO_ORIGINAL = '';
-
-// Check if first argument is a combined format: "Jan 9, 3:00 pm – Jan 9, 3:31 pm, service-name"
-if (args.length > 0 && !args[0].startsWith('--')) {
-    const combined = args[0];
-    
-    // Split by comma to separate date range and service
-    const parts = combined.split(',').map(p => p.trim());
-    
-    if (parts.length >= 2) {
-        // Extract service name (last part)
-        SERVICE_NAME = parts[parts.length - 1];
-        
-        // Join everything before the service name to handle commas in dates
-        const dateRange = parts.slice(0, -1).join(',').trim();
-        
-        // Split by dash/en-dash to get from and to dates
-        const dateParts = dateRange.split(/\s*[–-]\s*/);
-        
-        if (dateParts.length === 2) {
-            TIME_FROM_ORIGINAL = dateParts[0].trim();
-            TIME_TO_ORIGINAL = dateParts[1].trim();
-            TIME_FROM = parseHumanDate(TIME_FROM_ORIGINAL);
-            TIME_TO = parseHumanDate(TIME_TO_ORIGINAL);
-        }
-    }
-} else {
-    for (let i = 0; i < args.length; i++) {
-        if (args[i] === '--service' && args[i + 1]) {
-            SERVICE_NAME = args[i + 1];
-            i++;
-        } else if (args[i] === '--env' && args[i + 1]) {
-            ENVIRONMENT = args[i + 1];
-            i++;
-        } else if (args[i] === '--from' && args[i + 1]) {
-            TIME_FROM_ORIGINAL = args[i + 1];
-            TIME_FROM = parseHumanDate(TIME_FROM_ORIGINAL);
-            i++;
-        } else if (args[i] === '--to' && args[i + 1]) {
-            TIME_TO_ORIGINAL = args[i + 1];
-            TIME_TO = parseHumanDate(TIME_TO_ORIGINAL);
-            i++;
-        }
+async function fetchMetric(query, from, to) {
+    try {
+        return await queryMetrics(query, from, to);
+    } catch (error) {
+        console.error(`❌ Error fetching: ${query}`);
+        console.error('Error:', error.response?.data || error.message);
+        return null;
     }
 }
 
+function resourceNameOf(series) {
+    const match = series.scope?.match(/resource_name:([^,}]+)/);
+    return match ? match[1] : 'unknown';
+}
+
 /**
- * Parse human-readable date to ISO format
- * Accepts: "Jan 9, 3:00 pm" or ISO format
+ * Hits per HTTP status code and status class for each endpoint, from a
+ * "by {resource_name,http.status_code}" query. Spans without a status code, or
+ * with one outside 2xx-5xx, count as 'other'.
+ *
+ * @returns {object} { <resource_name>: { total, classes: { 2xx, 3xx, 4xx, 5xx, other }, codes: { "200": n, ... } } }
  */
-function parseHumanDate(dateStr) {
-    if (dateStr.includes('T')) return dateStr;
-    
-    const currentYear = new Date().getFullYear();
-    let hours = 0, minutes = 0;
-    
-    const timeMatch = dateStr.match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
-    if (timeMatch) {
-        hours = parseInt(timeMatch[1]);
-        minutes = parseInt(timeMatch[2]);
-        const meridiem = timeMatch[3]?.toLowerCase();
-        
-        if (meridiem === 'pm' && hours !== 12) hours += 12;
-        else if (meridiem === 'am' && hours === 12) hours = 0;
-    }
-    
-    const dateMatch = dateStr.match(/([A-Za-z]{3})\s+(\d{1,2})/);
-    if (dateMatch) {
-        const monthMap = {
-            'jan': '01', 'feb': '02', 'mar': '03', 'apr': '04',
-            'may': '05', 'jun': '06', 'jul': '07', 'aug': '08',
-            'sep': '09', 'oct': '10', 'nov': '11', 'dec': '12'
-        };
-        
-        const monthNum = monthMap[dateMatch[1].toLowerCase()];
-        const day = dateMatch[2].padStart(2, '0');
-        const hr = hours.toString().padStart(2, '0');
-        const min = minutes.toString().padStart(2, '0');
-        
-        return `${currentYear}-${monthNum}-${day}T${hr}:${min}:00`;
-    }
-    
-    return dateStr;
+function statusCodesByResource(data) {
+    const byResource = {};
+    (data?.series || []).forEach(series => {
+        const resourceName = resourceNameOf(series);
+        const code = series.scope?.match(/http\.status_code:(\d{3})/)?.[1] || 'other';
+        const statusClass = code === 'other' || !STATUS_CLASSES.includes(`${code[0]}xx`) ? 'other' : `${code[0]}xx`;
+        const hits = Math.round((series.pointlist || []).reduce((sum, point) => sum + (point[1] || 0), 0));
+
+        if (!byResource[resourceName]) {
+            byResource[resourceName] = { total: 0, classes: { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0, other: 0 }, codes: {} };
+        }
+        const entry = byResource[resourceName];
+        entry.total += hits;
+        entry.classes[statusClass] += hits;
+        entry.codes[code] = (entry.codes[code] || 0) + hits;
+    });
+    return byResource;
 }
-// =======================================================
 
-// Convert timestamps
-const from = Math.floor(new Date(TIME_FROM).getTime() / 1000);
-const to = Math.floor(new Date(TIME_TO).getTime() / 1000);
-
-async function fetchMetric(query) {
-    const url = `https://api.${DD_SITE}/api/v1/query`;
-    
-    try {
-        const response = await axios.get(url, {
-            params: {
-                query: query,
-                from: from,
-                to: to
-            },
-            headers: {
-                'DD-API-KEY': DD_API_KEY,
-                'DD-APPLICATION-KEY': DD_APP_KEY,
-                'Content-Type': 'application/json'
-            },
-            httpsAgent: httpsAgent
-        });
-
-        return response.data;
-    } catch (error) {
-        console.error(`❌ Error fetching: ${query}`);
-        console.error('Error:', error.response?.data || error.message);
-        return null;
-    }
+/**
+ * Status code table columns of one endpoint: hits per class, and 429s on their own
+ */
+function statusColumns(status) {
+    const count = value => status ? String(value) : 'N/A';
+    return {
+        status_2xx: count(status?.classes['2xx']),
+        status_3xx: count(status?.classes['3xx']),
+        status_4xx: count(status?.classes['4xx']),
+        status_429: count(status?.codes['429'] || 0),
+        status_5xx: count(status?.classes['5xx'])
+    };
 }
 
+/**
+ * One value per endpoint from a grouped query's points:
+ *   sum - counts added up (a whole-window rollup has a single point to add)
+ *   max - the worst point
+ *   p95 / p99 - percentile of the per-bucket percentiles; only an approximation,
+ *               used when the whole-window query returns no data
+ *   avg - mean of the points
+ */
 function extractByResource(data, aggregationType = 'avg') {
     if (!data?.series || data.series.length === 0) {
         return {};
@@ -146,152 +102,203 @@ function extractByResource(data, aggregationType = 'avg') {
 
     const byResource = {};
     data.series.forEach(series => {
-        let resourceName = 'unknown';
-        
-        if (series.scope) {
-            const match = series.scope.match(/resource_name:([^,}]+)/);
-            if (match) {
-                resourceName = match[1];
-            }
-        }
-        
-        if (series.pointlist && series.pointlist.length > 0) {
-            const values = series.pointlist.map(p => p[1]).filter(v => v !== null && v !== undefined);
-            
-            if (values.length === 0) return;
-            
-            let result;
-            if (aggregationType === 'sum') {
-                result = values.reduce((a, b) => a + b, 0);
-            } else if (aggregationType === 'p95') {
-    const sorted = [...values].sort((a, b) => a - b);
-    const index = Math.floor(sorted.length * 0.95);
-    result = sorted[index] * 1000;
-} else if (aggregationType === 'p99') {
-    const sorted = [...values].sort((a, b) => a - b);
-    const index = Math.floor(sorted.length * 0.99);
-    result = sorted[index] * 1000;
-} else if (aggregationType === 'rate') {
-                result = values.reduce((a, b) => a + b, 0) / values.length;
-            } else {
-                result = values.reduce((a, b) => a + b, 0) / values.length;
-            }
-            
-            byResource[resourceName] = result;
+        const resourceName = resourceNameOf(series);
+        const values = (series.pointlist || []).map(p => p[1]).filter(v => v !== null && v !== undefined);
+        if (values.length === 0) return;
+
+        let result;
+        if (aggregationType === 'sum') {
+            result = values.reduce((a, b) => a + b, 0);
+        } else if (aggregationType === 'max') {
+            result = Math.max(...values);
+        } else if (aggregationType === 'p95' || aggregationType === 'p99') {
+            const sorted = [...values].sort((a, b) => a - b);
+            result = sorted[Math.floor(sorted.length * (aggregationType === 'p95' ? 0.95 : 0.99))];
+        } else {
+            result = values.reduce((a, b) => a + b, 0) / values.length;
         }
+
+        byResource[resourceName] = result;
     });
 
     return byResource;
 }
 
-async function fetchEndpointMetricsTable() {
-    console.log(`📊 Fetching ${SERVICE_NAME} Metrics for Each Endpoint`);
-    console.log(`⏰ Time Range: ${TIME_FROM} to ${TIME_TO}`);
-    console.log(`🏷️  Service: ${SERVICE_NAME}, Environment: ${ENVIRONMENT}\n`);
+// How a whole-window rollup that came back as more than one point (the window
+// straddled rollup bucket boundaries) is combined, and whether that stays exact
+const WINDOW_COMBINE = {
+    count: { type: 'sum', exact: true },
+    max: { type: 'max', exact: true },
+    percentile: { type: 'max', exact: false }, // the worse bucket
+    avg: { type: 'avg', exact: false }
+};
+
+function windowDescription(kind, buckets) {
+    const split = buckets > 1;
+    if (kind === 'count') return 'Total over the window';
+    if (kind === 'max') return 'Slowest request in the window';
+    if (kind === 'avg') return split ? `Mean of ${buckets} rollup buckets spanning the window` : 'Mean of every request in the window';
+    return split ? `Worst of ${buckets} rollup buckets spanning the window` : 'Percentile of every request in the window';
+}
 
-    // Fetch all metrics with resource_name breakdown
-    // Use service-specific trace queries
-    let queries;
-    
-    if (SERVICE_NAME === 'operator-agent-service' || SERVICE_NAME === 'order-service') {
-        // FastAPI-based queries for operator-agent-service and order-service
-        queries = {
-            requests: `sum:trace.fastapi.request.hits{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name}.as_count()`,
-            rate: `sum:trace.fastapi.request.hits{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name}.as_rate()`,
-            p95_latency: `p95:trace.fastapi.request{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name,service}`,
-            p99_latency: `p99:trace.fastapi.request{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name,service}`,
-            errors: `sum:trace.fastapi.request.errors{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name}.as_count()`,
-        };
-    } else {
-        // Express-based queries for other services
-        queries = {
-            requests: `sum:trace.express.request.hits{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name}.as_count()`,
-            rate: `sum:trace.express.request.hits{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name}.as_rate()`,
-            p95_latency: `p95:trace.express.request{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name,service}`,
-            p99_latency: `p99:trace.express.request{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name,service}`,
-            errors: `sum:trace.express.request.errors{env:${ENVIRONMENT},service:${SERVICE_NAME}} by {resource_name}.as_count()`,
+/**
+ * Table values for one column, from its whole-window rollup query when that
+ * returned data, else from the per-bucket series (when the column has one).
+ * Records how the column was aggregated in aggregation[column].
+ *
+ * @param {string} kind - 'count', 'percentile', 'max' or 'avg'
+ */
+function aggregateColumn(column, { kind, windowData, windowQuery, bucketData = null, bucketQuery = null, aggregation }) {
+    if (windowData?.series?.length > 0) {
+        const buckets = Math.max(...windowData.series.map(series => series.pointlist?.length || 0));
+        const combine = WINDOW_COMBINE[kind];
+        aggregation[column] = {
+            method: 'window-rollup',
+            query: windowQuery,
+            buckets,
+            exact: combine.exact || buckets <= 1,
+            description: windowDescription(kind, buckets)
         };
+        return extractByResource(windowData, combine.type);
     }
 
-    // Separate service-level queries for combined timeline charts
-    let serviceQueries;
-    
-    if (SERVICE_NAME === 'operator-agent-service' || SERVICE_NAME === 'order-service') {
-        // FastAPI-based service-level queries - exact format as specified by user
-        serviceQueries = {
-            p95_service: `p95:trace.fastapi.request{env:${ENVIRONMENT},service:${SERVICE_NAME}}`,
-            rate_service: `autosmooth(sum:trace.fastapi.request.hits{env:${ENVIRONMENT},service:${SERVICE_NAME}}.as_rate())`
-        };
-    } else {
-        // Express-based service-level queries
-        serviceQueries = {
-            p95_service: `p95:trace.express.request{service:${SERVICE_NAME},env:${ENVIRONMENT}}`,
-            rate_service: `autosmooth(sum:trace.express.request.hits{env:${ENVIRONMENT},service:${SERVICE_NAME}}.as_rate())`
-        };
+    if (!bucketQuery) {
+        aggregation[column] = { method: 'unavailable', query: windowQuery, exact: false, description: 'Whole-window query returned no data' };
+        return {};
     }
 
-    console.log('Fetching metrics from Datadog...\n');
-    const results = {};
+    const percentile = kind === 'percentile';
+    aggregation[column] = {
+        method: percentile ? 'bucket-percentile' : 'bucket-sum',
+        query: bucketQuery,
+        exact: !percentile,
+        description: percentile ?
+            'Percentile of per-interval percentiles - approximate (whole-window query returned no data)' :
+            'Sum of per-interval counts'
+    };
+    return extractByResource(bucketData, percentile ? column.slice(0, 3) : 'sum');
+}
 
-    for (const [name, query] of Object.entries(queries)) {
-        console.log(`📈 Fetching ${name}...`);
-        const data = await fetchMetric(query);
-        results[name] = data;
-        
-        if (data?.series) {
-            console.log(`  ✅ Got ${data.series.length} series\n`);
-        } else {
-            console.log(`  ⚠️  No data\n`);
-        }
+/**
+ * Fetch the per-endpoint metrics table and time series for a service, save it to
+ * reports/<service>_endpoint_metrics_table.json and the run history, and return it.
+ *
+ * @param {object} options
+ * @param {string} options.service - Datadog service name
+ * @param {string|number} options.from - start (anything src/utils/time-range.js accepts)
+ * @param {string|number} [options.to] - end (default: now, for "last 30m")
+ * @param {string} [options.environment] - Datadog env tag (default: staging)
+ * @param {string} [options.framework] - framework override (see config/services.json)
+ * @param {string} [options.tz] - time zone of wall-clock times (default: REPORT_TZ or the machine's)
+ * @param {number} [options.topEndpoints] - chart only the top N endpoints (default: all; the table always has all)
+ * @param {string} [options.topBy] - rank endpoints for topEndpoints by 'traffic' (requests) or 'latency' (P95)
+ * @param {string|string[]} [options.columns] - columns of the console table (see src/utils/endpoint-columns.js; default: REPORT_COLUMNS or all)
+ */
+export async function fetchEndpointMetricsTable({ service, from: fromInput, to: toInput = null, environment = 'staging', framework = null, tz = null, topEndpoints = null, topBy = 'traffic', columns = null }) {
+    if (!service || !fromInput) {
+        throw new Error('Missing required parameters: service and from');
     }
-
-    // Fetch service-level queries for combined charts
-    console.log('📈 Fetching service-level metrics for combined charts...\n');
-    const serviceResults = {};
-    
-    for (const [name, query] of Object.entries(serviceQueries)) {
-        console.log(`📈 Fetching ${name}...`);
-        try {
-            const response = await axios.get(`https://api.${DD_SITE}/api/v1/query`, {
-                params: {
-                    query: query,
-                    from: from,
-                    to: to
-                },
-                headers: {
-                    'DD-API-KEY': DD_API_KEY,
-                    'DD-APPLICATION-KEY': DD_APP_KEY,
-                    'Content-Type': 'application/json'
-                },
-                httpsAgent: httpsAgent
-            });
-            
-            serviceResults[name] = response.data;
-            
-            if (response.data?.series) {
-                console.log(`  ✅ Got ${response.data.series.length} series\n`);
-            } else {
-                console.log(`  ⚠️  No data\n`);
-            }
-        } catch (error) {
-            console.error(`❌ Error fetching ${name}:`, error.response?.data || error.message);
-            serviceResults[name] = null;
-        }
+    if (!TOP_BY.includes(topBy)) {
+        throw new Error(`Unknown topBy: ${topBy} (known: ${TOP_BY.join(', ')})`);
     }
+    const columnNames = resolveColumns(columns);
+    topEndpoints = parseInt(topEndpoints) || null;
+
+    // Trace operation (trace.express.request, trace.fastapi.request, ...) from config/services.json
+    const profile = resolveService(service, { framework, environment });
+    const traceOperation = profile.traceOperation;
+    const range = parseTimeRange(fromInput, toInput, { tz });
+    const { from, to, fromIso: timeFrom, toIso: timeTo, timeZone } = range;
+
+    console.log(`📊 Fetching ${service} Metrics for Each Endpoint`);
+    console.log(`⏰ Time Range: ${timeFrom} to ${timeTo} (${timeZone})`);
+    console.log(`🏷️  Service: ${service}, Environment: ${environment}\n`);
+
+    console.log(`🧩 Framework: ${profile.framework} (${traceOperation})\n`);
+
+    // Fetch all metrics with resource_name breakdown
+    const queries = {
+        requests: `sum:${traceOperation}.hits{env:${environment},service:${service}} by {resource_name}.as_count()`,
+        rate: `sum:${traceOperation}.hits{env:${environment},service:${service}} by {resource_name}.as_rate()`,
+        p95_latency: `p95:${traceOperation}{env:${environment},service:${service}} by {resource_name,service}`,
+        p99_latency: `p99:${traceOperation}{env:${environment},service:${service}} by {resource_name,service}`,
+        errors: `sum:${traceOperation}.errors{env:${environment},service:${service}} by {resource_name}.as_count()`,
+    };
+
+    // Whole-window aggregates for the table: .rollup() over the full window gives one
+    // point per endpoint - the total count, or for the latency distribution the
+    // percentile, mean or max of every request in the window. The queries above keep
+    // the per-bucket series for the charts.
+    const windowSeconds = to - from;
+    const latencyWindowQuery = aggregator =>
+        `${aggregator}:${traceOperation}{env:${environment},service:${service}} by {resource_name}.rollup(${aggregator === 'avg' ? 'avg' : 'max'}, ${windowSeconds})`;
+    const windowQueries = {
+        requests: `sum:${traceOperation}.hits{env:${environment},service:${service}} by {resource_name}.as_count().rollup(sum, ${windowSeconds})`,
+        errors: `sum:${traceOperation}.errors{env:${environment},service:${service}} by {resource_name}.as_count().rollup(sum, ${windowSeconds})`,
+        // Hits by HTTP status code, to tell 4xx (and 429 throttling) apart from 5xx
+        status_codes: `sum:${traceOperation}.hits{env:${environment},service:${service}} by {resource_name,http.status_code}.as_count().rollup(sum, ${windowSeconds})`
+    };
+    LATENCY_LADDER.forEach(({ column, aggregator }) => {
+        windowQueries[column] = latencyWindowQuery(aggregator);
+    });
+
+    // Separate service-level queries for combined timeline charts
+    const serviceQueries = {
+        p95_service: `p95:${traceOperation}{env:${environment},service:${service}}`,
+        rate_service: `autosmooth(sum:${traceOperation}.hits{env:${environment},service:${service}}.as_rate())`,
+        // Per-step latency and error rate of the detected load steps
+        p99_service: `p99:${traceOperation}{env:${environment},service:${service}}`,
+        hits_service: `sum:${traceOperation}.hits{env:${environment},service:${service}}.as_count()`,
+        errors_service: `sum:${traceOperation}.errors{env:${environment},service:${service}}.as_count()`
+    };
 
-    // Extract data by resource (endpoint)
-    const requestsByResource = extractByResource(results.requests, 'sum');
-    const rateByResource = extractByResource(results.rate, 'rate');
-    const p95ByResource = extractByResource(results.p95_latency, 'p95');
-    const p99ByResource = extractByResource(results.p99_latency, 'p99');
-    const errorsByResource = extractByResource(results.errors, 'sum');
+    // Endpoint and service-level (combined timeline) queries run side by side -
+    // the Datadog client keeps them within the concurrency and rate limits
+    console.log('Fetching metrics from Datadog...\n');
+    const fetchAll = async namedQueries => Object.fromEntries(await Promise.all(
+        Object.entries(namedQueries).map(async ([name, query]) => {
+            const data = await fetchMetric(query, from, to);
+            console.log(data?.series ? `  ✅ ${name}: ${data.series.length} series` : `  ⚠️  ${name}: no data`);
+            return [name, data];
+        })));
+
+    const [results, windowResults, serviceResults] = await Promise.all([fetchAll(queries), fetchAll(windowQueries), fetchAll(serviceQueries)]);
+
+    // Extract data by resource (endpoint), recording how each column was aggregated
+    const aggregation = {};
+    const column = (name, kind) => aggregateColumn(name, {
+        kind,
+        windowData: windowResults[name],
+        windowQuery: windowQueries[name],
+        bucketData: results[name],
+        bucketQuery: queries[name],
+        aggregation
+    });
+    const toMs = byResource => Object.fromEntries(Object.entries(byResource).map(([resource, seconds]) => [resource, seconds * 1000]));
+
+    const requestsByResource = column('requests', 'count');
+    const rateByResource = extractByResource(results.rate, 'avg');
+    const errorsByResource = column('errors', 'count');
+    const latencyByResource = Object.fromEntries(LATENCY_LADDER.map(({ column: name, kind }) => [name, toMs(column(name, kind))]));
+    const statusCodes = statusCodesByResource(windowResults.status_codes);
+    aggregation.status_codes = Object.keys(statusCodes).length > 0 ?
+        { method: 'window-rollup', query: windowQueries.status_codes, exact: true, description: 'Hits by HTTP status code over the window' } :
+        { method: 'unavailable', query: windowQueries.status_codes, exact: false, description: 'Status code query returned no data' };
+    aggregation.tail_ratio = { method: 'p99-over-p50', exact: aggregation.p99_latency.exact && aggregation.p50_latency.exact, description: 'P99 / P50' };
+    aggregation.rate = { method: 'requests-per-second', exact: aggregation.requests.exact, description: 'Requests / window length' };
+    aggregation.error_rate = { method: 'errors-per-request', exact: aggregation.requests.exact && aggregation.errors.exact, description: 'Errors / requests' };
+
+    const approximate = Object.entries(aggregation).filter(([, entry]) => !entry.exact).map(([name]) => name);
+    if (approximate.length > 0) {
+        console.log(`⚠️  Approximate columns: ${approximate.join(', ')} (see aggregation in the JSON)`);
+    }
 
     // Get all unique endpoints
     const allEndpoints = new Set([
         ...Object.keys(requestsByResource),
         ...Object.keys(rateByResource),
-        ...Object.keys(p95ByResource),
-        ...Object.keys(p99ByResource),
+        ...Object.keys(latencyByResource.p95_latency),
+        ...Object.keys(latencyByResource.p99_latency),
         ...Object.keys(errorsByResource)
     ]);
 
@@ -307,229 +314,367 @@ async function fetchEndpointMetricsTable() {
         // Calculate rate as total requests / total time window
         const actualRate = totalTimeSeconds > 0 ? requests / totalTimeSeconds : 0;
 
+        const latency = {};
+        LATENCY_LADDER.forEach(({ column: name }) => {
+            const value = latencyByResource[name][endpoint];
+            latency[name] = value ? `${value.toFixed(1)} ms` : 'N/A';
+        });
+        // Tail ratio: near 1 means the whole endpoint is slow, a large ratio means tail outliers
+        const p50 = latencyByResource.p50_latency[endpoint];
+        const p99 = latencyByResource.p99_latency[endpoint];
+
         tableData.push({
             resource_name: endpoint,
-            service: SERVICE_NAME,
+            service,
             requests: requests.toFixed(0),
-            p95_latency: p95ByResource[endpoint] ? `${p95ByResource[endpoint].toFixed(1)} ms` : 'N/A',
-            p99_latency: p99ByResource[endpoint] ? `${p99ByResource[endpoint].toFixed(1)} ms` : 'N/A',
+            ...latency,
+            tail_ratio: p50 && p99 ? `${(p99 / p50).toFixed(1)}x` : 'N/A',
             rate: `${actualRate.toFixed(2)} hits/s`,
+            ...statusColumns(statusCodes[endpoint]),
             errors: errorCount > 0 ? errorCount.toFixed(0) : '—',
             error_rate: errorRate
         });
     });
 
-    // Display table
-    console.log('\n' + '═'.repeat(150));
-    console.log(`📊 ${SERVICE_NAME.toUpperCase()} - ENDPOINTS METRICS`);
-    console.log('═'.repeat(150));
+    // Display table - the selected columns after the endpoint and service
+    const displayColumns = columnNames.map(name => ENDPOINT_COLUMNS[name]);
+    const tableWidth = Math.max(150, 70 + displayColumns.reduce((sum, { width }) => sum + width, 0));
+    console.log('\n' + '═'.repeat(tableWidth));
+    console.log(`📊 ${service.toUpperCase()} - ENDPOINTS METRICS`);
+    console.log('═'.repeat(tableWidth));
     console.log('\n');
 
     if (tableData.length === 0) {
         console.log('⚠️  No data found for the specified time range.');
     } else {
         console.log(
-            'RESOURCE_NAME'.padEnd(40) + 
-            'SERVICE'.padEnd(30) + 
-            'REQUESTS'.padEnd(15) + 
-            'P95 LATENCY'.padEnd(15) + 
-            'P99 LATENCY'.padEnd(15) + 
-            'RATE'.padEnd(15) + 
-            'ERRORS'.padEnd(10) + 
-            'ERROR RATE'
+            'RESOURCE_NAME'.padEnd(40) +
+            'SERVICE'.padEnd(30) +
+            displayColumns.map(({ label, width }) => label.toUpperCase().padEnd(width)).join('')
         );
-        console.log('─'.repeat(150));
+        console.log('─'.repeat(tableWidth));
 
         tableData.forEach(row => {
             console.log(
                 row.resource_name.padEnd(40) +
                 row.service.padEnd(30) +
-                row.requests.padEnd(15) +
-                row.p95_latency.padEnd(15) +
-                row.p99_latency.padEnd(15) +
-                row.rate.padEnd(15) +
-                row.errors.padEnd(10) +
-                row.error_rate
+                displayColumns.map(({ field, width }) => String(row[field]).padEnd(width)).join('')
             );
         });
     }
 
-    console.log('\n' + '═'.repeat(150) + '\n');
-
-    // Fetch real time series P95 data
-    console.log('\n📈 Fetching real P95 time series data...');
-    const timeSeriesData = await fetchTimeSeriesP95Data(from, to, Array.from(allEndpoints));
-    
-    // Fetch request rate time series
-    console.log('\n📊 Fetching request rate time series data...');
-    const rateTimeSeriesData = await fetchTimeSeriesRateData(from, to, Array.from(allEndpoints));
+    console.log('\n' + '═'.repeat(tableWidth) + '\n');
+
+    // Per-endpoint charts come from the grouped p95 and rate queries above, split by resource_name
+    const chartEndpoints = selectChartEndpoints(tableData, { topEndpoints, topBy });
+    const timeSeriesData = splitTimeSeriesByResource(results.p95_latency, chartEndpoints,
+        value => parseFloat((value * 1000).toFixed(1))); // Convert to milliseconds
+    const rateTimeSeriesData = splitTimeSeriesByResource(results.rate, chartEndpoints,
+        value => parseFloat(value.toFixed(2))); // Request rate in hits/s
+    console.log(`📈 Time series for ${chartEndpoints.length} of ${tableData.length} endpoints${topEndpoints ? ` (top ${topEndpoints} by ${topBy})` : ''}\n`);
+
+    // Load steps: plateaus of the service request rate (the summed endpoint rates when
+    // the service-level query returned nothing), with the latency and errors of each
+    const serviceRate = seriesPoints(serviceResults.rate_service);
+    const requestRate = serviceRate.length > 0 ? serviceRate : summedSeries(results.rate);
+    const serviceP95 = seriesPoints(serviceResults.p95_service, value => value * 1000);
+    const loadSteps = detectLoadSteps({
+        rate: requestRate,
+        p95: serviceP95,
+        p99: seriesPoints(serviceResults.p99_service, value => value * 1000),
+        hits: seriesPoints(serviceResults.hits_service),
+        errors: seriesPoints(serviceResults.errors_service)
+    });
+    displayLoadSteps(loadSteps, timeZone);
+
+    // Capacity: P95 fitted against the request rate, service-wide and for every endpoint,
+    // with the most requests per second under each one's P95 latency SLO
+    const endpointNames = tableData.map(row => row.resource_name);
+    const endpointRates = splitTimeSeriesByResource(results.rate, endpointNames, value => value);
+    const endpointP95s = splitTimeSeriesByResource(results.p95_latency, endpointNames, value => value * 1000);
+    const capacity = {
+        service: analyzeCapacity(requestRate, serviceP95, resolveThresholds(service).latency.p95Ms),
+        endpoints: Object.fromEntries(endpointNames
+            .map(endpoint => [endpoint, analyzeCapacity(endpointRates[endpoint], endpointP95s[endpoint], resolveThresholds(service, endpoint).latency.p95Ms)])
+            .filter(([, endpointCapacity]) => endpointCapacity))
+    };
+    displayCapacity(capacity);
 
     // Save results
     const output = {
         timeRange: {
-            from: TIME_FROM,
-            to: TIME_TO,
+            from: timeFrom,
+            to: timeTo,
             from_unix: from,
-            to_unix: to
+            to_unix: to,
+            timeZone
         },
-        service: SERVICE_NAME,
-        environment: ENVIRONMENT,
+        service: service,
+        environment: environment,
+        framework: profile.framework,
+        traceOperation: traceOperation,
         metrics: tableData,
+        aggregation,
+        statusCodes,
         timeSeries: timeSeriesData,
         rateTimeSeries: rateTimeSeriesData,
-        serviceMetrics: {
-            p95_service: serviceResults.p95_service,
-            rate_service: serviceResults.rate_service
-        },
+        serviceMetrics: serviceResults,
+        loadSteps,
+        capacity,
         rawData: results
     };
 
-    const outputPath = `./reports/${SERVICE_NAME}_endpoint_metrics_table.json`;
+    const outputPath = `./reports/${service}_endpoint_metrics_table.json`;
+    fs.mkdirSync('./reports', { recursive: true });
     fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
     console.log(`💾 Saved detailed results to: ${outputPath}\n`);
 
+    const { runId } = saveSnapshot({ service, environment, fromUnix: from, toUnix: to, kind: 'endpoint', data: output });
+    console.log(`🗂️  Recorded in run history: ${runId}\n`);
+
     return output;
 }
 
-// Fetch real time series P95 data for endpoints
-async function fetchTimeSeriesP95Data(from, to, endpoints) {
-    const timeSeriesData = {};
-    
-    for (const endpoint of endpoints.slice(0, 10)) { // Get all 10 endpoints
-        try {
-            const tracePattern = (SERVICE_NAME === 'operator-agent-service' || SERVICE_NAME === 'order-service') ? 'trace.fastapi.request' : 'trace.express.request';
-            const query = `p95:${tracePattern}{env:${ENVIRONMENT},service:${SERVICE_NAME},resource_name:${endpoint}}`;
-            
-            const url = `https://api.${DD_SITE}/api/v1/query`;
-            const params = {
-                query: query,
-                from: from,
-                to: to
-            };
-            
-            const response = await axios.get(url, {
-                headers: {
-                    'DD-API-KEY': DD_API_KEY,
-                    'DD-APPLICATION-KEY': DD_APP_KEY
-                },
-                params: params,
-                httpsAgent
-            });
-            
-            if (response.data && response.data.series && response.data.series.length > 0) {
-                const series = response.data.series[0];
-                if (series.pointlist && series.pointlist.length > 0) {
-                    timeSeriesData[endpoint] = series.pointlist.map(point => ({
-                        timestamp: point[0], // Unix timestamp in milliseconds
-                        value: point[1] ? parseFloat((point[1] * 1000).toFixed(1)) : 0 // Convert to milliseconds
-                    }));
-                    
-                    console.log(`  ✅ ${endpoint}: ${timeSeriesData[endpoint].length} data points`);
-                } else {
-                    timeSeriesData[endpoint] = [];
-                }
-            } else {
-                timeSeriesData[endpoint] = [];
-            }
-            
-            // Delay to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 200));
-            
-        } catch (error) {
-            console.error(`  ❌ Error fetching ${endpoint}:`, error.message);
-            timeSeriesData[endpoint] = [];
-        }
+/**
+ * Endpoints to chart: all of them, or the top N by request count or P95 latency
+ */
+function selectChartEndpoints(tableData, { topEndpoints = null, topBy = 'traffic' } = {}) {
+    if (!topEndpoints) {
+        return tableData.map(row => row.resource_name);
     }
-    
+
+    const score = row => parseFloat(topBy === 'latency' ? row.p95_latency : row.requests) || 0;
+    return [...tableData]
+        .sort((a, b) => score(b) - score(a))
+        .slice(0, topEndpoints)
+        .map(row => row.resource_name);
+}
+
+/**
+ * Split a grouped "by {resource_name}" response into one time series per endpoint.
+ * Endpoints without a series get an empty one, so every charted endpoint has a key.
+ * Intervals without a value are left out - they are gaps, not 0 ms or 0 req/s.
+ */
+function splitTimeSeriesByResource(data, endpoints, toValue) {
+    const byResource = {};
+    (data?.series || []).forEach(series => {
+        byResource[resourceNameOf(series)] = (series.pointlist || [])
+            .filter(point => point[1] !== null && point[1] !== undefined)
+            .map(point => ({
+                timestamp: point[0], // Unix timestamp in milliseconds
+                value: toValue(point[1])
+            }));
+    });
+
+    const timeSeriesData = {};
+    endpoints.forEach(endpoint => {
+        timeSeriesData[endpoint] = byResource[endpoint] || [];
+    });
     return timeSeriesData;
 }
 
-// Fetch request rate time series data for endpoints
-async function fetchTimeSeriesRateData(from, to, endpoints) {
-    const rateTimeSeriesData = {};
-    
-    for (const endpoint of endpoints.slice(0, 10)) { // Get all 10 endpoints
-        try {
-            const tracePattern = (SERVICE_NAME === 'operator-agent-service' || SERVICE_NAME === 'order-service') ? 'trace.fastapi.request.hits' : 'trace.express.request.hits';
-            const query = `sum:${tracePattern}{env:${ENVIRONMENT},service:${SERVICE_NAME},resource_name:${endpoint}}.as_rate()`;
-            
-            const url = `https://api.${DD_SITE}/api/v1/query`;
-            const params = {
-                query: query,
-                from: from,
-                to: to
-            };
-            
-            const response = await axios.get(url, {
-                headers: {
-                    'DD-API-KEY': DD_API_KEY,
-                    'DD-APPLICATION-KEY': DD_APP_KEY
-                },
-                params: params,
-                httpsAgent
-            });
-            
-            if (response.data && response.data.series && response.data.series.length > 0) {
-                const series = response.data.series[0];
-                if (series.pointlist && series.pointlist.length > 0) {
-                    rateTimeSeriesData[endpoint] = series.pointlist.map(point => ({
-                        timestamp: point[0], // Unix timestamp in milliseconds
-                        value: point[1] ? parseFloat(point[1].toFixed(2)) : 0 // Request rate in hits/s
-                    }));
-                    
-                    console.log(`  ✅ ${endpoint}: ${rateTimeSeriesData[endpoint].length} rate data points`);
-                } else {
-                    rateTimeSeriesData[endpoint] = [];
-                }
-            } else {
-                rateTimeSeriesData[endpoint] = [];
-            }
-            
-            // Delay to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 200));
-            
-        } catch (error) {
-            console.error(`  ❌ Error fetching rate for ${endpoint}:`, error.message);
-            rateTimeSeriesData[endpoint] = [];
-        }
+/**
+ * [{ timestamp (ms), value }] of the first series of a response, without empty points
+ */
+function seriesPoints(data, toValue = value => value) {
+    return (data?.series?.[0]?.pointlist || [])
+        .filter(point => point[1] !== null && point[1] !== undefined)
+        .map(point => ({ timestamp: point[0], value: toValue(point[1]) }));
+}
+
+/**
+ * Every series of a grouped response added up per timestamp
+ */
+function summedSeries(data) {
+    const byTimestamp = new Map();
+    (data?.series || []).forEach(series => {
+        (series.pointlist || []).forEach(([timestamp, value]) => {
+            byTimestamp.set(timestamp, (byTimestamp.get(timestamp) || 0) + (value || 0));
+        });
+    });
+    return [...byTimestamp.entries()].sort((a, b) => a[0] - b[0]).map(([timestamp, value]) => ({ timestamp, value }));
+}
+
+function displayLoadSteps(loadSteps, timeZone) {
+    if (!loadSteps || loadSteps.steps.length === 0) {
+        console.log('📶 Load steps: no request rate to segment\n');
+        return;
     }
-    
-    return rateTimeSeriesData;
+
+    const time = timestamp => formatInTimeZone(timestamp, timeZone, { hour: '2-digit', minute: '2-digit', hour12: false });
+    const ms = value => value !== null ? `${value.toFixed(1)} ms` : 'N/A';
+    console.log(`📶 Load steps: ${loadSteps.steps.length} detected`);
+    loadSteps.steps.forEach(step => {
+        console.log(`  ${step.step}. ${time(step.start)} - ${time(step.end)}  ${step.achievedRps.toFixed(2)} req/s  ` +
+            `p95 ${ms(step.p95Ms)}  p99 ${ms(step.p99Ms)}  errors ${step.errorRate !== null ? step.errorRate.toFixed(2) : '0.00'}%`);
+    });
+    console.log();
 }
 
-// Run if executed directly
-async function main() {
-    try {
-        // Fetch endpoint metrics
-        await fetchEndpointMetricsTable();
-        
-        // Automatically fetch container metrics
+function displayCapacity(capacity) {
+    const rps = value => `${value.toFixed(2)} req/s`;
+    const describe = entry => [
+        entry.knee ? `knee at ${rps(entry.knee.rps)} (p95 ${entry.knee.latencyMs.toFixed(0)} ms)` : 'no knee',
+        entry.maxSustainableRps !== null ? `max ${rps(entry.maxSustainableRps)} under ${entry.sloMs} ms` :
+            entry.sloMs !== null ? `under ${entry.sloMs} ms past ${EXTRAPOLATION_LIMIT}x the peak` : 'no SLO',
+        entry.headroomPct !== null ? `headroom ${entry.headroomPct.toFixed(0)}%` : null
+    ].filter(Boolean).join(', ');
+
+    if (!capacity.service) {
+        console.log('📉 Capacity: not enough variation in load to fit latency against throughput\n');
+        return;
+    }
+    console.log(`📉 Capacity: ${describe(capacity.service)} (peak ${rps(capacity.service.peakRps)})`);
+    Object.entries(capacity.endpoints).forEach(([endpoint, entry]) => {
+        console.log(`  ${endpoint}: ${describe(entry)}`);
+    });
+    console.log();
+}
+
+/**
+ * Fetch everything a report needs for one service: the endpoint table, then
+ * container, error, dependency and runtime metrics in the same process. Their failures
+ * are returned as warnings, as the report can be built without them.
+ *
+ * @param {object} options - as fetchEndpointMetricsTable, plus:
+ * @param {boolean} [options.container] - also fetch container metrics (default: true)
+ * @param {boolean} [options.errors] - also fetch error metrics (default: true)
+ * @param {boolean} [options.dependencies] - also fetch the downstream dependency breakdown (default: true)
+ * @param {boolean} [options.runtime] - also fetch runtime metrics (event loop, GC, heap; default: true)
+ * @param {number} [options.maxLogs] - most error logs to download (default: DD_LOGS_MAX or 10000)
+ * @returns {Promise<{ endpoint, container, errors, dependencies, runtime, warnings: string[] }>}
+ */
+export async function fetchServiceMetrics({ service, from, to = null, environment = 'staging', framework = null, tz = null, topEndpoints = null, topBy = 'traffic', columns = null, container = true, errors = true, dependencies = true, runtime = true, maxLogs = null }) {
+    const endpoint = await fetchEndpointMetricsTable({ service, from, to, environment, framework, tz, topEndpoints, topBy, columns });
+    const { from_unix: fromUnix, to_unix: toUnix, timeZone } = endpoint.timeRange;
+    const result = { endpoint, container: null, errors: null, dependencies: null, runtime: null, warnings: [] };
+
+    if (container) {
         console.log('\n📦 Fetching container metrics...');
         try {
-            const containerCmd = `node src/fetchers/fetch-container-metrics.js --from "${TIME_FROM_ORIGINAL}" --to "${TIME_TO_ORIGINAL}" --service "${SERVICE_NAME}"`;
-            execSync(containerCmd, { stdio: 'inherit' });
+            result.container = await fetchContainerMetrics({ service, environment, framework, from: fromUnix, to: toUnix, tz: timeZone });
         } catch (error) {
             console.warn('⚠️  Warning: Could not fetch container metrics:', error.message);
+            result.warnings.push(`Container metrics: ${error.message}`);
         }
-        
-        // Automatically fetch error metrics
+    }
+
+    if (errors) {
         console.log('\n⚠️  Fetching error metrics...');
         try {
-            const errorCmd = `node src/fetchers/fetch-error-metrics.js --from "${TIME_FROM_ORIGINAL}" --to "${TIME_TO_ORIGINAL}" --service "${SERVICE_NAME}"`;
-            execSync(errorCmd, { stdio: 'inherit' });
+            result.errors = await fetchErrorMetrics({ service, environment, framework, from: fromUnix, to: toUnix, tz: timeZone, maxLogs });
         } catch (error) {
             console.warn('⚠️  Warning: Could not fetch error metrics:', error.message);
+            result.warnings.push(`Error metrics: ${error.message}`);
+        }
+    }
+
+    if (dependencies) {
+        console.log('\n🔗 Fetching dependency metrics...');
+        try {
+            result.dependencies = await fetchDependencyMetrics({ service, environment, framework, from: fromUnix, to: toUnix, tz: timeZone });
+        } catch (error) {
+            console.warn('⚠️  Warning: Could not fetch dependency metrics:', error.message);
+            result.warnings.push(`Dependency metrics: ${error.message}`);
+        }
+    }
+
+    if (runtime) {
+        console.log('\n⚙️  Fetching runtime metrics...');
+        try {
+            result.runtime = await fetchRuntimeMetrics({ service, environment, framework, from: fromUnix, to: toUnix, tz: timeZone });
+        } catch (error) {
+            console.warn('⚠️  Warning: Could not fetch runtime metrics:', error.message);
+            result.warnings.push(`Runtime metrics: ${error.message}`);
         }
-        
-        console.log('\n✅ All metrics fetched successfully!');
-        console.log('📝 Next step: Run "node confluence-uploader.js" to generate and upload the report');
-        
-    } catch (error) {
-        console.error('❌ Error:', error.message);
-        process.exit(1);
     }
+
+    return result;
 }
 
-main();
+/**
+ * Parse CLI arguments: either --service/--env/--framework/--from/--to or the
+ * combined format "Jan 9, 3:00 pm – Jan 9, 3:31 pm, stardust-task-service"
+ */
+function parseArgs(args) {
+    const options = { service: '', environment: 'staging', framework: null, from: '', to: '', tz: null, maxLogs: null, topEndpoints: null, topBy: 'traffic', columns: null };
 
-export { fetchEndpointMetricsTable };
+    // Check if first argument is a combined format: "Jan 9, 3:00 pm – Jan 9, 3:31 pm, service-name"
+    if (args.length > 0 && !args[0].startsWith('--')) {
+        // Split by comma to separate date range and service
+        const parts = args[0].split(',').map(p => p.trim());
+
+        if (parts.length >= 2) {
+            // Extract service name (last part)
+            options.service = parts[parts.length - 1];
+
+            // Join everything before the service name to handle commas in dates
+            const dateRange = parts.slice(0, -1).join(',').trim();
+
+            // Split by dash/en-dash to get from and to dates
+            const dateParts = dateRange.split(/\s*[–-]\s*/);
+
+            if (dateParts.length === 2) {
+                options.from = dateParts[0].trim();
+                options.to = dateParts[1].trim();
+            }
+        }
+    } else {
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '--service' && args[i + 1]) {
+                options.service = args[++i];
+            } else if (args[i] === '--env' && args[i + 1]) {
+                options.environment = args[++i];
+            } else if (args[i] === '--framework' && args[i + 1]) {
+                options.framework = args[++i];
+            } else if (args[i] === '--from' && args[i + 1]) {
+                options.from = args[++i];
+            } else if (args[i] === '--to' && args[i + 1]) {
+                options.to = args[++i];
+            } else if (args[i] === '--tz' && args[i + 1]) {
+                options.tz = args[++i];
+            } else if (args[i] === '--max-logs' && args[i + 1]) {
+                options.maxLogs = args[++i];
+            } else if (args[i] === '--top-endpoints' && args[i + 1]) {
+                options.topEndpoints = args[++i];
+            } else if (args[i] === '--top-by' && args[i + 1]) {
+                options.topBy = args[++i];
+            } else if (args[i] === '--columns' && args[i + 1]) {
+                options.columns = args[++i];
+            }
+        }
+    }
+
+    return options;
+}
+
+// CLI Support
+// Usage: node fetchdatadogmetrics.js "Jan 9, 3:00 pm – Jan 9, 3:31 pm, stardust-task-service"
+//    or: node fetchdatadogmetrics.js --service <name> --from "Jan 9, 3:00 pm" --to "Jan 9, 3:31 pm" [--tz America/Los_Angeles] [--env staging] [--framework express] [--max-logs 10000] [--top-endpoints 10 --top-by traffic|latency] [--columns requests,p50,p95,p99,tail] [--record]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const options = parseArgs(args);
+
+    // --record saves every Datadog response to fixtures
+    if (args.includes('--record')) {
+        process.env.DD_RECORD_FIXTURES = '1';
+    }
+
+    try {
+        resolveService(options.service, { framework: options.framework, environment: options.environment });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    fetchServiceMetrics(options)
+        .then(() => {
+            logApiCallSummary();
+            console.log('\n✅ All metrics fetched successfully!');
+            console.log('📝 Next step: Run "node confluence-uploader.js" to generate and upload the report');
+        })
+        .catch(error => {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        });
+}
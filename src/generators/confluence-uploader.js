@@ -1,23 +1,21 @@
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import ConfluenceReportGenerator from '../scripts/confluenceReportGenerator.js';
+import { resolveService } from '../utils/service-registry.js';
+import { resolveColumns } from '../utils/endpoint-columns.js';
+import { findLatestMetricsFile, generateInteractiveReport } from './generate-full-interactive-report.js';
 
 // Load environment variables
 dotenv.config();
 
 /**
- * Get dashboard URL for a service
+ * Get dashboard URL for a service (dashboard ID from config/services.json)
  */
-function getDashboardUrl(serviceName, timeRange = null) {
-    let baseUrl;
-
-    if (serviceName === 'operator-agent-service' || serviceName === 'order-service') {
-        baseUrl = `https://endpointclosing.datadoghq.com/dashboard/6w9-8tv-qj4?fromUser=false&graphType=service_map&historicalData=true&index=&refresh_mode=paused&shouldShowLegend=true&spanViewType=errors&tpl_var_apm-service%5B0%5D=${serviceName}&tpl_var_env%5B0%5D=staging&tpl_var_service%5B0%5D=${serviceName}&traceQuery=`;
-    } else {
-        baseUrl = `https://endpointclosing.datadoghq.com/dashboard/9tc-enb-57g?fromUser=false&graphType=service_map&historicalData=true&index=&refresh_mode=paused&shouldShowLegend=true&spanViewType=errors&tpl_var_apm-service%5B0%5D=${serviceName}&tpl_var_env%5B0%5D=staging&tpl_var_service%5B0%5D=${serviceName}&traceQuery=`;
-    }
+function getDashboardUrl(serviceName, timeRange = null, environment = 'staging') {
+    const { appUrl, dashboardId } = resolveService(serviceName, { environment });
+    const baseUrl = `${appUrl}/dashboard/${dashboardId}?fromUser=false&graphType=service_map&historicalData=true&index=&refresh_mode=paused&shouldShowLegend=true&spanViewType=errors&tpl_var_apm-service%5B0%5D=${serviceName}&tpl_var_env%5B0%5D=${environment}&tpl_var_service%5B0%5D=${serviceName}&traceQuery=`;
 
     // Add time range parameters if provided
     if (timeRange && timeRange.from && timeRange.to) {
@@ -31,198 +29,241 @@ function getDashboardUrl(serviceName, timeRange = null) {
     return baseUrl;
 }
 
-console.log('🚀 Universal Confluence Report Uploader\n');
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-let inputFile = null;
-let customTitle = null;
-
-// Check for command line arguments
-for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--input' && args[i + 1]) {
-        inputFile = args[i + 1];
-        i++;
-    } else if (args[i] === '--title' && args[i + 1]) {
-        customTitle = args[i + 1];
-        i++;
-    } else if (args[i] === '--help') {
-        console.log(`Usage: node confluence-uploader.js [options]
-        
-Options:
-  --input <file>    Specify input JSON file (optional - will auto-detect latest)
-  --title <title>   Custom report title (optional - will auto-generate)
-  --help           Show this help message
+/**
+ * Generate the Confluence report for a service's metrics and upload it, with the
+ * interactive HTML report attached. With dryRun, save a local preview instead and
+ * return the planned Confluence operations.
+ *
+ * @param {object} options
+ * @param {string} [options.inputFile] - *_endpoint_metrics_table.json (default: the latest one)
+ * @param {string} [options.title] - page title (default: generated from service and time range)
+ * @param {string} [options.parentId] - parent page (default: CONFLUENCE_PARENT_FOLDER_ID)
+ * @param {boolean} [options.dryRun]
+ * @param {string|string[]} [options.columns] - endpoint table columns (see src/utils/endpoint-columns.js; default: REPORT_COLUMNS or all)
+ * @returns {Promise<{ title, service, inputFile, page, previewPath, plan, interactiveReport, attached }>}
+ */
+export async function publishConfluenceReport({ inputFile = null, title = null, parentId = null, dryRun = false, columns = null } = {}) {
+    const result = { title, service: null, inputFile, page: null, previewPath: null, plan: null, interactiveReport: null, attached: false };
 
-Examples:
-  node confluence-uploader.js
-  node confluence-uploader.js --input "reports/stardust-task-service_endpoint_metrics_table.json"
-  node confluence-uploader.js --title "Custom Performance Report"
-`);
-        process.exit(0);
-    }
-}
+    // Auto-detect latest metrics file if not specified
+    if (!inputFile) {
+        console.log('🔍 Auto-detecting latest metrics file...');
+        inputFile = findLatestMetricsFile();
 
-async function uploadReport() {
-    try {
-        // Auto-detect latest metrics file if not specified
         if (!inputFile) {
-            console.log('🔍 Auto-detecting latest metrics file...');
-            const reportsDir = 'reports';
-            const files = fs.readdirSync(reportsDir)
-                .filter(file => file.endsWith('_endpoint_metrics_table.json'))
-                .map(file => ({
-                    name: file,
-                    path: path.join(reportsDir, file),
-                    stats: fs.statSync(path.join(reportsDir, file))
-                }))
-                .sort((a, b) => b.stats.mtime - a.stats.mtime);
-
-            if (files.length === 0) {
-                throw new Error('No metrics files found in reports directory');
-            }
-
-            inputFile = files[0].path;
-            console.log(`✅ Found latest file: ${files[0].name}`);
+            throw new Error('No metrics files found in reports directory');
         }
 
-        // Load the metrics data
-        console.log('📊 Loading metrics data...');
-        if (!fs.existsSync(inputFile)) {
-            throw new Error(`Input file not found: ${inputFile}`);
-        }
-
-        const data = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
-
-        // Load MCP tools data if available (for operator-agent-service)
-        let mcpToolsData = null;
-        if (data.service === 'operator-agent-service') {
-            const mcpToolsFile = `./reports/${data.service}_mcp_tools.json`;
-            if (fs.existsSync(mcpToolsFile)) {
-                console.log('🔧 Loading MCP tools data...');
-                mcpToolsData = JSON.parse(fs.readFileSync(mcpToolsFile, 'utf8'));
-                console.log(`✅ Loaded MCP tools data: ${mcpToolsData.totalSlowTools} slow tools found`);
-            } else {
-                console.log('ℹ️ No MCP tools data found');
-            }
-        }
+        result.inputFile = inputFile;
+        console.log(`✅ Found latest file: ${path.basename(inputFile)}`);
+    }
 
-        // Add MCP tools data to main data object
-        if (mcpToolsData) {
-            data.mcpToolsData = mcpToolsData;
-        }
+    // Load the metrics data
+    console.log('📊 Loading metrics data...');
+    if (!fs.existsSync(inputFile)) {
+        throw new Error(`Input file not found: ${inputFile}`);
+    }
 
-        // Add load pattern configuration from environment variables
-        data.loadPattern = {
-            step1: { rate: process.env.LOAD_STEP_1_RATE || '1', duration: process.env.LOAD_STEP_1_DURATION || '6' },
-            step2: { rate: process.env.LOAD_STEP_2_RATE || '2', duration: process.env.LOAD_STEP_2_DURATION || '6' },
-            step3: { rate: process.env.LOAD_STEP_3_RATE || '5', duration: process.env.LOAD_STEP_3_DURATION || '6' }
-        };
-
-        console.log(`✅ Loaded data for service: ${data.service}`);
-        console.log(`📅 Time range: ${data.timeRange.from} to ${data.timeRange.to}`);
-
-        // Try to load corresponding error metrics file
-        let errorMetrics = null;
-        const errorMetricsFile = inputFile.replace('_endpoint_metrics_table.json', '_error_metrics.json');
-        if (fs.existsSync(errorMetricsFile)) {
-            console.log('📊 Loading error metrics data...');
-            errorMetrics = JSON.parse(fs.readFileSync(errorMetricsFile, 'utf8'));
-            data.errorMetrics = errorMetrics;
-            console.log(`✅ Loaded error metrics: ${errorMetrics.logSummary.totalLogErrors} log errors, ${errorMetrics.oomSummary.totalOOMEvents} OOM events`);
+    const data = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+    result.service = data.service;
+
+    // Load MCP tools data if available (for operator-agent-service)
+    let mcpToolsData = null;
+    if (data.service === 'operator-agent-service') {
+        const mcpToolsFile = `./reports/${data.service}_mcp_tools.json`;
+        if (fs.existsSync(mcpToolsFile)) {
+            console.log('🔧 Loading MCP tools data...');
+            mcpToolsData = JSON.parse(fs.readFileSync(mcpToolsFile, 'utf8'));
+            console.log(`✅ Loaded MCP tools data: ${mcpToolsData.totalSlowTools} slow tools found`);
         } else {
-            console.log('ℹ️  No error metrics file found - skipping error analysis');
+            console.log('ℹ️ No MCP tools data found');
         }
+    }
 
-        // Try to load corresponding container metrics file
-        let containerMetrics = null;
-        const containerMetricsFile = inputFile.replace('_endpoint_metrics_table.json', '_container_metrics.json');
-        if (fs.existsSync(containerMetricsFile)) {
-            console.log('📊 Loading container metrics data...');
-            containerMetrics = JSON.parse(fs.readFileSync(containerMetricsFile, 'utf8'));
-            data.podMetrics = containerMetrics;
-            console.log(`✅ Loaded container metrics for ${containerMetrics.summary.totalPods} pods`);
-        } else {
-            console.log('ℹ️  No container metrics file found - skipping resource analysis');
-        }
+    // Add MCP tools data to main data object
+    if (mcpToolsData) {
+        data.mcpToolsData = mcpToolsData;
+    }
 
-        // Generate title if not provided
-        if (!customTitle) {
-            // Convert service name to title case
-            const serviceName = data.service
-                .split('-')
-                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                .join(' ');
-
-            // Add date and time suffix to ensure uniqueness - each report preserved separately
-            const testDateTime = new Date(data.timeRange.from);
-            const dateString = testDateTime.toLocaleDateString('en-US', {
-                month: 'short',
-                day: 'numeric',
-                year: 'numeric'
-            });
-            const timeString = testDateTime.toLocaleTimeString('en-US', {
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
-            customTitle = `${serviceName} Performance Report - ${dateString} ${timeString}`;
-        }
+    // Endpoint table columns to display
+    data.tableColumns = resolveColumns(columns);
+
+    console.log(`✅ Loaded data for service: ${data.service}`);
+    console.log(`📅 Time range: ${data.timeRange.from} to ${data.timeRange.to}`);
+
+    // Try to load corresponding error metrics file
+    let errorMetrics = null;
+    const errorMetricsFile = inputFile.replace('_endpoint_metrics_table.json', '_error_metrics.json');
+    if (fs.existsSync(errorMetricsFile)) {
+        console.log('📊 Loading error metrics data...');
+        errorMetrics = JSON.parse(fs.readFileSync(errorMetricsFile, 'utf8'));
+        data.errorMetrics = errorMetrics;
+        console.log(`✅ Loaded error metrics: ${errorMetrics.logSummary.totalLogErrors}${errorMetrics.logSummary.countExact === false ? '+' : ''} log errors, ${errorMetrics.oomSummary.totalOOMEvents} OOM events`);
+    } else {
+        console.log('ℹ️  No error metrics file found - skipping error analysis');
+    }
+
+    // Try to load corresponding container metrics file
+    let containerMetrics = null;
+    const containerMetricsFile = inputFile.replace('_endpoint_metrics_table.json', '_container_metrics.json');
+    if (fs.existsSync(containerMetricsFile)) {
+        console.log('📊 Loading container metrics data...');
+        containerMetrics = JSON.parse(fs.readFileSync(containerMetricsFile, 'utf8'));
+        data.podMetrics = containerMetrics;
+        console.log(`✅ Loaded container metrics for ${containerMetrics.podMetrics.length} pods`);
+    } else {
+        console.log('ℹ️  No container metrics file found - skipping resource analysis');
+    }
+
+    // Try to load corresponding dependency metrics file
+    const dependencyMetricsFile = inputFile.replace('_endpoint_metrics_table.json', '_dependency_metrics.json');
+    if (fs.existsSync(dependencyMetricsFile)) {
+        console.log('📊 Loading dependency metrics data...');
+        data.dependencyMetrics = JSON.parse(fs.readFileSync(dependencyMetricsFile, 'utf8'));
+        console.log(`✅ Loaded dependency metrics: ${data.dependencyMetrics.dependencies.length} dependencies`);
+    } else {
+        console.log('ℹ️  No dependency metrics file found - skipping dependency breakdown');
+    }
+
+    // Try to load corresponding runtime metrics file
+    const runtimeMetricsFile = inputFile.replace('_endpoint_metrics_table.json', '_runtime_metrics.json');
+    if (fs.existsSync(runtimeMetricsFile)) {
+        console.log('📊 Loading runtime metrics data...');
+        data.runtimeMetrics = JSON.parse(fs.readFileSync(runtimeMetricsFile, 'utf8'));
+        console.log(`✅ Loaded ${data.runtimeMetrics.runtime} runtime metrics for ${data.runtimeMetrics.pods.length} pods`);
+    } else {
+        console.log('ℹ️  No runtime metrics file found - skipping runtime health');
+    }
 
-        console.log(`📋 Report title: ${customTitle}`);
+    // Create generator
+    console.log('🔧 Initializing Confluence generator...');
+    const generator = new ConfluenceReportGenerator();
 
-        // Get dashboard URL for the service
-        const dashboardUrl = getDashboardUrl(data.service, data.timeRange);
-        console.log(`🔗 Dashboard URL: ${dashboardUrl}`);
+    // Generate title if not provided - date and time suffix keeps each report on its own page
+    if (!title) {
+        title = generator.generateReportTitle(data);
+    }
+    result.title = title;
 
-        // Create generator
-        console.log('🔧 Initializing Confluence generator...');
-        const generator = new ConfluenceReportGenerator();
+    console.log(`📋 Report title: ${title}`);
 
-        // Generate report content
-        console.log('📝 Generating report content...');
-        const content = generator.generateStorageFormat(data, 'detailed', customTitle, errorMetrics, containerMetrics, dashboardUrl);
-        console.log('✅ Report content generated successfully');
+    // Get dashboard URL for the service
+    const dashboardUrl = getDashboardUrl(data.service, data.timeRange, data.environment);
+    console.log(`🔗 Dashboard URL: ${dashboardUrl}`);
 
+    // Generate report content
+    console.log('📝 Generating report content...');
+    const content = generator.generateStorageFormat(data, 'detailed', title, errorMetrics, containerMetrics, dashboardUrl);
+    console.log('✅ Report content generated successfully');
+
+    if (dryRun) {
+        // Preview the storage format locally instead of uploading
+        result.previewPath = `./reports/preview/${title.replace(/[^a-zA-Z0-9]+/g, '-')}.html`;
+        await generator.saveReport(content, result.previewPath, 'html');
+    } else {
         // Upload to Confluence
         console.log('🌐 Uploading to Confluence...');
-        await generator.uploadToConfluence(content, customTitle);
-
-        // Generate and upload interactive HTML report as attachment
-        console.log('📎 Generating interactive HTML report...');
-        try {
-            execSync('node src/generators/generate-full-interactive-report.js', { stdio: 'inherit' });
-        } catch (error) {
-            console.warn('⚠️  Could not generate interactive HTML report');
+        result.page = await generator.uploadToConfluence(content, title, null, parentId);
+        if (!result.page) {
+            throw new Error(`Confluence upload failed for "${title}"`);
         }
+    }
 
-        // Create a copy of the service-specific report as "complete-interactive-report.html" for download
-        const serviceName = data.service || 'report';
-        const timestamp = new Date().toISOString().split('T')[0];
-        const serviceSpecificPath = `./html-reports/${serviceName}-report-${timestamp}.html`;
-        const genericPath = './complete-interactive-report.html';
+    // Generate the interactive HTML report to attach
+    console.log('📎 Generating interactive HTML report...');
+    try {
+        result.interactiveReport = generateInteractiveReport({ inputFile, columns }).path;
+    } catch (error) {
+        console.warn(`⚠️  Could not generate interactive HTML report: ${error.message}`);
+    }
 
-        if (fs.existsSync(serviceSpecificPath)) {
-            // Copy service-specific file to generic name for Confluence download
-            fs.copyFileSync(serviceSpecificPath, genericPath);
-            console.log(`📎 Uploading interactive HTML report as attachment: complete-interactive-report.html`);
-            await generator.uploadAttachment(customTitle, genericPath, 'Interactive Performance Report with full Chart.js visualizations');
+    if (dryRun) {
+        console.log('\n🔍 DRY RUN - planned Confluence operations (not performed):');
+        result.plan = await generator.planUpload(title, null, parentId);
+        generator.printUploadPlan(result.plan);
+        if (result.interactiveReport) {
+            console.log(`   • ATTACH ${result.interactiveReport} as complete-interactive-report.html`);
+        }
+        return result;
+    }
+
+    if (result.interactiveReport) {
+        // Copy service-specific file to generic name for Confluence download
+        const genericPath = './complete-interactive-report.html';
+        fs.copyFileSync(result.interactiveReport, genericPath);
+        console.log(`📎 Uploading interactive HTML report as attachment: complete-interactive-report.html`);
+        result.attached = await generator.uploadAttachment(title, genericPath, 'Interactive Performance Report with full Chart.js visualizations');
+        if (result.attached) {
             console.log('✅ Interactive report attached successfully');
-        } else {
-            console.log(`⚠️  Interactive HTML report not found at: ${serviceSpecificPath}`);
         }
+    }
 
-        console.log('\n🎉 Report uploaded successfully to Confluence!');
-        console.log('🔗 Check your Confluence space for the report.');
+    console.log('\n🎉 Report uploaded successfully to Confluence!');
+    return result;
+}
 
-    } catch (error) {
-        console.error('❌ Error uploading report:', error.message);
-        if (error.response) {
-            console.error('Response status:', error.response.status);
-            console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+// CLI Support
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    console.log('🚀 Universal Confluence Report Uploader\n');
+
+    // Parse command line arguments
+    const args = process.argv.slice(2);
+    let inputFile = null;
+    let customTitle = null;
+    let parentId = null;
+    let dryRun = false;
+    let columns = null;
+
+    // Check for command line arguments
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--input' && args[i + 1]) {
+            inputFile = args[i + 1];
+            i++;
+        } else if (args[i] === '--title' && args[i + 1]) {
+            customTitle = args[i + 1];
+            i++;
+        } else if (args[i] === '--parent-id' && args[i + 1]) {
+            parentId = args[i + 1];
+            i++;
+        } else if (args[i] === '--columns' && args[i + 1]) {
+            columns = args[i + 1];
+            i++;
+        } else if (args[i] === '--dry-run') {
+            dryRun = true;
+        } else if (args[i] === '--help') {
+            console.log(`Usage: node confluence-uploader.js [options]
+    
+Options:
+  --input <file>    Specify input JSON file (optional - will auto-detect latest)
+  --title <title>   Custom report title (optional - will auto-generate)
+  --parent-id <id>  Create the page under this Confluence page (optional - defaults to CONFLUENCE_PARENT_FOLDER_ID)
+  --columns <list>  Endpoint table columns, e.g. requests,p50,p95,p99,tail (default: REPORT_COLUMNS or all:
+                    requests,p50,p75,p90,p95,p99,avg,max,tail,rate,errors,error_rate,2xx,3xx,4xx,429,5xx)
+  --dry-run         Save a local preview and print the planned Confluence operations without uploading
+  --help           Show this help message
+
+Examples:
+  node confluence-uploader.js
+  node confluence-uploader.js --input "reports/stardust-task-service_endpoint_metrics_table.json"
+  node confluence-uploader.js --title "Custom Performance Report"
+  node confluence-uploader.js --input "reports/stardust-task-service_endpoint_metrics_table.json" --dry-run
+`);
+            process.exit(0);
         }
-        process.exit(1);
     }
-}
 
-uploadReport();
\ No newline at end of file
+    publishConfluenceReport({ inputFile, title: customTitle, parentId, dryRun, columns })
+        .then(() => {
+            if (!dryRun) {
+                console.log('🔗 Check your Confluence space for the report.');
+            }
+        })
+        .catch(error => {
+            console.error('❌ Error uploading report:', error.message);
+            if (error.response) {
+                console.error('Response status:', error.response.status);
+                console.error('Response data:', JSON.stringify(error.response.data, null, 2));
+            }
+            process.exit(1);
+        });
+}
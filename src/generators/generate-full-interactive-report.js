@@ -1,543 +1,1042 @@
+import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatInTimeZone } from '../utils/time-range.js';
+import { ENDPOINT_COLUMNS, resolveColumns } from '../utils/endpoint-columns.js';
+import { compareWithPlan, plannedSteps } from '../analysis/load-steps.js';
+import { alignSeries, predictLatency } from '../analysis/capacity.js';
 
-console.log('📊 Generating Full Interactive HTML Report...\n');
-
-// Auto-detect latest metrics file
-console.log('🔍 Auto-detecting latest metrics file...');
-const reportsDir = 'reports';
-const files = fs.readdirSync(reportsDir)
-    .filter(file => file.endsWith('_endpoint_metrics_table.json'))
-    .map(file => ({
-        name: file,
-        path: path.join(reportsDir, file),
-        stats: fs.statSync(path.join(reportsDir, file))
-    }))
-    .sort((a, b) => b.stats.mtime - a.stats.mtime);
-
-if (files.length === 0) {
-    console.error('❌ No metrics files found in reports directory');
-    process.exit(1);
+dotenv.config();
+
+const colors = ['#632CA6', '#F84D8C', '#19A974', '#E8871E', '#3D4EB8', '#C93854', '#137CBD', '#00BF87', '#DB3737', '#8F398F'];
+
+// Format date to "Jan 13, 1:25 pm" format, in the test's time zone
+function formatDateTime(dateStr, timeZone) {
+    return formatInTimeZone(dateStr, timeZone, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })
+        .replace(/\s(AM|PM)$/, (match, meridiem) => ' ' + meridiem.toLowerCase());
 }
 
-const metricsFile = files[0].path;
-console.log(`✅ Found latest file: ${files[0].name}\n`);
+/**
+ * Find the most recently written *_endpoint_metrics_table.json in a reports directory
+ */
+export function findLatestMetricsFile(reportsDir = 'reports') {
+    const files = fs.readdirSync(reportsDir)
+        .filter(file => file.endsWith('_endpoint_metrics_table.json'))
+        .map(file => ({
+            name: file,
+            path: path.join(reportsDir, file),
+            stats: fs.statSync(path.join(reportsDir, file))
+        }))
+        .sort((a, b) => b.stats.mtime - a.stats.mtime);
 
-// Load the metrics data
-const data = JSON.parse(fs.readFileSync(metricsFile, 'utf8'));
+    return files.length > 0 ? files[0].path : null;
+}
 
-const colors = ['#632CA6', '#F84D8C', '#19A974', '#E8871E', '#3D4EB8', '#C93854', '#137CBD', '#00BF87', '#DB3737', '#8F398F'];
+/**
+ * Build the interactive HTML report (Chart.js) for endpoint metrics data
+ */
+/**
+ * Endpoint summary table with the selected columns (data.tableColumns, else REPORT_COLUMNS, else all)
+ */
+function buildSummaryTable(data) {
+    const columns = resolveColumns(data.tableColumns).map(name => ENDPOINT_COLUMNS[name]);
+    const header = columns.map(({ label }) => `<th>${label}</th>`).join('');
+    const rows = data.metrics.map(metric => `<tr><td>${metric.resource_name}</td>${
+        columns.map(({ field }) => `<td>${metric[field] ?? 'N/A'}</td>`).join('')}</tr>`).join('');
+    return `<table class="summary-table"><thead><tr><th>Endpoint</th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
 
-// Format date to "Jan 13, 1:25 pm" format
-function formatDateTime(dateStr) {
-    const date = new Date(dateStr);
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const month = months[date.getMonth()];
-    const day = date.getDate();
-    let hours = date.getHours();
-    const minutes = date.getMinutes();
-    const ampm = hours >= 12 ? 'pm' : 'am';
-    hours = hours % 12 || 12;
-    const minutesStr = minutes < 10 ? '0' + minutes : minutes;
-
-    return `${month} ${day}, ${hours}:${minutesStr} ${ampm}`;
+// Query resources are raw SQL / commands, so they are escaped before going into the page
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
 }
 
-// Generate HTML content
-let htmlContent = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${data.service} - Interactive Performance Report</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js@3.9.1/dist/chart.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@2.0.0/dist/chartjs-adapter-date-fns.bundle.min.js"></script>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-            background: #f5f6f7;
-            padding: 20px;
-            color: #172B4D;
-        }
-        .container { max-width: 1400px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
-        .header { 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 30px;
-            border-radius: 8px 8px 0 0;
-        }
-        .header h1 { font-size: 28px; margin-bottom: 10px; }
-        .header p { opacity: 0.9; font-size: 14px; }
-        .content { padding: 30px; }
-        .section { margin-bottom: 40px; }
-        .section h2 { 
-            font-size: 20px; 
-            margin-bottom: 20px;
-            padding-bottom: 10px;
-            border-bottom: 2px solid #E8E8E8;
-            color: #172B4D;
-        }
-        .chart-container { 
-            position: relative; 
-            height: 400px;
-            margin-bottom: 30px;
-            background: #fafbfc;
-            padding: 20px;
-            border-radius: 6px;
-            border: 1px solid #e8e8e8;
-        }
-        .endpoint-section {
-            margin-bottom: 30px;
-            border: 1px solid #e8e8e8;
-            border-radius: 6px;
-            overflow: hidden;
-        }
-        .endpoint-header {
-            background: #f4f5f7;
-            padding: 15px 20px;
-            cursor: pointer;
-            user-select: none;
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            transition: background 0.2s;
-        }
-        .endpoint-header:hover { background: #ebecf0; }
-        .endpoint-header h3 { font-size: 16px; color: #172B4D; }
-        .endpoint-stats {
-            display: flex;
-            gap: 20px;
-            font-size: 13px;
-            color: #5E6C84;
-        }
-        .endpoint-stats span { font-weight: 600; color: #172B4D; }
-        .endpoint-content {
-            padding: 20px;
-            display: none;
-        }
-        .endpoint-content.active { display: block; }
-        .stats-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 15px;
-            margin-bottom: 20px;
-        }
-        .stat-card {
-            background: #f4f5f7;
-            padding: 15px;
-            border-radius: 6px;
-            border-left: 3px solid #0052CC;
-        }
-        .stat-card label { 
-            display: block;
-            font-size: 12px;
-            color: #5E6C84;
-            margin-bottom: 5px;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
-        }
-        .stat-card value { 
-            display: block;
-            font-size: 20px;
-            font-weight: 600;
-            color: #172B4D;
-        }
-        .chart-row {
-            display: grid;
-            grid-template-columns: 1fr 1fr;
-            gap: 20px;
-            margin-top: 20px;
-        }
-        .chart-box {
-            position: relative;
-            height: 300px;
-            background: #fafbfc;
-            padding: 15px;
-            border-radius: 6px;
-            border: 1px solid #e8e8e8;
-        }
-        .chart-title {
-            font-size: 14px;
-            font-weight: 600;
-            color: #172B4D;
-            margin-bottom: 10px;
-        }
-        .toggle-icon {
-            font-size: 20px;
-            transition: transform 0.3s;
-        }
-        .toggle-icon.active { transform: rotate(180deg); }
-        @media (max-width: 768px) {
-            .chart-row { grid-template-columns: 1fr; }
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🚀 ${data.service} - Performance Report</h1>
-            <p>📅 ${formatDateTime(data.timeRange.from)} – ${formatDateTime(data.timeRange.to)}</p>
-            <p>🌐 Environment: ${data.environment.charAt(0).toUpperCase() + data.environment.slice(1)}</p>
-        </div>
+/**
+ * Detected load steps against the planned ones (LOAD_STEP_n_RATE)
+ */
+function buildLoadStepTable(loadSteps, timeZone) {
+    const time = timestamp => formatInTimeZone(timestamp, timeZone, { hour: '2-digit', minute: '2-digit', hour12: false });
+    const ms = value => value !== null ? `${value.toFixed(1)} ms` : 'N/A';
+    const rows = compareWithPlan(loadSteps.steps, plannedSteps()).map(({ step, planned, achieved, achievedPct }) => `<tr>
+        <td>${step}</td>
+        <td>${achieved ? `${time(achieved.start)} – ${time(achieved.end)}` : 'not reached'}</td>
+        <td>${planned ? `${planned.rps} req/s` : '—'}</td>
+        <td>${achieved ? `${achieved.achievedRps.toFixed(2)} req/s${achievedPct !== null ? ` (${achievedPct.toFixed(0)}%)` : ''}` : '—'}</td>
+        <td>${achieved ? ms(achieved.p95Ms) : '—'}</td>
+        <td>${achieved ? ms(achieved.p99Ms) : '—'}</td>
+        <td>${achieved ? `${(achieved.errorRate ?? 0).toFixed(2)}%` : '—'}</td>
+    </tr>`).join('');
+    return `<table class="summary-table"><thead><tr><th>Step</th><th>Time</th><th>Planned</th><th>Achieved</th>` +
+        `<th>P95 Latency</th><th>P99 Latency</th><th>Error Rate</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * (request rate, P95) of every interval of the service-level series - the samples the capacity fit was made from
+ */
+function capacitySamples(serviceMetrics = {}) {
+    const points = (metric, scale = 1) => (metric?.series?.[0]?.pointlist || [])
+        .filter(point => point[1] !== null)
+        .map(point => ({ timestamp: point[0], value: point[1] * scale }));
+    return alignSeries(points(serviceMetrics.rate_service), points(serviceMetrics.p95_service, 1000));
+}
+
+/**
+ * P95 against request rate per interval, with the fitted capacity curve, its
+ * knee, the P95 SLO and where the curve crosses it
+ */
+function buildCapacityChartScript(capacity, samples) {
+    const minRps = Math.min(...samples.map(sample => sample.rps));
+    const maxRps = Math.max(capacity.peakRps, capacity.maxSustainableRps ?? 0);
+    const curveAt = rps => ({ x: rps, y: predictLatency(capacity.fit, rps) });
+    const curve = [minRps, ...(capacity.knee && capacity.knee.rps > minRps ? [capacity.knee.rps] : []), maxRps].map(curveAt);
+    const marker = (label, point, color, pointStyle) => ({
+        type: 'scatter', label, data: [point], backgroundColor: color, borderColor: color, pointStyle, pointRadius: 9, pointHoverRadius: 11
+    });
+
+    const datasets = [
+        { type: 'scatter', label: 'P95 per interval (ms)', data: samples.map(sample => ({ x: sample.rps, y: sample.latencyMs })), backgroundColor: 'rgba(74, 144, 226, 0.5)', pointRadius: 3 },
+        { type: 'line', label: 'Fitted curve', data: curve, borderColor: '#F5A623', backgroundColor: 'transparent', borderWidth: 2, pointRadius: 0, tension: 0 }
+    ];
+    if (capacity.sloMs !== null) {
+        datasets.push({ type: 'line', label: `P95 SLO (${capacity.sloMs} ms)`, data: [{ x: 0, y: capacity.sloMs }, { x: maxRps, y: capacity.sloMs }], borderColor: '#DB3737', backgroundColor: 'transparent', borderWidth: 1, borderDash: [6, 4], pointRadius: 0 });
+    }
+    if (capacity.knee) {
+        datasets.push(marker(`Knee (${capacity.knee.rps.toFixed(2)} req/s)`, { x: capacity.knee.rps, y: capacity.knee.latencyMs }, '#8F398F', 'triangle'));
+    }
+    if (capacity.maxSustainableRps !== null) {
+        datasets.push(marker(`Max sustainable (${capacity.maxSustainableRps.toFixed(2)} req/s)`, { x: capacity.maxSustainableRps, y: capacity.sloMs }, '#DB3737', 'rectRot'));
+    }
+
+    return `
+            new Chart(document.getElementById('capacityChart').getContext('2d'), {
+                type: 'scatter',
+                data: { datasets: ${JSON.stringify(datasets)} },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: { position: 'top' } },
+                    scales: {
+                        x: { type: 'linear', beginAtZero: true, title: { display: true, text: 'Request rate (req/s)' } },
+                        y: { beginAtZero: true, title: { display: true, text: 'P95 latency (ms)' } }
+                    }
+                }
+            });
+    `;
+}
+
+/**
+ * Downstream dependency table, with the slowest query resources of each dependency under it
+ */
+function buildDependencyTable(dependencyMetrics) {
+    const rows = dependencyMetrics.dependencies.map(dependency => `<tr>
+        <td>${escapeHtml(dependency.name)} <small>(${escapeHtml(dependency.operation)})</small></td>
+        <td>${escapeHtml(dependency.type)}</td>
+        <td>${dependency.hits}</td>
+        <td>${dependency.callsPerRequest !== null ? dependency.callsPerRequest.toFixed(1) : 'N/A'}</td>
+        <td>${dependency.p95Ms.toFixed(1)} ms</td>
+        <td>${dependency.avgMs.toFixed(1)} ms</td>
+        <td>${dependency.errors > 0 ? `${dependency.errors} (${dependency.errorRate.toFixed(2)}%)` : '—'}</td>
+        <td>${dependency.timeSharePct !== null ? `${dependency.timeSharePct.toFixed(1)}%` : 'N/A'}</td>
+    </tr>`).join('');
+    const slowest = dependencyMetrics.dependencies
+        .flatMap(dependency => dependency.topResources.map(resource => `<tr>
+            <td>${escapeHtml(resource.resource)}</td><td>${escapeHtml(dependency.name)}</td><td>${resource.p95Ms.toFixed(1)} ms</td><td>${resource.hits}</td>
+        </tr>`))
+        .join('');
+
+    return `<table class="summary-table"><thead><tr><th>Dependency</th><th>Type</th><th>Hits</th><th>Calls / Request</th>` +
+        `<th>P95 Latency</th><th>Avg Latency</th><th>Errors</th><th>Time Share</th></tr></thead><tbody>${rows}</tbody></table>` +
+        (slowest ? `<h3 style="margin: 20px 0 10px;">Slowest Queries</h3><table class="summary-table"><thead><tr><th>Resource</th>` +
+            `<th>Dependency</th><th>P95 Latency</th><th>Hits</th></tr></thead><tbody>${slowest}</tbody></table>` : '');
+}
+
+/**
+ * P95 latency over time, one line per dependency
+ */
+function buildDependencyChartScript(dependencyMetrics) {
+    const datasets = dependencyMetrics.dependencies
+        .filter(dependency => dependencyMetrics.timeSeries?.[dependency.operation]?.length > 0)
+        .map((dependency, index) => ({
+            label: `${dependency.name} P95`,
+            borderColor: colors[index % colors.length],
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.3,
+            data: dependencyMetrics.timeSeries[dependency.operation].map(point => ({ x: point.timestamp, y: point.value }))
+        }));
+
+    return `
+            new Chart(document.getElementById('dependencyChart').getContext('2d'), {
+                type: 'line',
+                data: { datasets: ${JSON.stringify(datasets)} },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: { legend: { position: 'top' } },
+                    scales: {
+                        x: {
+                            type: 'time',
+                            time: { unit: 'minute', displayFormats: { minute: 'HH:mm' } },
+                            title: { display: true, text: 'Time' }
+                        },
+                        y: { beginAtZero: true, title: { display: true, text: 'P95 Latency (ms)' } }
+                    }
+                }
+            });
+    `;
+}
+
+/**
+ * Runtime overlay metrics (the worst pod at each interval) over the service P95
+ * timeline of the Performance Timeline chart (aggregatedP95TimeSeries). Metrics
+ * in ms share the latency axis; others (Python CPU %) get their own.
+ */
+function buildRuntimeChartScript(runtimeMetrics) {
+    const runtimeColors = ['#DB3737', '#8F398F', '#19A974'];
+    const datasets = runtimeMetrics.metrics
+        .filter(metric => metric.overlay && runtimeMetrics.timeSeries[metric.key]?.length > 0)
+        .map((metric, index) => {
+            const worst = new Map();
+            runtimeMetrics.timeSeries[metric.key].forEach(point => {
+                worst.set(point.timestamp, Math.max(worst.get(point.timestamp) ?? -Infinity, point.value));
+            });
+            return {
+                label: `${metric.label}${metric.unit ? ` (${metric.unit})` : ''}`,
+                borderColor: runtimeColors[index % runtimeColors.length],
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                borderDash: [4, 3],
+                pointRadius: 0,
+                yAxisID: metric.unit === 'ms' ? 'y' : 'yRuntime',
+                data: [...worst.entries()].sort((a, b) => a[0] - b[0]).map(([x, y]) => ({ x, y }))
+            };
+        });
+    const otherUnit = runtimeMetrics.metrics.find(metric => metric.overlay && metric.unit !== 'ms')?.unit;
+
+    return `
+            new Chart(document.getElementById('runtimeChart').getContext('2d'), {
+                type: 'line',
+                data: {
+                    datasets: [{
+                        label: 'Service P95 Latency (ms)',
+                        data: aggregatedP95TimeSeries,
+                        borderColor: '#F5A623',
+                        backgroundColor: 'transparent',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        tension: 0.2,
+                        yAxisID: 'y'
+                    }].concat(${JSON.stringify(datasets)})
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: { legend: { position: 'top' } },
+                    scales: {
+                        x: {
+                            type: 'time',
+                            time: { unit: 'minute', displayFormats: { minute: 'HH:mm' } },
+                            title: { display: true, text: 'Time' }
+                        },
+                        y: { position: 'left', beginAtZero: true, title: { display: true, text: 'ms' } },
+                        yRuntime: { display: ${JSON.stringify(Boolean(otherUnit))}, position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: ${JSON.stringify(otherUnit || '')} } }
+                    }
+                }
+            });
+    `;
+}
+
+/**
+ * Per-pod runtime table: gauges as avg / max, totals over the window
+ */
+function buildRuntimeTable(runtimeMetrics) {
+    const columns = runtimeMetrics.metrics.filter(metric => runtimeMetrics.pods.some(pod => pod.metrics[metric.key]));
+    const format = (value, unit) => `${value.toFixed(unit === '' ? 0 : 1)}${unit ? ` ${unit}` : ''}`;
+    const header = columns.map(({ label, total }) => `<th>${label}${total ? '' : ' (avg / max)'}</th>`).join('');
+    const rows = runtimeMetrics.pods.map(pod => `<tr><td>${escapeHtml(pod.podName)}</td>${columns.map(({ key, unit, total }) => {
+        const stats = pod.metrics[key];
+        return `<td>${!stats ? '—' : total ? format(stats.total, unit) : `${format(stats.avg, unit)} / ${format(stats.max, unit)}`}</td>`;
+    }).join('')}</tr>`).join('');
+    return `<table class="summary-table"><thead><tr><th>Pod</th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Desired and available replicas (stepped) against the service's request rate
+ */
+function buildAutoscalingChartScript(autoscaling) {
+    const line = (label, points, color, axis, stepped) => ({
+        label,
+        borderColor: color,
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        pointRadius: 0,
+        stepped,
+        yAxisID: axis,
+        data: points.map(point => ({ x: point.timestamp, y: point.value }))
+    });
+    const { series } = autoscaling;
+    const datasets = [
+        line('Desired replicas', series.desired, '#632CA6', 'yReplicas', true),
+        line('Available replicas', series.available, '#19A974', 'yReplicas', true),
+        line('Requests/s', series.requestRate, '#E8871E', 'yRate', false)
+    ];
+    if (autoscaling.maxReplicas !== null && series.desired.length > 0) {
+        const { timestamp: first } = series.desired[0];
+        const { timestamp: last } = series.desired[series.desired.length - 1];
+        datasets.push({ ...line('Max replicas', [{ timestamp: first, value: autoscaling.maxReplicas }, { timestamp: last, value: autoscaling.maxReplicas }], '#DB3737', 'yReplicas', false), borderDash: [6, 4], borderWidth: 1 });
+    }
+
+    return `
+            new Chart(document.getElementById('autoscalingChart').getContext('2d'), {
+                type: 'line',
+                data: { datasets: ${JSON.stringify(datasets)} },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: { legend: { position: 'top' } },
+                    scales: {
+                        x: {
+                            type: 'time',
+                            time: { unit: 'minute', displayFormats: { minute: 'HH:mm' } },
+                            title: { display: true, text: 'Time' }
+                        },
+                        yReplicas: { position: 'left', beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Replicas' } },
+                        yRate: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'Requests/s' } }
+                    }
+                }
+            });
+    `;
+}
+
+/**
+ * Stacked bar of responses per endpoint by status class (429 apart from the rest of 4xx)
+ */
+function buildStatusChartScript(data, endpoints) {
+    const segments = [
+        { label: '2xx', color: '#19A974', count: status => status.classes['2xx'] },
+        { label: '3xx', color: '#137CBD', count: status => status.classes['3xx'] },
+        { label: '4xx (excl. 429)', color: '#E8871E', count: status => status.classes['4xx'] - (status.codes['429'] || 0) },
+        { label: '429', color: '#8F398F', count: status => status.codes['429'] || 0 },
+        { label: '5xx', color: '#DB3737', count: status => status.classes['5xx'] }
+    ];
+    const datasets = segments.map(({ label, color, count }) => ({
+        label,
+        backgroundColor: color,
+        data: endpoints.map(endpoint => count(data.statusCodes[endpoint]))
+    }));
+
+    return `
+            new Chart(document.getElementById('statusChart').getContext('2d'), {
+                type: 'bar',
+                data: { labels: ${JSON.stringify(endpoints)}, datasets: ${JSON.stringify(datasets)} },
+                options: {
+                    indexAxis: 'y',
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: { position: 'top' } },
+                    scales: {
+                        x: { stacked: true, beginAtZero: true, title: { display: true, text: 'Responses' } },
+                        y: { stacked: true }
+                    }
+                }
+            });
+    `;
+}
+
+export function buildInteractiveReport(data) {
+    const statusEndpoints = data.metrics.map(m => m.resource_name).filter(endpoint => data.statusCodes?.[endpoint]?.total > 0);
+    const dependencyMetrics = data.dependencyMetrics?.dependencies?.length > 0 ? data.dependencyMetrics : null;
+    const autoscaling = data.podMetrics?.autoscaling?.analysis ? data.podMetrics.autoscaling : null;
+    const runtimeMetrics = data.runtimeMetrics?.pods?.length > 0 ? data.runtimeMetrics : null;
+    const loadSteps = data.loadSteps?.steps.length > 0 ? data.loadSteps : null;
+    const samples = data.capacity?.service ? capacitySamples(data.serviceMetrics) : [];
+    const capacity = samples.length > 0 ? data.capacity.service : null;
+
+    // Generate HTML content
+    let htmlContent = `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${data.service} - Interactive Performance Report</title>
+        <script src="https://cdn.jsdelivr.net/npm/chart.js@3.9.1/dist/chart.min.js"></script>
+        <script src="https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@2.0.0/dist/chartjs-adapter-date-fns.bundle.min.js"></script>
+        <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body { 
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                background: #f5f6f7;
+                padding: 20px;
+                color: #172B4D;
+            }
+            .container { max-width: 1400px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+            .header { 
+                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+                color: white;
+                padding: 30px;
+                border-radius: 8px 8px 0 0;
+            }
+            .header h1 { font-size: 28px; margin-bottom: 10px; }
+            .header p { opacity: 0.9; font-size: 14px; }
+            .content { padding: 30px; }
+            .section { margin-bottom: 40px; }
+            .section h2 { 
+                font-size: 20px; 
+                margin-bottom: 20px;
+                padding-bottom: 10px;
+                border-bottom: 2px solid #E8E8E8;
+                color: #172B4D;
+            }
+            .chart-container { 
+                position: relative; 
+                height: 400px;
+                margin-bottom: 30px;
+                background: #fafbfc;
+                padding: 20px;
+                border-radius: 6px;
+                border: 1px solid #e8e8e8;
+            }
+            .endpoint-section {
+                margin-bottom: 30px;
+                border: 1px solid #e8e8e8;
+                border-radius: 6px;
+                overflow: hidden;
+            }
+            .endpoint-header {
+                background: #f4f5f7;
+                padding: 15px 20px;
+                cursor: pointer;
+                user-select: none;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                transition: background 0.2s;
+            }
+            .endpoint-header:hover { background: #ebecf0; }
+            .endpoint-header h3 { font-size: 16px; color: #172B4D; }
+            .endpoint-stats {
+                display: flex;
+                gap: 20px;
+                font-size: 13px;
+                color: #5E6C84;
+            }
+            .endpoint-stats span { font-weight: 600; color: #172B4D; }
+            .endpoint-content {
+                padding: 20px;
+                display: none;
+            }
+            .endpoint-content.active { display: block; }
+            .stats-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                gap: 15px;
+                margin-bottom: 20px;
+            }
+            .stat-card {
+                background: #f4f5f7;
+                padding: 15px;
+                border-radius: 6px;
+                border-left: 3px solid #0052CC;
+            }
+            .stat-card label { 
+                display: block;
+                font-size: 12px;
+                color: #5E6C84;
+                margin-bottom: 5px;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+            }
+            .stat-card value { 
+                display: block;
+                font-size: 20px;
+                font-weight: 600;
+                color: #172B4D;
+            }
+            .chart-row {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 20px;
+                margin-top: 20px;
+            }
+            .chart-box {
+                position: relative;
+                height: 300px;
+                background: #fafbfc;
+                padding: 15px;
+                border-radius: 6px;
+                border: 1px solid #e8e8e8;
+            }
+            .chart-title {
+                font-size: 14px;
+                font-weight: 600;
+                color: #172B4D;
+                margin-bottom: 10px;
+            }
+            .summary-table-wrapper { overflow-x: auto; }
+            .summary-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 13px;
+            }
+            .summary-table th {
+                background: #f4f5f7;
+                color: #5E6C84;
+                text-align: left;
+                text-transform: uppercase;
+                font-size: 11px;
+                letter-spacing: 0.5px;
+                padding: 10px 12px;
+                border-bottom: 2px solid #e8e8e8;
+                white-space: nowrap;
+            }
+            .summary-table td {
+                padding: 8px 12px;
+                border-bottom: 1px solid #e8e8e8;
+                white-space: nowrap;
+            }
+            .summary-table td:first-child { font-family: monospace; }
+            .toggle-icon {
+                font-size: 20px;
+                transition: transform 0.3s;
+            }
+            .toggle-icon.active { transform: rotate(180deg); }
+            @media (max-width: 768px) {
+                .chart-row { grid-template-columns: 1fr; }
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🚀 ${data.service} - Performance Report</h1>
+                <p>📅 ${formatDateTime(data.timeRange.from, data.timeRange.timeZone)} – ${formatDateTime(data.timeRange.to, data.timeRange.timeZone)}</p>
+                <p>🌐 Environment: ${data.environment.charAt(0).toUpperCase() + data.environment.slice(1)}</p>
+            </div>
         
-        <div class="content">
-            <!-- Combined Timeline Chart Section -->
-            <div class="section">
-                <h2>📈 Performance Timeline</h2>
-                <p style="color: #5E6C84; margin-bottom: 20px; font-size: 14px;">
-                    Request rate and response time trends over time.
-                </p>
-                <div class="chart-container">
-                    <canvas id="combinedChart"></canvas>
+            <div class="content">
+                <!-- Combined Timeline Chart Section -->
+                <div class="section">
+                    <h2>📈 Performance Timeline</h2>
+                    <p style="color: #5E6C84; margin-bottom: 20px; font-size: 14px;">
+                        Request rate and response time trends over time.
+                    </p>
+                    <div class="chart-container">
+                        <canvas id="combinedChart"></canvas>
+                    </div>
+                    ${loadSteps ? `<h3 style="margin: 20px 0 10px;">📶 Per-Step Results</h3>
+                    <p style="color: #5E6C84; margin-bottom: 10px; font-size: 14px;">
+                        Load steps detected in the request rate (dashed lines on the time charts). P95 / P99 are request-weighted means of the interval values in each step.
+                    </p>
+                    <div class="summary-table-wrapper">
+                        ${buildLoadStepTable(loadSteps, data.timeRange.timeZone)}
+                    </div>` : ''}
                 </div>
-            </div>
             
-            <!-- Individual Endpoints -->
-            <div class="section">
-                <h2>📈 Individual Endpoint Analysis</h2>
-                <p style="color: #5E6C84; margin-bottom: 20px; font-size: 14px;">
-                    Click on any endpoint to expand and view interactive Rate and P95 time series charts
-                </p>
-`;
-
-// Add endpoint sections
-data.metrics.forEach((metric, index) => {
-    const endpoint = metric.resource_name;
-    const color = colors[index % colors.length];
-    const timeSeries = data.timeSeries[endpoint] || [];
-    const rateTimeSeries = data.rateTimeSeries?.[endpoint] || [];
-
-    if (timeSeries.length === 0) return;
-
-    const values = timeSeries.map(d => d.value);
-    const avg = (values.reduce((a, b) => a + b, 0) / values.length).toFixed(1);
-    const rate = parseFloat(metric.rate.split(' ')[0]);
-
-    htmlContent += `
-                <div class="endpoint-section">
-                    <div class="endpoint-header" onclick="toggleEndpoint(${index})">
-                        <div>
-                            <h3>${index + 1}. ${endpoint.replace(/_/g, ' ')}</h3>
-                        </div>
-                        <div style="display: flex; align-items: center; gap: 30px;">
-                            <div class="endpoint-stats">
-                                <div>Rate: <span>${rate.toFixed(2)} req/s</span></div>
-                                <div>P95: <span>${metric.p95_latency}</span></div>
-                                <div>Requests: <span>${metric.requests}</span></div>
-                            </div>
-                            <span class="toggle-icon" id="toggle-${index}">▼</span>
-                        </div>
+                ${capacity ? `<!-- Latency vs Throughput -->
+                <div class="section">
+                    <h2>📉 Latency vs Throughput</h2>
+                    <p style="color: #5E6C84; margin-bottom: 20px; font-size: 14px;">
+                        Service P95 of each interval against its request rate, with the fitted capacity curve.
+                        ${capacity.knee ? `Knee at <strong>${capacity.knee.rps.toFixed(2)} req/s</strong>, peak ${capacity.peakRps.toFixed(2)} req/s` : `No knee up to the ${capacity.peakRps.toFixed(2)} req/s peak`}${
+    capacity.maxSustainableRps !== null ? `; up to <strong>${capacity.maxSustainableRps.toFixed(2)} req/s</strong>${capacity.extrapolated ? ' (extrapolated)' : ''} under the ${capacity.sloMs} ms SLO - ${
+        capacity.headroomPct >= 0 ? `${capacity.headroomPct.toFixed(0)}% headroom` : `the peak is ${Math.abs(capacity.headroomPct).toFixed(0)}% over it`}` : ''}
+                    </p>
+                    <div class="chart-container">
+                        <canvas id="capacityChart"></canvas>
                     </div>
-                    <div class="endpoint-content" id="content-${index}">
-                        <div class="stats-grid">
-                            <div class="stat-card">
-                                <label>Request Rate</label>
-                                <value>${metric.rate}</value>
-                            </div>
-                            <div class="stat-card">
-                                <label>Total Requests</label>
-                                <value>${metric.requests}</value>
-                            </div>
-                            <div class="stat-card">
-                                <label>P95 Latency</label>
-                                <value>${metric.p95_latency}</value>
+                </div>
+            ` : ''}
+                <!-- Endpoint Summary Table -->
+                <div class="section">
+                    <h2>📋 Endpoint Summary</h2>
+                    <div class="summary-table-wrapper">
+                        ${buildSummaryTable(data)}
+                    </div>
+                </div>
+            
+                ${statusEndpoints.length > 0 ? `<!-- HTTP Status Codes -->
+                <div class="section">
+                    <h2>🚦 HTTP Status Codes</h2>
+                    <p style="color: #5E6C84; margin-bottom: 20px; font-size: 14px;">
+                        Responses per endpoint by status class, with 429 (throttled) split out of 4xx
+                    </p>
+                    <div class="chart-container" style="height: ${Math.max(200, statusEndpoints.length * 36 + 80)}px;">
+                        <canvas id="statusChart"></canvas>
+                    </div>
+                </div>
+            ` : ''}
+                ${autoscaling ? `<!-- Autoscaling Behaviour -->
+                <div class="section">
+                    <h2>📈 Autoscaling Behaviour</h2>
+                    <p style="color: #5E6C84; margin-bottom: 20px; font-size: 14px;">
+                        Replicas ${autoscaling.analysis.summary.minReplicas} → ${autoscaling.analysis.summary.maxReplicas}${
+    autoscaling.maxReplicas !== null ? ` of at most ${autoscaling.maxReplicas}${autoscaling.analysis.summary.maxReplicasHit ? ' - <strong>max replicas hit</strong>' : ''}` : ''}${
+    autoscaling.analysis.summary.avgScaleUpLagSec !== null ? `, ${autoscaling.analysis.summary.avgScaleUpLagSec.toFixed(0)}s average scale-up lag` : ''}
+                    </p>
+                    <div class="chart-container">
+                        <canvas id="autoscalingChart"></canvas>
+                    </div>
+                </div>
+            ` : ''}
+                ${runtimeMetrics ? `<!-- Runtime Health -->
+                <div class="section">
+                    <h2>⚙️ Runtime Health (${runtimeMetrics.runtime === 'node' ? 'Node.js' : 'Python'})</h2>
+                    <p style="color: #5E6C84; margin-bottom: 20px; font-size: 14px;">
+                        ${runtimeMetrics.runtime === 'node' ?
+        'Event loop delay and GC pauses (worst pod at each interval) over the service P95 - latency spikes that line up with them come from the runtime, not from dependencies' :
+        'Process CPU (worst pod at each interval) over the service P95'}
+                    </p>
+                    <div class="chart-container">
+                        <canvas id="runtimeChart"></canvas>
+                    </div>
+                    <div class="summary-table-wrapper">
+                        ${buildRuntimeTable(runtimeMetrics)}
+                    </div>
+                </div>
+            ` : ''}
+                ${dependencyMetrics ? `<!-- Downstream Dependencies -->
+                <div class="section">
+                    <h2>🔗 Downstream Dependencies</h2>
+                    <p style="color: #5E6C84; margin-bottom: 20px; font-size: 14px;">
+                        Database, cache and HTTP client calls made by the service. Time share is the dependency's span time over the total request time${
+    dependencyMetrics.summary.dominant ? ` - <strong>latency dominated by ${dependencyMetrics.summary.dominant.label} (${dependencyMetrics.summary.dominant.sharePct.toFixed(1)}%)</strong>` : ''}
+                    </p>
+                    <div class="chart-container">
+                        <canvas id="dependencyChart"></canvas>
+                    </div>
+                    <div class="summary-table-wrapper">
+                        ${buildDependencyTable(dependencyMetrics)}
+                    </div>
+                </div>
+            ` : ''}
+                <!-- Individual Endpoints -->
+                <div class="section">
+                    <h2>📈 Individual Endpoint Analysis</h2>
+                    <p style="color: #5E6C84; margin-bottom: 20px; font-size: 14px;">
+                        Click on any endpoint to expand and view interactive Rate and P95 time series charts
+                    </p>
+    `;
+
+    // Add endpoint sections
+    data.metrics.forEach((metric, index) => {
+        const endpoint = metric.resource_name;
+        const color = colors[index % colors.length];
+        const timeSeries = data.timeSeries[endpoint] || [];
+        const rateTimeSeries = data.rateTimeSeries?.[endpoint] || [];
+
+        if (timeSeries.length === 0) return;
+
+        const values = timeSeries.map(d => d.value);
+        const avg = (values.reduce((a, b) => a + b, 0) / values.length).toFixed(1);
+        const rate = parseFloat(metric.rate.split(' ')[0]);
+
+        htmlContent += `
+                    <div class="endpoint-section">
+                        <div class="endpoint-header" onclick="toggleEndpoint(${index})">
+                            <div>
+                                <h3>${index + 1}. ${endpoint.replace(/_/g, ' ')}</h3>
                             </div>
-                            <div class="stat-card">
-                                <label>P99 Latency</label>
-                                <value>${metric.p99_latency}</value>
+                            <div style="display: flex; align-items: center; gap: 30px;">
+                                <div class="endpoint-stats">
+                                    <div>Rate: <span>${rate.toFixed(2)} req/s</span></div>
+                                    <div>P95: <span>${metric.p95_latency}</span></div>
+                                    <div>Requests: <span>${metric.requests}</span></div>
+                                </div>
+                                <span class="toggle-icon" id="toggle-${index}">▼</span>
                             </div>
                         </div>
-                        
-                        <div class="chart-row">
-                            <div class="chart-box">
-                                <div class="chart-title">📊 Request Rate Over Time</div>
-                                <canvas id="rateChart-${index}"></canvas>
+                        <div class="endpoint-content" id="content-${index}">
+                            <div class="stats-grid">
+                                <div class="stat-card">
+                                    <label>Request Rate</label>
+                                    <value>${metric.rate}</value>
+                                </div>
+                                <div class="stat-card">
+                                    <label>Total Requests</label>
+                                    <value>${metric.requests}</value>
+                                </div>
+                                <div class="stat-card">
+                                    <label>P95 Latency</label>
+                                    <value>${metric.p95_latency}</value>
+                                </div>
+                                <div class="stat-card">
+                                    <label>P99 Latency</label>
+                                    <value>${metric.p99_latency}</value>
+                                </div>
                             </div>
-                            <div class="chart-box">
-                                <div class="chart-title">📈 P95 Latency Over Time</div>
-                                <canvas id="p95Chart-${index}"></canvas>
+                        
+                            <div class="chart-row">
+                                <div class="chart-box">
+                                    <div class="chart-title">📊 Request Rate Over Time</div>
+                                    <canvas id="rateChart-${index}"></canvas>
+                                </div>
+                                <div class="chart-box">
+                                    <div class="chart-title">📈 P95 Latency Over Time</div>
+                                    <canvas id="p95Chart-${index}"></canvas>
+                                </div>
                             </div>
                         </div>
                     </div>
-                </div>
-    `;
-});
+        `;
+    });
 
-htmlContent += `
+    htmlContent += `
+                </div>
             </div>
         </div>
-    </div>
     
-    <script>
-        // Toggle endpoint sections
-        function toggleEndpoint(index) {
-            const content = document.getElementById('content-' + index);
-            const icon = document.getElementById('toggle-' + index);
+        <script>
+            // Toggle endpoint sections
+            function toggleEndpoint(index) {
+                const content = document.getElementById('content-' + index);
+                const icon = document.getElementById('toggle-' + index);
             
-            if (content.classList.contains('active')) {
-                content.classList.remove('active');
-                icon.classList.remove('active');
-            } else {
-                content.classList.add('active');
-                icon.classList.add('active');
+                if (content.classList.contains('active')) {
+                    content.classList.remove('active');
+                    icon.classList.remove('active');
+                } else {
+                    content.classList.add('active');
+                    icon.classList.add('active');
                 
-                // Initialize charts when opened for the first time
-                if (!content.dataset.initialized) {
-                    initializeEndpointCharts(index);
-                    content.dataset.initialized = 'true';
+                    // Initialize charts when opened for the first time
+                    if (!content.dataset.initialized) {
+                        initializeEndpointCharts(index);
+                        content.dataset.initialized = 'true';
+                    }
                 }
             }
-        }
         
-        const colors = ${JSON.stringify(colors)};
+            const colors = ${JSON.stringify(colors)};
         
-        // Use REAL time series data from JSON file
-        const startTime = new Date('${data.timeRange.from}');
-        const endTime = new Date('${data.timeRange.to}');
+            // Use REAL time series data from JSON file
+            const startTime = new Date('${data.timeRange.from}');
+            const endTime = new Date('${data.timeRange.to}');
         
-        // Load actual time series data from JSON
-        const timeSeriesData = ${JSON.stringify(data.timeSeries || {})};
-        const rateTimeSeriesData = ${JSON.stringify(data.rateTimeSeries || {})};
-        const serviceMetrics = ${JSON.stringify(data.serviceMetrics || {})};
-        console.log('Time series data loaded:', timeSeriesData);
-        console.log('Service metrics loaded:', serviceMetrics);
+            // Load actual time series data from JSON
+            const timeSeriesData = ${JSON.stringify(data.timeSeries || {})};
+            const rateTimeSeriesData = ${JSON.stringify(data.rateTimeSeries || {})};
+            const serviceMetrics = ${JSON.stringify(data.serviceMetrics || {})};
+            console.log('Time series data loaded:', timeSeriesData);
+            console.log('Service metrics loaded:', serviceMetrics);
         
-        // Create Combined Timeline Chart with service-level data
-        const combinedCtx = document.getElementById('combinedChart').getContext('2d');
+            // Load step markers: a dashed line where each detected step starts (and the last one ends) on every time chart
+            const loadSteps = ${JSON.stringify(loadSteps ? loadSteps.steps : [])};
+            Chart.register({
+                id: 'loadStepMarkers',
+                afterDatasetsDraw(chart) {
+                    const xScale = chart.scales.x;
+                    if (loadSteps.length === 0 || !xScale || xScale.type !== 'time') return;
+                    const { ctx, chartArea } = chart;
+                    const markers = loadSteps.map(step => ({ x: step.start, label: 'Step ' + step.step + ': ' + step.achievedRps.toFixed(1) + ' req/s' }))
+                        .concat([{ x: loadSteps[loadSteps.length - 1].end, label: '' }]);
+                    ctx.save();
+                    ctx.strokeStyle = 'rgba(94, 108, 132, 0.7)';
+                    ctx.fillStyle = '#5E6C84';
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash([4, 4]);
+                    ctx.font = '10px sans-serif';
+                    markers.forEach(marker => {
+                        const x = xScale.getPixelForValue(marker.x);
+                        if (x < chartArea.left || x > chartArea.right) return;
+                        ctx.beginPath();
+                        ctx.moveTo(x, chartArea.top);
+                        ctx.lineTo(x, chartArea.bottom);
+                        ctx.stroke();
+                        ctx.fillText(marker.label, x + 4, chartArea.top + 12);
+                    });
+                    ctx.restore();
+                }
+            });
+
+            // Create Combined Timeline Chart with service-level data
+            const combinedCtx = document.getElementById('combinedChart').getContext('2d');
         
-        // Calculate service-level P95 by excluding outlier endpoints (like chat) until service queries work
-        const nonChatEndpoints = ${JSON.stringify(data.metrics.filter(m => !m.resource_name.includes('chat')))};
-        const totalRate = ${JSON.stringify(data.metrics.reduce((sum, m) => sum + parseFloat(m.rate.split(' ')[0]), 0))};
-        const totalRequests = ${JSON.stringify(data.metrics.reduce((sum, m) => sum + parseFloat(m.requests), 0))};
+            // Calculate service-level P95 by excluding outlier endpoints (like chat) until service queries work
+            const nonChatEndpoints = ${JSON.stringify(data.metrics.filter(m => !m.resource_name.includes('chat')))};
+            const totalRate = ${JSON.stringify(data.metrics.reduce((sum, m) => sum + parseFloat(m.rate.split(' ')[0]), 0))};
+            const totalRequests = ${JSON.stringify(data.metrics.reduce((sum, m) => sum + parseFloat(m.requests), 0))};
         
-        // Use non-chat endpoints for more representative service P95
-        const serviceP95 = nonChatEndpoints.length > 0 ? 
-            ${JSON.stringify(data.metrics.filter(m => !m.resource_name.includes('chat')).reduce((sum, m) => {
-    const p95Value = parseFloat(m.p95_latency.split(' ')[0]);
-    const requestCount = parseFloat(m.requests);
-    return sum + (p95Value * requestCount);
-}, 0) / data.metrics.filter(m => !m.resource_name.includes('chat')).reduce((sum, m) => sum + parseFloat(m.requests), 0))} :
-            ${JSON.stringify(data.metrics.reduce((sum, m) => {
-    const p95Value = parseFloat(m.p95_latency.split(' ')[0]);
-    const requestCount = parseFloat(m.requests);
-    return sum + (p95Value * requestCount);
-}, 0) / data.metrics.reduce((sum, m) => sum + parseFloat(m.requests), 0))};
+            // Use non-chat endpoints for more representative service P95
+            const serviceP95 = nonChatEndpoints.length > 0 ? 
+                ${JSON.stringify(data.metrics.filter(m => !m.resource_name.includes('chat')).reduce((sum, m) => {
+        const p95Value = parseFloat(m.p95_latency.split(' ')[0]);
+        const requestCount = parseFloat(m.requests);
+        return sum + (p95Value * requestCount);
+    }, 0) / data.metrics.filter(m => !m.resource_name.includes('chat')).reduce((sum, m) => sum + parseFloat(m.requests), 0))} :
+                ${JSON.stringify(data.metrics.reduce((sum, m) => {
+        const p95Value = parseFloat(m.p95_latency.split(' ')[0]);
+        const requestCount = parseFloat(m.requests);
+        return sum + (p95Value * requestCount);
+    }, 0) / data.metrics.reduce((sum, m) => sum + parseFloat(m.requests), 0))};
         
-        console.log('Total rate:', totalRate.toFixed(2), 'hits/s');
-        console.log('Total requests:', totalRequests);
-        console.log('Service P95 (excluding chat outliers):', serviceP95.toFixed(1), 'ms');
+            console.log('Total rate:', totalRate.toFixed(2), 'hits/s');
+            console.log('Total requests:', totalRequests);
+            console.log('Service P95 (excluding chat outliers):', serviceP95.toFixed(1), 'ms');
         
-        // Try to use service-level data first, then fall back to endpoint aggregation
-        let aggregatedRateTimeSeries = [];
-        let aggregatedP95TimeSeries = [];
+            // Try to use service-level data first, then fall back to endpoint aggregation
+            let aggregatedRateTimeSeries = [];
+            let aggregatedP95TimeSeries = [];
         
-        if (serviceMetrics && serviceMetrics.rate_service && serviceMetrics.p95_service) {
-            console.log('Using service-level metrics data');
-            
-            // Extract service-level time series data
-            if (serviceMetrics.rate_service.series && serviceMetrics.rate_service.series.length > 0) {
-                const rateSeries = serviceMetrics.rate_service.series[0];
-                aggregatedRateTimeSeries = rateSeries.pointlist.map(point => ({
-                    x: new Date(point[0]),
-                    y: point[1]
-                }));
-            }
-            
-            if (serviceMetrics.p95_service.series && serviceMetrics.p95_service.series.length > 0) {
-                const p95Series = serviceMetrics.p95_service.series[0];
-                aggregatedP95TimeSeries = p95Series.pointlist.map(point => ({
-                    x: new Date(point[0]),
-                    y: point[1] * 1000 // Convert from seconds to milliseconds
-                }));
-            }
+            if (serviceMetrics && serviceMetrics.rate_service && serviceMetrics.p95_service) {
+                console.log('Using service-level metrics data');
             
-            console.log('Using service-level time series data, points:', aggregatedP95TimeSeries.length);
-        } else if (Object.keys(timeSeriesData).length > 0) {
-            console.log('Using endpoint aggregated time series data');
-            // Use real time series data - aggregate across all endpoints
-            const allTimestamps = new Set();
+                // Extract service-level time series data
+                if (serviceMetrics.rate_service.series && serviceMetrics.rate_service.series.length > 0) {
+                    const rateSeries = serviceMetrics.rate_service.series[0];
+                    aggregatedRateTimeSeries = rateSeries.pointlist.map(point => ({
+                        x: new Date(point[0]),
+                        y: point[1]
+                    }));
+                }
             
-            // Collect all unique timestamps from P95 data
-            Object.values(timeSeriesData).forEach(series => {
-                if (Array.isArray(series)) {
-                    series.forEach(point => allTimestamps.add(point.timestamp));
+                if (serviceMetrics.p95_service.series && serviceMetrics.p95_service.series.length > 0) {
+                    const p95Series = serviceMetrics.p95_service.series[0];
+                    aggregatedP95TimeSeries = p95Series.pointlist.map(point => ({
+                        x: new Date(point[0]),
+                        y: point[1] * 1000 // Convert from seconds to milliseconds
+                    }));
                 }
-            });
             
-            // Sort timestamps chronologically
-            const sortedTimestamps = Array.from(allTimestamps).sort((a, b) => a - b);
+                console.log('Using service-level time series data, points:', aggregatedP95TimeSeries.length);
+            } else if (Object.keys(timeSeriesData).length > 0) {
+                console.log('Using endpoint aggregated time series data');
+                // Use real time series data - aggregate across all endpoints
+                const allTimestamps = new Set();
             
-            // Aggregate P95 data (average across all endpoints for each timestamp)
-            aggregatedP95TimeSeries = sortedTimestamps.map(timestamp => {
-                let totalP95 = 0;
-                let count = 0;
-                
+                // Collect all unique timestamps from P95 data
                 Object.values(timeSeriesData).forEach(series => {
                     if (Array.isArray(series)) {
-                        const point = series.find(p => p.timestamp === timestamp);
-                        if (point && point.value) {
-                            totalP95 += point.value;
-                            count++;
-                        }
+                        series.forEach(point => allTimestamps.add(point.timestamp));
                     }
                 });
-                
-                return {
-                    x: new Date(timestamp),
-                    y: count > 0 ? totalP95 / count : 0
-                };
-            });
             
-            // Aggregate Rate data (sum across all endpoints for each timestamp)
-            if (Object.keys(rateTimeSeriesData).length > 0) {
-                aggregatedRateTimeSeries = sortedTimestamps.map(timestamp => {
-                    let totalRate = 0;
-                    
-                    Object.values(rateTimeSeriesData).forEach(series => {
+                // Sort timestamps chronologically
+                const sortedTimestamps = Array.from(allTimestamps).sort((a, b) => a - b);
+            
+                // Aggregate P95 data (average across all endpoints for each timestamp)
+                aggregatedP95TimeSeries = sortedTimestamps.map(timestamp => {
+                    let totalP95 = 0;
+                    let count = 0;
+                
+                    Object.values(timeSeriesData).forEach(series => {
                         if (Array.isArray(series)) {
                             const point = series.find(p => p.timestamp === timestamp);
                             if (point && point.value) {
-                                totalRate += point.value;
+                                totalP95 += point.value;
+                                count++;
                             }
                         }
                     });
-                    
+                
                     return {
                         x: new Date(timestamp),
-                        y: totalRate
+                        y: count > 0 ? totalP95 / count : 0
                     };
                 });
+            
+                // Aggregate Rate data (sum across all endpoints for each timestamp)
+                if (Object.keys(rateTimeSeriesData).length > 0) {
+                    aggregatedRateTimeSeries = sortedTimestamps.map(timestamp => {
+                        let totalRate = 0;
+                    
+                        Object.values(rateTimeSeriesData).forEach(series => {
+                            if (Array.isArray(series)) {
+                                const point = series.find(p => p.timestamp === timestamp);
+                                if (point && point.value) {
+                                    totalRate += point.value;
+                                }
+                            }
+                        });
+                    
+                        return {
+                            x: new Date(timestamp),
+                            y: totalRate
+                        };
+                    });
+                } else {
+                    // Fallback: Create rate data based on calculated total
+                    aggregatedRateTimeSeries = sortedTimestamps.map(timestamp => ({
+                        x: new Date(timestamp),
+                        y: totalRate
+                    }));
+                }
+            
+                console.log('Using real time series data, points:', aggregatedP95TimeSeries.length);
             } else {
-                // Fallback: Create rate data based on calculated total
-                aggregatedRateTimeSeries = sortedTimestamps.map(timestamp => ({
-                    x: new Date(timestamp),
-                    y: totalRate
-                }));
+                console.log('No time series data available, using aggregate values');
+                // Create simple two-point series for start and end using service-level P95
+                aggregatedRateTimeSeries = [{ x: startTime, y: totalRate }, { x: endTime, y: totalRate }];
+                aggregatedP95TimeSeries = [{ x: startTime, y: serviceP95 }, { x: endTime, y: serviceP95 }];
             }
-            
-            console.log('Using real time series data, points:', aggregatedP95TimeSeries.length);
-        } else {
-            console.log('No time series data available, using aggregate values');
-            // Create simple two-point series for start and end using service-level P95
-            aggregatedRateTimeSeries = [{ x: startTime, y: totalRate }, { x: endTime, y: totalRate }];
-            aggregatedP95TimeSeries = [{ x: startTime, y: serviceP95 }, { x: endTime, y: serviceP95 }];
-        }
         
-        new Chart(combinedCtx, {
-            type: 'line',
-            data: {
-                datasets: [
-                    {
-                        label: 'Request Rate (hits/s)',
-                        data: aggregatedRateTimeSeries,
-                        borderColor: '#4A90E2',
-                        backgroundColor: 'rgba(74, 144, 226, 0.1)',
-                        borderWidth: 2,
-                        pointRadius: 0,
-                        pointHoverRadius: 6,
-                        fill: true,
-                        tension: 0.4,
-                        yAxisID: 'y'
-                    },
-                    {
-                        label: 'P95 Latency (ms)',
-                        data: aggregatedP95TimeSeries,
-                        borderColor: '#F5A623',
-                        backgroundColor: 'transparent',
-                        borderWidth: 2,
-                        pointRadius: 0,
-                        pointHoverRadius: 6,
-                        fill: false,
-                        tension: 0.2,
-                        yAxisID: 'y1'
-                    }
-                ]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                interaction: { mode: 'index', intersect: false },
-                plugins: {
-                    title: { 
-                        display: true, 
-                        text: \`${data.service} Performance Metrics\`,
-                        font: { size: 18, weight: 'bold' }
-                    },
-                    legend: { display: true, position: 'top', labels: { font: { size: 11 }, boxWidth: 12, padding: 10 } },
-                    tooltip: {
-                        backgroundColor: 'rgba(0,0,0,0.9)',
-                        callbacks: {
-                            label: function(context) {
-                                const isRate = context.datasetIndex === 0;
-                                const unit = isRate ? ' hits/s' : ' ms';
-                                const value = context.parsed.y.toFixed(isRate ? 2 : 1);
-                                return context.dataset.label + ': ' + value + unit;
-                            }
+            new Chart(combinedCtx, {
+                type: 'line',
+                data: {
+                    datasets: [
+                        {
+                            label: 'Request Rate (hits/s)',
+                            data: aggregatedRateTimeSeries,
+                            borderColor: '#4A90E2',
+                            backgroundColor: 'rgba(74, 144, 226, 0.1)',
+                            borderWidth: 2,
+                            pointRadius: 0,
+                            pointHoverRadius: 6,
+                            fill: true,
+                            tension: 0.4,
+                            yAxisID: 'y'
+                        },
+                        {
+                            label: 'P95 Latency (ms)',
+                            data: aggregatedP95TimeSeries,
+                            borderColor: '#F5A623',
+                            backgroundColor: 'transparent',
+                            borderWidth: 2,
+                            pointRadius: 0,
+                            pointHoverRadius: 6,
+                            fill: false,
+                            tension: 0.2,
+                            yAxisID: 'y1'
                         }
-                    }
+                    ]
                 },
-                scales: {
-                    x: {
-                        type: 'time',
-                        time: { displayFormats: { minute: 'HH:mm' } },
-                        title: { display: true, text: 'Time', font: { size: 14, weight: '600' } }
-                    },
-                    y: {
-                        type: 'linear',
-                        display: true,
-                        position: 'left',
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: {
                         title: { 
                             display: true, 
-                            text: 'Request Rate (hits/s)', 
-                            font: { size: 14, weight: '600' }, 
-                            color: '#4A90E2' 
+                            text: \`${data.service} Performance Metrics\`,
+                            font: { size: 18, weight: 'bold' }
                         },
-                        beginAtZero: true,
-                        grid: { drawOnChartArea: true },
-                        ticks: { color: '#4A90E2' }
+                        legend: { display: true, position: 'top', labels: { font: { size: 11 }, boxWidth: 12, padding: 10 } },
+                        tooltip: {
+                            backgroundColor: 'rgba(0,0,0,0.9)',
+                            callbacks: {
+                                label: function(context) {
+                                    const isRate = context.datasetIndex === 0;
+                                    const unit = isRate ? ' hits/s' : ' ms';
+                                    const value = context.parsed.y.toFixed(isRate ? 2 : 1);
+                                    return context.dataset.label + ': ' + value + unit;
+                                }
+                            }
+                        }
                     },
-                    y1: {
-                        type: 'linear',
-                        display: true,
-                        position: 'right',
-                        title: { 
-                            display: true, 
-                            text: 'P95 Latency (ms)', 
-                            font: { size: 14, weight: '600' }, 
-                            color: '#F5A623' 
+                    scales: {
+                        x: {
+                            type: 'time',
+                            time: { displayFormats: { minute: 'HH:mm' } },
+                            title: { display: true, text: 'Time', font: { size: 14, weight: '600' } }
                         },
-                        beginAtZero: true,
-                        grid: { drawOnChartArea: false },
-                        ticks: { color: '#F5A623' }
+                        y: {
+                            type: 'linear',
+                            display: true,
+                            position: 'left',
+                            title: { 
+                                display: true, 
+                                text: 'Request Rate (hits/s)', 
+                                font: { size: 14, weight: '600' }, 
+                                color: '#4A90E2' 
+                            },
+                            beginAtZero: true,
+                            grid: { drawOnChartArea: true },
+                            ticks: { color: '#4A90E2' }
+                        },
+                        y1: {
+                            type: 'linear',
+                            display: true,
+                            position: 'right',
+                            title: { 
+                                display: true, 
+                                text: 'P95 Latency (ms)', 
+                                font: { size: 14, weight: '600' }, 
+                                color: '#F5A623' 
+                            },
+                            beginAtZero: true,
+                            grid: { drawOnChartArea: false },
+                            ticks: { color: '#F5A623' }
+                        }
                     }
                 }
-            }
-        });
+            });
         
-        // Initialize endpoint charts
-        function initializeEndpointCharts(index) {
-            const endpoints = ${JSON.stringify(data.metrics.map(m => m.resource_name))};
-            const endpoint = endpoints[index];
-            const timeSeries = ${JSON.stringify(data.timeSeries)};
-            const rateTimeSeries = ${JSON.stringify(data.rateTimeSeries || {})};
+            // Initialize endpoint charts
+            function initializeEndpointCharts(index) {
+                const endpoints = ${JSON.stringify(data.metrics.map(m => m.resource_name))};
+                const endpoint = endpoints[index];
+                const timeSeries = ${JSON.stringify(data.timeSeries)};
+                const rateTimeSeries = ${JSON.stringify(data.rateTimeSeries || {})};
             
-            const p95Data = timeSeries[endpoint] || [];
-            const rateData = rateTimeSeries[endpoint] || [];
+                const p95Data = timeSeries[endpoint] || [];
+                const rateData = rateTimeSeries[endpoint] || [];
             
-            const color = colors[index % colors.length];
+                const color = colors[index % colors.length];
             
-            // Rate chart
-            if (rateData.length > 0) {
-                const rateCtx = document.getElementById('rateChart-' + index).getContext('2d');
-                new Chart(rateCtx, {
+                // Rate chart
+                if (rateData.length > 0) {
+                    const rateCtx = document.getElementById('rateChart-' + index).getContext('2d');
+                    new Chart(rateCtx, {
+                        type: 'line',
+                        data: {
+                            datasets: [{
+                                label: 'Request Rate (hits/s)',
+                                data: rateData.map(p => ({ x: p.timestamp, y: p.value })),
+                                borderColor: '#E8871E',
+                                backgroundColor: 'rgba(232, 135, 30, 0.1)',
+                                borderWidth: 2,
+                                pointRadius: 1,
+                                pointHoverRadius: 5,
+                                fill: true,
+                                tension: 0.1
+                            }]
+                        },
+                        options: {
+                            responsive: true,
+                            maintainAspectRatio: false,
+                            interaction: { mode: 'index', intersect: false },
+                            plugins: {
+                                legend: { display: false },
+                                tooltip: {
+                                    backgroundColor: 'rgba(0,0,0,0.9)',
+                                    callbacks: {
+                                        label: function(context) {
+                                            return 'Rate: ' + context.parsed.y.toFixed(2) + ' hits/s';
+                                        }
+                                    }
+                                }
+                            },
+                            scales: {
+                                x: {
+                                    type: 'time',
+                                    time: { unit: 'minute', displayFormats: { minute: 'HH:mm' } },
+                                    title: { display: true, text: 'Time' },
+                                    grid: { color: 'rgba(0,0,0,0.05)' }
+                                },
+                                y: {
+                                    beginAtZero: true,
+                                    title: { display: true, text: 'Request Rate (hits/s)' },
+                                    grid: { color: 'rgba(0,0,0,0.05)' }
+                                }
+                            }
+                        }
+                    });
+                }
+            
+                // P95 chart
+                const p95Ctx = document.getElementById('p95Chart-' + index).getContext('2d');
+                new Chart(p95Ctx, {
                     type: 'line',
                     data: {
                         datasets: [{
-                            label: 'Request Rate (hits/s)',
-                            data: rateData.map(p => ({ x: p.timestamp, y: p.value })),
-                            borderColor: '#E8871E',
-                            backgroundColor: 'rgba(232, 135, 30, 0.1)',
+                            label: 'P95 Latency (ms)',
+                            data: p95Data.map(p => ({ x: p.timestamp, y: p.value })),
+                            borderColor: color,
+                            backgroundColor: color + '20',
                             borderWidth: 2,
                             pointRadius: 1,
                             pointHoverRadius: 5,
@@ -555,7 +1054,7 @@ htmlContent += `
                                 backgroundColor: 'rgba(0,0,0,0.9)',
                                 callbacks: {
                                     label: function(context) {
-                                        return 'Rate: ' + context.parsed.y.toFixed(2) + ' hits/s';
+                                        return 'P95: ' + context.parsed.y.toFixed(1) + ' ms';
                                     }
                                 }
                             }
@@ -569,83 +1068,107 @@ htmlContent += `
                             },
                             y: {
                                 beginAtZero: true,
-                                title: { display: true, text: 'Request Rate (hits/s)' },
+                                title: { display: true, text: 'P95 Latency (ms)' },
                                 grid: { color: 'rgba(0,0,0,0.05)' }
                             }
                         }
                     }
                 });
             }
-            
-            // P95 chart
-            const p95Ctx = document.getElementById('p95Chart-' + index).getContext('2d');
-            new Chart(p95Ctx, {
-                type: 'line',
-                data: {
-                    datasets: [{
-                        label: 'P95 Latency (ms)',
-                        data: p95Data.map(p => ({ x: p.timestamp, y: p.value })),
-                        borderColor: color,
-                        backgroundColor: color + '20',
-                        borderWidth: 2,
-                        pointRadius: 1,
-                        pointHoverRadius: 5,
-                        fill: true,
-                        tension: 0.1
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    interaction: { mode: 'index', intersect: false },
-                    plugins: {
-                        legend: { display: false },
-                        tooltip: {
-                            backgroundColor: 'rgba(0,0,0,0.9)',
-                            callbacks: {
-                                label: function(context) {
-                                    return 'P95: ' + context.parsed.y.toFixed(1) + ' ms';
-                                }
-                            }
-                        }
-                    },
-                    scales: {
-                        x: {
-                            type: 'time',
-                            time: { unit: 'minute', displayFormats: { minute: 'HH:mm' } },
-                            title: { display: true, text: 'Time' },
-                            grid: { color: 'rgba(0,0,0,0.05)' }
-                        },
-                        y: {
-                            beginAtZero: true,
-                            title: { display: true, text: 'P95 Latency (ms)' },
-                            grid: { color: 'rgba(0,0,0,0.05)' }
-                        }
-                    }
-                }
-            });
+            ${statusEndpoints.length > 0 ? buildStatusChartScript(data, statusEndpoints) : ''}
+            ${dependencyMetrics ? buildDependencyChartScript(dependencyMetrics) : ''}
+            ${autoscaling ? buildAutoscalingChartScript(autoscaling) : ''}
+            ${capacity ? buildCapacityChartScript(capacity, samples) : ''}
+            ${runtimeMetrics ? buildRuntimeChartScript(runtimeMetrics) : ''}
+        </script>
+    </body>
+    </html>`;
+
+    return htmlContent;
+}
+
+/**
+ * Generate the interactive report and save it as html-reports/<service>-report-<date>.html
+ *
+ * @param {object} options
+ * @param {object} [options.data] - endpoint metrics data (as returned by the fetcher), optionally with podMetrics, dependencyMetrics and runtimeMetrics
+ * @param {string} [options.inputFile] - or a *_endpoint_metrics_table.json file (default: the latest one)
+ * @param {string} [options.outputDir] - default: ./html-reports
+ * @param {string|string[]} [options.columns] - endpoint summary columns (see src/utils/endpoint-columns.js; default: REPORT_COLUMNS or all)
+ * @returns {{ path: string, service: string }}
+ */
+export function generateInteractiveReport({ data = null, inputFile = null, outputDir = './html-reports', columns = null } = {}) {
+    console.log('📊 Generating Full Interactive HTML Report...\n');
+
+    if (!data) {
+        let metricsFile = inputFile;
+
+        if (metricsFile) {
+            if (!fs.existsSync(metricsFile)) {
+                throw new Error(`Input file not found: ${metricsFile}`);
+            }
+            console.log(`✅ Using input file: ${metricsFile}\n`);
+        } else {
+            console.log('🔍 Auto-detecting latest metrics file...');
+            metricsFile = findLatestMetricsFile();
+            if (!metricsFile) {
+                throw new Error('No metrics files found in reports directory');
+            }
+            console.log(`✅ Found latest file: ${path.basename(metricsFile)}\n`);
         }
-    </script>
-</body>
-</html>`;
-
-// Save the HTML file with service-specific name in html-reports folder
-const serviceName = data.service || 'report';
-const timestamp = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-const htmlReportsDir = './html-reports';
-
-// Create html-reports folder if it doesn't exist
-if (!fs.existsSync(htmlReportsDir)) {
-    fs.mkdirSync(htmlReportsDir, { recursive: true });
-    console.log(`📁 Created folder: ${htmlReportsDir}\n`);
+
+        // Load the metrics data, and the container, dependency and runtime metrics fetched alongside it
+        data = JSON.parse(fs.readFileSync(metricsFile, 'utf8'));
+        [['podMetrics', '_container_metrics.json'], ['dependencyMetrics', '_dependency_metrics.json'], ['runtimeMetrics', '_runtime_metrics.json']].forEach(([key, suffix]) => {
+            const siblingFile = metricsFile.replace('_endpoint_metrics_table.json', suffix);
+            if (siblingFile !== metricsFile && fs.existsSync(siblingFile)) {
+                data[key] = JSON.parse(fs.readFileSync(siblingFile, 'utf8'));
+            }
+        });
+    }
+
+    if (columns) {
+        data = { ...data, tableColumns: resolveColumns(columns) };
+    }
+    const htmlContent = buildInteractiveReport(data);
+
+    // Save the HTML file with service-specific name in html-reports folder
+    const serviceName = data.service || 'report';
+    const timestamp = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+
+    // Create html-reports folder if it doesn't exist
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+        console.log(`📁 Created folder: ${outputDir}\n`);
+    }
+
+    const outputPath = `${outputDir}/${serviceName}-report-${timestamp}.html`;
+    fs.writeFileSync(outputPath, htmlContent);
+
+    console.log(`✅ Interactive HTML report generated!`);
+    console.log(`📁 File: ${outputPath}`);
+    console.log(`🔖 Service: ${serviceName}`);
+    console.log(`📅 Date: ${timestamp}`);
+
+    return { path: outputPath, service: serviceName };
 }
 
-const outputPath = `${htmlReportsDir}/${serviceName}-report-${timestamp}.html`;
-fs.writeFileSync(outputPath, htmlContent);
+// CLI Support
+// Use --input when given (batch runs generate several services in a row), otherwise the latest metrics file
+// --columns chooses the endpoint summary columns, e.g. --columns requests,p50,p95,p99,tail
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const inputIndex = process.argv.indexOf('--input');
+    const columnsIndex = process.argv.indexOf('--columns');
 
-console.log(`✅ Interactive HTML report generated!`);
-console.log(`📁 File: ${outputPath}`);
-console.log(`🔖 Service: ${serviceName}`);
-console.log(`📅 Date: ${timestamp}`);
-console.log(`\n💡 Open this file in your browser for full interactive charts!`);
-console.log(`📎 You can share this file or host it on a web server for access from Confluence.`);
+    try {
+        generateInteractiveReport({
+            inputFile: inputIndex !== -1 ? process.argv[inputIndex + 1] : null,
+            columns: columnsIndex !== -1 ? process.argv[columnsIndex + 1] : null
+        });
+        console.log(`\n💡 Open this file in your browser for full interactive charts!`);
+        console.log(`📎 You can share this file or host it on a web server for access from Confluence.`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
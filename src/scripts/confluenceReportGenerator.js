@@ -5,6 +5,15 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { compareRuns } from '../analysis/regression.js';
+import { LOAD_CHANGE_PCT } from '../analysis/autoscaling.js';
+import { PLAN_SHORTFALL_PCT, compareWithPlan, plannedSteps } from '../analysis/load-steps.js';
+import { EXTRAPOLATION_LIMIT, LOW_HEADROOM_PCT } from '../analysis/capacity.js';
+import { findRun, loadRun, getPreviousRun } from '../utils/run-history.js';
+import { resolveThresholds } from '../utils/thresholds.js';
+import { resolveService } from '../utils/service-registry.js';
+import { formatInTimeZone } from '../utils/time-range.js';
+import { ENDPOINT_COLUMNS, resolveColumns } from '../utils/endpoint-columns.js';
 
 dotenv.config();
 
@@ -24,6 +33,9 @@ dotenv.config();
  *   --space <key>        Confluence space key (overrides .env)
  *   --title <title>      Custom report title
  *   --template <type>    Report template: detailed|summary|regression (default: detailed)
+ *   --baseline <ref>     Baseline for the regression template: metrics JSON path or run history ID
+ *                        (default: ./reports/baselines/<service>_endpoint_metrics_table.json,
+ *                        then the previous run of the service in the run history)
  *   --help               Show this help message
  */
 
@@ -73,14 +85,9 @@ class ConfluenceReportGenerator {
         const fromTs = (data.timeRange.from_unix * 1000).toString(); // Convert to milliseconds
         const toTs = (data.timeRange.to_unix * 1000).toString();
 
-        // Service-specific dashboard URLs
-        const dashboardIds = {
-            'order-service': '6w9-8tv-qj4',
-            'operator-agent-service': '6w9-8tv-qj4'
-        };
-
-        const dashboardId = dashboardIds[service] || '9tc-enb-57g'; // Default fallback
-        const baseUrl = `https://endpointclosing.datadoghq.com/dashboard/${dashboardId}`;
+        // Service-specific dashboard from config/services.json
+        const { appUrl, dashboardId } = resolveService(service, { environment });
+        const baseUrl = `${appUrl}/dashboard/${dashboardId}`;
         const params = new URLSearchParams({
             'fromUser': 'false',
             'graphType': 'service_map',
@@ -112,16 +119,11 @@ class ConfluenceReportGenerator {
         const toTs = data.timeRange.to_unix * 1000;
 
         // Base logs URL
-        const baseUrl = 'https://endpointclosing.datadoghq.com/logs';
+        const profile = resolveService(service, { environment });
+        const baseUrl = `${profile.appUrl}/logs`;
 
-        // Use the successful query from error metrics if available, otherwise fallback to default
-        let query;
-        if (data.errorMetrics?.logSummary?.successfulQuery) {
-            query = data.errorMetrics.logSummary.successfulQuery;
-        } else {
-            // Fallback to default query format
-            query = `service:${service} status:error OR level:error env:${environment}`;
-        }
+        // Use the successful query from error metrics if available, otherwise the registry log query
+        const query = data.errorMetrics?.logSummary?.successfulQuery || profile.logQuery;
 
         const params = new URLSearchParams({
             'query': query,
@@ -197,9 +199,24 @@ class ConfluenceReportGenerator {
         // Add Test Scope & Design section
         content += this.generateTestScopeSection(data);
 
+        // Add Per-Step Results section if load steps were detected in the request rate
+        if (data.loadSteps?.steps.length > 0) {
+            content += this.generateLoadStepsSection(data.loadSteps, resolveThresholds(data.service).errorRate, data.timeRange?.timeZone);
+        }
+
+        // Add Capacity section if latency could be fitted against throughput
+        if (data.capacity?.service || Object.keys(data.capacity?.endpoints || {}).length > 0) {
+            content += this.generateCapacitySection(data.capacity);
+        }
+
         // Add Pod/Container Metrics section if available
         content += this.generatePodMetricsSection(data);
 
+        // Add Autoscaling Behaviour section if replica counts were fetched
+        if (data.podMetrics?.autoscaling) {
+            content += this.generateAutoscalingSection(data.podMetrics.autoscaling, data.timeRange?.timeZone);
+        }
+
         // Add Endpoints section - panel macro (Cloud compatible)
         content += '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
         content += '<ac:parameter ac:name="titleBGColor">#0052CC</ac:parameter>';
@@ -207,37 +224,32 @@ class ConfluenceReportGenerator {
         content += '<ac:parameter ac:name="title">📋 Endpoint Performance Summary</ac:parameter>';
         content += '<ac:rich-text-body>';
 
-        // Add disclaimer about metric values
+        // Columns: data.tableColumns (--columns), else REPORT_COLUMNS, else all
+        const columns = resolveColumns(data.tableColumns);
+
+        // How the table values were aggregated
         content += '<ac:structured-macro ac:name="info" ac:schema-version="1">';
         content += '<ac:rich-text-body>';
-        content += '<p><strong>Note:</strong> Metric values are calculated from Datadog APM traces using time-series aggregation. ';
-        content += 'Values may vary slightly (±10-20%) from the Datadog UI due to different aggregation methods and time bucket granularity. ';
-        content += 'Trends and relative comparisons between endpoints remain accurate for performance analysis.</p>';
+        content += this.generateAggregationNote(data.aggregation, columns);
         content += '</ac:rich-text-body>';
         content += '</ac:structured-macro>';
 
         // Performance table - no inline CSS
         content += '<table data-table-width="1200">';
-        content += '<colgroup><col width="250"/><col width="140"/><col width="140"/><col width="140"/><col width="140"/><col width="120"/><col width="140"/></colgroup>';
+        content += `<colgroup><col width="250"/>${columns.map(() => `<col width="${Math.floor(950 / columns.length)}"/>`).join('')}</colgroup>`;
         content += '<thead><tr>';
         content += '<th><strong>RESOURCE_NAME</strong></th>';
-        content += '<th><strong>REQUESTS</strong></th>';
-        content += '<th><strong>P95 LATENCY</strong></th>';
-        content += '<th><strong>P99 LATENCY</strong></th>';
-        content += '<th><strong>RATE</strong></th>';
-        content += '<th><strong>ERRORS</strong></th>';
-        content += '<th><strong>ERROR RATE</strong></th>';
+        columns.forEach(column => {
+            content += `<th><strong>${ENDPOINT_COLUMNS[column].label.toUpperCase()}</strong></th>`;
+        });
         content += '</tr></thead><tbody>';
 
         data.metrics.forEach(metric => {
             content += '<tr>';
             content += `<td><code>${metric.resource_name}</code></td>`;
-            content += `<td>${metric.requests} hits</td>`;
-            content += `<td><strong>${metric.p95_latency}</strong></td>`;
-            content += `<td><strong>${metric.p99_latency}</strong></td>`;
-            content += `<td>${metric.rate}</td>`;
-            content += `<td>${metric.errors || '—'}</td>`;
-            content += `<td>${metric.error_rate || '0'}</td>`;
+            columns.forEach(column => {
+                content += `<td>${this.formatEndpointCell(column, metric)}</td>`;
+            });
             content += '</tr>';
         });
 
@@ -250,6 +262,16 @@ class ConfluenceReportGenerator {
             content += this.generateP95ChartSection(data);
         }
 
+        // Add Downstream Dependencies section if dependency data is available
+        if (data.dependencyMetrics) {
+            content += this.generateDependencySection(data.dependencyMetrics);
+        }
+
+        // Add Runtime Health section if runtime data is available
+        if (data.runtimeMetrics) {
+            content += this.generateRuntimeSection(data.runtimeMetrics, resolveThresholds(data.service).runtime);
+        }
+
         // Add Error Summary section if error data is available
         if (data.errorMetrics) {
             content += this.generateErrorSummarySection(data.errorMetrics, data);
@@ -263,6 +285,230 @@ class ConfluenceReportGenerator {
         return content;
     }
 
+    /**
+     * Autoscaling behaviour: replica range and HPA bounds, then every scaling
+     * step with its request rate, requests per pod and lag (src/analysis/autoscaling.js)
+     */
+    generateAutoscalingSection(autoscaling, timeZone) {
+        let content = '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
+        content += '<ac:parameter ac:name="titleBGColor">#0052CC</ac:parameter>';
+        content += '<ac:parameter ac:name="titleColor">#FFFFFF</ac:parameter>';
+        content += '<ac:parameter ac:name="title">📈 Autoscaling Behaviour</ac:parameter>';
+        content += '<ac:rich-text-body>';
+
+        const { analysis } = autoscaling;
+        if (!analysis) {
+            content += '<p>No replica counts were reported for this deployment (check <code>deploymentTags</code> / <code>hpaTags</code> in config/services.json).</p>';
+            content += '</ac:rich-text-body>';
+            content += '</ac:structured-macro>';
+            return content;
+        }
+
+        const { summary, steps } = analysis;
+        const duration = value => value === null ? '—' : `${value.toFixed(0)}s`;
+        const rate = value => value === null ? '—' : value.toFixed(1);
+
+        content += '<p>';
+        content += this.statusMacro('Blue', `Replicas ${summary.minReplicas} → ${summary.maxReplicas}`);
+        content += ' ';
+        if (summary.hpaMaxReplicas !== null) {
+            content += this.statusMacro(summary.maxReplicasHit ? 'Red' : 'Green',
+                summary.maxReplicasHit ? `Max replicas (${summary.hpaMaxReplicas}) hit` : `Below max replicas (${summary.hpaMaxReplicas})`);
+            content += ' ';
+        }
+        content += this.statusMacro('Grey', `${summary.scaleUps} scale-up(s), ${summary.scaleDowns} scale-down(s)`);
+        content += '</p>';
+
+        content += '<table><tbody>';
+        content += `<tr><td><strong>HPA bounds</strong></td><td>${summary.hpaMaxReplicas !== null ? `${summary.hpaMinReplicas ?? '?'} - ${summary.hpaMaxReplicas} replicas` : 'not reported'} (desired replicas from the ${autoscaling.source === 'hpa' ? 'HPA' : 'deployment'})</td></tr>`;
+        content += `<tr><td><strong>Scale-up lag</strong></td><td>${summary.avgScaleUpLagSec !== null ? `${duration(summary.avgScaleUpLagSec)} avg, ${duration(summary.maxScaleUpLagSec)} max (load rise to new pods available)` : '—'}</td></tr>`;
+        content += `<tr><td><strong>Peak requests per pod</strong></td><td>${rate(summary.peakRequestsPerPod)} req/s</td></tr>`;
+        if (summary.maxReplicasHit) {
+            const hitAt = formatInTimeZone(summary.maxReplicasHitAt, timeZone, { hour: '2-digit', minute: '2-digit', hour12: false });
+            content += `<tr><td><strong>At max replicas</strong></td><td>from ${hitAt}, ${duration(summary.secondsAtMax)} in total</td></tr>`;
+        }
+        content += '</tbody></table>';
+
+        if (steps.length > 0) {
+            content += '<h3>Scaling Steps</h3>';
+            content += `<p>Reaction: from the request rate moving ${LOAD_CHANGE_PCT}% away from its level at the previous step to the new desired replica count. Ready: from the new desired count to that many pods available.</p>`;
+            content += '<table><thead><tr>';
+            ['Time', 'Replicas', 'Request Rate (req/s)', 'Req/s per Pod (before → after)', 'Reaction', 'Ready', 'Total Lag'].forEach(header => {
+                content += `<th><strong>${header}</strong></th>`;
+            });
+            content += '</tr></thead><tbody>';
+            steps.forEach(step => {
+                content += '<tr>';
+                content += `<td>${formatInTimeZone(step.timestamp, timeZone, { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false })}</td>`;
+                content += `<td>${step.direction === 'up' ? '⬆️' : '⬇️'} ${step.from} → ${step.to}</td>`;
+                content += `<td>${rate(step.requestRate)}</td>`;
+                content += `<td>${rate(step.requestsPerPodBefore)} → ${rate(step.requestsPerPodAfter)}</td>`;
+                content += `<td>${duration(step.reactionSec)}</td>`;
+                content += `<td>${duration(step.readySec)}</td>`;
+                content += `<td>${duration(step.lagSec)}</td>`;
+                content += '</tr>';
+            });
+            content += '</tbody></table>';
+        } else {
+            content += `<p>The replica count stayed at ${summary.minReplicas} for the whole test.</p>`;
+        }
+
+        content += '</ac:rich-text-body>';
+        content += '</ac:structured-macro>';
+        return content;
+    }
+
+    /**
+     * Runtime health: per-pod event loop delay, GC and heap (Node.js) or CPU,
+     * memory, threads and GC generations (Python), with badges for the Node.js
+     * runtime thresholds.
+     */
+    generateRuntimeSection(runtimeMetrics, thresholds) {
+        const { runtime, metrics, pods, summary } = runtimeMetrics;
+
+        let content = '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
+        content += '<ac:parameter ac:name="titleBGColor">#0052CC</ac:parameter>';
+        content += '<ac:parameter ac:name="titleColor">#FFFFFF</ac:parameter>';
+        content += `<ac:parameter ac:name="title">⚙️ Runtime Health (${runtime === 'node' ? 'Node.js' : 'Python'})</ac:parameter>`;
+        content += '<ac:rich-text-body>';
+
+        if (pods.length === 0) {
+            content += '<p>No runtime metrics were reported for this service - runtime metrics need <code>DD_RUNTIME_METRICS_ENABLED=true</code> in the service.</p>';
+            content += '</ac:rich-text-body>';
+            content += '</ac:structured-macro>';
+            return content;
+        }
+
+        if (runtime === 'node') {
+            content += '<p>';
+            if (summary.eventLoopDelayP95) {
+                const peak = summary.eventLoopDelayP95.max;
+                content += this.statusMacro(peak > thresholds.eventLoopDelayMs ? 'Red' : 'Green', `Event loop P95 peak ${peak.toFixed(0)} ms`);
+                content += ' ';
+            }
+            if (summary.maxGcPausePct !== null) {
+                content += this.statusMacro(summary.maxGcPausePct > thresholds.gcPausePct ? 'Yellow' : 'Green', `GC ${summary.maxGcPausePct.toFixed(1)}% of time`);
+                content += ' ';
+            }
+            if (summary.maxHeapPct !== null) {
+                content += this.statusMacro(summary.maxHeapPct > thresholds.heapPct ? 'Yellow' : 'Green', `Heap peak ${summary.maxHeapPct.toFixed(0)}% of limit`);
+            }
+            content += '</p>';
+            content += '<p>Event loop delay is how late timers ran - time every pending request spent waiting on the event loop. GC columns are pause times; time in GC is the share of the test window spent in GC pauses.</p>';
+        }
+
+        // Gauges as average / peak, totals over the window; Node.js pods add time in GC and heap against its limit
+        const columns = metrics.filter(metric => pods.some(pod => pod.metrics[metric.key]));
+        const derived = [['gcPausePct', 'TIME IN GC'], ['heapPct', 'HEAP % OF LIMIT']]
+            .filter(([field]) => pods.some(pod => pod[field] !== null && pod[field] !== undefined));
+        const format = (value, unit) => `${value.toFixed(unit === '' ? 0 : 1)}${unit ? ` ${unit}` : ''}`;
+
+        content += '<table data-table-width="1200">';
+        content += '<thead><tr><th><strong>POD NAME</strong></th>';
+        columns.forEach(({ label, total }) => {
+            content += `<th><strong>${label.toUpperCase()}${total ? '' : ' (AVG / MAX)'}</strong></th>`;
+        });
+        derived.forEach(([, header]) => {
+            content += `<th><strong>${header}</strong></th>`;
+        });
+        content += '</tr></thead><tbody>';
+
+        pods.forEach(pod => {
+            content += '<tr>';
+            content += `<td><code>${pod.podName}</code></td>`;
+            columns.forEach(({ key, unit, total }) => {
+                const stats = pod.metrics[key];
+                content += `<td>${!stats ? '—' : total ? format(stats.total, unit) : `${format(stats.avg, unit)} / ${format(stats.max, unit)}`}</td>`;
+            });
+            derived.forEach(([field]) => {
+                content += `<td>${pod[field] === null || pod[field] === undefined ? '—' : `${pod[field].toFixed(1)}%`}</td>`;
+            });
+            content += '</tr>';
+        });
+
+        content += '</tbody></table>';
+        content += '</ac:rich-text-body>';
+        content += '</ac:structured-macro>';
+        return content;
+    }
+
+    /**
+     * Downstream dependencies: per-dependency hits, latency, errors and share of
+     * request time, then the slowest query resources of each
+     */
+    generateDependencySection(dependencyMetrics) {
+        const { dependencies, summary } = dependencyMetrics;
+
+        let content = '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
+        content += '<ac:parameter ac:name="titleBGColor">#0052CC</ac:parameter>';
+        content += '<ac:parameter ac:name="titleColor">#FFFFFF</ac:parameter>';
+        content += '<ac:parameter ac:name="title">🔗 Downstream Dependencies</ac:parameter>';
+        content += '<ac:rich-text-body>';
+
+        if (dependencies.length === 0) {
+            content += '<p>No database, cache or HTTP client spans were found for this service in the test window.</p>';
+            content += '</ac:rich-text-body>';
+            content += '</ac:structured-macro>';
+            return content;
+        }
+
+        content += '<ac:structured-macro ac:name="info" ac:schema-version="1">';
+        content += '<ac:rich-text-body>';
+        content += '<p>Time share is each dependency\'s total span time (average x hits) over the total request time of the service. ';
+        content += 'Shares can add up past 100% when calls run in parallel.';
+        if (summary.handlerPct !== null) {
+            content += ` Time outside the dependencies (the handler itself): <strong>${summary.handlerPct.toFixed(1)}%</strong>.`;
+        }
+        content += '</p>';
+        content += '</ac:rich-text-body>';
+        content += '</ac:structured-macro>';
+
+        content += '<table><thead><tr>';
+        ['Dependency', 'Type', 'Hits', 'Calls / Request', 'P95 Latency', 'Avg Latency', 'Errors', 'Time Share'].forEach(header => {
+            content += `<th><strong>${header}</strong></th>`;
+        });
+        content += '</tr></thead><tbody>';
+        dependencies.forEach(dependency => {
+            content += '<tr>';
+            content += `<td><code>${this.escapeHtml(dependency.operation)}</code> ${this.escapeHtml(dependency.name)}</td>`;
+            content += `<td>${this.escapeHtml(dependency.type)}</td>`;
+            content += `<td>${dependency.hits}</td>`;
+            content += `<td>${dependency.callsPerRequest !== null ? dependency.callsPerRequest.toFixed(1) : 'N/A'}</td>`;
+            content += `<td>${dependency.p95Ms.toFixed(1)} ms</td>`;
+            content += `<td>${dependency.avgMs.toFixed(1)} ms</td>`;
+            content += `<td>${dependency.errors > 0 ? `${dependency.errors} (${dependency.errorRate.toFixed(2)}%)` : '—'}</td>`;
+            content += `<td>${dependency.timeSharePct !== null ? `${dependency.timeSharePct.toFixed(1)}%` : 'N/A'}</td>`;
+            content += '</tr>';
+        });
+        content += '</tbody></table>';
+
+        // Slowest query resources, per dependency
+        const withResources = dependencies.filter(dependency => dependency.topResources.length > 0);
+        if (withResources.length > 0) {
+            content += '<h3>Slowest Queries</h3>';
+            withResources.forEach(dependency => {
+                content += '<ac:structured-macro ac:name="expand" ac:schema-version="1">';
+                content += `<ac:parameter ac:name="title">${this.escapeHtml(dependency.name)} - ${dependency.topResources.length} slowest</ac:parameter>`;
+                content += '<ac:rich-text-body>';
+                content += '<table><thead><tr><th><strong>Resource</strong></th><th><strong>P95 Latency</strong></th><th><strong>Hits</strong></th></tr></thead><tbody>';
+                dependency.topResources.forEach(resource => {
+                    content += '<tr>';
+                    content += `<td><code>${this.escapeHtml(resource.resource)}</code></td>`;
+                    content += `<td>${resource.p95Ms.toFixed(1)} ms</td>`;
+                    content += `<td>${resource.hits}</td>`;
+                    content += '</tr>';
+                });
+                content += '</tbody></table>';
+                content += '</ac:rich-text-body>';
+                content += '</ac:structured-macro>';
+            });
+        }
+
+        content += '</ac:rich-text-body>';
+        content += '</ac:structured-macro>';
+        return content;
+    }
+
     generateP95ChartSection(data) {
         // Panel macro for section - Cloud compatible
         let content = '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
@@ -332,7 +578,7 @@ class ConfluenceReportGenerator {
             // Create dual-axis chart: Rate vs P95 over time
             const chartLabels = timeSeries.map((point, idx) => {
                 if (idx % 6 === 0 || idx === timeSeries.length - 1) {
-                    return new Date(point.timestamp).toLocaleTimeString('en-US', {
+                    return formatInTimeZone(point.timestamp, data.timeRange?.timeZone, {
                         hour: '2-digit', minute: '2-digit', hour12: false
                     });
                 }
@@ -440,6 +686,8 @@ class ConfluenceReportGenerator {
 
         const hasErrors = errorMetrics.logSummary.totalLogErrors > 0 ||
             errorMetrics.traceSummary.totalErrors > 0;
+        // Older error files have no dataAvailable flag - treat them as having trace data
+        const traceDataMissing = errorMetrics.traceSummary.dataAvailable === false;
 
         // Panel macro for Error Summary - Cloud compatible
         let content = '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
@@ -448,12 +696,24 @@ class ConfluenceReportGenerator {
         content += '<ac:parameter ac:name="title">⚠️ Error Summary</ac:parameter>';
         content += '<ac:rich-text-body>';
 
-        if (!hasErrors) {
-            content += '<ac:structured-macro ac:name="tip" ac:schema-version="1">';
+        if (traceDataMissing) {
+            content += '<ac:structured-macro ac:name="warning" ac:schema-version="1">';
             content += '<ac:rich-text-body>';
-            content += '<p><strong>✅ No errors detected during this test period</strong></p>';
+            content += '<p><strong>APM trace errors unknown:</strong> the trace query returned no data for this period, so trace errors are not reported as zero. ';
+            content += 'Check the framework configured for this service in config/services.json.</p>';
             content += '</ac:rich-text-body>';
             content += '</ac:structured-macro>';
+        }
+
+        if (!hasErrors) {
+            if (!traceDataMissing) {
+                content += '<ac:structured-macro ac:name="tip" ac:schema-version="1">';
+                content += '<ac:rich-text-body>';
+                content += '<p><strong>✅ No errors detected during this test period</strong></p>';
+                content += '</ac:rich-text-body>';
+                content += '</ac:structured-macro>';
+            }
+            content += this.generateErrorQuerySources(errorMetrics);
             content += '</ac:rich-text-body></ac:structured-macro>';
             return content;
         }
@@ -470,17 +730,25 @@ class ConfluenceReportGenerator {
         if (errorMetrics.logSummary.totalLogErrors > 0) {
             content += '<tr>';
             content += '<td><strong>Application Log Errors</strong></td>';
-            content += '<td><strong>' + errorMetrics.logSummary.totalLogErrors + '</strong></td>';
+            content += '<td><strong>' + this.formatLogErrorCount(errorMetrics.logSummary) + '</strong></td>';
             content += '<td>';
             const logsUrl = this.generateDatadogLogsUrl(data);
             content += '<p><a href="' + logsUrl + '" target="_blank">🔗 View in Datadog Logs</a></p>';
-            const topErrors = errorMetrics.logSummary.errorsByMessage.slice(0, 5);
-            if (topErrors.length > 0) {
-                content += '<ul>';
-                topErrors.forEach(error => {
-                    content += '<li>' + this.escapeHtml(error.message.substring(0, 100)) + '... (' + error.errorCount + ' occurrences)</li>';
-                });
-                content += '</ul>';
+            if (errorMetrics.logSummary.complete === false) {
+                content += '<p><em>More error logs matched than were fetched - patterns below are from the ' + errorMetrics.logSummary.fetchedLogs + ' most recent.</em></p>';
+            }
+            if (errorMetrics.logSummary.clusters) {
+                content += '<p>' + errorMetrics.logSummary.totalClusters + ' distinct error pattern(s) - see Top Error Patterns below</p>';
+            } else {
+                // Older error files: messages grouped by their first 100 characters
+                const topErrors = errorMetrics.logSummary.errorsByMessage.slice(0, 5);
+                if (topErrors.length > 0) {
+                    content += '<ul>';
+                    topErrors.forEach(error => {
+                        content += '<li>' + this.escapeHtml(error.message.substring(0, 100)) + '... (' + error.errorCount + ' occurrences)</li>';
+                    });
+                    content += '</ul>';
+                }
             }
             content += '</td></tr>';
         }
@@ -494,11 +762,150 @@ class ConfluenceReportGenerator {
         }
 
         content += '</tbody></table>';
+        content += this.generateErrorClustersTable(errorMetrics);
+        content += this.generateErrorQuerySources(errorMetrics);
         content += '</ac:rich-text-body>';
         content += '</ac:structured-macro>';
         return content;
     }
 
+    /**
+     * Top error log patterns (clustered by src/analysis/error-clustering.js)
+     */
+    generateErrorClustersTable(errorMetrics) {
+        const clusters = (errorMetrics.logSummary.clusters || []).slice(0, 10);
+        if (clusters.length === 0) return '';
+
+        const timeZone = errorMetrics.timeRange?.timeZone;
+        const formatSeen = timestamp => timestamp ?
+            formatInTimeZone(timestamp, timeZone, { hour: 'numeric', minute: '2-digit', second: '2-digit', hour12: true }) : 'N/A';
+
+        let content = '<h3>Top Error Patterns</h3>';
+        content += '<table data-table-width="1200" data-layout="wide">';
+        content += '<colgroup><col width="420"/><col width="90"/><col width="150"/><col width="200"/><col width="340"/></colgroup>';
+        content += '<thead><tr>';
+        content += '<th><strong>Pattern</strong></th>';
+        content += '<th><strong>Count</strong></th>';
+        content += '<th><strong>First / Last Seen</strong></th>';
+        content += '<th><strong>Pods</strong></th>';
+        content += '<th><strong>Sample</strong></th>';
+        content += '</tr></thead><tbody>';
+
+        clusters.forEach(cluster => {
+            content += '<tr>';
+            content += '<td><strong>' + this.escapeHtml(cluster.errorType) + '</strong><br/><code>' + this.escapeHtml(cluster.template) + '</code>';
+            if (cluster.frames.length > 0) {
+                content += '<br/><em>' + this.escapeHtml(cluster.frames[0]) + '</em>';
+            }
+            content += '</td>';
+            content += '<td>' + cluster.count + '</td>';
+            content += '<td>' + formatSeen(cluster.firstSeen) + ' – ' + formatSeen(cluster.lastSeen) + '</td>';
+            content += '<td>' + (cluster.pods.length > 0 ?
+                cluster.pods.slice(0, 3).map(pod => this.escapeHtml(pod)).join('<br/>') + (cluster.pods.length > 3 ? '<br/>+' + (cluster.pods.length - 3) + ' more' : '') :
+                'Unknown') + '</td>';
+            content += '<td>' + this.escapeHtml(cluster.sample.substring(0, 200)) + '</td>';
+            content += '</tr>';
+        });
+
+        content += '</tbody></table>';
+        if (errorMetrics.logSummary.totalClusters > clusters.length) {
+            content += '<p><em>Showing the ' + clusters.length + ' largest of ' + errorMetrics.logSummary.totalClusters + ' patterns.</em></p>';
+        }
+        return content;
+    }
+
+    /**
+     * One endpoint table cell. Reports fetched before the full percentile ladder
+     * have no p50/p75/p90/avg/max/tail values - those show as N/A.
+     */
+    formatEndpointCell(column, metric) {
+        const value = metric[ENDPOINT_COLUMNS[column].field];
+        if (column === 'requests') return `${value} hits`;
+        if (column === 'p95' || column === 'p99') return `<strong>${value}</strong>`;
+        if (column === 'errors') return value || '—';
+        if (column === 'error_rate') return value || '0';
+        return value ?? 'N/A';
+    }
+
+    /**
+     * Errors and error rate (%) of an endpoint for the findings. Where the
+     * errorRate.exclude4xx threshold is set and the status breakdown was fetched,
+     * only 5xx responses count - 4xx validation failures and 429 throttling are
+     * the client's doing, not the service's. Otherwise the APM error counter.
+     */
+    endpointErrors(data, metric) {
+        const { errorRate } = resolveThresholds(data.service, metric.resource_name);
+        const status = data.statusCodes?.[metric.resource_name];
+        if (errorRate.exclude4xx && status?.total > 0) {
+            return { errors: status.classes['5xx'], rate: status.classes['5xx'] / status.total * 100, serverOnly: true };
+        }
+        return { errors: parseInt(metric.errors) || 0, rate: parseFloat(metric.error_rate || 0), serverOnly: false };
+    }
+
+    /**
+     * Note above the endpoint table: whole-window values, or which columns are
+     * approximations (aggregation is recorded per column by the fetcher).
+     * Only the displayed columns are listed.
+     */
+    generateAggregationNote(aggregation, columns = Object.keys(ENDPOINT_COLUMNS)) {
+        if (!aggregation) {
+            // Reports fetched before the whole-window queries
+            return '<p><strong>Note:</strong> P95/P99 are percentiles of per-interval percentiles and may differ from the Datadog UI; ' +
+                'trends and relative comparisons between endpoints remain accurate.</p>';
+        }
+
+        const labels = { ...Object.fromEntries(Object.values(ENDPOINT_COLUMNS).map(({ field, label }) => [field, label])), status_codes: 'HTTP status codes' };
+        const fields = columns.map(column => ENDPOINT_COLUMNS[column].aggregation || ENDPOINT_COLUMNS[column].field);
+        const approximate = Object.entries(aggregation).filter(([field, entry]) => fields.includes(field) && !entry.exact);
+        if (approximate.length === 0) {
+            return '<p><strong>Note:</strong> Requests and errors are totals over the whole test window and the latency percentiles, average and max ' +
+                'cover every request in it (Datadog rollups over the full window), so they match the Datadog UI for the same time range.</p>';
+        }
+
+        let note = '<p><strong>Note:</strong> Whole-window aggregates were not available for every column. Approximate or missing columns:</p><ul>';
+        approximate.forEach(([column, entry]) => {
+            note += `<li><strong>${labels[column] || column}</strong>: ${this.escapeHtml(entry.description || entry.method)}</li>`;
+        });
+        note += '</ul>';
+        return note;
+    }
+
+    /**
+     * Log error count for display: "1000+ (sampled)" when the log search was capped
+     * and no exact count could be fetched, "4321 (1000 sampled)" when it could
+     */
+    formatLogErrorCount(logSummary) {
+        if (logSummary.complete !== false) return String(logSummary.totalLogErrors);
+        return logSummary.countExact ?
+            `${logSummary.totalLogErrors} (${logSummary.fetchedLogs} sampled)` :
+            `${logSummary.totalLogErrors}+ (sampled)`;
+    }
+
+    /**
+     * List the Datadog queries behind the Error Summary (recorded by fetch-error-metrics.js)
+     */
+    generateErrorQuerySources(errorMetrics) {
+        if (!errorMetrics.queries) return '';
+
+        const sources = [
+            ['Application logs', errorMetrics.queries.logs],
+            ['Application log count', errorMetrics.queries.logCount],
+            ['APM trace errors', errorMetrics.queries.traceErrors],
+            ['APM requests', errorMetrics.queries.totalRequests]
+        ].filter(([, source]) => source && source.query);
+
+        if (sources.length === 0) return '';
+
+        let content = '<p><strong>Data sources</strong> (' + this.escapeHtml(errorMetrics.environment || 'staging') + ', ' + this.escapeHtml(errorMetrics.traceOperation || 'unknown trace operation') + '):</p>';
+        content += '<ul>';
+        sources.forEach(([label, source]) => {
+            const note = source.status === 'ok' ? '' : ' — <em>' + (source.status === 'failed' ? 'query failed' : 'no data') + '</em>';
+            content += '<li>' + label + ': <code>' + this.escapeHtml(source.query) + '</code>' + note + '</li>';
+        });
+        content += '</ul>';
+        return content;
+    }
+
     generateOOMEventsSection(oomSummary) {
         if (!oomSummary || oomSummary.totalOOMEvents === 0) return '';
 
@@ -559,6 +966,11 @@ class ConfluenceReportGenerator {
             observations.overallStatus === 'warning' ? '⚠️ Performance Concerns' : '❌ Critical Issues';
         content += '<p>' + this.statusMacro(statusColour, statusText) + '</p>';
 
+        // Capacity headline: the knee, the most req/s under the latency SLO and the headroom over the peak
+        if (data.capacity?.service) {
+            content += `<p><strong>📉 Capacity:</strong> ${this.describeCapacity(data.capacity.service)}</p>`;
+        }
+
         // Key Findings - no inline CSS (Cloud strips it)
         content += '<h3>📊 Key Findings:</h3>';
         content += '<ul>';
@@ -581,6 +993,79 @@ class ConfluenceReportGenerator {
         return content;
     }
 
+    /**
+     * One-line capacity summary of a service or endpoint (src/analysis/capacity.js)
+     */
+    describeCapacity(capacity) {
+        const rps = value => `${value.toFixed(2)} req/s`;
+        const knee = capacity.knee ?
+            `latency knee at <strong>${rps(capacity.knee.rps)}</strong> (P95 ${capacity.knee.latencyMs.toFixed(0)} ms)` :
+            `no latency knee up to the ${rps(capacity.peakRps)} peak`;
+        if (capacity.sloMs === null) {
+            return `${knee}; no P95 latency SLO configured`;
+        }
+        if (capacity.maxSustainableRps === null) {
+            return `${knee}; P95 stays under the ${capacity.sloMs} ms SLO beyond ${rps(capacity.peakRps * EXTRAPOLATION_LIMIT)} ` +
+                `(${EXTRAPOLATION_LIMIT}x the ${rps(capacity.peakRps)} peak)`;
+        }
+        const headroom = capacity.headroomPct >= 0 ?
+            `<strong>${capacity.headroomPct.toFixed(0)}% headroom</strong> over the ${rps(capacity.peakRps)} peak` :
+            `the ${rps(capacity.peakRps)} peak is <strong>${Math.abs(capacity.headroomPct).toFixed(0)}% over it</strong>`;
+        return `${knee}; sustains up to <strong>${rps(capacity.maxSustainableRps)}</strong>${capacity.extrapolated ? ' (extrapolated)' : ''} ` +
+            `under the ${capacity.sloMs} ms P95 SLO - ${headroom}`;
+    }
+
+    /**
+     * Capacity: P95 latency fitted against request rate, service-wide and per
+     * endpoint - knee, most req/s under the P95 SLO and headroom over the peak
+     */
+    generateCapacitySection(capacity) {
+        let content = '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
+        content += '<ac:parameter ac:name="titleBGColor">#0052CC</ac:parameter>';
+        content += '<ac:parameter ac:name="titleColor">#FFFFFF</ac:parameter>';
+        content += '<ac:parameter ac:name="title">📉 Capacity</ac:parameter>';
+        content += '<ac:rich-text-body>';
+
+        content += '<p>P95 latency of each interval fitted against its request rate: a line that bends up at the knee, where latency starts to grow with load. ';
+        content += `Max sustainable is where the fitted P95 reaches the latency SLO (<code>latency.p95Ms</code>), extrapolated at most ${EXTRAPOLATION_LIMIT}x past the observed peak.</p>`;
+
+        const rps = value => value === null ? '—' : value.toFixed(2);
+        const headroomMacro = entry => {
+            if (entry.sloMs === null) return '—';
+            if (entry.maxSustainableRps === null) return this.statusMacro('Green', `> ${((EXTRAPOLATION_LIMIT - 1) * 100).toFixed(0)}%`);
+            const colour = entry.headroomPct < 0 ? 'Red' : entry.headroomPct < LOW_HEADROOM_PCT ? 'Yellow' : 'Green';
+            return this.statusMacro(colour, `${entry.headroomPct.toFixed(0)}%`);
+        };
+
+        content += '<table><thead><tr>';
+        ['Scope', 'Peak (req/s)', 'P95 at Peak', 'Knee (req/s)', 'P95 SLO', 'Max Sustainable (req/s)', 'Headroom', 'Fit R²'].forEach(header => {
+            content += `<th><strong>${header}</strong></th>`;
+        });
+        content += '</tr></thead><tbody>';
+        const rows = [
+            ...(capacity.service ? [['<strong>Service</strong>', capacity.service]] : []),
+            ...Object.entries(capacity.endpoints || {}).map(([endpoint, entry]) => [`<code>${this.escapeHtml(endpoint)}</code>`, entry])
+        ];
+        rows.forEach(([scope, entry]) => {
+            content += '<tr>';
+            content += `<td>${scope}</td>`;
+            content += `<td>${rps(entry.peakRps)}</td>`;
+            content += `<td>${entry.peakLatencyMs.toFixed(0)} ms</td>`;
+            content += `<td>${entry.knee ? `${rps(entry.knee.rps)} (${entry.knee.latencyMs.toFixed(0)} ms)` : 'none'}</td>`;
+            content += `<td>${entry.sloMs !== null ? `${entry.sloMs} ms` : '—'}</td>`;
+            content += `<td>${entry.maxSustainableRps !== null ? `${rps(entry.maxSustainableRps)}${entry.extrapolated ? ' (extrapolated)' : ''}` :
+                entry.sloMs !== null ? `> ${rps(entry.peakRps * EXTRAPOLATION_LIMIT)}` : '—'}</td>`;
+            content += `<td>${headroomMacro(entry)}</td>`;
+            content += `<td>${entry.fit.rSquared !== null ? entry.fit.rSquared.toFixed(2) : '—'}</td>`;
+            content += '</tr>';
+        });
+        content += '</tbody></table>';
+
+        content += '</ac:rich-text-body>';
+        content += '</ac:structured-macro>';
+        return content;
+    }
+
     /** Strip inline styles from HTML - Confluence Cloud strips them, keep tags/structure */
     stripInlineStyles(html) {
         if (!html || typeof html !== 'string') return html;
@@ -600,7 +1085,7 @@ class ConfluenceReportGenerator {
                 return pod.restarts && pod.restarts > 0 &&
                     (!podTiming || !podTiming.exactTime || !podTiming.exactTime.includes('Before'));
             });
-            windowRestarts = validRestarts.reduce((sum, pod) => sum + (pod.restarts || 0), 0);
+            windowRestarts = validRestarts.reduce((sum, pod) => sum + this.windowRestartCount(pod), 0);
             restartedPods = validRestarts.length;
         }
 
@@ -611,9 +1096,10 @@ class ConfluenceReportGenerator {
 
         // High latency detection
         if (data.endpointMetrics && data.endpointMetrics.length > 0) {
-            const highLatencyEndpoints = data.endpointMetrics.filter(endpoint =>
-                endpoint.p95_latency && endpoint.p95_latency > 1000 // > 1 second
-            );
+            const highLatencyEndpoints = data.endpointMetrics.filter(endpoint => {
+                const { p95Ms } = resolveThresholds(data.service, endpoint.resource_name).latency;
+                return endpoint.p95_latency && p95Ms !== null && endpoint.p95_latency > p95Ms;
+            });
             if (highLatencyEndpoints.length > 0) {
                 const worstEndpoint = highLatencyEndpoints.reduce((worst, current) =>
                     current.p95_latency > worst.p95_latency ? current : worst
@@ -637,7 +1123,7 @@ class ConfluenceReportGenerator {
 
         // Application errors summary
         if (data.errorMetrics?.logSummary?.totalLogErrors > 0) {
-            observations.push(`Application Errors: ${data.errorMetrics.logSummary.totalLogErrors} log errors detected during monitoring window`);
+            observations.push(`Application Errors: ${this.formatLogErrorCount(data.errorMetrics.logSummary)} log errors detected during monitoring window`);
         }
 
         // Overall throughput
@@ -667,7 +1153,7 @@ class ConfluenceReportGenerator {
                 return pod.restarts && pod.restarts > 0 &&
                     (podTiming && podTiming.duringWindow !== false);
             });
-            windowRestarts = validRestarts.reduce((sum, pod) => sum + (pod.restarts || 0), 0);
+            windowRestarts = validRestarts.reduce((sum, pod) => sum + this.windowRestartCount(pod), 0);
             restartedPods = validRestarts.length;
         }
 
@@ -678,9 +1164,10 @@ class ConfluenceReportGenerator {
 
         // High latency detection
         if (data.endpointMetrics && data.endpointMetrics.length > 0) {
-            const highLatencyEndpoints = data.endpointMetrics.filter(endpoint =>
-                endpoint.p95_latency && endpoint.p95_latency > 1000 // > 1 second
-            );
+            const highLatencyEndpoints = data.endpointMetrics.filter(endpoint => {
+                const { p95Ms } = resolveThresholds(data.service, endpoint.resource_name).latency;
+                return endpoint.p95_latency && p95Ms !== null && endpoint.p95_latency > p95Ms;
+            });
             if (highLatencyEndpoints.length > 0) {
                 const worstEndpoint = highLatencyEndpoints.reduce((worst, current) =>
                     current.p95_latency > worst.p95_latency ? current : worst
@@ -704,7 +1191,7 @@ class ConfluenceReportGenerator {
 
         // Application errors summary
         if (data.errorMetrics?.logSummary?.totalLogErrors > 0) {
-            observations.push(`Application Errors: ${data.errorMetrics.logSummary.totalLogErrors} log errors detected during monitoring window`);
+            observations.push(`Application Errors: ${this.formatLogErrorCount(data.errorMetrics.logSummary)} log errors detected during monitoring window`);
         }
 
         // Overall throughput
@@ -755,30 +1242,29 @@ class ConfluenceReportGenerator {
 
                     if (latestRestartTime) {
                         // Restart occurred during monitoring window
-                        const restartDate = new Date(latestRestartTime);
                         restartTiming[podName] = {
-                            exactTime: restartDate.toLocaleString('en-US', {
+                            exactTime: formatInTimeZone(latestRestartTime, podMetricsData.timeRange?.timeZone, {
                                 month: 'short',
                                 day: 'numeric',
                                 hour: '2-digit',
                                 minute: '2-digit',
                                 second: '2-digit',
                                 hour12: true,
-                                timeZone: 'America/New_York'
-                            }) + ' EST',
+                                timeZoneName: 'short'
+                            }),
                             duringWindow: true
                         };
                     } else if (startValue > 0) {
                         // Restart happened before monitoring window
                         restartTiming[podName] = {
-                            exactTime: `Before ${monitoringStart.toLocaleString('en-US', {
+                            exactTime: `Before ${formatInTimeZone(monitoringStart.getTime(), podMetricsData.timeRange?.timeZone, {
                                 month: 'short',
                                 day: 'numeric',
                                 hour: '2-digit',
                                 minute: '2-digit',
                                 hour12: true,
-                                timeZone: 'America/New_York'
-                            })} EST`,
+                                timeZoneName: 'short'
+                            })}`,
                             duringWindow: false
                         };
                     }
@@ -789,20 +1275,54 @@ class ConfluenceReportGenerator {
         return restartTiming;
     }
 
+    /**
+     * Restarts of a pod inside the test window. Files fetched before the restart
+     * timeline was collected only have the pod's cumulative restart count.
+     */
+    windowRestartCount(pod) {
+        return pod.restartsInWindow ?? pod.restarts ?? 0;
+    }
+
+    /**
+     * "OOMKilled (exit 137)", "Error (exit 1)" - a restart's termination reason and exit code
+     */
+    describeTermination({ reason, exitCode }) {
+        const exit = exitCode !== null && exitCode !== undefined ? `exit ${exitCode}` : null;
+        if (reason && exit) return `${reason} (${exit})`;
+        return reason || exit || 'Unknown reason';
+    }
+
     getMainRestartCause(podsWithRestarts, allData) {
-        const totalRestarts = podsWithRestarts.reduce((sum, pod) => sum + pod.restarts, 0);
+        // The termination reasons Kubernetes reported, when the container fetch collected them
+        const explained = (allData.podMetrics?.restartEvents || []).filter(restart =>
+            podsWithRestarts.some(pod => pod.podName === restart.podName) &&
+            (restart.reason || restart.exitCode !== null));
+        if (explained.length > 0) {
+            const byCause = {};
+            explained.forEach(restart => {
+                const cause = this.describeTermination(restart);
+                byCause[cause] = (byCause[cause] || 0) + restart.restarts;
+            });
+            const causes = Object.entries(byCause)
+                .sort((a, b) => b[1] - a[1])
+                .map(([cause, count]) => `${cause} x${count}`)
+                .join(', ');
+            if (explained.some(restart => restart.reason === 'OOMKilled')) {
+                return `Terminated by Kubernetes: ${causes} - containers exceeded their memory limit`;
+            }
+            return `Terminated by Kubernetes: ${causes}`;
+        }
+
+        // No reasons reported - infer from usage and errors
+        const totalRestarts = podsWithRestarts.reduce((sum, pod) => sum + this.windowRestartCount(pod), 0);
         const hasHighErrors = allData.errorMetrics?.logSummary?.totalLogErrors > 0;
-        const hasHighMemory = podsWithRestarts.some(pod => {
-            const memMetrics = allData.podMetrics?.containerMetrics?.memory;
-            const podMemData = memMetrics?.find(m => m.podName === pod.podName);
-            return podMemData && podMemData.maxMemory > 90;
-        });
+        const hasHighMemory = podsWithRestarts.some(pod => pod.maxMemoryPct > 90);
 
         if (hasHighMemory) {
             return 'High memory usage detected - likely OOM (Out of Memory) kills';
         }
         if (hasHighErrors && totalRestarts > 1) {
-            return `Correlated with ${allData.errorMetrics.logSummary.totalLogErrors} application errors - likely application-level failures`;
+            return `Correlated with ${this.formatLogErrorCount(allData.errorMetrics.logSummary)} application errors - likely application-level failures`;
         }
         if (totalRestarts >= 3) {
             return 'Frequent restarts suggest health check failures or application instability';
@@ -905,30 +1425,22 @@ class ConfluenceReportGenerator {
             const podName = pod.podName;
             const restartCount = pod.restarts;
 
-            // Memory-related restart analysis
-            if (allData.podMetrics?.containerMetrics?.memory) {
-                const memMetrics = allData.podMetrics.containerMetrics.memory;
-                const podMemData = memMetrics.find(m => m.podName === podName);
-                if (podMemData && podMemData.maxMemory > 90) {
-                    analyses.push(`High memory usage (${podMemData.maxMemory}%) on ${podName} suggests potential OOM kills`);
-                    continue;
-                }
+            // Memory-related restart analysis - usage against the pod's memory limit
+            if (pod.maxMemoryPct > 90) {
+                analyses.push(`High memory usage (${pod.maxMemoryPct.toFixed(0)}% of limit) on ${podName} suggests potential OOM kills`);
+                continue;
             }
 
-            // CPU-related restart analysis
-            if (allData.podMetrics?.containerMetrics?.cpu) {
-                const cpuMetrics = allData.podMetrics.containerMetrics.cpu;
-                const podCpuData = cpuMetrics.find(m => m.podName === podName);
-                if (podCpuData && podCpuData.maxCpu > 95) {
-                    analyses.push(`High CPU usage (${podCpuData.maxCpu}%) on ${podName} may indicate CPU throttling or resource starvation`);
-                    continue;
-                }
+            // CPU-related restart analysis - usage against the pod's CPU limit
+            if (pod.maxCpuPct > 95) {
+                analyses.push(`High CPU usage (${pod.maxCpuPct.toFixed(0)}% of limit) on ${podName} may indicate CPU throttling or resource starvation`);
+                continue;
             }
 
             // Error correlation analysis
             const hasHighErrors = allData.errorMetrics?.logSummary?.totalLogErrors > 0;
             if (hasHighErrors && restartCount > 1) {
-                analyses.push(`Restarts on ${podName} correlate with application errors (${allData.errorMetrics.logSummary.totalLogErrors} errors), likely application-level failures`);
+                analyses.push(`Restarts on ${podName} correlate with application errors (${this.formatLogErrorCount(allData.errorMetrics.logSummary)} errors), likely application-level failures`);
                 continue;
             }
 
@@ -955,75 +1467,157 @@ class ConfluenceReportGenerator {
         const findings = [];
         const recommendations = [];
         let overallStatus = 'good';
+        const thresholds = resolveThresholds(data.service);
 
         // Generate clean metrics-based Key Findings based on actual service performance during monitoring window
 
-        // Check for pod restarts during monitoring window
-        let hasRestarts = false;
-        if (data.podMetrics && data.podMetrics.podMetrics) {
-            const restartTiming = this.analyzeRestartTiming(data.podMetrics);
-            const podsWithRestarts = data.podMetrics.podMetrics.filter(pod => {
-                const podTiming = restartTiming[pod.podName];
-                return pod.restarts && pod.restarts > 0 &&
-                    (podTiming && podTiming.duringWindow !== false);
-            });
-            const totalRestarts = podsWithRestarts.reduce((sum, pod) => sum + (pod.restarts || 0), 0);
-            if (totalRestarts > 0) {
-                findings.push(`<strong>Pod Restarts:</strong> ${totalRestarts} total restart(s) across ${podsWithRestarts.length} pod(s)`);
-                hasRestarts = true;
-                overallStatus = totalRestarts >= 5 ? 'critical' : 'warning';
-            }
+        // Pod restarts are analysed below, with their timeline and termination reasons
+
+        // High P95/P99 Latency Analysis - budgets come from config/thresholds.json per endpoint;
+        // each endpoint is reported against the percentile(s) it breached
+        const latencyBreaches = data.metrics.map(m => {
+            const { latency } = resolveThresholds(data.service, m.resource_name);
+            const breaches = [
+                { label: 'P95', valueMs: parseFloat(m.p95_latency), budgetMs: latency.p95Ms },
+                { label: 'P99', valueMs: parseFloat(m.p99_latency), budgetMs: latency.p99Ms }
+            ].filter(({ valueMs, budgetMs }) => budgetMs !== null && valueMs > budgetMs);
+            return { metric: m, breaches };
+        }).filter(entry => entry.breaches.length > 0);
+
+        if (latencyBreaches.length > 0) {
+            const percentiles = [...new Set(latencyBreaches.flatMap(entry => entry.breaches.map(breach => breach.label)))].sort();
+            const details = latencyBreaches.map(({ metric, breaches }) => `<strong>${metric.resource_name}</strong> (` +
+                breaches.map(({ label, valueMs, budgetMs }) => `${label.toLowerCase()}: ${(valueMs / 1000).toFixed(2)}s / ${(budgetMs / 1000).toFixed(2)}s budget`).join(', ') +
+                ')').join(', ');
+            findings.push(`<strong>High ${percentiles.join('/')} Latency Detected:</strong> ${latencyBreaches.length} endpoint(s) over their latency budget: ${details}`);
+            recommendations.push('Investigate slow endpoints for database query optimization, external API calls, or inefficient algorithms');
+            overallStatus = 'warning';
         }
 
-        // High P95 Latency Analysis
-        const highLatencyEndpoints = data.metrics.filter(m => {
-            const p95 = parseFloat(m.p95_latency);
-            return p95 > 1000; // > 1 second
-        });
+        // Where the request time goes - set when one dependency type takes most of it
+        const dominant = data.dependencyMetrics?.summary?.dominant;
+        if (dominant) {
+            const slowest = data.dependencyMetrics.dependencies.find(dependency => dependency.type === dominant.type);
+            const slowestQuery = slowest?.topResources[0] ?
+                ` - slowest: <code>${this.escapeHtml(slowest.topResources[0].resource)}</code> (p95 ${slowest.topResources[0].p95Ms.toFixed(1)} ms)` : '';
+            findings.push(`<strong>Latency Dominated by ${dominant.label}:</strong> ${dominant.sharePct.toFixed(1)}% of request time spent in ${dominant.label} calls${slowestQuery}`);
+            recommendations.push(dominant.type === 'db' ?
+                'Most request time is spent in the database - review the slowest queries, their indexes and the number of queries per request before scaling the service' :
+                `Most request time is spent in ${dominant.label} calls - optimize or cache them before scaling the service`);
+        }
 
-        if (highLatencyEndpoints.length > 0) {
-            const worstEndpoint = highLatencyEndpoints.reduce((worst, current) =>
-                parseFloat(current.p95_latency) > parseFloat(worst.p95_latency) ? current : worst
-            );
-            const avgP95 = highLatencyEndpoints.reduce((sum, m) => sum + parseFloat(m.p95_latency), 0) / highLatencyEndpoints.length;
+        // Runtime health (Node.js) - event loop blocking, GC pauses and heap close to its limit
+        const runtime = data.runtimeMetrics?.summary;
+        if (runtime && data.runtimeMetrics.runtime === 'node') {
+            const worstPod = field => data.runtimeMetrics.pods.reduce((worst, pod) => {
+                const value = field(pod);
+                return value !== null && value !== undefined && (!worst || value > worst.value) ? { podName: pod.podName, value } : worst;
+            }, null);
+
+            const eventLoop = worstPod(pod => pod.metrics.eventLoopDelayP95?.max);
+            if (eventLoop && eventLoop.value > thresholds.runtime.eventLoopDelayMs) {
+                findings.push(`<strong>Event Loop Blocking:</strong> P95 event loop delay peaked at ${eventLoop.value.toFixed(0)} ms on ${eventLoop.podName} (threshold ${thresholds.runtime.eventLoopDelayMs} ms)`);
+                recommendations.push('The event loop was blocked under load - every request on the pod waits behind it. Look for synchronous work (large JSON parsing / serialization, crypto, sync fs, tight loops) and move it off the request path or to worker threads');
+                overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
+            }
 
-            // Show P95 latency for each endpoint instead of average
-            const p95Values = highLatencyEndpoints.map(ep => `${(parseFloat(ep.p95_latency) / 1000).toFixed(2)}s`).join(', ');
-            const endpointNames = highLatencyEndpoints.map(ep => `<strong>${ep.resource_name}</strong>`).join(', ');
-            findings.push(`<strong>High P95 Latency Detected:</strong> ${highLatencyEndpoints.length} endpoint(s) with P95 > 1s (p95: ${p95Values}). Endpoints: ${endpointNames}`);
-            recommendations.push('Investigate slow endpoints for database query optimization, external API calls, or inefficient algorithms');
-            overallStatus = 'warning';
+            const gc = worstPod(pod => pod.gcPausePct);
+            if (gc && gc.value > thresholds.runtime.gcPausePct) {
+                const maxPause = runtime.gcPauseMax ? `, longest pause ${runtime.gcPauseMax.max.toFixed(0)} ms` : '';
+                findings.push(`<strong>GC Pressure:</strong> ${gc.podName} spent ${gc.value.toFixed(1)}% of the window in GC pauses${maxPause}`);
+                recommendations.push('Garbage collection is taking a noticeable share of CPU time - reduce per-request allocations or raise the heap size (--max-old-space-size) along with the memory limit');
+                overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
+            }
+
+            const heap = worstPod(pod => pod.heapPct);
+            if (heap && heap.value > thresholds.runtime.heapPct) {
+                findings.push(`<strong>Heap Near Limit:</strong> heap used peaked at ${heap.value.toFixed(1)}% of the V8 heap limit on ${heap.podName}`);
+                recommendations.push('The V8 heap came close to its limit - check for leaks (heap growing across the test) before raising --max-old-space-size');
+                overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
+            }
         }
 
-        // Endpoint Error Analysis
-        const errorEndpoints = data.metrics.filter(m => {
-            const errors = parseInt(m.errors || 0);
-            return errors > 0;
-        });
+        // Endpoint Error Analysis - 5xx only where errorRate.exclude4xx is set (see endpointErrors)
+        const endpointErrors = data.metrics.map(m => ({ metric: m, ...this.endpointErrors(data, m) }));
+        const errorEndpoints = endpointErrors.filter(entry => entry.errors > 0);
 
         if (errorEndpoints.length > 0) {
-            const totalEndpointErrors = errorEndpoints.reduce((sum, m) => sum + parseInt(m.errors || 0), 0);
-            findings.push(`<strong>Errors Found:</strong> ${totalEndpointErrors} total errors (${totalEndpointErrors} endpoint errors, 0 trace errors)`);
+            const totalEndpointErrors = errorEndpoints.reduce((sum, entry) => sum + entry.errors, 0);
+            const traceSummary = data.errorMetrics?.traceSummary;
+            const traceErrors = !traceSummary ? 'trace errors not fetched' :
+                traceSummary.dataAvailable === false ? 'trace errors unknown' :
+                    `${traceSummary.totalErrors} trace errors`;
+            const serverOnly = errorEndpoints.some(entry => entry.serverOnly) ? ', 4xx excluded' : '';
+            findings.push(`<strong>Errors Found:</strong> ${totalEndpointErrors} total errors (${totalEndpointErrors} endpoint errors${serverOnly}, ${traceErrors})`);
 
             // Show most common error pattern
-            const errorRateEndpoints = errorEndpoints.filter(m => parseFloat(m.error_rate || 0) > 0);
+            const errorRateEndpoints = errorEndpoints.filter(entry => entry.rate > 0);
             if (errorRateEndpoints.length > 0) {
-                const worstErrorEndpoint = errorRateEndpoints.reduce((worst, current) =>
-                    parseFloat(current.error_rate || 0) > parseFloat(worst.error_rate || 0) ? current : worst
-                );
-                findings.push(`<strong>Most Common Error:</strong> ${parseFloat(worstErrorEndpoint.error_rate).toFixed(2)}% error rate on ${worstErrorEndpoint.resource_name} endpoint`);
+                const worstErrorEndpoint = errorRateEndpoints.reduce((worst, current) => current.rate > worst.rate ? current : worst);
+                findings.push(`<strong>Most Common Error:</strong> ${worstErrorEndpoint.rate.toFixed(2)}% error rate on ${worstErrorEndpoint.metric.resource_name} endpoint`);
+            }
+
+            // Error rate budgets per endpoint: warningPct of 0 means any error is a concern
+            const errorLevels = errorEndpoints.map(({ metric: m, rate }) => {
+                const { errorRate } = resolveThresholds(data.service, m.resource_name);
+                const level = rate > errorRate.criticalPct ? 'critical' :
+                    rate > errorRate.warningPct || errorRate.warningPct === 0 ? 'warning' : 'good';
+                return { metric: m, level, criticalPct: errorRate.criticalPct };
+            });
+            const criticalEndpoints = errorLevels.filter(entry => entry.level === 'critical');
+            if (criticalEndpoints.length > 0) {
+                const budgets = criticalEndpoints.map(entry => `${entry.metric.resource_name}: ${entry.criticalPct}%`).join(', ');
+                recommendations.push(`Error rate exceeded the critical budget (${budgets}) - investigate failing endpoints before the next load step`);
+                overallStatus = 'critical';
+            } else if (errorLevels.some(entry => entry.level === 'warning')) {
+                overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
             }
+        }
+
+        // Capacity: little or no headroom between the observed peak and the latency SLO
+        const capacity = data.capacity?.service;
+        if (capacity && capacity.headroomPct !== null && capacity.headroomPct < LOW_HEADROOM_PCT) {
+            const knee = capacity.knee ? `, latency knee at ${capacity.knee.rps.toFixed(2)} req/s` : '';
+            findings.push(capacity.headroomPct < 0 ?
+                `<strong>Beyond Capacity:</strong> the ${capacity.peakRps.toFixed(2)} req/s peak is past the ${capacity.maxSustainableRps.toFixed(2)} req/s the service sustains under its ${capacity.sloMs} ms P95 SLO${knee}` :
+                `<strong>Limited Capacity Headroom:</strong> ${capacity.headroomPct.toFixed(0)}% between the ${capacity.peakRps.toFixed(2)} req/s peak and the ${capacity.maxSustainableRps.toFixed(2)} req/s the service sustains under its ${capacity.sloMs} ms P95 SLO${knee}`);
+            recommendations.push('Latency rises steeply past the capacity knee - scale out (more replicas or a lower HPA target) or remove the bottleneck at the knee before the expected production peak reaches it');
+            overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
+        }
+
+        // Load plan: steps that ran short of their planned rate (the load generator, not the service, may be the limit)
+        const shortSteps = compareWithPlan(data.loadSteps?.steps, plannedSteps()).filter(row => row.shortfall || (row.planned && !row.achieved));
+        if (data.loadSteps && shortSteps.length > 0) {
+            const details = shortSteps.map(row => row.achieved ?
+                `step ${row.step} reached ${row.achieved.achievedRps.toFixed(2)} of ${row.planned.rps} req/s` :
+                `step ${row.step} (${row.planned.rps} req/s) was not reached`).join(', ');
+            findings.push(`<strong>Planned Load Not Reached:</strong> ${details}`);
+            recommendations.push('The test did not generate the planned load - check the load generator (workers, connection limits) and the LOAD_STEP_n settings before reading the results as the capacity at the planned rate');
+            overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
+        }
+
+        // Throttling: 429s mean the service (or a gateway in front of it) shed load
+        const throttled = Object.entries(data.statusCodes || {})
+            .map(([resourceName, status]) => ({ resourceName, count: status.codes['429'] || 0, total: status.total }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count);
+        if (throttled.length > 0) {
+            const details = throttled.slice(0, 5)
+                .map(entry => `<strong>${entry.resourceName}</strong> (${entry.count}, ${(entry.count / entry.total * 100).toFixed(1)}%)`)
+                .join(', ');
+            findings.push(`<strong>Throttling (HTTP 429):</strong> ${throttled.reduce((sum, entry) => sum + entry.count, 0)} throttled responses on ${throttled.length} endpoint(s): ${details}`);
+            recommendations.push('Requests were throttled (429) - check rate limits and autoscaling before reading the latency results as service capacity');
             overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
         }
 
         // Application Log Errors
         if (data.errorMetrics && data.errorMetrics.logSummary && data.errorMetrics.logSummary.totalLogErrors > 0) {
-            findings.push(`<strong>Application Errors:</strong> ${data.errorMetrics.logSummary.totalLogErrors} log errors detected during monitoring window`);
+            findings.push(`<strong>Application Errors:</strong> ${this.formatLogErrorCount(data.errorMetrics.logSummary)} log errors detected during monitoring window`);
 
-            // Show most common log error
-            const topLogMessage = data.errorMetrics.logSummary.topMessages?.[0];
-            if (topLogMessage && topLogMessage.message !== "No message...") {
-                findings.push(`<strong>Most Common Log Error:</strong> "${topLogMessage.message}" occurred ${topLogMessage.count} times`);
+            // Show most common log error pattern
+            const topCluster = data.errorMetrics.logSummary.clusters?.[0];
+            if (topCluster && topCluster.template !== 'No message') {
+                findings.push(`<strong>Most Common Log Error:</strong> "${this.escapeHtml(topCluster.template)}" occurred ${topCluster.count} times on ${topCluster.pods.length || 'unknown'} pod(s)`);
             }
             overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
         }
@@ -1088,24 +1682,57 @@ class ConfluenceReportGenerator {
         */
 
         // Continue with resource utilization analysis for recommendations
-        if (data.podMetrics && data.podMetrics.summary &&
-            data.podMetrics.summary.avgCpuPct !== undefined) {
-            const avgCpu = data.podMetrics.summary.avgCpuPct;
-            const maxCpu = data.podMetrics.summary.maxCpuPct;
-            const avgMem = data.podMetrics.summary.avgMemoryPct;
-            const maxMem = data.podMetrics.summary.maxMemoryPct;
-
-            findings.push(`<strong>Resource Utilization:</strong> CPU: ${avgCpu.toFixed(2)}% avg, ${maxCpu.toFixed(2)}% peak | Memory: ${avgMem.toFixed(2)}% avg, ${maxMem.toFixed(2)}% peak`);
+        // Usage against limits (and requests, where set) - see fetch-container-metrics.js
+        const resources = data.podMetrics?.summary;
+        if (resources && (resources.maxCpuPct != null || resources.maxMemoryPct != null || resources.maxCpuRequestPct != null || resources.maxMemoryRequestPct != null)) {
+            const usage = (label, avgLimit, maxLimit, avgRequest, maxRequest) => {
+                const ofLimit = maxLimit != null ? `${avgLimit.toFixed(2)}% avg, ${maxLimit.toFixed(2)}% peak of limit` : null;
+                const ofRequest = maxRequest != null ? `${avgRequest.toFixed(2)}% avg, ${maxRequest.toFixed(2)}% peak of request` : null;
+                if (ofLimit && ofRequest) return `${label}: ${ofLimit} (${ofRequest})`;
+                return `${label}: ${ofLimit || ofRequest || 'no requests or limits set'}`;
+            };
+            findings.push(`<strong>Resource Utilization:</strong> ${usage('CPU', resources.avgCpuPct, resources.maxCpuPct, resources.avgCpuRequestPct, resources.maxCpuRequestPct)} | ` +
+                usage('Memory', resources.avgMemoryPct, resources.maxMemoryPct, resources.avgMemoryRequestPct, resources.maxMemoryRequestPct));
 
-            if (maxCpu > 80) {
-                recommendations.push('CPU usage peaked above 80% - consider increasing CPU limits or horizontal scaling');
+            if (resources.maxCpuPct > thresholds.cpu.peakPct) {
+                recommendations.push(`CPU usage peaked above ${thresholds.cpu.peakPct}% of the limit - expect CPU throttling; consider increasing CPU limits or horizontal scaling`);
                 overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
             }
 
-            if (maxMem > 80) {
-                recommendations.push('Memory usage peaked above 80% - monitor for potential memory pressure and consider increasing limits');
+            if (resources.maxMemoryPct > thresholds.memory.peakPct) {
+                recommendations.push(`Memory usage peaked above ${thresholds.memory.peakPct}% of the limit - monitor for potential memory pressure and consider increasing limits`);
                 overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
             }
+
+            // Above the request the pod relies on spare node capacity, and is evicted first under memory pressure
+            if (resources.maxMemoryRequestPct > 100) {
+                recommendations.push(`Memory usage peaked at ${resources.maxMemoryRequestPct.toFixed(0)}% of the request - pods above their memory request are the first evicted under node pressure; raise the request to the observed peak`);
+            }
+        }
+
+        // CFS throttling - the pod hit its CPU limit within scheduling periods, even if average CPU looks fine
+        if (resources?.throttledPct != null && resources.maxThrottledPct > thresholds.cpu.throttledPct) {
+            const throttledPods = data.podMetrics.podMetrics
+                .filter(pod => pod.throttledPct > thresholds.cpu.throttledPct)
+                .sort((a, b) => b.throttledPct - a.throttledPct);
+            const details = throttledPods.slice(0, 5).map(pod => `${pod.podName} (${pod.throttledPct.toFixed(1)}%)`).join(', ');
+            findings.push(`<strong>CPU Throttling:</strong> ${resources.throttledPct.toFixed(1)}% of CPU periods throttled overall; ${throttledPods.length} pod(s) above ${thresholds.cpu.throttledPct}%: ${details}`);
+            recommendations.push('Pods were CFS-throttled at their CPU limit - raise the CPU limit (or remove it and rely on requests) or scale out before reading the latency results as service capacity');
+            overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
+        }
+
+        // Autoscaling - a deployment pinned at its max replicas could not absorb the load by scaling
+        const autoscaling = data.podMetrics?.autoscaling?.analysis?.summary;
+        if (autoscaling?.maxReplicasHit) {
+            findings.push(`<strong>Max Replicas Hit:</strong> the autoscaler reached its maximum of ${autoscaling.hpaMaxReplicas} replicas and stayed there for ${autoscaling.secondsAtMax.toFixed(0)}s (peak ${autoscaling.peakRequestsPerPod !== null ? autoscaling.peakRequestsPerPod.toFixed(1) : '?'} req/s per pod)`);
+            recommendations.push('The HPA hit its replica ceiling - raise maxReplicas or the per-pod capacity; results at peak load reflect a capped deployment');
+            overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
+        } else if (autoscaling?.scaleUps > 0 && autoscaling.avgScaleUpLagSec !== null) {
+            findings.push(`<strong>Autoscaling:</strong> ${autoscaling.scaleUps} scale-up(s) to ${autoscaling.maxReplicas} replicas, ${autoscaling.avgScaleUpLagSec.toFixed(0)}s average lag from load rise to new pods available`);
+        }
+
+        if (resources?.networkErrors > 0 || resources?.networkDrops > 0) {
+            findings.push(`<strong>Network Errors:</strong> ${resources.networkErrors} error(s) and ${resources.networkDrops} dropped packet(s) across pods`);
         }
 
         // Analyze Pod Restarts (only within monitoring window)
@@ -1118,7 +1745,7 @@ class ConfluenceReportGenerator {
                     (podTiming && podTiming.duringWindow !== false);
             });
 
-            const totalRestarts = podsWithRestarts.reduce((sum, pod) => sum + (pod.restarts || 0), 0);
+            const totalRestarts = podsWithRestarts.reduce((sum, pod) => sum + this.windowRestartCount(pod), 0);
 
             if (totalRestarts > 0) {
                 findings.push(`<strong>Pod Restarts Detected:</strong> ${totalRestarts} restart(s) during monitoring window across ${podsWithRestarts.length} pod(s)`);
@@ -1126,10 +1753,14 @@ class ConfluenceReportGenerator {
                 // Add restart details with exact timestamps and analysis
                 for (const pod of podsWithRestarts) {
                     const timing = restartTiming[pod.podName];
+                    const count = this.windowRestartCount(pod);
+                    // Termination reason reported by Kubernetes (files fetched before it was collected have none)
+                    const reason = (pod.lastTerminationReason || (pod.lastExitCode !== null && pod.lastExitCode !== undefined)) ?
+                        `, ${this.describeTermination({ reason: pod.lastTerminationReason, exitCode: pod.lastExitCode })}` : '';
                     if (timing && timing.exactTime && timing.duringWindow) {
-                        findings.push(`&nbsp;&nbsp;• ${pod.podName} - ${pod.restarts} restart${pod.restarts > 1 ? 's' : ''} (At: ${timing.exactTime})`);
+                        findings.push(`&nbsp;&nbsp;• ${pod.podName} - ${count} restart${count > 1 ? 's' : ''} (At: ${timing.exactTime}${reason})`);
                     } else {
-                        findings.push(`&nbsp;&nbsp;• ${pod.podName} - ${pod.restarts} restart${pod.restarts > 1 ? 's' : ''} during monitoring period`);
+                        findings.push(`&nbsp;&nbsp;• ${pod.podName} - ${count} restart${count > 1 ? 's' : ''} during monitoring period`);
                     }
                 }
 
@@ -1148,9 +1779,9 @@ class ConfluenceReportGenerator {
                 }
 
                 // Set overall status based on restart severity
-                if (totalRestarts >= 5) {
+                if (totalRestarts >= thresholds.restarts.critical) {
                     overallStatus = 'critical';
-                } else if (totalRestarts >= 2) {
+                } else if (totalRestarts >= thresholds.restarts.warning) {
                     overallStatus = overallStatus === 'good' ? 'warning' : overallStatus;
                 }
             }
@@ -1216,17 +1847,30 @@ class ConfluenceReportGenerator {
         content += '<td>' + (data.environment.charAt(0).toUpperCase() + data.environment.slice(1)) + '</td></tr>';
 
         content += '<tr><td><strong>Test Execution time</strong></td>';
-        content += '<td>' + fromTime.toLocaleDateString('en-US', {
-            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
-        }) + ' – ' + toTime.toLocaleDateString('en-US', {
-            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
-        }) + '</td></tr>';
+        const executionTimeFormat = { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true };
+        content += '<td>' + formatInTimeZone(fromTime.getTime(), data.timeRange.timeZone, executionTimeFormat) +
+            ' – ' + formatInTimeZone(toTime.getTime(), data.timeRange.timeZone, { ...executionTimeFormat, timeZoneName: 'short' }) + '</td></tr>';
 
         content += '<tr><td><strong>Test type</strong></td><td>Stress Test</td></tr>';
         content += '<tr><td><strong>Duration</strong></td><td>' + durationMinutes + ' minutes</td></tr>';
 
-        const loadPattern = process.env.LOAD_PATTERN || 'To simulate the throughput in Five steps, starts with 1 req/sec for 6 mins then increased to 2 req/sec for the next 6 mins, and finally reaching to 5 req/sec for last 6 mins.';
-        content += '<tr><td><strong>Design</strong></td><td>' + this.stripInlineStyles(loadPattern.replace(/(\d+(?:\.\d+)?\s+req\/sec)/g, '<strong>$1</strong>')) + '</td></tr>';
+        // LOAD_STEP_n_* is the intended plan - the achieved steps come from the request rate.
+        // Without LOAD_PATTERN or a plan there is no design to describe, only what was measured.
+        const plan = plannedSteps();
+        const loadPattern = process.env.LOAD_PATTERN || (plan.length > 0 ?
+            `Stepped load in ${plan.length} step${plan.length === 1 ? '' : 's'}, from ${plan[0].rps} req/sec to ${plan[plan.length - 1].rps} req/sec.` :
+            null);
+        if (loadPattern) {
+            content += '<tr><td><strong>Design</strong></td><td>' + this.stripInlineStyles(loadPattern.replace(/(\d+(?:\.\d+)?\s+req\/sec)/g, '<strong>$1</strong>')) + '</td></tr>';
+        }
+        if (plan.length > 0) {
+            content += '<tr><td><strong>Planned steps</strong></td><td>' + plan.map(step =>
+                `${step.rps} req/sec${step.durationMin !== null ? ` for ${step.durationMin} mins` : ''}`).join(' → ') + '</td></tr>';
+        }
+        if (data.loadSteps?.steps.length > 0) {
+            content += '<tr><td><strong>Achieved steps</strong></td><td>' + data.loadSteps.steps.map(step =>
+                `${step.achievedRps.toFixed(2)} req/sec for ${Math.round(step.durationSec / 60)} mins`).join(' → ') + '</td></tr>';
+        }
 
         content += '</tbody></table>';
         content += '</ac:rich-text-body>';
@@ -1234,6 +1878,65 @@ class ConfluenceReportGenerator {
         return content;
     }
 
+    /**
+     * Per-step results: every load step detected in the request rate
+     * (src/analysis/load-steps.js) with its latency and error rate, next to
+     * the planned rate of the step from LOAD_STEP_n_RATE
+     */
+    generateLoadStepsSection(loadSteps, errorRate, timeZone) {
+        let content = '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
+        content += '<ac:parameter ac:name="titleBGColor">#0052CC</ac:parameter>';
+        content += '<ac:parameter ac:name="titleColor">#FFFFFF</ac:parameter>';
+        content += '<ac:parameter ac:name="title">📶 Per-Step Results</ac:parameter>';
+        content += '<ac:rich-text-body>';
+
+        const plan = plannedSteps();
+        const rows = compareWithPlan(loadSteps.steps, plan);
+        const time = timestamp => formatInTimeZone(timestamp, timeZone, { hour: '2-digit', minute: '2-digit', hour12: false });
+        const ms = value => value === null ? '—' : `${value.toFixed(1)} ms`;
+
+        content += `<p>Steps detected in the service request rate (plateaus of at least 2 minutes). P95 / P99 are the request-weighted mean of the ${loadSteps.summary.intervalSec}s interval values in the step.`;
+        content += plan.length > 0 ?
+            ` Planned rates come from <code>LOAD_STEP_n_RATE</code>; a step is short of its plan below ${100 - PLAN_SHORTFALL_PCT}% of it.</p>` :
+            ' Set <code>LOAD_STEP_n_RATE</code> / <code>LOAD_STEP_n_DURATION</code> to compare them with the planned load.</p>';
+
+        content += '<table><thead><tr>';
+        ['Step', 'Start', 'End', 'Duration', 'Planned (req/s)', 'Achieved (req/s)', 'P95', 'P99', 'Error Rate'].forEach(header => {
+            content += `<th><strong>${header}</strong></th>`;
+        });
+        content += '</tr></thead><tbody>';
+        rows.forEach(({ step, planned, achieved, achievedPct, shortfall }) => {
+            content += '<tr>';
+            content += `<td>${step}</td>`;
+            if (!achieved) {
+                content += '<td>—</td><td>—</td>';
+                content += `<td>${planned.durationMin !== null ? `${planned.durationMin} min planned` : '—'}</td>`;
+                content += `<td>${planned.rps}</td>`;
+                content += `<td>${this.statusMacro('Red', 'NOT REACHED')}</td>`;
+                content += '<td>—</td><td>—</td><td>—</td>';
+                content += '</tr>';
+                return;
+            }
+            content += `<td>${time(achieved.start)}</td>`;
+            content += `<td>${time(achieved.end)}</td>`;
+            content += `<td>${(achieved.durationSec / 60).toFixed(1)} min${planned?.durationMin ? ` of ${planned.durationMin}` : ''}</td>`;
+            content += `<td>${planned ? planned.rps : '—'}</td>`;
+            content += `<td>${achieved.achievedRps.toFixed(2)}${achievedPct !== null ?
+                ` ${this.statusMacro(shortfall ? 'Yellow' : 'Green', `${achievedPct.toFixed(0)}% OF PLAN`)}` : ''}</td>`;
+            content += `<td>${ms(achieved.p95Ms)}</td>`;
+            content += `<td>${ms(achieved.p99Ms)}</td>`;
+            const stepErrorRate = achieved.errorRate ?? 0;
+            const errorColour = stepErrorRate > errorRate.criticalPct ? 'Red' : stepErrorRate > errorRate.warningPct ? 'Yellow' : 'Green';
+            content += `<td>${this.statusMacro(errorColour, `${stepErrorRate.toFixed(2)}%`)}</td>`;
+            content += '</tr>';
+        });
+        content += '</tbody></table>';
+
+        content += '</ac:rich-text-body>';
+        content += '</ac:structured-macro>';
+        return content;
+    }
+
     generatePodMetricsSection(data) {
         // Try to load container metrics if available
         const containerMetricsPath = `./reports/${data.service}_container_metrics.json`;
@@ -1265,7 +1968,7 @@ class ConfluenceReportGenerator {
             const podTiming = restartTiming[pod.podName];
             return pod.restarts && pod.restarts > 0 &&
                 (podTiming && podTiming.duringWindow !== false);
-        }).reduce((sum, pod) => sum + (pod.restarts || 0), 0);
+        }).reduce((sum, pod) => sum + this.windowRestartCount(pod), 0);
 
         content += '<p>';
         content += this.statusMacro('Green', `📦 ${containerData.summary.runningPods.current} Pods Running`);
@@ -1275,37 +1978,42 @@ class ConfluenceReportGenerator {
         content += this.statusMacro(windowRestarts === 0 ? 'Green' : 'Red', `🔄 ${windowRestarts} Restarts`);
         content += '</p>';
 
-        // Pod details table - filter out cronjob pods with zero metrics
+        // Pod details table - filter out cronjob pods and pods without usage data
         const activePods = containerData.podMetrics.filter(pod => {
-            // Exclude cronjob pods or pods with all zero metrics
             const isCronJob = pod.podName.includes('cronjob');
-            const hasZeroMetrics = (!pod.avgCpuPct || pod.avgCpuPct === 0) &&
-                (!pod.maxCpuPct || pod.maxCpuPct === 0) &&
-                (!pod.avgMemoryPct || pod.avgMemoryPct === 0) &&
-                (!pod.maxMemoryPct || pod.maxMemoryPct === 0);
+            // Files fetched before requests / limits were collected only have percentages
+            const hasUsage = pod.hasUsage !== undefined ? pod.hasUsage : Boolean(pod.avgCpuPct || pod.maxCpuPct || pod.avgMemoryPct || pod.maxMemoryPct);
 
-            return !isCronJob && !hasZeroMetrics;
+            return !isCronJob && hasUsage;
         });
 
-        if (activePods.length > 0) {
+        if (activePods.length > 0 && activePods[0].hasUsage === undefined) {
+            content += this.generateLegacyPodTable(activePods);
+        } else if (activePods.length > 0) {
             content += '<h3>Pod Resource Usage</h3>';
+            content += '<p>Average / peak usage over the test window, against each pod\'s requests and limits (— where none is set).</p>';
             content += '<table data-table-width="1200">';
-            content += '<colgroup><col width="400"/><col width="200"/><col width="200"/><col width="200"/><col width="200"/></colgroup>';
+            content += '<colgroup><col width="300"/><col width="110"/><col width="110"/><col width="115"/><col width="115"/><col width="110"/><col width="110"/><col width="115"/><col width="115"/></colgroup>';
             content += '<thead><tr>';
-            content += '<th><strong>POD NAME</strong></th>';
-            content += '<th><strong>AVG CPU (%)</strong></th>';
-            content += '<th><strong>MAX CPU (%)</strong></th>';
-            content += '<th><strong>AVG MEMORY (%)</strong></th>';
-            content += '<th><strong>MAX MEMORY (%)</strong></th>';
+            ['POD NAME', 'CPU (CORES)', 'CPU REQ / LIMIT', 'CPU % OF REQUEST', 'CPU % OF LIMIT',
+                'MEMORY (MB)', 'MEM REQ / LIMIT', 'MEM % OF REQUEST', 'MEM % OF LIMIT'].forEach(header => {
+                content += `<th><strong>${header}</strong></th>`;
+            });
             content += '</tr></thead><tbody>';
 
+            const value = (amount, digits) => amount === null || amount === undefined ? '—' : amount.toFixed(digits);
+            const pct = amount => amount === null || amount === undefined ? '—' : `${amount.toFixed(1)}%`;
             activePods.forEach(pod => {
                 content += '<tr>';
                 content += `<td><code>${pod.podName}</code></td>`;
-                content += `<td>${pod.avgCpuPct ? pod.avgCpuPct.toFixed(2) : '0.00'}</td>`;
-                content += `<td>${pod.maxCpuPct ? pod.maxCpuPct.toFixed(2) : '0.00'}</td>`;
-                content += `<td>${pod.avgMemoryPct ? pod.avgMemoryPct.toFixed(2) : '0.00'}</td>`;
-                content += `<td>${pod.maxMemoryPct ? pod.maxMemoryPct.toFixed(2) : '0.00'}</td>`;
+                content += `<td>${value(pod.avgCpu, 2)} / ${value(pod.maxCpu, 2)}</td>`;
+                content += `<td>${value(pod.cpuRequest, 2)} / ${value(pod.cpuLimit, 2)}</td>`;
+                content += `<td>${pct(pod.avgCpuRequestPct)} / ${pct(pod.maxCpuRequestPct)}</td>`;
+                content += `<td>${pct(pod.avgCpuPct)} / ${pct(pod.maxCpuPct)}</td>`;
+                content += `<td>${value(pod.avgMemory, 0)} / ${value(pod.maxMemory, 0)}</td>`;
+                content += `<td>${value(pod.memoryRequest, 0)} / ${value(pod.memoryLimit, 0)}</td>`;
+                content += `<td>${pct(pod.avgMemoryRequestPct)} / ${pct(pod.maxMemoryRequestPct)}</td>`;
+                content += `<td>${pct(pod.avgMemoryPct)} / ${pct(pod.maxMemoryPct)}</td>`;
                 content += '</tr>';
             });
 
@@ -1314,11 +2022,268 @@ class ConfluenceReportGenerator {
             content += '<p>No active service pods found with resource metrics to display.</p>';
         }
 
+        content += this.generateThrottlingNetworkTable(containerData.podMetrics);
+        content += this.generateRestartTimeline(containerData);
+
         content += '</ac:rich-text-body>';
         content += '</ac:structured-macro>';
         return content;
     }
 
+    /**
+     * CFS throttling, network and filesystem per pod. Empty for files fetched
+     * before these were collected.
+     */
+    generateThrottlingNetworkTable(pods) {
+        const reported = pods.filter(pod => !pod.podName.includes('cronjob') &&
+            ((pod.throttledPct !== null && pod.throttledPct !== undefined) ||
+             (pod.maxRxBytesPerSec !== null && pod.maxRxBytesPerSec !== undefined)));
+        if (reported.length === 0) {
+            return '';
+        }
+
+        const pct = amount => amount === null || amount === undefined ? '—' : `${amount.toFixed(1)}%`;
+        const kb = bytes => bytes === null || bytes === undefined ? '—' : (bytes / 1024).toFixed(1);
+
+        let content = '<h3>Throttling &amp; Network</h3>';
+        content += '<p>CFS throttling is the share of CPU scheduling periods in which the pod hit its CPU limit - latency suffers well before CPU usage reaches 100%. Network is average / peak KB/s.</p>';
+        content += '<table data-table-width="1200">';
+        content += '<colgroup><col width="300"/><col width="120"/><col width="120"/><col width="150"/><col width="150"/><col width="120"/><col width="120"/><col width="120"/></colgroup>';
+        content += '<thead><tr>';
+        ['POD NAME', 'CPU THROTTLED', 'THROTTLED TIME', 'NETWORK RX (KB/S)', 'NETWORK TX (KB/S)', 'NET ERRORS', 'NET DROPS', 'FILESYSTEM'].forEach(header => {
+            content += `<th><strong>${header}</strong></th>`;
+        });
+        content += '</tr></thead><tbody>';
+
+        reported.forEach(pod => {
+            const filesystem = pod.maxFilesystemMb === null ? '—' :
+                `${pod.maxFilesystemMb.toFixed(0)} MB${pod.maxFilesystemPct !== null ? ` (${pod.maxFilesystemPct.toFixed(1)}%)` : ''}`;
+            content += '<tr>';
+            content += `<td><code>${pod.podName}</code></td>`;
+            content += `<td>${pct(pod.throttledPct)}</td>`;
+            content += `<td>${pod.throttledSeconds === null ? '—' : `${pod.throttledSeconds.toFixed(1)}s`}</td>`;
+            content += `<td>${kb(pod.avgRxBytesPerSec)} / ${kb(pod.maxRxBytesPerSec)}</td>`;
+            content += `<td>${kb(pod.avgTxBytesPerSec)} / ${kb(pod.maxTxBytesPerSec)}</td>`;
+            content += `<td>${pod.networkErrors || 0}</td>`;
+            content += `<td>${pod.networkDrops || 0}</td>`;
+            content += `<td>${filesystem}</td>`;
+            content += '</tr>';
+        });
+
+        content += '</tbody></table>';
+        return content;
+    }
+
+    /**
+     * One row per restart in the test window, with the termination reason and
+     * exit code Kubernetes reported and the pod's nearest Kubernetes event.
+     * Empty without restarts, and for files fetched before the timeline was collected.
+     */
+    generateRestartTimeline(containerData) {
+        const restarts = containerData.restartEvents || [];
+        if (restarts.length === 0) {
+            return '';
+        }
+
+        const timeZone = containerData.timeRange?.timeZone;
+        let content = '<h3>Restart Timeline</h3>';
+        content += '<p>Each interval in which a pod\'s restart count went up. Reason and exit code come from <code>kubernetes_state</code> (OOMKilled: the container exceeded its memory limit; Error: the process exited non-zero; exit 137 without OOMKilled: killed, e.g. by a failed liveness probe).</p>';
+        content += '<table data-table-width="1200">';
+        content += '<colgroup><col width="130"/><col width="300"/><col width="90"/><col width="150"/><col width="90"/><col width="440"/></colgroup>';
+        content += '<thead><tr>';
+        ['TIME', 'POD NAME', 'RESTARTS', 'REASON', 'EXIT CODE', 'KUBERNETES EVENT'].forEach(header => {
+            content += `<th><strong>${header}</strong></th>`;
+        });
+        content += '</tr></thead><tbody>';
+
+        restarts.forEach(restart => {
+            const reasonColour = restart.reason === 'OOMKilled' ? 'Red' : restart.reason ? 'Yellow' : 'Grey';
+            content += '<tr>';
+            content += `<td>${formatInTimeZone(restart.timestamp, timeZone, { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false })}</td>`;
+            content += `<td><code>${restart.podName}</code></td>`;
+            content += `<td>${restart.restarts}</td>`;
+            content += `<td>${this.statusMacro(reasonColour, restart.reason || 'UNKNOWN')}</td>`;
+            content += `<td>${restart.exitCode !== null ? restart.exitCode : '—'}</td>`;
+            content += `<td>${restart.event ? `<strong>${this.escapeHtml(restart.event.title)}</strong>${restart.event.message ? `<br/>${this.escapeHtml(restart.event.message)}` : ''}` : '—'}</td>`;
+            content += '</tr>';
+        });
+
+        content += '</tbody></table>';
+        return content;
+    }
+
+    /**
+     * Pod table of container metrics fetched before requests and limits were collected
+     */
+    generateLegacyPodTable(pods) {
+        let content = '<h3>Pod Resource Usage</h3>';
+        content += '<table data-table-width="1200">';
+        content += '<colgroup><col width="400"/><col width="200"/><col width="200"/><col width="200"/><col width="200"/></colgroup>';
+        content += '<thead><tr>';
+        content += '<th><strong>POD NAME</strong></th>';
+        content += '<th><strong>AVG CPU (%)</strong></th>';
+        content += '<th><strong>MAX CPU (%)</strong></th>';
+        content += '<th><strong>AVG MEMORY (%)</strong></th>';
+        content += '<th><strong>MAX MEMORY (%)</strong></th>';
+        content += '</tr></thead><tbody>';
+
+        pods.forEach(pod => {
+            content += '<tr>';
+            content += `<td><code>${pod.podName}</code></td>`;
+            content += `<td>${pod.avgCpuPct ? pod.avgCpuPct.toFixed(2) : '0.00'}</td>`;
+            content += `<td>${pod.maxCpuPct ? pod.maxCpuPct.toFixed(2) : '0.00'}</td>`;
+            content += `<td>${pod.avgMemoryPct ? pod.avgMemoryPct.toFixed(2) : '0.00'}</td>`;
+            content += `<td>${pod.maxMemoryPct ? pod.maxMemoryPct.toFixed(2) : '0.00'}</td>`;
+            content += '</tr>';
+        });
+
+        content += '</tbody></table>';
+        return content;
+    }
+
+    /**
+     * Load a service's endpoint metrics with its error and container metrics attached
+     * (reports/<service>_*.json). Returns null when no endpoint metrics exist.
+     */
+    loadServiceData(serviceName, reportsDir = './reports') {
+        const metricsFile = path.join(reportsDir, `${serviceName}_endpoint_metrics_table.json`);
+        if (!fs.existsSync(metricsFile)) {
+            return null;
+        }
+
+        const data = JSON.parse(fs.readFileSync(metricsFile, 'utf8'));
+        const errorMetricsFile = path.join(reportsDir, `${serviceName}_error_metrics.json`);
+        if (fs.existsSync(errorMetricsFile)) {
+            data.errorMetrics = JSON.parse(fs.readFileSync(errorMetricsFile, 'utf8'));
+        }
+        const containerMetricsFile = path.join(reportsDir, `${serviceName}_container_metrics.json`);
+        if (fs.existsSync(containerMetricsFile)) {
+            data.podMetrics = JSON.parse(fs.readFileSync(containerMetricsFile, 'utf8'));
+        }
+        const dependencyMetricsFile = path.join(reportsDir, `${serviceName}_dependency_metrics.json`);
+        if (fs.existsSync(dependencyMetricsFile)) {
+            data.dependencyMetrics = JSON.parse(fs.readFileSync(dependencyMetricsFile, 'utf8'));
+        }
+        const runtimeMetricsFile = path.join(reportsDir, `${serviceName}_runtime_metrics.json`);
+        if (fs.existsSync(runtimeMetricsFile)) {
+            data.runtimeMetrics = JSON.parse(fs.readFileSync(runtimeMetricsFile, 'utf8'));
+        }
+        return data;
+    }
+
+    /**
+     * Page title for a service report, e.g. "Stardust Task Service Performance Report - Feb 10, 2026 4:00 PM".
+     * The date and time suffix keeps each test run on its own page.
+     */
+    generateReportTitle(data) {
+        const serviceName = data.service
+            .split('-')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+
+        const testDateTime = data.timeRange.from;
+        const dateString = formatInTimeZone(testDateTime, data.timeRange.timeZone, {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+        const timeString = formatInTimeZone(testDateTime, data.timeRange.timeZone, {
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true
+        });
+        return `${serviceName} Performance Report - ${dateString} ${timeString}`;
+    }
+
+    /**
+     * Parent page for a multi-service test run: one row per service with its
+     * status badge and a link to the service report page.
+     *
+     * @param {object} run - { name, environment, timeRange, services: [{ service, data, title, error }] }
+     */
+    generateTestRunPage(run) {
+        const statusBadges = {
+            good: ['Green', 'ACCEPTABLE'],
+            warning: ['Yellow', 'CONCERNS'],
+            critical: ['Red', 'CRITICAL']
+        };
+
+        // A service with no endpoint rows gets NO DATA rather than a misleading ACCEPTABLE
+        const rows = run.services.map(entry => {
+            if (!entry.data || !entry.data.metrics?.length) {
+                return { ...entry, status: null };
+            }
+            const { overallStatus } = this.analyzePerformanceData(entry.data);
+            return { ...entry, status: overallStatus };
+        });
+
+        const counts = { good: 0, warning: 0, critical: 0 };
+        rows.forEach(row => {
+            if (row.status) counts[row.status]++;
+        });
+        const runStatus = counts.critical > 0 ? 'critical' : counts.warning > 0 ? 'warning' : 'good';
+
+        let content = '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
+        content += '<ac:parameter ac:name="titleBGColor">#0052CC</ac:parameter>';
+        content += '<ac:parameter ac:name="titleColor">#FFFFFF</ac:parameter>';
+        content += '<ac:parameter ac:name="title">🧪 Test Run Overview</ac:parameter>';
+        content += '<ac:rich-text-body>';
+        content += '<p><strong>Environment:</strong> ' + this.statusMacro('Green', (run.environment || 'staging').toUpperCase()) + '</p>';
+        if (run.timeRange) {
+            content += '<p><strong>Test Period:</strong> ' + this.formatTimeRange(run.timeRange) + '</p>';
+        }
+        content += '<p><strong>Services:</strong> ' + rows.length + ' (' + counts.good + ' acceptable, ' + counts.warning + ' with concerns, ' + counts.critical + ' critical';
+        const missing = rows.filter(row => !row.status).length;
+        if (missing > 0) {
+            content += ', ' + missing + ' without data';
+        }
+        content += ')</p>';
+        content += '<p><strong>Overall:</strong> ' + this.statusMacro(...statusBadges[runStatus]) + '</p>';
+        content += '</ac:rich-text-body>';
+        content += '</ac:structured-macro>';
+
+        content += '<table data-table-width="1200" data-layout="wide">';
+        content += '<colgroup><col width="350"/><col width="150"/><col width="120"/><col width="150"/><col width="150"/><col width="280"/></colgroup>';
+        content += '<thead><tr>';
+        content += '<th><strong>Service</strong></th>';
+        content += '<th><strong>Status</strong></th>';
+        content += '<th><strong>Endpoints</strong></th>';
+        content += '<th><strong>Requests</strong></th>';
+        content += '<th><strong>Peak P95</strong></th>';
+        content += '<th><strong>Report</strong></th>';
+        content += '</tr></thead><tbody>';
+
+        rows.forEach(row => {
+            content += '<tr>';
+            content += '<td><strong>' + this.escapeHtml(row.service) + '</strong></td>';
+            if (!row.status) {
+                content += '<td>' + this.statusMacro('Grey', 'NO DATA') + '</td>';
+                content += '<td>—</td><td>—</td><td>—</td>';
+                content += '<td>' + (row.title ? this.pageLink(row.title) : this.escapeHtml(row.error || 'Metrics fetch failed')) + '</td>';
+            } else {
+                const metrics = row.data.metrics || [];
+                const requests = metrics.reduce((sum, m) => sum + (parseInt(m.requests) || 0), 0);
+                const peakP95 = Math.max(0, ...metrics.map(m => parseFloat(m.p95_latency) || 0));
+                content += '<td>' + this.statusMacro(...statusBadges[row.status]) + '</td>';
+                content += '<td>' + metrics.length + '</td>';
+                content += '<td>' + requests + '</td>';
+                content += '<td>' + peakP95.toFixed(1) + ' ms</td>';
+                content += '<td>' + this.pageLink(row.title) + '</td>';
+            }
+            content += '</tr>';
+        });
+
+        content += '</tbody></table>';
+        return content;
+    }
+
+    /**
+     * Link to another page in the same space by title
+     */
+    pageLink(title, text = 'View report') {
+        return '<ac:link><ri:page ri:content-title="' + this.escapeHtml(title) + '"/><ac:plain-text-link-body><![CDATA[' + text + ']]></ac:plain-text-link-body></ac:link>';
+    }
+
     generateSummaryReport(data) {
         const totalRequests = data.metrics.reduce((sum, m) => sum + parseInt(m.requests), 0);
         const avgLatency = this.calculateAverageLatency(data.metrics);
@@ -1344,28 +2309,151 @@ class ConfluenceReportGenerator {
         return content;
     }
 
+    /**
+     * Load the baseline run for a service. Resolution order: explicit file path,
+     * run ID from the run history, reports/baselines/, previous run in the history.
+     */
+    loadBaseline(data, baselineRef = null) {
+        const service = data.service;
+        const environment = data.environment || 'staging';
+        let baseline = null;
+        let source = null;
+
+        if (baselineRef && fs.existsSync(baselineRef)) {
+            baseline = JSON.parse(fs.readFileSync(baselineRef, 'utf8'));
+            source = baselineRef;
+        } else if (baselineRef) {
+            const run = findRun(baselineRef, { service });
+            if (!run) {
+                console.warn(`⚠️  Baseline not found as file or run ID: ${baselineRef}`);
+                return null;
+            }
+            baseline = loadRun(run.service, run.environment, run.runId).endpoint;
+            source = `run history ${run.runId}`;
+        } else if (fs.existsSync(`./reports/baselines/${service}_endpoint_metrics_table.json`)) {
+            source = `./reports/baselines/${service}_endpoint_metrics_table.json`;
+            baseline = JSON.parse(fs.readFileSync(source, 'utf8'));
+        } else if (data.timeRange?.from_unix) {
+            const previous = getPreviousRun(service, environment, data.timeRange.from_unix);
+            if (previous) {
+                baseline = previous.endpoint;
+                source = `run history ${previous.meta.runId} (previous run)`;
+            }
+        }
+
+        if (!baseline) {
+            return null;
+        }
+
+        if (baseline.service !== service) {
+            console.warn(`⚠️  Baseline ${source} is for ${baseline.service}, not ${service} - ignoring`);
+            return null;
+        }
+
+        console.log(`📊 Loaded baseline run: ${source}`);
+        return baseline;
+    }
+
+    regressionStatusMacro(status) {
+        const badges = {
+            regressed: ['Red', 'REGRESSED'],
+            improved: ['Green', 'IMPROVED'],
+            stable: ['Green', 'STABLE'],
+            new: ['Blue', 'NEW'],
+            removed: ['Grey', 'REMOVED']
+        };
+        const [colour, title] = badges[status] || ['Grey', status.toUpperCase()];
+        return this.statusMacro(colour, title);
+    }
+
+    formatDeltaCell(entry, unit = '', decimals = 1, absolute = false) {
+        if (!entry || entry.current === null || entry.baseline === null) return 'N/A';
+        const change = !absolute && entry.deltaPct !== null ?
+            `${entry.deltaPct >= 0 ? '+' : ''}${entry.deltaPct.toFixed(1)}%` :
+            `${entry.delta >= 0 ? '+' : ''}${entry.delta.toFixed(decimals)}${unit}`;
+        return `${entry.baseline.toFixed(decimals)} → <strong>${entry.current.toFixed(decimals)}</strong>${unit} (${change})`;
+    }
+
     generateRegressionReport(data) {
         let content = '<h2>Performance Regression Analysis</h2>';
 
+        const baseline = data.baseline !== undefined ? data.baseline : this.loadBaseline(data);
+
+        if (!baseline) {
+            content += '<ac:structured-macro ac:name="warning" ac:schema-version="1">';
+            content += '<ac:rich-text-body>';
+            content += `<p><strong>No baseline run found for ${data.service}.</strong> `;
+            content += `Fetch an earlier run into the run history, save one as <code>reports/baselines/${data.service}_endpoint_metrics_table.json</code> or pass <code>--baseline &lt;path|runId&gt;</code> to compare against it.</p>`;
+            content += '</ac:rich-text-body>';
+            content += '</ac:structured-macro>';
+            content += this.generateDetailedReport(data);
+            return content;
+        }
+
+        const comparison = compareRuns(data, baseline);
+        const { checks, tolerances } = comparison;
+
         content += '<ac:structured-macro ac:name="panel" ac:schema-version="1">';
         content += '<ac:parameter ac:name="borderStyle">dashed</ac:parameter>';
         content += '<ac:parameter ac:name="borderColor">#ccc</ac:parameter>';
         content += '<ac:rich-text-body>';
         content += '<p><strong>Analysis Period:</strong> ' + this.formatTimeRange(data.timeRange) + '</p>';
-        content += '<p><strong>Baseline Comparison:</strong> Previous 24 hours</p>';
+        content += '<p><strong>Baseline Comparison:</strong> ' + this.formatTimeRange(baseline.timeRange) + '</p>';
         content += '<p><strong>Key Metrics:</strong> Response time, throughput, error rate</p>';
+        content += `<p><strong>Tolerance:</strong> ±${tolerances.latencyPct}% latency, ±${tolerances.throughputPct}% throughput, ±${tolerances.errorRatePoints} pts error rate</p>`;
         content += '</ac:rich-text-body>';
         content += '</ac:structured-macro>';
 
-        // Performance indicators
+        // Performance indicators - derived from the baseline deltas
+        const responseDetails = checks.responseTime.regressed.length > 0 ?
+            `${checks.responseTime.regressed.length} endpoint(s) slower than baseline: ${checks.responseTime.regressed.map(r => `<code>${r}</code>`).join(', ')}` :
+            checks.responseTime.improved.length > 0 ?
+                `${checks.responseTime.improved.length} endpoint(s) faster than baseline, none slower` :
+                `All endpoints within ±${tolerances.latencyPct}% of baseline P95/P99`;
+        const errorDetails = `${checks.errorRate.baseline.toFixed(2)}% → ${checks.errorRate.current.toFixed(2)}% (${checks.errorRate.delta >= 0 ? '+' : ''}${checks.errorRate.delta.toFixed(2)} pts)`;
+        const throughputDetails = `${checks.throughput.baseline.toFixed(2)} → ${checks.throughput.current.toFixed(2)} hits/s` +
+            (checks.throughput.deltaPct !== null ? ` (${checks.throughput.deltaPct >= 0 ? '+' : ''}${checks.throughput.deltaPct.toFixed(1)}%)` : '');
+
         content += '<h3>Performance Health Check</h3>';
         content += '<table>';
         content += '<tr><th>Metric</th><th>Status</th><th>Details</th></tr>';
-        content += '<tr><td>Response Time</td><td><ac:structured-macro ac:name="status" ac:schema-version="1"><ac:parameter ac:name="colour">Green</ac:parameter><ac:parameter ac:name="title">GOOD</ac:parameter></ac:structured-macro></td><td>All endpoints under 200ms P95</td></tr>';
-        content += '<tr><td>Error Rate</td><td><ac:structured-macro ac:name="status" ac:schema-version="1"><ac:parameter ac:name="colour">Green</ac:parameter><ac:parameter ac:name="title">EXCELLENT</ac:parameter></ac:structured-macro></td><td>Zero errors detected</td></tr>';
-        content += '<tr><td>Throughput</td><td><ac:structured-macro ac:name="status" ac:schema-version="1"><ac:parameter ac:name="colour">Green</ac:parameter><ac:parameter ac:name="title">STABLE</ac:parameter></ac:structured-macro></td><td>Consistent with baseline</td></tr>';
+        content += `<tr><td>Response Time</td><td>${this.regressionStatusMacro(checks.responseTime.status)}</td><td>${responseDetails}</td></tr>`;
+        content += `<tr><td>Error Rate</td><td>${this.regressionStatusMacro(checks.errorRate.status)}</td><td>${errorDetails}</td></tr>`;
+        content += `<tr><td>Throughput</td><td>${this.regressionStatusMacro(checks.throughput.status)}</td><td>${throughputDetails}</td></tr>`;
         content += '</table>';
 
+        // Per-endpoint delta table
+        content += '<h3>Endpoint Deltas vs Baseline</h3>';
+        content += '<table data-table-width="1200" data-layout="wide">';
+        content += '<thead><tr>';
+        content += '<th><strong>RESOURCE_NAME</strong></th>';
+        content += '<th><strong>STATUS</strong></th>';
+        content += '<th><strong>REQUESTS</strong></th>';
+        content += '<th><strong>P95 LATENCY</strong></th>';
+        content += '<th><strong>P99 LATENCY</strong></th>';
+        content += '<th><strong>RATE</strong></th>';
+        content += '<th><strong>ERROR RATE</strong></th>';
+        content += '</tr></thead><tbody>';
+
+        comparison.endpoints.forEach(endpoint => {
+            content += '<tr>';
+            content += `<td><code>${endpoint.resource_name}</code></td>`;
+            content += `<td>${this.regressionStatusMacro(endpoint.status)}</td>`;
+            if (endpoint.deltas) {
+                content += `<td>${this.formatDeltaCell(endpoint.deltas.requests, '', 0)}</td>`;
+                content += `<td>${this.formatDeltaCell(endpoint.deltas.p95, ' ms')}</td>`;
+                content += `<td>${this.formatDeltaCell(endpoint.deltas.p99, ' ms')}</td>`;
+                content += `<td>${this.formatDeltaCell(endpoint.deltas.rate, ' hits/s', 2)}</td>`;
+                content += `<td>${this.formatDeltaCell(endpoint.deltas.errorRate, '%', 2, true)}</td>`;
+            } else {
+                const note = endpoint.status === 'new' ? 'Not present in baseline' : 'Not present in this run';
+                content += `<td colspan="5">${note}</td>`;
+            }
+            content += '</tr>';
+        });
+
+        content += '</tbody></table>';
+
         content += this.generateDetailedReport(data);
 
         return content;
@@ -1378,8 +2466,8 @@ class ConfluenceReportGenerator {
     }
 
     formatTimeRange(timeRange) {
-        const from = new Date(timeRange.from).toLocaleString();
-        const to = new Date(timeRange.to).toLocaleString();
+        const from = formatInTimeZone(timeRange.from, timeRange.timeZone);
+        const to = formatInTimeZone(timeRange.to, timeRange.timeZone);
         return `${from} to ${to}`;
     }
 
@@ -1425,10 +2513,64 @@ ${content}
         console.log(`✅ Report saved to: ${outputPath}`);
     }
 
+    /**
+     * Work out what uploadToConfluence would do with a page - create it, update
+     * it in place, or update it and move it to a new parent - without changing anything
+     */
+    async planUpload(title, spaceKey = null, parentId = null) {
+        const space = spaceKey || this.confluenceConfig.spaceKey;
+        const plan = {
+            title,
+            space,
+            action: 'unknown',
+            pageId: null,
+            version: null,
+            currentParentId: null,
+            targetParentId: parentId || process.env.CONFLUENCE_PARENT_FOLDER_ID || null,
+            reason: null
+        };
+
+        try {
+            const response = await this.confluenceApi.get('/content', {
+                params: { title, spaceKey: space, expand: 'version,ancestors' }
+            });
+            const page = response.data.results[0];
+            if (!page) {
+                plan.action = 'create';
+                return plan;
+            }
+
+            plan.pageId = page.id;
+            plan.version = page.version.number;
+            plan.currentParentId = page.ancestors?.length > 0 ? page.ancestors[page.ancestors.length - 1].id : null;
+            plan.action = plan.targetParentId && plan.currentParentId !== plan.targetParentId ? 'move' : 'update';
+        } catch (error) {
+            plan.reason = error.message;
+        }
+        return plan;
+    }
+
+    /**
+     * Print a planUpload() result
+     */
+    printUploadPlan(plan) {
+        const parent = plan.targetParentId ? `parent ${plan.targetParentId}` : `root of space ${plan.space}`;
+        if (plan.action === 'create') {
+            console.log(`   • CREATE page "${plan.title}" under ${parent}`);
+        } else if (plan.action === 'update') {
+            console.log(`   • UPDATE page "${plan.title}" (ID: ${plan.pageId}, version ${plan.version} → ${plan.version + 1})`);
+        } else if (plan.action === 'move') {
+            console.log(`   • UPDATE page "${plan.title}" (ID: ${plan.pageId}, version ${plan.version} → ${plan.version + 1})`);
+            console.log(`   • MOVE page from parent ${plan.currentParentId || 'root'} to ${plan.targetParentId}`);
+        } else {
+            console.log(`   • CREATE or UPDATE page "${plan.title}" under ${parent} - existing pages not checked (${plan.reason})`);
+        }
+    }
+
     /**
      * Upload report to Confluence
      */
-    async uploadToConfluence(content, title, spaceKey = null) {
+    async uploadToConfluence(content, title, spaceKey = null, parentId = null) {
         try {
             const space = spaceKey || this.confluenceConfig.spaceKey;
 
@@ -1439,23 +2581,26 @@ ${content}
             if (existingPage) {
                 // Update existing page
                 console.log(`📝 Updating existing page: ${title} (ID: ${existingPage.id}, Version: ${existingPage.version.number})`);
-                const updatedPage = await this.updatePage(existingPage.id, title, content, existingPage.version.number + 1, space);
+                const updatedPage = await this.updatePage(existingPage.id, title, content, existingPage.version.number + 1, space, parentId);
                 const reportUrl = `${this.confluenceConfig.baseUrl}/wiki${updatedPage._links.webui}`;
                 console.log(`✅ Updated Confluence page: ${title}`);
                 console.log(`\nView the updated report: [${title}](${reportUrl})\n`);
+                return updatedPage;
             } else {
                 // Create new page
                 console.log(`📄 Creating new report page: ${title}`);
-                const newPage = await this.createPage(title, content, space);
+                const newPage = await this.createPage(title, content, space, parentId);
                 const reportUrl = `${this.confluenceConfig.baseUrl}/wiki${newPage._links.webui}`;
                 console.log(`✅ Created new Confluence page under SRP-Performance-Reports: ${title}`);
                 console.log(`\nView the updated report: [${title}](${reportUrl})\n`);
+                return newPage;
             }
         } catch (error) {
             console.error('❌ Failed to upload to Confluence:', error.message);
             if (error.response) {
                 console.error('Response:', error.response.data);
             }
+            return null;
         }
     }
 
@@ -1540,7 +2685,7 @@ ${content}
         }
     }
 
-    async createPage(title, content, spaceKey) {
+    async createPage(title, content, spaceKey, parentId = null) {
         const pageData = {
             type: 'page',
             title: title,
@@ -1553,8 +2698,8 @@ ${content}
             }
         };
 
-        // Check if parent folder ID is configured in .env
-        const parentFolderId = process.env.CONFLUENCE_PARENT_FOLDER_ID;
+        // Explicit parent (e.g. a test run page) wins over the parent folder configured in .env
+        const parentFolderId = parentId || process.env.CONFLUENCE_PARENT_FOLDER_ID;
         
         if (parentFolderId) {
             // Create page under specific parent folder
@@ -1569,7 +2714,7 @@ ${content}
         return response.data;
     }
 
-    async updatePage(pageId, title, content, version, spaceKey) {
+    async updatePage(pageId, title, content, version, spaceKey, parentId = null) {
         const pageData = {
             id: pageId,
             type: 'page',
@@ -1584,8 +2729,8 @@ ${content}
             }
         };
 
-        // Check if parent folder ID is configured in .env and update parent if needed
-        const parentFolderId = process.env.CONFLUENCE_PARENT_FOLDER_ID;
+        // Check if a parent is given or configured in .env and update parent if needed
+        const parentFolderId = parentId || process.env.CONFLUENCE_PARENT_FOLDER_ID;
         
         if (parentFolderId) {
             // Get current page info to check if parent needs updating
@@ -1692,7 +2837,8 @@ function parseArgs() {
         upload: false,
         template: 'detailed',
         space: null,
-        title: null
+        title: null,
+        baseline: null
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -1715,6 +2861,9 @@ function parseArgs() {
             case '--template':
                 options.template = args[++i];
                 break;
+            case '--baseline':
+                options.baseline = args[++i];
+                break;
             case '--help':
                 showHelp();
                 process.exit(0);
@@ -1746,6 +2895,9 @@ Options:
   --title <title>      Custom report title
   --template <type>    Report template: detailed|summary|regression 
                         (default: detailed)
+  --baseline <ref>     Baseline for the regression template: metrics JSON path or run history ID
+                        (default: ./reports/baselines/<service>_endpoint_metrics_table.json,
+                        then the previous run of the service in the run history)
   --help               Show this help message
 
 Examples:
@@ -1758,6 +2910,9 @@ Examples:
   # Generate summary report with custom title
   node src/scripts/confluenceReport.js --template summary --title "Weekly Performance Summary"
 
+  # Compare against an earlier run of the same service
+  node src/scripts/confluenceReport.js --template regression --baseline ./reports/baselines/my-service_endpoint_metrics_table.json
+
   # Upload to specific Confluence space
   node src/scripts/confluenceReport.js --upload --space "DEV" --title "Dev Environment Performance"
 `);
@@ -1795,6 +2950,15 @@ async function main() {
 
     const generator = new ConfluenceReportGenerator();
 
+    // Load baseline run for regression comparison
+    if (options.template === 'regression') {
+        data.baseline = generator.loadBaseline(data, options.baseline);
+        if (options.baseline && !data.baseline) {
+            console.error(`❌ Baseline not found: ${options.baseline}`);
+            process.exit(1);
+        }
+    }
+
     // Generate report content
     console.log(`📝 Generating ${options.template} report...`);
     const content = generator.generateStorageFormat(data, options.template, options.title);
@@ -0,0 +1,231 @@
+import axios from 'axios';
+import https from 'https';
+import { datadogApiUrl, enableFixtureRecording } from './datadog-fixtures.js';
+
+/**
+ * Datadog Client
+ *
+ * The one HTTP client every fetcher uses for the Datadog API:
+ *
+ * - Concurrency: at most DD_MAX_CONCURRENCY requests in flight (default 4),
+ *   shared by every fetcher in the process (a batch run included)
+ * - Rate limits: reads X-RateLimit-Remaining / X-RateLimit-Reset and holds
+ *   further requests to an exhausted limit until it resets
+ * - Retries: 429, 5xx and network errors are retried DD_MAX_RETRIES times (default 3)
+ *   with exponential backoff, waiting out the rate limit reset on a 429
+ * - Timeouts: DD_TIMEOUT_MS per request (default 20000)
+ *
+ * Every call is counted, so a run can log how many calls it made and how long
+ * it was throttled (logApiCallSummary).
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 20000;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+const client = axios.create({
+    httpsAgent: new https.Agent({
+        rejectUnauthorized: false
+    })
+});
+
+enableFixtureRecording(client);
+
+// Settings are read per request, after dotenv has loaded
+function settings() {
+    return {
+        concurrency: parseInt(process.env.DD_MAX_CONCURRENCY) || DEFAULT_CONCURRENCY,
+        retries: process.env.DD_MAX_RETRIES !== undefined ? parseInt(process.env.DD_MAX_RETRIES) : DEFAULT_RETRIES,
+        timeout: parseInt(process.env.DD_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+    };
+}
+
+const stats = {
+    calls: 0,
+    failed: 0,
+    retries: 0,
+    throttled: 0,
+    waitMs: 0,
+    byPath: {}
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Concurrency limit - a simple FIFO semaphore
+let active = 0;
+const waiting = [];
+
+async function acquireSlot() {
+    if (active < settings().concurrency) {
+        active++;
+        return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+        next(); // the slot passes straight to the next request
+    } else {
+        active--;
+    }
+}
+
+// Rate limit state per API path, from the last response's headers
+const rateLimits = new Map();
+
+function recordRateLimit(pathname, headers = {}) {
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
+    const reset = parseInt(headers['x-ratelimit-reset']);
+    if (Number.isNaN(remaining) || Number.isNaN(reset)) return;
+    rateLimits.set(pathname, { remaining, resetAt: Date.now() + reset * 1000 });
+}
+
+/**
+ * Wait until an exhausted rate limit has reset
+ */
+async function waitForRateLimit(pathname) {
+    const limit = rateLimits.get(pathname);
+    if (!limit || limit.remaining > 0) return;
+
+    const delay = limit.resetAt - Date.now();
+    if (delay > 0) {
+        console.log(`   ⏳ Datadog rate limit reached for ${pathname}, waiting ${(delay / 1000).toFixed(1)}s...`);
+        stats.waitMs += delay;
+        await sleep(delay);
+    }
+    rateLimits.delete(pathname);
+}
+
+function isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+function retryDelay(error, attempt) {
+    if (error.response?.status === 429) {
+        const reset = parseInt(error.response.headers?.['x-ratelimit-reset'] || error.response.headers?.['retry-after']);
+        if (!Number.isNaN(reset)) return reset * 1000;
+    }
+    // Exponential backoff with jitter, so parallel fetches do not retry in lockstep
+    return Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt) + Math.random() * 250, BACKOFF_MAX_MS);
+}
+
+/**
+ * Send one Datadog API request with the concurrency limit, rate limit and retries applied.
+ * Resolves to the axios response; rejects with the last axios error.
+ *
+ * @param {object} options
+ * @param {string} options.method - 'get' or 'post'
+ * @param {string} options.path - API path, e.g. "/api/v1/query"
+ * @param {object} [options.params] - query string
+ * @param {object} [options.body] - JSON body
+ * @param {number} [options.timeout] - ms (default: DD_TIMEOUT_MS or 20000)
+ */
+export async function datadogRequest({ method, path, params = undefined, body = undefined, timeout = null }) {
+    const { retries, timeout: defaultTimeout } = settings();
+    stats.byPath[path] = (stats.byPath[path] || 0) + 1;
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireSlot();
+        let response;
+        let delay = 0;
+        try {
+            await waitForRateLimit(path);
+            stats.calls++;
+            response = await client.request({
+                method,
+                url: `${datadogApiUrl()}${path}`,
+                params,
+                data: body,
+                timeout: timeout || defaultTimeout,
+                headers: {
+                    'DD-API-KEY': process.env.DD_API_KEY,
+                    'DD-APPLICATION-KEY': process.env.DD_APP_KEY,
+                    'Content-Type': 'application/json'
+                }
+            });
+        } catch (error) {
+            recordRateLimit(path, error.response?.headers);
+            if (error.response?.status === 429) stats.throttled++;
+
+            if (!isRetryable(error) || attempt >= retries) {
+                stats.failed++;
+                throw error;
+            }
+
+            delay = retryDelay(error, attempt);
+            const reason = error.response ? `${error.response.status} ${error.response.statusText || ''}`.trim() : error.message;
+            console.log(`   ⚠️  ${method.toUpperCase()} ${path} attempt ${attempt + 1} failed: ${reason} - retrying in ${(delay / 1000).toFixed(1)}s`);
+            stats.retries++;
+            stats.waitMs += delay;
+        } finally {
+            releaseSlot();
+        }
+
+        if (response) {
+            recordRateLimit(path, response.headers);
+            return response;
+        }
+        // Waited out after releasing the slot, so a backing-off request does not hold one
+        await sleep(delay);
+    }
+}
+
+export function datadogGet(path, params, options = {}) {
+    return datadogRequest({ ...options, method: 'get', path, params });
+}
+
+export function datadogPost(path, body, options = {}) {
+    return datadogRequest({ ...options, method: 'post', path, body });
+}
+
+/**
+ * Metrics query (/api/v1/query) - resolves to the response body
+ */
+export async function queryMetrics(query, from, to) {
+    const response = await datadogGet('/api/v1/query', { query, from, to });
+    return response.data;
+}
+
+/**
+ * Snapshot of the call counters, to summarize one run: apiCallSummary(snapshot)
+ */
+export function apiCallStats() {
+    return { ...stats, byPath: { ...stats.byPath } };
+}
+
+/**
+ * Calls made since a snapshot (or since the process started)
+ */
+export function apiCallSummary(since = null) {
+    const current = apiCallStats();
+    if (!since) return current;
+
+    const byPath = {};
+    Object.entries(current.byPath).forEach(([path, count]) => {
+        const delta = count - (since.byPath[path] || 0);
+        if (delta > 0) byPath[path] = delta;
+    });
+    return {
+        calls: current.calls - since.calls,
+        failed: current.failed - since.failed,
+        retries: current.retries - since.retries,
+        throttled: current.throttled - since.throttled,
+        waitMs: current.waitMs - since.waitMs,
+        byPath
+    };
+}
+
+export function logApiCallSummary(since = null) {
+    const summary = apiCallSummary(since);
+    console.log(`📡 Datadog API: ${summary.calls} call(s), ${summary.retries} retried, ${summary.throttled} rate limited (429), ` +
+        `${(summary.waitMs / 1000).toFixed(1)}s waiting, ${summary.failed} failed`);
+    Object.entries(summary.byPath).forEach(([path, count]) => {
+        console.log(`   ${path}: ${count}`);
+    });
+    return summary;
+}
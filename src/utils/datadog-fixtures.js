@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Datadog Fixtures
+ *
+ * Record/replay support for the fetchers, so the pipeline can run without
+ * live Datadog credentials.
+ *
+ * - Record: `--record` on a fetcher (or DD_RECORD_FIXTURES=1) saves every
+ *   successful Datadog response to fixtures/datadog/ (or DD_FIXTURES_DIR).
+ * - Replay: start src/utils/mock-datadog-server.js and point the fetchers at
+ *   it with DD_API_BASE_URL=http://localhost:8787.
+ *
+ * A fixture is keyed by method, path, query params and JSON body, so the same
+ * fetch command finds the same responses on replay.
+ */
+
+/**
+ * Datadog API base URL - DD_API_BASE_URL overrides https://api.<DD_SITE>
+ */
+export function datadogApiUrl() {
+    const baseUrl = process.env.DD_API_BASE_URL || `https://api.${process.env.DD_SITE || 'datadoghq.com'}`;
+    return baseUrl.replace(/\/+$/, '');
+}
+
+export function fixturesDir() {
+    return process.env.DD_FIXTURES_DIR || './fixtures/datadog';
+}
+
+export function isRecording() {
+    return ['1', 'true'].includes(process.env.DD_RECORD_FIXTURES);
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(stableStringify).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + stableStringify(value[key])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Fixture file name for a request, e.g. "v1_query-get-3f2a9c1d0b7e4a12"
+ */
+export function fixtureKey(method, pathname, params = {}, body = null) {
+    // Query string values arrive as strings on the server side, so compare them as strings
+    const normalizedParams = {};
+    Object.entries(params || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) normalizedParams[key] = String(value);
+    });
+
+    const hash = crypto.createHash('sha1')
+        .update([method.toUpperCase(), pathname, stableStringify(normalizedParams), body ? stableStringify(body) : ''].join('\n'))
+        .digest('hex')
+        .slice(0, 16);
+    const slug = pathname.replace(/^\/api\//, '').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+    return `${slug}-${method.toLowerCase()}-${hash}`;
+}
+
+export function loadFixture(key, dir = fixturesDir()) {
+    const fixturePath = path.join(dir, `${key}.json`);
+    return fs.existsSync(fixturePath) ? JSON.parse(fs.readFileSync(fixturePath, 'utf8')) : null;
+}
+
+export function saveFixture({ method, pathname, params = {}, body = null, status = 200, data }, dir = fixturesDir()) {
+    const key = fixtureKey(method, pathname, params, body);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fixturePath = path.join(dir, `${key}.json`);
+    fs.writeFileSync(fixturePath, JSON.stringify({
+        request: { method: method.toUpperCase(), path: pathname, params, body },
+        response: { status, data },
+        recordedAt: new Date().toISOString()
+    }, null, 2));
+
+    return fixturePath;
+}
+
+const instrumented = new WeakSet();
+
+/**
+ * Save every successful response of an axios instance as a fixture while
+ * recording is enabled. API keys are sent as headers and are never stored.
+ * Safe to call more than once per instance; recording is checked per response.
+ */
+export function enableFixtureRecording(axiosInstance) {
+    if (instrumented.has(axiosInstance)) return;
+    instrumented.add(axiosInstance);
+
+    axiosInstance.interceptors.response.use(response => {
+        if (!isRecording()) return response;
+        try {
+            const { method, url, params, data } = response.config;
+            const body = typeof data === 'string' && data.length > 0 ? JSON.parse(data) : data || null;
+            const fixturePath = saveFixture({
+                method,
+                pathname: new URL(url, datadogApiUrl()).pathname,
+                params,
+                body,
+                status: response.status,
+                data: response.data
+            });
+            console.log(`💾 Recorded fixture: ${fixturePath}`);
+        } catch (error) {
+            console.warn(`⚠️  Could not record fixture: ${error.message}`);
+        }
+        return response;
+    });
+}
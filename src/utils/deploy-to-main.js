@@ -1,13 +1,12 @@
-import { execSync } from 'child_process';
+import { execFileSync, execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
-console.log('🚀 Deploying Reports to Main Branch\n');
-
 function cleanGitLocks() {
     const locks = [
         '.git/index.lock',
@@ -27,7 +26,10 @@ function cleanGitLocks() {
     });
 }
 
-function runCommand(command, description, retries = 3) {
+/**
+ * Run git with an argument list - no shell, so a commit message is never interpreted
+ */
+function runGit(args, description, retries = 3) {
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
             if (attempt > 1) {
@@ -40,7 +42,7 @@ function runCommand(command, description, retries = 3) {
                 console.log(`⏳ ${description}...`);
             }
             
-            execSync(command, { stdio: 'inherit' });
+            execFileSync('git', args, { stdio: 'inherit' });
             console.log(`✅ ${description} - Done\n`);
             return true;
         } catch (error) {
@@ -53,74 +55,114 @@ function runCommand(command, description, retries = 3) {
     return false;
 }
 
-async function deploy() {
+/**
+ * Commit html-reports/ to main and push it to GitHub Pages. With dryRun, only
+ * return (and print) the planned git commands.
+ *
+ * @param {object} [options]
+ * @param {string} [options.message] - commit message (default: "Update service reports - <date>")
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<{ files: string[], urls: string[], commands: string[], committed: boolean, pushed: boolean }>}
+ */
+export async function deployReports({ message = null, dryRun = false } = {}) {
+    console.log(`🚀 Deploying Reports to Main Branch${dryRun ? ' (dry run)' : ''}\n`);
+
     // Clean any existing Git locks first
-    console.log('🧹 Cleaning Git locks...\n');
-    cleanGitLocks();
-    
+    if (!dryRun) {
+        console.log('🧹 Cleaning Git locks...\n');
+        cleanGitLocks();
+    }
+
     // Check if html-reports folder exists and has files
     if (!fs.existsSync('./html-reports')) {
-        console.error('❌ html-reports folder not found!');
-        console.log('💡 Run: node generate-full-interactive-report.js first\n');
-        process.exit(1);
+        throw new Error('html-reports folder not found - run generate-full-interactive-report.js first');
     }
 
     const reportFiles = fs.readdirSync('./html-reports').filter(f => f.endsWith('.html'));
     if (reportFiles.length === 0) {
-        console.error('❌ No HTML reports found in html-reports folder!');
-        console.log('💡 Run: node generate-full-interactive-report.js first\n');
-        process.exit(1);
+        throw new Error('No HTML reports found in html-reports folder - run generate-full-interactive-report.js first');
     }
 
     console.log(`📊 Found ${reportFiles.length} report(s) to deploy:`);
     reportFiles.forEach(file => console.log(`   • ${file}`));
     console.log('\n');
 
+    // A custom message lets batch runs describe the whole test run in their single commit
+    const date = new Date().toISOString().split('T')[0];
+    const commitMessage = message || `Update service reports - ${date}`;
+
+    const githubBaseUrl = process.env.GITHUB_PAGES_BASE_URL || 'https://endpointclosing.github.io';
+    const githubRepoName = process.env.GITHUB_REPO_NAME || 'auto-performance-report';
+    const baseUrl = `${githubBaseUrl}/${githubRepoName}/html-reports/`;
+
+    const gitCommands = [['reset'], ['add', '-f', 'html-reports/'], ['commit', '-m', commitMessage], ['push', 'origin', 'main']];
+    // For display only - the commands run without a shell
+    const commands = gitCommands.map(args => ['git', ...args.map(arg => /^[\w./-]+$/.test(arg) ? arg : JSON.stringify(arg))].join(' '));
+    const result = {
+        files: reportFiles,
+        urls: reportFiles.map(file => `${baseUrl}${file}`),
+        commands,
+        committed: false,
+        pushed: false
+    };
+
+    if (dryRun) {
+        console.log('🔍 DRY RUN - planned git operations (not executed):');
+        commands.forEach(command => console.log(`   $ ${command}`));
+        console.log('\n🔗 Reports would be available at:');
+        result.urls.forEach(url => console.log(`   ${url}`));
+        console.log('');
+        return result;
+    }
+
     // Reset Git index first to avoid stale state
     console.log('🔄 Resetting Git index...\n');
-    runCommand('git reset', 'Reset Git index', 1);
+    runGit(gitCommands[0], 'Reset Git index', 1);
 
     // Add html-reports folder to git
     console.log('💾 Adding html-reports to main branch...\n');
-    if (!runCommand('git add -f html-reports/', 'Adding html-reports folder', 3)) {
-        console.error('❌ Failed to add files. Skipping deployment.');
-        process.exit(1);
+    if (!runGit(gitCommands[1], 'Adding html-reports folder', 3)) {
+        throw new Error('Failed to add html-reports - skipping deployment');
     }
 
-    const date = new Date().toISOString().split('T')[0];
-    const commitMessage = `Update service reports - ${date}`;
-
-    if (!runCommand(`git commit -m "${commitMessage}"`, 'Commit changes', 3)) {
+    result.committed = runGit(gitCommands[2], 'Commit changes', 3);
+    if (!result.committed) {
         console.log('⚠️  No changes to commit (reports may be up to date)\n');
     }
 
     // Push to main branch
     console.log('🚀 Pushing to main branch...\n');
-    if (!runCommand('git push origin main', 'Push to GitHub', 3)) {
-        console.error('❌ Failed to push to GitHub');
-        console.log('💡 Check your GitHub credentials and network connection');
-        process.exit(1);
+    result.pushed = runGit(gitCommands[3], 'Push to GitHub', 3);
+    if (!result.pushed) {
+        throw new Error('Failed to push to GitHub - check your GitHub credentials and network connection');
     }
 
     // Show URLs
-    const githubBaseUrl = process.env.GITHUB_PAGES_BASE_URL || 'https://endpointclosing.github.io';
-    const githubRepoName = process.env.GITHUB_REPO_NAME || 'auto-performance-report';
-    const baseUrl = `${githubBaseUrl}/${githubRepoName}/html-reports/`;
-
     console.log('\n' + '='.repeat(70));
     console.log('✅ DEPLOYMENT SUCCESSFUL!');
     console.log('='.repeat(70));
     console.log(`\n📊 Deployed ${reportFiles.length} report(s) to main branch\n`);
     console.log('🔗 Your reports are available at:\n');
-    reportFiles.forEach(file => {
-        console.log(`   ${baseUrl}${file}`);
+    result.urls.forEach(url => {
+        console.log(`   ${url}`);
     });
     console.log('\n⏰ Note: GitHub Pages may take 1-2 minutes to update.\n');
     console.log('💡 Reports are now hosted directly from main branch!\n');
     console.log('='.repeat(70));
+
+    return result;
 }
 
-deploy().catch(error => {
-    console.error('\n❌ Deployment failed:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+// CLI Support
+// --dry-run prints the git operations instead of running them
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const messageIndex = process.argv.indexOf('--message');
+
+    deployReports({
+        message: messageIndex !== -1 ? process.argv[messageIndex + 1] : null,
+        dryRun: process.argv.includes('--dry-run')
+    }).catch(error => {
+        console.error('\n❌ Deployment failed:', error.message);
+        process.exit(1);
+    });
+}
\ No newline at end of file
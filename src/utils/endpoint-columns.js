@@ -0,0 +1,59 @@
+/**
+ * Endpoint Table Columns
+ *
+ * The columns the endpoint tables (console, Confluence and interactive HTML) can
+ * show, keyed by the names --columns and REPORT_COLUMNS take:
+ *
+ *   --columns requests,p50,p95,p99,tail,error_rate,4xx,5xx
+ *
+ * The endpoint name is always the first column. Every column is always fetched
+ * and saved in the JSON - this only chooses what is displayed.
+ */
+
+export const ENDPOINT_COLUMNS = {
+    requests: { field: 'requests', label: 'Requests', width: 12 },
+    p50: { field: 'p50_latency', label: 'P50 Latency', width: 14 },
+    p75: { field: 'p75_latency', label: 'P75 Latency', width: 14 },
+    p90: { field: 'p90_latency', label: 'P90 Latency', width: 14 },
+    p95: { field: 'p95_latency', label: 'P95 Latency', width: 14 },
+    p99: { field: 'p99_latency', label: 'P99 Latency', width: 14 },
+    avg: { field: 'avg_latency', label: 'Avg Latency', width: 14 },
+    max: { field: 'max_latency', label: 'Max Latency', width: 14 },
+    tail: { field: 'tail_ratio', label: 'P99/P50', width: 10 },
+    rate: { field: 'rate', label: 'Rate', width: 15 },
+    errors: { field: 'errors', label: 'Errors', width: 10 },
+    error_rate: { field: 'error_rate', label: 'Error Rate', width: 12 },
+    // Hits by HTTP status - aggregation is recorded once for all of them, as status_codes
+    '2xx': { field: 'status_2xx', label: '2xx', width: 9, aggregation: 'status_codes' },
+    '3xx': { field: 'status_3xx', label: '3xx', width: 9, aggregation: 'status_codes' },
+    '4xx': { field: 'status_4xx', label: '4xx', width: 9, aggregation: 'status_codes' },
+    '429': { field: 'status_429', label: '429', width: 9, aggregation: 'status_codes' },
+    '5xx': { field: 'status_5xx', label: '5xx', width: 9, aggregation: 'status_codes' }
+};
+
+// Listed rather than Object.keys(ENDPOINT_COLUMNS), which would put the integer-like '429' first
+export const DEFAULT_COLUMNS = [
+    'requests', 'p50', 'p75', 'p90', 'p95', 'p99', 'avg', 'max', 'tail',
+    'rate', 'errors', 'error_rate', '2xx', '3xx', '4xx', '429', '5xx'
+];
+
+/**
+ * Column names to display, in order: the columns option (a list or a
+ * comma-separated string), else REPORT_COLUMNS, else every column.
+ * Throws on an unknown column name.
+ */
+export function resolveColumns(columns = null) {
+    const spec = columns || process.env.REPORT_COLUMNS;
+    if (!spec || spec.length === 0) {
+        return DEFAULT_COLUMNS;
+    }
+
+    const names = (Array.isArray(spec) ? spec : String(spec).split(','))
+        .map(name => name.trim())
+        .filter(Boolean);
+    const unknown = names.filter(name => !ENDPOINT_COLUMNS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown column: ${unknown.join(', ')} (known: ${DEFAULT_COLUMNS.join(', ')})`);
+    }
+    return names;
+}
@@ -0,0 +1,106 @@
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { fixtureKey, fixturesDir, loadFixture } from './datadog-fixtures.js';
+
+/**
+ * Mock Datadog Server
+ *
+ * Serves recorded fixtures (see datadog-fixtures.js) for the metrics query,
+ * logs search and events APIs, so the fetchers run offline:
+ *
+ *   node src/utils/mock-datadog-server.js --port 8787
+ *   DD_API_BASE_URL=http://localhost:8787 node index.js fetch --service ... --from ... --to ...
+ *
+ * Requests without a fixture get a 404 in Datadog's error format, which the
+ * fetchers treat like any other failed query.
+ *
+ * Usage:
+ *   node src/utils/mock-datadog-server.js [--port <port>] [--fixtures <dir>]
+ */
+
+export const DEFAULT_PORT = 8787;
+
+/**
+ * Create (but do not start) a mock server for a fixtures directory
+ */
+export function createMockDatadogServer({ dir = fixturesDir(), quiet = false } = {}) {
+    return http.createServer((req, res) => {
+        let rawBody = '';
+        req.on('data', chunk => {
+            rawBody += chunk;
+        });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const params = Object.fromEntries(url.searchParams);
+            let body = null;
+            try {
+                body = rawBody ? JSON.parse(rawBody) : null;
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ errors: [`Invalid JSON body: ${error.message}`] }));
+                return;
+            }
+
+            const key = fixtureKey(req.method, url.pathname, params, body);
+            const fixture = loadFixture(key, dir);
+
+            if (!fixture) {
+                if (!quiet) console.warn(`❌ ${req.method} ${url.pathname} - no fixture (${key})`);
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ errors: [`No fixture recorded for ${req.method} ${url.pathname} (${key})`] }));
+                return;
+            }
+
+            if (!quiet) console.log(`✅ ${req.method} ${url.pathname} - ${key}`);
+            res.writeHead(fixture.response.status || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(fixture.response.data));
+        });
+    });
+}
+
+/**
+ * Start a mock server; resolves once it is listening
+ */
+export function startMockDatadogServer({ port = DEFAULT_PORT, dir = fixturesDir(), quiet = false } = {}) {
+    const server = createMockDatadogServer({ dir, quiet });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => resolve(server));
+    });
+}
+
+// CLI Support
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    let port = parseInt(process.env.MOCK_DATADOG_PORT) || DEFAULT_PORT;
+    let dir = fixturesDir();
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port' && args[i + 1]) {
+            port = parseInt(args[++i]);
+        } else if (args[i] === '--fixtures' && args[i + 1]) {
+            dir = args[++i];
+        } else if (args[i] === '--help') {
+            console.log(`Usage: node src/utils/mock-datadog-server.js [--port <port>] [--fixtures <dir>]
+
+Options:
+  --port <port>       Port to listen on (default: ${DEFAULT_PORT}, or MOCK_DATADOG_PORT)
+  --fixtures <dir>    Fixture directory (default: ./fixtures/datadog, or DD_FIXTURES_DIR)
+
+Then run the fetchers against it:
+  DD_API_BASE_URL=http://localhost:${DEFAULT_PORT} node index.js fetch --service "stardust-task-service" --from "Feb 10, 4:00 pm" --to "Feb 10, 4:30 pm"
+`);
+            process.exit(0);
+        }
+    }
+
+    startMockDatadogServer({ port, dir })
+        .then(() => {
+            console.log(`🧪 Mock Datadog server listening on http://localhost:${port}`);
+            console.log(`📁 Serving fixtures from ${dir}`);
+        })
+        .catch(error => {
+            console.error(`❌ Could not start mock server: ${error.message}`);
+            process.exit(1);
+        });
+}
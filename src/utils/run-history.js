@@ -0,0 +1,343 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Run History Store
+ *
+ * Keeps every endpoint, container, error and dependency snapshot instead of overwriting
+ * reports/<service>_*.json on each fetch. Runs are stored on disk as:
+ *
+ *   reports/history/<service>/<environment>/<runId>/
+ *     ├── run.json         # run metadata (service, environment, time range, snapshots)
+ *     ├── endpoint.json    # fetchdatadogmetrics.js output
+ *     ├── container.json   # fetch-container-metrics.js output
+ *     ├── error.json       # fetch-error-metrics.js output
+ *     └── dependency.json  # fetch-dependency-metrics.js output
+ *
+ * The run ID is derived from the time range, so the fetchers of the same
+ * test land in the same run and re-fetching a window refreshes its snapshots.
+ *
+ * Usage:
+ *   node src/utils/run-history.js list [--service <name>] [--env <env>]
+ *   node src/utils/run-history.js show <runId> [--service <name>] [--env <env>]
+ *   node src/utils/run-history.js prune [--service <name>] [--env <env>] [--keep <n>] [--older-than <days>] [--dry-run]
+ */
+
+export const SNAPSHOT_KINDS = ['endpoint', 'container', 'error', 'dependency', 'runtime'];
+
+function historyDir() {
+    return process.env.RUN_HISTORY_DIR || './reports/history';
+}
+
+function compactTimestamp(unixSeconds) {
+    return new Date(unixSeconds * 1000).toISOString().replace(/[-:]/g, '').slice(0, 13) + 'Z';
+}
+
+/**
+ * Build a run ID from a time range, e.g. "20260210T1600Z_20260210T1630Z"
+ */
+export function buildRunId(fromUnix, toUnix) {
+    return `${compactTimestamp(fromUnix)}_${compactTimestamp(toUnix)}`;
+}
+
+function runDir(service, environment, runId) {
+    return path.join(historyDir(), service, environment, runId);
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Store one fetcher snapshot in the history and update the run metadata
+ */
+export function saveSnapshot({ service, environment, fromUnix, toUnix, kind, data }) {
+    if (!SNAPSHOT_KINDS.includes(kind)) {
+        throw new Error(`Unknown snapshot kind: ${kind}`);
+    }
+
+    const runId = buildRunId(fromUnix, toUnix);
+    const dir = runDir(service, environment, runId);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const metaPath = path.join(dir, 'run.json');
+    const now = new Date().toISOString();
+    const meta = fs.existsSync(metaPath) ? readJson(metaPath) : {
+        runId,
+        service,
+        environment,
+        timeRange: {
+            from: new Date(fromUnix * 1000).toISOString(),
+            to: new Date(toUnix * 1000).toISOString(),
+            from_unix: fromUnix,
+            to_unix: toUnix
+        },
+        createdAt: now,
+        snapshots: {}
+    };
+
+    meta.updatedAt = now;
+    meta.snapshots[kind] = now;
+
+    const snapshotPath = path.join(dir, `${kind}.json`);
+    fs.writeFileSync(snapshotPath, JSON.stringify(data, null, 2));
+    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+
+    return { runId, path: snapshotPath };
+}
+
+/**
+ * List stored runs, newest test window first
+ */
+export function listRuns({ service = null, environment = null } = {}) {
+    const root = historyDir();
+    if (!fs.existsSync(root)) return [];
+
+    const runs = [];
+    const services = service ? [service] : fs.readdirSync(root);
+
+    services.forEach(svc => {
+        const svcDir = path.join(root, svc);
+        if (!fs.existsSync(svcDir) || !fs.statSync(svcDir).isDirectory()) return;
+
+        const environments = environment ? [environment] : fs.readdirSync(svcDir);
+        environments.forEach(env => {
+            const envDir = path.join(svcDir, env);
+            if (!fs.existsSync(envDir) || !fs.statSync(envDir).isDirectory()) return;
+
+            fs.readdirSync(envDir).forEach(runId => {
+                const metaPath = path.join(envDir, runId, 'run.json');
+                if (fs.existsSync(metaPath)) {
+                    runs.push(readJson(metaPath));
+                }
+            });
+        });
+    });
+
+    return runs.sort((a, b) => b.timeRange.from_unix - a.timeRange.from_unix);
+}
+
+/**
+ * Find a run by ID. Service/environment narrow the search when the same
+ * window was recorded for several services.
+ */
+export function findRun(runId, { service = null, environment = null } = {}) {
+    return listRuns({ service, environment }).find(run => run.runId === runId) || null;
+}
+
+/**
+ * Load a run with all of its stored snapshots
+ */
+export function loadRun(service, environment, runId) {
+    const dir = runDir(service, environment, runId);
+    const metaPath = path.join(dir, 'run.json');
+    if (!fs.existsSync(metaPath)) return null;
+
+    const run = { meta: readJson(metaPath) };
+    SNAPSHOT_KINDS.forEach(kind => {
+        const snapshotPath = path.join(dir, `${kind}.json`);
+        run[kind] = fs.existsSync(snapshotPath) ? readJson(snapshotPath) : null;
+    });
+    return run;
+}
+
+/**
+ * Most recent run of the same service/environment that started before the given time
+ */
+export function getPreviousRun(service, environment, beforeUnix) {
+    const previous = listRuns({ service, environment })
+        .find(run => run.timeRange.from_unix < beforeUnix && run.snapshots.endpoint);
+    return previous ? loadRun(service, environment, previous.runId) : null;
+}
+
+/**
+ * Delete old runs. Keeps the newest `keep` runs per service/environment and/or
+ * removes runs whose test window ended more than `olderThanDays` days ago.
+ */
+export function pruneRuns({ service = null, environment = null, keep = null, olderThanDays = null, dryRun = false } = {}) {
+    const groups = new Map();
+    listRuns({ service, environment }).forEach(run => {
+        const key = `${run.service}/${run.environment}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(run);
+    });
+
+    const cutoff = olderThanDays !== null ? Date.now() / 1000 - olderThanDays * 86400 : null;
+    const removed = [];
+
+    groups.forEach(runs => {
+        runs.forEach((run, index) => {
+            const beyondKeep = keep !== null && index >= keep;
+            const tooOld = cutoff !== null && run.timeRange.to_unix < cutoff;
+            if (beyondKeep || tooOld) {
+                if (!dryRun) {
+                    fs.rmSync(runDir(run.service, run.environment, run.runId), { recursive: true, force: true });
+                }
+                removed.push(run);
+            }
+        });
+    });
+
+    return removed;
+}
+
+// CLI Support
+function printRuns(runs) {
+    if (runs.length === 0) {
+        console.log('ℹ️  No runs stored yet - run a fetch to start recording history');
+        return;
+    }
+
+    console.log(
+        'RUN ID'.padEnd(32) +
+        'SERVICE'.padEnd(45) +
+        'ENV'.padEnd(12) +
+        'SNAPSHOTS'
+    );
+    console.log('─'.repeat(120));
+    runs.forEach(run => {
+        console.log(
+            run.runId.padEnd(32) +
+            run.service.padEnd(45) +
+            run.environment.padEnd(12) +
+            Object.keys(run.snapshots).join(', ')
+        );
+    });
+    console.log(`\n📊 ${runs.length} run(s)`);
+}
+
+function showRun(run) {
+    const { meta } = run;
+    console.log(`🏷️  Service: ${meta.service}, Environment: ${meta.environment}`);
+    console.log(`⏰ Time Range: ${meta.timeRange.from} to ${meta.timeRange.to}`);
+    console.log(`🆔 Run ID: ${meta.runId}`);
+    Object.entries(meta.snapshots).forEach(([kind, fetchedAt]) => {
+        console.log(`   • ${kind} snapshot fetched at ${fetchedAt}`);
+    });
+
+    if (run.endpoint?.metrics?.length > 0) {
+        console.log('\n' + 'RESOURCE_NAME'.padEnd(50) + 'REQUESTS'.padEnd(12) + 'P95 LATENCY'.padEnd(15) + 'P99 LATENCY'.padEnd(15) + 'ERROR RATE');
+        console.log('─'.repeat(110));
+        run.endpoint.metrics.forEach(row => {
+            console.log(
+                row.resource_name.padEnd(50) +
+                String(row.requests).padEnd(12) +
+                String(row.p95_latency).padEnd(15) +
+                String(row.p99_latency).padEnd(15) +
+                row.error_rate
+            );
+        });
+    }
+
+    if (run.endpoint?.loadSteps?.steps.length > 0) {
+        console.log(`\n📶 Load steps: ${run.endpoint.loadSteps.steps.map(step => step.achievedRps.toFixed(1)).join(' → ')} req/s`);
+    }
+
+    if (run.endpoint?.capacity?.service) {
+        const { knee, maxSustainableRps, sloMs, headroomPct } = run.endpoint.capacity.service;
+        const details = [knee ? `knee at ${knee.rps.toFixed(1)} req/s` : 'no knee',
+            maxSustainableRps !== null && `max ${maxSustainableRps.toFixed(1)} req/s under ${sloMs} ms (${headroomPct.toFixed(0)}% headroom)`];
+        console.log(`📉 Capacity: ${details.filter(Boolean).join(', ')}`);
+    }
+
+    if (run.container?.summary) {
+        console.log(`\n📦 Pods: ${run.container.summary.runningPods.current} running, ${run.container.summary.runningContainers.current} containers`);
+    }
+
+    if (run.error?.traceSummary) {
+        console.log(`⚠️  Errors: ${run.error.traceSummary.totalErrors} trace, ${run.error.logSummary.totalLogErrors}${run.error.logSummary.countExact === false ? '+' : ''} log, ${run.error.oomSummary.totalOOMEvents} OOM`);
+    }
+
+    if (run.dependency?.dependencies) {
+        const dependencies = run.dependency.dependencies
+            .map(dependency => `${dependency.name} ${dependency.timeSharePct !== null ? `${dependency.timeSharePct.toFixed(0)}%` : dependency.hits}`)
+            .join(', ');
+        console.log(`🔗 Dependencies: ${dependencies || 'none'}${run.dependency.summary.dominant ? ` (latency dominated by ${run.dependency.summary.dominant.label})` : ''}`);
+    }
+
+    if (run.runtime?.summary) {
+        const { summary } = run.runtime;
+        const details = run.runtime.runtime === 'node' ?
+            [summary.eventLoopDelayP95 && `event loop P95 peak ${summary.eventLoopDelayP95.max.toFixed(0)} ms`,
+                summary.maxGcPausePct !== null && `${summary.maxGcPausePct.toFixed(1)}% in GC`,
+                summary.maxHeapPct !== null && `heap peak ${summary.maxHeapPct.toFixed(0)}% of limit`] :
+            [summary.cpu && `CPU peak ${summary.cpu.max.toFixed(0)}%`, summary.rss && `RSS peak ${summary.rss.max.toFixed(0)} MB`];
+        console.log(`⚙️  Runtime (${run.runtime.runtime}): ${details.filter(Boolean).join(', ') || 'no data'}`);
+    }
+}
+
+function showHelp() {
+    console.log(`Usage: node src/utils/run-history.js <command> [options]
+
+Commands:
+  list                  List stored runs (newest first)
+  show <runId>          Show a stored run and its endpoint table
+  prune                 Delete old runs
+
+Options:
+  --service <name>      Only runs of this service
+  --env <env>           Only runs of this environment
+  --keep <n>            prune: keep the newest n runs per service/environment
+  --older-than <days>   prune: delete runs whose test window ended more than n days ago
+  --dry-run             prune: list what would be deleted without deleting
+
+Examples:
+  node src/utils/run-history.js list --service stardust-task-service
+  node src/utils/run-history.js show 20260210T1600Z_20260210T1630Z --service stardust-task-service
+  node src/utils/run-history.js prune --keep 20 --older-than 90
+`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const options = { service: null, environment: null, keep: null, olderThanDays: null, dryRun: false };
+    let runId = null;
+
+    for (let i = 1; i < args.length; i++) {
+        if (args[i] === '--service' && args[i + 1]) {
+            options.service = args[++i];
+        } else if (args[i] === '--env' && args[i + 1]) {
+            options.environment = args[++i];
+        } else if (args[i] === '--keep' && args[i + 1]) {
+            options.keep = parseInt(args[++i]);
+        } else if (args[i] === '--older-than' && args[i + 1]) {
+            options.olderThanDays = parseFloat(args[++i]);
+        } else if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (!args[i].startsWith('--')) {
+            runId = args[i];
+        }
+    }
+
+    if (command === 'list') {
+        printRuns(listRuns(options));
+    } else if (command === 'show') {
+        if (!runId) {
+            console.error('❌ Missing run ID');
+            showHelp();
+            process.exit(1);
+        }
+        const meta = findRun(runId, options);
+        if (!meta) {
+            console.error(`❌ Run not found: ${runId}`);
+            process.exit(1);
+        }
+        showRun(loadRun(meta.service, meta.environment, meta.runId));
+    } else if (command === 'prune') {
+        if (options.keep === null && options.olderThanDays === null) {
+            console.error('❌ prune needs --keep and/or --older-than');
+            process.exit(1);
+        }
+        const removed = pruneRuns(options);
+        removed.forEach(run => console.log(`${options.dryRun ? '🔍 Would remove' : '🧹 Removed'} ${run.service}/${run.environment}/${run.runId}`));
+        console.log(`\n✅ ${removed.length} run(s) ${options.dryRun ? 'would be pruned' : 'pruned'}`);
+    } else {
+        showHelp();
+        process.exit(command === '--help' || command === 'help' ? 0 : 1);
+    }
+}
@@ -0,0 +1,117 @@
+import fs from 'fs';
+
+/**
+ * Service Registry
+ *
+ * Maps each service to its framework profile (APM trace operation), Datadog
+ * dashboard, error log query and downstream dependency span operations, from
+ * config/services.json (or SERVICE_REGISTRY_FILE). Unlisted services use `defaults`.
+ *
+ * A service may set `framework` (looked up in `frameworks`) or an explicit
+ * `traceOperation`. A `--framework` CLI override beats both. The language
+ * runtime (node, python) comes from the framework unless the service sets `runtime`.
+ *
+ * Kubernetes metrics are scoped by `containerTags` (pods), `deploymentTags`
+ * and `hpaTags` (kubernetes_state), plus `kube_cluster_name` when the
+ * environment sets a `kubeCluster`. `environments` can override any of them
+ * per Datadog env; a service entry beats its environment.
+ */
+
+const BUILT_IN_REGISTRY = {
+    appUrl: 'https://endpointclosing.datadoghq.com',
+    frameworks: {
+        express: { traceOperation: 'trace.express.request', runtime: 'node' }
+    },
+    defaults: {
+        framework: 'express',
+        dashboardId: '9tc-enb-57g',
+        logQuery: 'service:{service} env:{env} status:error',
+        containerTags: 'service:{service},env:{env}',
+        deploymentTags: 'kube_deployment:{service}',
+        hpaTags: 'horizontalpodautoscaler:{service}',
+        // Child span operations of the service's requests: type is db, cache or http
+        dependencies: [
+            { operation: 'trace.postgres.query', type: 'db', name: 'Postgres' },
+            { operation: 'trace.pg.query', type: 'db', name: 'Postgres (pg)' },
+            { operation: 'trace.redis.command', type: 'cache', name: 'Redis' },
+            { operation: 'trace.http.request', type: 'http', name: 'HTTP client' }
+        ]
+    },
+    environments: {},
+    services: {}
+};
+
+let cachedRegistry = null;
+let cachedPath = null;
+
+/**
+ * Load the registry file, falling back to the built-in Express defaults when it is missing
+ */
+export function loadRegistry(filePath = process.env.SERVICE_REGISTRY_FILE || './config/services.json') {
+    if (cachedRegistry && cachedPath === filePath) {
+        return cachedRegistry;
+    }
+
+    let registry = BUILT_IN_REGISTRY;
+    if (fs.existsSync(filePath)) {
+        const loaded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        registry = {
+            appUrl: loaded.appUrl || BUILT_IN_REGISTRY.appUrl,
+            frameworks: { ...BUILT_IN_REGISTRY.frameworks, ...(loaded.frameworks || {}) },
+            defaults: { ...BUILT_IN_REGISTRY.defaults, ...(loaded.defaults || {}) },
+            environments: loaded.environments || {},
+            services: loaded.services || {}
+        };
+    } else {
+        console.warn(`⚠️  Service registry not found: ${filePath} - using Express defaults`);
+    }
+
+    cachedRegistry = registry;
+    cachedPath = filePath;
+    return registry;
+}
+
+/**
+ * Resolve the profile for a service.
+ *
+ * @param {string} service - Datadog service name
+ * @param {object} options
+ * @param {string} [options.framework] - CLI override (e.g. "fastapi")
+ * @param {string} [options.environment] - picks the environments entry; substituted into the log query and container tags
+ * @returns {{ service, framework, traceOperation, runtime, dashboardId, logQuery, containerScope, deploymentScope, hpaScope, dependencies, appUrl }}
+ *   containerScope: tag filter for Kubernetes metrics, e.g. "service:a,env:staging,kube_cluster_name:staging-usw2"
+ */
+export function resolveService(service, { framework = null, environment = 'staging' } = {}, registry = loadRegistry()) {
+    const entry = { ...registry.defaults, ...(registry.environments?.[environment] || {}), ...(registry.services[service] || {}) };
+    const frameworkName = framework || entry.framework;
+
+    if (framework && !registry.frameworks[framework]) {
+        throw new Error(`Unknown framework: ${framework} (known: ${Object.keys(registry.frameworks).join(', ')})`);
+    }
+
+    // An explicit traceOperation on the service wins unless the framework was overridden on the CLI
+    const traceOperation = (!framework && registry.services[service]?.traceOperation) ||
+        registry.frameworks[frameworkName]?.traceOperation;
+
+    if (!traceOperation) {
+        throw new Error(`No trace operation configured for ${service} (framework: ${frameworkName})`);
+    }
+
+    const substitute = template => template.replace(/\{service\}/g, service).replace(/\{env\}/g, environment);
+    const kubeScope = tags => [substitute(tags), entry.kubeCluster && `kube_cluster_name:${entry.kubeCluster}`].filter(Boolean).join(',');
+
+    return {
+        service,
+        framework: frameworkName,
+        traceOperation,
+        runtime: registry.services[service]?.runtime || registry.frameworks[frameworkName]?.runtime || null,
+        dashboardId: entry.dashboardId,
+        logQuery: substitute(entry.logQuery),
+        containerScope: kubeScope(entry.containerTags),
+        deploymentScope: kubeScope(entry.deploymentTags),
+        hpaScope: kubeScope(entry.hpaTags),
+        // The service's own operation is not a dependency (trace.http.request for the http framework)
+        dependencies: (entry.dependencies || []).filter(dependency => dependency.operation !== traceOperation),
+        appUrl: registry.appUrl
+    };
+}
@@ -4,6 +4,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import dotenv from 'dotenv';
+import ConfluenceReportGenerator from '../scripts/confluenceReportGenerator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -49,8 +50,34 @@ class SlackPoster {
         return mappings;
     }
 
+    /**
+     * Determine severity from the service metrics using the same threshold-driven
+     * analysis as the Confluence report. Returns null when no metrics JSON exists.
+     */
+    analyzeMetricsSeverity(serviceName) {
+        const generator = new ConfluenceReportGenerator();
+        const data = generator.loadServiceData(serviceName);
+        if (!data) {
+            return null;
+        }
+
+        const { findings, overallStatus } = generator.analyzePerformanceData(data);
+        const severityByStatus = { good: 'info', warning: 'warning', critical: 'critical' };
+        const toText = html => html.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+
+        return {
+            severity: severityByStatus[overallStatus] || 'info',
+            issues: findings
+                .map(finding => finding.match(/^<strong>([^<:]+):?<\/strong>/)?.[1])
+                .filter(Boolean),
+            keyFindings: findings.map(toText).filter(f => f.length > 0).slice(0, 3),
+            errorClusters: (data.errorMetrics?.logSummary?.clusters || []).slice(0, 3)
+        };
+    }
+
     /**
      * Analyze report content to determine severity and extract key issues
+     * (keyword fallback when no metrics JSON is available)
      */
     analyzeReportSeverity(reportContent) {
         const criticalKeywords = [
@@ -106,7 +133,7 @@ class SlackPoster {
      * Format Slack message based on severity and findings
      */
     formatSlackMessage(serviceName, analysis, reportUrl, browserUrl, timeRange) {
-        const { severity, issues, keyFindings } = analysis;
+        const { severity, issues, keyFindings, errorClusters = [] } = analysis;
 
         let emoji, color, urgency;
 
@@ -168,6 +195,20 @@ class SlackPoster {
             });
         }
 
+        // Add the largest error log patterns - Slack reads <...> as links, so escape the masks
+        if (errorClusters.length > 0) {
+            const escapeSlack = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            const clustersText = errorClusters
+                .map(cluster => `• ${cluster.count}× \`${escapeSlack(cluster.template.substring(0, 120))}\` (${cluster.pods.length || '?'} pods)`)
+                .join('\n');
+
+            message.attachments[0].fields.push({
+                title: "Top Errors",
+                value: clustersText,
+                short: false
+            });
+        }
+
         // Add action buttons
         message.attachments[0].actions = [
             {
@@ -286,7 +327,7 @@ class SlackPoster {
             const browserUrl = `${githubPagesBase}/html-reports/${latestReport}`;
 
             // Analyze report content
-            const analysis = this.analyzeReportSeverity(reportContent);
+            const analysis = this.analyzeMetricsSeverity(serviceName) || this.analyzeReportSeverity(reportContent);
 
             // Format message
             const message = this.formatSlackMessage(
@@ -0,0 +1,88 @@
+import fs from 'fs';
+
+/**
+ * SLO Thresholds
+ *
+ * Loads config/thresholds.json (or THRESHOLDS_FILE) and resolves the effective
+ * thresholds for a service or a single endpoint. Resolution order, later wins:
+ *
+ *   defaults → services[<service>] → services[<service>].endpoints[<resource_name>]
+ *
+ * Endpoint keys match resource_name exactly or with `*` wildcards,
+ * e.g. "post_/v1/threads/*:chat".
+ */
+
+const BUILT_IN_DEFAULTS = {
+    latency: { p95Ms: 1000, p99Ms: null },
+    errorRate: { warningPct: 0, criticalPct: 5, exclude4xx: false },
+    cpu: { peakPct: 80, throttledPct: 10 },
+    memory: { peakPct: 80 },
+    restarts: { warning: 1, critical: 5 },
+    runtime: { eventLoopDelayMs: 100, gcPausePct: 5, heapPct: 85 }
+};
+
+let cachedConfig = null;
+let cachedPath = null;
+
+/**
+ * Load the thresholds file, falling back to the built-in defaults when it is missing
+ */
+export function loadThresholds(filePath = process.env.THRESHOLDS_FILE || './config/thresholds.json') {
+    if (cachedConfig && cachedPath === filePath) {
+        return cachedConfig;
+    }
+
+    let config = { defaults: {}, services: {} };
+    if (fs.existsSync(filePath)) {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } else {
+        console.warn(`⚠️  Thresholds file not found: ${filePath} - using built-in defaults`);
+    }
+
+    cachedConfig = {
+        defaults: mergeThresholds(BUILT_IN_DEFAULTS, config.defaults || {}),
+        services: config.services || {}
+    };
+    cachedPath = filePath;
+    return cachedConfig;
+}
+
+/**
+ * Merge threshold sections one level deep, so an override of latency.p95Ms
+ * keeps the inherited latency.p99Ms
+ */
+function mergeThresholds(base, override) {
+    const merged = { ...base };
+    Object.entries(override).forEach(([section, values]) => {
+        if (section === 'endpoints') return;
+        merged[section] = values && typeof values === 'object' ?
+            { ...(base[section] || {}), ...values } :
+            values;
+    });
+    return merged;
+}
+
+function matchesResource(pattern, resourceName) {
+    if (pattern === resourceName) return true;
+    if (!pattern.includes('*')) return false;
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(resourceName);
+}
+
+/**
+ * Effective thresholds for a service, or for one endpoint of it
+ */
+export function resolveThresholds(service, resourceName = null, config = loadThresholds()) {
+    const serviceConfig = config.services[service] || {};
+    let resolved = mergeThresholds(config.defaults, serviceConfig);
+
+    if (resourceName && serviceConfig.endpoints) {
+        Object.entries(serviceConfig.endpoints)
+            .filter(([pattern]) => matchesResource(pattern, resourceName))
+            .forEach(([, endpointConfig]) => {
+                resolved = mergeThresholds(resolved, endpointConfig);
+            });
+    }
+
+    return resolved;
+}
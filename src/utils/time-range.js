@@ -0,0 +1,280 @@
+/**
+ * Time Ranges
+ *
+ * One parser for every fetcher's --from / --to. Accepts:
+ *
+ *   "Jan 9, 3:00 pm", "Jan 9 2026, 15:00"   human form (year defaults to the latest one not in the future)
+ *   "2026-01-09T15:00:00", "2026-01-09 15:00" ISO 8601 without a zone - read in the time zone
+ *   "2026-01-09T23:00:00Z", "...-08:00"     ISO 8601 with a zone
+ *   1736463600, 1736463600000               epoch seconds or milliseconds
+ *   "now", "now-2h", "last 30m"             relative to the current time
+ *
+ * Wall-clock times are read in an explicit time zone: the tz option (--tz),
+ * else REPORT_TZ, else the machine's zone. It may be an IANA name
+ * ("America/Los_Angeles"), "UTC" or a fixed offset ("+05:30").
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const UNIT_SECONDS = {
+    s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+    m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+    h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+    d: 86400, day: 86400, days: 86400,
+    w: 604800, week: 604800, weeks: 604800
+};
+
+const OFFSET_PATTERN = /^([+-])(\d{2}):?(\d{2})$/;
+
+/**
+ * Effective time zone for an explicit tz option; throws on an unknown zone
+ */
+export function resolveTimeZone(tz = null) {
+    const timeZone = tz || process.env.REPORT_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+    if (timeZone === 'Z' || OFFSET_PATTERN.test(timeZone)) {
+        return timeZone === 'Z' ? 'UTC' : timeZone;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+        throw new Error(`Unknown time zone: ${timeZone} (use an IANA name like "America/Los_Angeles", "UTC" or an offset like "+05:30")`);
+    }
+    return timeZone;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in minutes (e.g. -480 for PST)
+ */
+function offsetMinutes(epochMs, timeZone) {
+    const fixed = timeZone.match(OFFSET_PATTERN);
+    if (fixed) {
+        return (fixed[1] === '-' ? -1 : 1) * (parseInt(fixed[2]) * 60 + parseInt(fixed[3]));
+    }
+
+    const parts = wallClockParts(epochMs, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(epochMs / 1000) * 1000) / 60000);
+}
+
+/**
+ * Year, month, day, hour, minute and second shown by a wall clock in a time zone
+ */
+function wallClockParts(epochMs, timeZone) {
+    const fixed = timeZone.match(OFFSET_PATTERN);
+    if (fixed) {
+        const shifted = new Date(epochMs + offsetMinutes(epochMs, timeZone) * 60000);
+        return {
+            year: shifted.getUTCFullYear(),
+            month: shifted.getUTCMonth() + 1,
+            day: shifted.getUTCDate(),
+            hour: shifted.getUTCHours(),
+            minute: shifted.getUTCMinutes(),
+            second: shifted.getUTCSeconds()
+        };
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(epochMs)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value);
+    });
+    return parts;
+}
+
+/**
+ * Epoch milliseconds of a wall-clock time in a time zone. Across a DST change the
+ * offset is looked up twice, so times near the change land on the right side of it;
+ * a time skipped by the change (02:30 on a spring-forward night) moves forward.
+ */
+function fromWallClock({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const firstGuess = asUtc - offsetMinutes(asUtc, timeZone) * 60000;
+    const epochMs = asUtc - offsetMinutes(firstGuess, timeZone) * 60000;
+
+    const check = wallClockParts(epochMs, timeZone);
+    return check.hour === hour && check.minute === minute ? epochMs : firstGuess;
+}
+
+/**
+ * Throws unless a wall-clock time exists on the calendar - Date.UTC would roll
+ * Feb 30 over to March 2 and month 13 into the next year
+ */
+function checkWallClock({ year, month, day, hour = 0, minute = 0, second = 0 }, input) {
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth ||
+        hour > 23 || minute > 59 || second > 59) {
+        throw new Error(`Invalid time value: ${input}`);
+    }
+}
+
+function relativeSeconds(amount, unit, input) {
+    const seconds = UNIT_SECONDS[unit.toLowerCase()];
+    if (!seconds) {
+        throw new Error(`Unknown time unit "${unit}" in: ${input}`);
+    }
+    return parseInt(amount) * seconds;
+}
+
+/**
+ * Parse one time value to epoch seconds.
+ *
+ * @param {string|number} value
+ * @param {object} [options]
+ * @param {string} [options.tz] - time zone for wall-clock values
+ * @param {number} [options.now] - current time in epoch ms (for relative values)
+ */
+export function parseTime(value, { tz = null, now = Date.now() } = {}) {
+    if (value === null || value === undefined || value === '') {
+        throw new Error('Missing time value');
+    }
+
+    const timeZone = resolveTimeZone(tz);
+    const input = String(value).trim();
+    const nowSeconds = Math.floor(now / 1000);
+    let match;
+
+    // Epoch seconds or milliseconds
+    if (typeof value === 'number' || /^\d{9,13}(\.\d+)?$/.test(input)) {
+        const epoch = Number(input);
+        return Math.floor(epoch > 1e11 ? epoch / 1000 : epoch);
+    }
+
+    // now, now-2h, now + 15m
+    if ((match = input.match(/^now(?:\s*([+-])\s*(\d+)\s*([a-z]+))?$/i))) {
+        if (!match[1]) return nowSeconds;
+        const delta = relativeSeconds(match[2], match[3], input);
+        return match[1] === '-' ? nowSeconds - delta : nowSeconds + delta;
+    }
+
+    // last 30m, last 2 hours - the start of that window
+    if ((match = input.match(/^last\s+(\d+)\s*([a-z]+)$/i))) {
+        return nowSeconds - relativeSeconds(match[1], match[2], input);
+    }
+
+    // ISO 8601 with a zone
+    if ((match = input.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i))) {
+        const [, year, month, day, hour, minute, second = '0'] = match;
+        checkWallClock({
+            year: parseInt(year), month: parseInt(month), day: parseInt(day),
+            hour: parseInt(hour), minute: parseInt(minute), second: parseInt(second)
+        }, input);
+        const epochMs = Date.parse(input);
+        if (Number.isNaN(epochMs)) throw new Error(`Invalid date: ${input}`);
+        return Math.floor(epochMs / 1000);
+    }
+
+    // ISO 8601 without a zone - wall clock in the time zone
+    if ((match = input.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/))) {
+        const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+        const wallClock = {
+            year: parseInt(year), month: parseInt(month), day: parseInt(day),
+            hour: parseInt(hour), minute: parseInt(minute), second: parseInt(second)
+        };
+        checkWallClock(wallClock, input);
+        return Math.floor(fromWallClock(wallClock, timeZone) / 1000);
+    }
+
+    // Jan 9, 3:00 pm / Jan 9 2026, 15:00 / January 9, 3pm
+    if ((match = input.match(/^([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?(?:\s+(\d{4}),?)?(?:\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm)?)?$/i))) {
+        const [, monthName, day, year, hour = '0', minute = '0', second = '0', meridiem] = match;
+        // "Jan", "Sept", "January" - any prefix of the full name, at least three letters
+        const month = MONTHS.findIndex(name => name.startsWith(monthName.toLowerCase())) + 1;
+        if (month === 0) {
+            throw new Error(`Invalid month in: ${input}`);
+        }
+
+        let hours = parseInt(hour);
+        if (meridiem?.toLowerCase() === 'pm' && hours !== 12) hours += 12;
+        if (meridiem?.toLowerCase() === 'am' && hours === 12) hours = 0;
+        if (hours > 23 || parseInt(minute) > 59) {
+            throw new Error(`Invalid time in: ${input}`);
+        }
+
+        const wallClock = { month, day: parseInt(day), hour: hours, minute: parseInt(minute), second: parseInt(second) };
+        if (year) {
+            checkWallClock({ ...wallClock, year: parseInt(year) }, input);
+            return Math.floor(fromWallClock({ ...wallClock, year: parseInt(year) }, timeZone) / 1000);
+        }
+
+        // No year: the current year in the time zone, unless that is still in the future
+        // (a test from late December reported in January)
+        const currentYear = wallClockParts(now, timeZone).year;
+        const thisYear = Math.floor(fromWallClock({ ...wallClock, year: currentYear }, timeZone) / 1000);
+        const latestYear = thisYear > nowSeconds + 86400 ? currentYear - 1 : currentYear;
+        checkWallClock({ ...wallClock, year: latestYear }, input);
+        return Math.floor(fromWallClock({ ...wallClock, year: latestYear }, timeZone) / 1000);
+    }
+
+    throw new Error(`Invalid date: ${input} (expected e.g. "Jan 9, 3:00 pm", ISO 8601, epoch seconds, "now-2h" or "last 30m")`);
+}
+
+/**
+ * ISO 8601 with the time zone's offset, e.g. "2026-02-10T16:00:00-08:00"
+ */
+export function formatIso(epochSeconds, tz = null) {
+    const timeZone = resolveTimeZone(tz);
+    const epochMs = epochSeconds * 1000;
+    const { year, month, day, hour, minute, second } = wallClockParts(epochMs, timeZone);
+    const offset = offsetMinutes(epochMs, timeZone);
+    const pad = number => String(number).padStart(2, '0');
+    const offsetString = `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${offsetString}`;
+}
+
+/**
+ * Parse a --from / --to pair. With no to the window ends now ("now-2h", "last 30m",
+ * "Feb 10, 4:00 pm" alone all run up to the current time).
+ *
+ * @returns {{ from: number, to: number, fromIso: string, toIso: string, timeZone: string }} epoch seconds and ISO strings
+ */
+export function parseTimeRange(from, to = null, { tz = null, now = Date.now() } = {}) {
+    const timeZone = resolveTimeZone(tz);
+
+    if (to === null || to === undefined || to === '') {
+        to = 'now';
+    }
+
+    const fromSeconds = parseTime(from, { tz: timeZone, now });
+    const toSeconds = parseTime(to, { tz: timeZone, now });
+
+    if (fromSeconds >= toSeconds) {
+        throw new Error(`Invalid time range: ${from} → ${to} (from must be before to)`);
+    }
+
+    return {
+        from: fromSeconds,
+        to: toSeconds,
+        fromIso: formatIso(fromSeconds, timeZone),
+        toIso: formatIso(toSeconds, timeZone),
+        timeZone
+    };
+}
+
+/**
+ * toLocaleString('en-US', options) in a time zone - the report's timeRange.timeZone,
+ * so times read the same whatever zone the report is generated in
+ */
+export function formatInTimeZone(value, tz = null, options = {}) {
+    const epochMs = typeof value === 'number' ? value : new Date(value).getTime();
+    const timeZone = resolveTimeZone(tz);
+
+    if (!OFFSET_PATTERN.test(timeZone)) {
+        return new Date(epochMs).toLocaleString('en-US', { ...options, timeZone });
+    }
+
+    // Intl has no fixed-offset zones: shift the instant and format it as UTC
+    const { timeZoneName, ...rest } = options;
+    const text = new Date(epochMs + offsetMinutes(epochMs, timeZone) * 60000).toLocaleString('en-US', { ...rest, timeZone: 'UTC' });
+    return timeZoneName ? `${text} UTC${timeZone}` : text;
+}
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignSeries, analyzeCapacity, predictLatency } from '../src/analysis/capacity.js';
+
+const START = Date.UTC(2026, 1, 10, 16, 0);
+const MINUTE = 60000;
+
+/**
+ * Rate and latency series, one point a minute: rps 1..10, twice over
+ */
+function load(latencyAt) {
+    const rates = [...Array(10).keys(), ...Array(10).keys()].map(i => i + 1);
+    return {
+        rate: rates.map((rps, i) => ({ timestamp: START + i * MINUTE, value: rps })),
+        latency: rates.map((rps, i) => ({ timestamp: START + i * MINUTE, value: latencyAt(rps) }))
+    };
+}
+
+// 100 ms + 5 ms per req/s, then another 60 ms per req/s past 6 req/s
+const withKnee = rps => 100 + 5 * rps + 60 * Math.max(0, rps - 6);
+const straight = rps => 100 + 10 * rps;
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+test('alignSeries pairs each rate point with the nearest latency within half an interval', () => {
+    const rate = [0, 1, 2, 3].map(i => ({ timestamp: START + i * MINUTE, value: i + 1 }));
+    const latency = [
+        { timestamp: START + 10000, value: 110 },          // 10s after the first rate point
+        { timestamp: START + MINUTE + 40000, value: 120 }, // 40s after the second - nearer the third
+        { timestamp: START + 3 * MINUTE, value: 0 }        // no value for the last one
+    ];
+
+    assert.deepEqual(alignSeries(rate, latency), [
+        { timestamp: START, rps: 1, latencyMs: 110 },
+        { timestamp: START + 2 * MINUTE, rps: 3, latencyMs: 120 }
+    ]);
+    assert.deepEqual(alignSeries(rate.slice(0, 1), latency), []);
+    assert.deepEqual(alignSeries(rate, []), []);
+});
+
+test('a latency curve that bends up has a knee', () => {
+    const { rate, latency } = load(withKnee);
+    const capacity = analyzeCapacity(rate, latency);
+
+    assert.equal(capacity.samples, 20);
+    assert.equal(capacity.peakRps, 10);
+    close(capacity.knee.rps, 6, 'knee');
+    close(capacity.knee.latencyMs, 130, 'latency at the knee');
+    close(capacity.fit.slope, 5, 'slope before');
+    close(capacity.fit.slopeAfter, 65, 'slope after');
+    close(capacity.fit.rSquared, 1, 'R²');
+    close(capacity.peakLatencyMs, 390, 'P95 at peak');
+    assert.equal(capacity.maxSustainableRps, null);
+    assert.equal(capacity.headroomPct, null);
+});
+
+test('a straight latency line has no knee', () => {
+    const { rate, latency } = load(straight);
+    const capacity = analyzeCapacity(rate, latency, 1000);
+
+    assert.equal(capacity.knee, null);
+    assert.equal(capacity.fit.kneeRps, null);
+    close(capacity.fit.slope, 10, 'slope');
+    close(predictLatency(capacity.fit, 4), 140, 'predicted latency');
+});
+
+test('noise around a straight line does not make a knee', () => {
+    const { rate, latency } = load(rps => straight(rps) + (rps % 3 - 1) * 4);
+
+    assert.equal(analyzeCapacity(rate, latency).knee, null);
+});
+
+test('an SLO crossed after the knee is on the steep part of the curve', () => {
+    const { rate, latency } = load(withKnee);
+    const capacity = analyzeCapacity(rate, latency, 250);
+
+    // 130 ms at 6 req/s, then 65 ms per req/s
+    close(capacity.maxSustainableRps, 6 + 120 / 65, 'max sustainable');
+    assert.equal(capacity.extrapolated, false);
+    close(capacity.headroomPct, (6 + 120 / 65 - 10) / 10 * 100, 'headroom');
+    assert.ok(capacity.headroomPct < 0);
+});
+
+test('an SLO crossed before the knee is on the flat part of the curve', () => {
+    const { rate, latency } = load(withKnee);
+    const capacity = analyzeCapacity(rate, latency, 120);
+
+    close(capacity.maxSustainableRps, 4, 'max sustainable');
+    close(capacity.headroomPct, -60, 'headroom');
+});
+
+test('an SLO past the peak is extrapolated, up to EXTRAPOLATION_LIMIT x the peak', () => {
+    const { rate, latency } = load(straight);
+
+    const crossed = analyzeCapacity(rate, latency, 250);
+    close(crossed.maxSustainableRps, 15, 'max sustainable');
+    assert.equal(crossed.extrapolated, true);
+    close(crossed.headroomPct, 50, 'headroom');
+
+    // 300 ms at twice the peak - never crossed
+    const never = analyzeCapacity(rate, latency, 1000);
+    assert.equal(never.maxSustainableRps, null);
+    assert.equal(never.extrapolated, false);
+    assert.equal(never.headroomPct, null);
+});
+
+test('an SLO the curve starts above leaves no capacity', () => {
+    const { rate, latency } = load(straight);
+    const capacity = analyzeCapacity(rate, latency, 50);
+
+    assert.equal(capacity.maxSustainableRps, 0);
+    assert.equal(capacity.headroomPct, -100);
+});
+
+test('too few samples or no spread in load is null', () => {
+    const { rate, latency } = load(straight);
+
+    assert.equal(analyzeCapacity(rate.slice(0, 7), latency.slice(0, 7), 250), null);
+    assert.equal(analyzeCapacity(rate.map(point => ({ ...point, value: 3 })), latency, 250), null);
+    assert.equal(analyzeCapacity([], [], 250), null);
+});
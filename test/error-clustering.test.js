@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterErrors, fingerprintError, messageTemplate, topStackFrames } from '../src/analysis/error-clustering.js';
+
+const NODE_STACK = [
+    'TypeError: Cannot read properties of undefined (reading \'id\')',
+    '    at handler (/app/src/routes/tasks.js:10:5)',
+    '    at next (/app/node_modules/express/lib/router/route.js:149:13)',
+    '    at dispatch (/app/node_modules/express/lib/router/layer.js:95:5)',
+    '    at process (/app/src/server.js:3:1)'
+].join('\n');
+
+const PYTHON_TRACEBACK = [
+    'Traceback (most recent call last):',
+    '  File "/app/main.py", line 10, in handler',
+    '    load()',
+    '  File "/app/tasks.py", line 22, in load',
+    '    fetch()',
+    '  File "/app/db.py", line 5, in fetch',
+    '    raise ValueError("nope")',
+    'ValueError: nope'
+].join('\n');
+
+test('messageTemplate masks each kind of variable token', () => {
+    const cases = [
+        ['Task 3f2a9c1d-0b7e-4a12-9c3d-1234567890ab not found for txn 81723', 'Task <uuid> not found for txn <num>'],
+        ['User alice@example.com has no role', 'User <email> has no role'],
+        ['Invalid value "abc 123" for field', 'Invalid value <str> for field'],
+        ['Unknown status \'archived\'', 'Unknown status <str>'],
+        ['Retry at 2026-02-10T16:00:00.123Z for job 7', 'Retry at <ts> for job <num>'],
+        ['Pointer 0xdeadbeef and commit 3f2a9c1d0b7e', 'Pointer <hex> and commit <hex>'],
+        ['Connect to 10.0.3.17:5432 refused', 'Connect to <ip> refused'],
+        ['Took -12.5 ms', 'Took <num> ms']
+    ];
+    cases.forEach(([message, template]) => assert.equal(messageTemplate(message), template));
+});
+
+test('messageTemplate masks URLs and emails before their numbers, UUIDs before their hex', () => {
+    // A number mask first would leave "https://api.example.com/v<num>/users/<num>"
+    assert.equal(messageTemplate('GET https://api.example.com/v1/users/42?page=2 failed with 503'), 'GET <url> failed with <num>');
+    assert.equal(messageTemplate('Bounce for user42@mail1.example.com'), 'Bounce for <email>');
+    assert.equal(messageTemplate('Lock 0b7e4a12-3f2a-4c1d-9c3d-abcdefabcdef held'), 'Lock <uuid> held');
+});
+
+test('messageTemplate keeps words with digits, apostrophes and collapses whitespace', () => {
+    assert.equal(messageTemplate('worker2 can\'t reach v8 isolate'), 'worker2 can\'t reach v8 isolate');
+    assert.equal(messageTemplate('  multiple   spaces\n here '), 'multiple spaces here');
+    assert.equal(messageTemplate(null), '');
+    assert.equal(messageTemplate('x'.repeat(400)), 'x'.repeat(300) + '…');
+});
+
+test('topStackFrames takes the first Node frames without line numbers', () => {
+    assert.deepEqual(topStackFrames(NODE_STACK), [
+        'at handler (/app/src/routes/tasks.js)',
+        'at next (/app/node_modules/express/lib/router/route.js)',
+        'at dispatch (/app/node_modules/express/lib/router/layer.js)'
+    ]);
+    assert.deepEqual(topStackFrames(NODE_STACK, 1), ['at handler (/app/src/routes/tasks.js)']);
+});
+
+test('topStackFrames takes the last Python frames, innermost first', () => {
+    assert.deepEqual(topStackFrames(PYTHON_TRACEBACK), [
+        'File "/app/db.py", in fetch',
+        'File "/app/tasks.py", in load',
+        'File "/app/main.py", in handler'
+    ]);
+    assert.deepEqual(topStackFrames(null), []);
+    assert.deepEqual(topStackFrames('no frames here'), []);
+});
+
+test('fingerprintError ignores variable tokens and line numbers but not type or frames', () => {
+    const base = fingerprintError({ errorType: 'TypeError', message: 'Task 81723 failed', stack: NODE_STACK });
+
+    assert.equal(fingerprintError({ errorType: 'TypeError', message: 'Task 99 failed', stack: NODE_STACK.replace(/:10:5/, ':11:9') }).fingerprint, base.fingerprint);
+    assert.notEqual(fingerprintError({ errorType: 'RangeError', message: 'Task 99 failed', stack: NODE_STACK }).fingerprint, base.fingerprint);
+    assert.notEqual(fingerprintError({ errorType: 'TypeError', message: 'Task 99 failed', stack: NODE_STACK.replace('handler', 'create') }).fingerprint, base.fingerprint);
+    assert.notEqual(fingerprintError({ errorType: 'TypeError', message: 'Task 99 failed' }).fingerprint, base.fingerprint);
+    assert.match(base.fingerprint, /^[0-9a-f]{12}$/);
+});
+
+test('clusterErrors groups by template with counts, first / last seen and pods', () => {
+    const clusters = clusterErrors([
+        { timestamp: '2026-02-10T16:05:00Z', errorType: 'NotFound', message: 'Task 1 not found', pod: 'api-b' },
+        { timestamp: '2026-02-10T16:01:00Z', errorType: 'NotFound', message: 'Task 2 not found', pod: 'api-a' },
+        { timestamp: '2026-02-10T16:09:00Z', errorType: 'NotFound', message: 'Task 3 not found', host: 'node-1' },
+        { timestamp: 'not a date', errorType: 'Timeout', message: 'Upstream timed out after 30s' }
+    ]);
+
+    assert.equal(clusters.length, 2);
+    const [notFound, timeout] = clusters;
+    assert.equal(notFound.count, 3);
+    assert.equal(notFound.template, 'Task <num> not found');
+    assert.equal(notFound.firstSeen, '2026-02-10T16:01:00.000Z');
+    assert.equal(notFound.lastSeen, '2026-02-10T16:09:00.000Z');
+    assert.deepEqual(notFound.pods, ['api-a', 'api-b', 'node-1']);
+    assert.equal(notFound.sample, 'Task 1 not found');
+
+    assert.equal(timeout.count, 1);
+    assert.equal(timeout.firstSeen, null);
+    assert.deepEqual(timeout.pods, []);
+    assert.deepEqual(clusterErrors(), []);
+});
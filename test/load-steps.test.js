@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareWithPlan, detectLoadSteps, plannedSteps } from '../src/analysis/load-steps.js';
+
+const START = Date.UTC(2026, 1, 10, 16, 0);
+const MINUTE = 60000;
+
+/**
+ * One point a minute, minutes[i] points at levels[i] each
+ */
+function series(levels, minutes, valueAt = level => level) {
+    const points = [];
+    levels.forEach((level, i) => {
+        for (let m = 0; m < minutes[i]; m++) {
+            points.push({ timestamp: START + points.length * MINUTE, value: valueAt(level, points.length) });
+        }
+    });
+    return points;
+}
+
+// ±15% around the level, repeating every 7 points
+const noisy = (level, i) => level * (1 + ((i * 3) % 7 - 3) * 0.05);
+
+test('a clean 3-step ramp is three steps at the planned rates', () => {
+    const rate = series([1, 2, 5], [6, 6, 6]);
+    const result = detectLoadSteps({ rate });
+
+    assert.equal(result.summary.stepCount, 3);
+    assert.deepEqual(result.steps.map(step => step.achievedRps), [1, 2, 5]);
+    assert.deepEqual(result.steps.map(step => step.durationSec), [360, 360, 360]);
+    assert.equal(result.steps[1].start, START + 6 * MINUTE);
+    assert.equal(result.steps[2].end, START + 18 * MINUTE);
+    assert.equal(result.summary.peakStep, 3);
+    assert.equal(result.summary.intervalSec, 60);
+});
+
+test('idle time before and after the test is not a step', () => {
+    const rate = series([0, 1, 2, 5, 0], [3, 6, 6, 6, 3]);
+    const result = detectLoadSteps({ rate });
+
+    assert.deepEqual(result.steps.map(step => step.achievedRps), [1, 2, 5]);
+    assert.equal(result.steps[0].start, START + 3 * MINUTE);
+    assert.equal(result.steps[2].end, START + 21 * MINUTE);
+});
+
+test('flat load is one step', () => {
+    const result = detectLoadSteps({ rate: series([3], [20]) });
+
+    assert.equal(result.summary.stepCount, 1);
+    assert.equal(result.steps[0].achievedRps, 3);
+    assert.equal(result.steps[0].durationSec, 1200);
+});
+
+test('noise around a flat load does not split it', () => {
+    const result = detectLoadSteps({ rate: series([3], [30], noisy) });
+
+    assert.equal(result.summary.stepCount, 1);
+    assert.ok(Math.abs(result.steps[0].achievedRps - 3) < 0.1);
+});
+
+test('noisy steps are still found', () => {
+    const result = detectLoadSteps({ rate: series([1, 2, 5], [6, 6, 6], noisy) });
+
+    assert.equal(result.summary.stepCount, 3);
+    result.steps.forEach((step, i) => assert.ok(Math.abs(step.achievedRps - [1, 2, 5][i]) / [1, 2, 5][i] < 0.1));
+});
+
+test('a change shorter than MIN_STEP_SECONDS is not a step', () => {
+    const result = detectLoadSteps({ rate: series([2, 6, 2], [8, 1, 8]) });
+
+    assert.equal(result.summary.stepCount, 1);
+});
+
+test('latency is weighted by hits and the error rate counts the step\'s requests', () => {
+    const rate = series([1, 2], [4, 4]);
+    const hits = series([60, 120], [4, 4]);
+    const errors = series([0, 12], [4, 4]);
+    // Within step 2, one interval at 500 ms among three at 100 ms
+    const p95 = series([200, 100], [4, 4], (level, i) => i === 7 ? 500 : level);
+
+    const [first, second] = detectLoadSteps({ rate, p95, hits, errors }).steps;
+
+    assert.equal(first.requests, 240);
+    assert.equal(first.errorRate, 0);
+    assert.equal(first.p95Ms, 200);
+    assert.equal(second.requests, 480);
+    assert.equal(second.errors, 48);
+    assert.equal(second.errorRate, 10);
+    assert.equal(second.p95Ms, 200);
+    assert.equal(second.p99Ms, null);
+});
+
+test('no rate series, or only idle time, is null', () => {
+    assert.equal(detectLoadSteps({}), null);
+    assert.equal(detectLoadSteps({ rate: series([0], [10]) }), null);
+    assert.equal(detectLoadSteps({ rate: series([3], [1]) }), null);
+});
+
+test('plannedSteps reads LOAD_STEP_n_RATE / _DURATION until the first gap', () => {
+    const plan = plannedSteps({
+        LOAD_STEP_1_RATE: '1',
+        LOAD_STEP_1_DURATION: '6',
+        LOAD_STEP_2_RATE: '2.5',
+        LOAD_STEP_4_RATE: '10'
+    });
+
+    assert.deepEqual(plan, [
+        { step: 1, rps: 1, durationMin: 6 },
+        { step: 2, rps: 2.5, durationMin: null }
+    ]);
+    assert.deepEqual(plannedSteps({}), []);
+});
+
+test('compareWithPlan flags steps below the plan and lines up missing ones', () => {
+    const steps = detectLoadSteps({ rate: series([1, 1.8, 4.6], [6, 6, 6]) }).steps;
+    const plan = [{ step: 1, rps: 1 }, { step: 2, rps: 2 }, { step: 3, rps: 5 }, { step: 4, rps: 10 }];
+
+    const comparison = compareWithPlan(steps, plan);
+
+    assert.deepEqual(comparison.map(row => row.achievedPct === null ? null : Math.round(row.achievedPct)), [100, 90, 92, null]);
+    assert.deepEqual(comparison.map(row => row.shortfall), [false, false, false, false]);
+    assert.equal(comparison[3].achieved, null);
+    assert.equal(comparison[3].planned.rps, 10);
+
+    const short = compareWithPlan(steps, [{ step: 1, rps: 1.2 }]);
+    assert.equal(short.length, 3);
+    assert.equal(short[0].shortfall, true);
+    assert.equal(short[1].planned, null);
+    assert.equal(short[1].shortfall, false);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMockDatadogServer } from '../src/utils/mock-datadog-server.js';
+
+/**
+ * Report Snapshot
+ *
+ * Replays the fixtures in test/fixtures/datadog (a synthetic 20-minute,
+ * three-step test of "sample-api": two endpoints, Postgres and Redis calls,
+ * six timeouts on POST, an HPA scale-up from two pods to three) through
+ * runReport({ dryRun: true }) and compares the Confluence storage-format
+ * preview with test/snapshots/sample-api.confluence.html. Every Datadog call
+ * of the run has a fixture.
+ *
+ * After an intended change to the report, refresh the snapshot with:
+ *   UPDATE_SNAPSHOTS=1 npm test
+ */
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(testDir, 'fixtures', 'datadog');
+const snapshotPath = path.join(testDir, 'snapshots', 'sample-api.confluence.html');
+
+// Settings from the developer's shell or .env that would change the report
+const ENV_PREFIXES = ['DD_', 'LOAD_', 'REPORT_', 'CONFLUENCE_', 'SLACK_'];
+const ENV_NAMES = ['THRESHOLDS_FILE', 'SERVICE_REGISTRY_FILE', 'RUN_HISTORY_DIR'];
+
+/**
+ * The interactive report file is named after the day it was generated
+ */
+function normalize(content) {
+    return content.replace(/-report-\d{4}-\d{2}-\d{2}\.html/g, '-report-<date>.html');
+}
+
+test('replayed fixtures render the expected Confluence page', async (t) => {
+    Object.keys(process.env)
+        .filter(name => ENV_NAMES.includes(name) || ENV_PREFIXES.some(prefix => name.startsWith(prefix)))
+        .forEach(name => delete process.env[name]);
+
+    // reports/, html-reports/ and the run history go to a scratch directory; with no
+    // config/ there, the built-in service registry and thresholds apply
+    const workDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'report-snapshot-')));
+    const originalDir = process.cwd();
+    process.chdir(workDir);
+    process.env.RUN_HISTORY_DIR = path.join(workDir, 'history');
+
+    const server = createMockDatadogServer({ dir: fixturesDir, quiet: true });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    t.after(() => {
+        server.close();
+        process.chdir(originalDir);
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    process.env.DD_API_BASE_URL = `http://localhost:${server.address().port}`;
+    process.env.DD_API_KEY = 'test';
+    process.env.DD_APP_KEY = 'test';
+
+    const { runReport } = await import('../src/core/pipeline.js');
+    const result = await runReport({
+        service: 'sample-api',
+        framework: 'express',
+        from: '2026-02-10T16:00:00Z',
+        to: '2026-02-10T16:20:00Z',
+        tz: 'UTC',
+        outputs: ['confluence'],
+        dryRun: true
+    });
+
+    assert.deepEqual(result.errors, []);
+    // A request without a fixture is a 404 the fetchers report as missing data, not as an error
+    assert.equal(result.apiCalls.failed, 0, 'Datadog calls without a fixture - re-record test/fixtures/datadog');
+    assert.equal(result.data.loadSteps.summary.stepCount, 3);
+
+    const { previewPath, interactiveReport } = result.steps.confluence;
+    [previewPath, interactiveReport].forEach(file => {
+        assert.ok(path.resolve(file).startsWith(workDir + path.sep), `${file} written outside the scratch directory`);
+    });
+
+    const preview = normalize(fs.readFileSync(previewPath, 'utf8'));
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+        fs.writeFileSync(snapshotPath, preview);
+        t.diagnostic(`Snapshot written: ${path.relative(originalDir, snapshotPath)}`);
+        return;
+    }
+
+    assert.ok(fs.existsSync(snapshotPath), `No snapshot at ${snapshotPath} - run UPDATE_SNAPSHOTS=1 npm test`);
+    assert.equal(preview, fs.readFileSync(snapshotPath, 'utf8'),
+        'Confluence preview differs from the snapshot - run UPDATE_SNAPSHOTS=1 npm test if the change is intended');
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadThresholds, resolveThresholds } from '../src/utils/thresholds.js';
+
+/**
+ * Write a thresholds file to a scratch directory and load it
+ */
+function load(t, config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thresholds-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'thresholds.json');
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return loadThresholds(filePath);
+}
+
+const CONFIG = {
+    defaults: { latency: { p95Ms: 500 }, cpu: { peakPct: 70 } },
+    services: {
+        'task-service': {
+            latency: { p99Ms: 800 },
+            errorRate: { criticalPct: 2 },
+            endpoints: {
+                'get_/v1/tasks': { latency: { p95Ms: 150 } },
+                'post_/v1/threads/*:chat': { latency: { p95Ms: 8000, p99Ms: null } },
+                'get_/v1/tasks/*': { latency: { p95Ms: 250 } },
+                'get_/v1/tasks/*/history': { latency: { p95Ms: 400 } },
+                'get_/v1/(legacy).list/*': { errorRate: { warningPct: 1 } }
+            }
+        }
+    }
+};
+
+test('a missing file falls back to the built-in defaults', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const config = loadThresholds(path.join(os.tmpdir(), 'no-such-thresholds.json'));
+
+    assert.deepEqual(resolveThresholds('any-service', null, config).latency, { p95Ms: 1000, p99Ms: null });
+    assert.deepEqual(resolveThresholds('any-service', null, config).errorRate, { warningPct: 0, criticalPct: 5, exclude4xx: false });
+    assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('file defaults merge into the built-in ones a section at a time', (t) => {
+    const resolved = resolveThresholds('other-service', null, load(t, CONFIG));
+
+    assert.deepEqual(resolved.latency, { p95Ms: 500, p99Ms: null });
+    assert.deepEqual(resolved.cpu, { peakPct: 70, throttledPct: 10 });
+    assert.deepEqual(resolved.restarts, { warning: 1, critical: 5 });
+});
+
+test('service overrides keep the values they do not set', (t) => {
+    const resolved = resolveThresholds('task-service', null, load(t, CONFIG));
+
+    assert.deepEqual(resolved.latency, { p95Ms: 500, p99Ms: 800 });
+    assert.deepEqual(resolved.errorRate, { warningPct: 0, criticalPct: 2, exclude4xx: false });
+    assert.equal(resolved.endpoints, undefined);
+});
+
+test('endpoint overrides match exactly or with * wildcards, later keys winning', (t) => {
+    const config = load(t, CONFIG);
+    const latency = resource => resolveThresholds('task-service', resource, config).latency;
+
+    assert.deepEqual(latency('get_/v1/tasks'), { p95Ms: 150, p99Ms: 800 });
+    assert.deepEqual(latency('post_/v1/threads/42:chat'), { p95Ms: 8000, p99Ms: null });
+    assert.deepEqual(latency('get_/v1/tasks/42'), { p95Ms: 250, p99Ms: 800 });
+    assert.deepEqual(latency('get_/v1/tasks/42/history'), { p95Ms: 400, p99Ms: 800 });
+    assert.deepEqual(latency('get_/v1/threads'), { p95Ms: 500, p99Ms: 800 });
+    // Another service's endpoint keys do not apply
+    assert.deepEqual(resolveThresholds('other-service', 'get_/v1/tasks', config).latency, { p95Ms: 500, p99Ms: null });
+});
+
+test('regex characters in wildcard endpoint keys are literal', (t) => {
+    const config = load(t, CONFIG);
+
+    assert.equal(resolveThresholds('task-service', 'get_/v1/(legacy).list/7', config).errorRate.warningPct, 1);
+    assert.equal(resolveThresholds('task-service', 'get_/v1/legacyXlist/7', config).errorRate.warningPct, 0);
+});
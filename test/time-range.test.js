@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatInTimeZone, formatIso, parseTime, parseTimeRange, resolveTimeZone } from '../src/utils/time-range.js';
+
+const LA = 'America/Los_Angeles';
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+
+const iso = epochSeconds => new Date(epochSeconds * 1000).toISOString();
+
+test('human dates are wall-clock times in the time zone', () => {
+    assert.equal(iso(parseTime('Feb 10 2026, 4:00 pm', { tz: LA })), '2026-02-11T00:00:00.000Z');
+    assert.equal(iso(parseTime('January 9, 3pm', { tz: 'UTC', now: NOW })), '2026-01-09T15:00:00.000Z');
+    assert.equal(iso(parseTime('Jan 9 2026, 12:15 am', { tz: '+05:30' })), '2026-01-08T18:45:00.000Z');
+    assert.equal(iso(parseTime('Sept 1st, 12 pm', { tz: 'UTC', now: NOW })), '2026-09-01T12:00:00.000Z');
+});
+
+test('a date without a year is the latest one not in the future', () => {
+    const january = Date.UTC(2026, 0, 5);
+    assert.equal(iso(parseTime('Dec 30, 11 pm', { tz: 'UTC', now: january })), '2025-12-30T23:00:00.000Z');
+    assert.equal(iso(parseTime('Jan 4, 11 pm', { tz: 'UTC', now: january })), '2026-01-04T23:00:00.000Z');
+});
+
+test('ISO 8601 is read in the time zone unless it carries one', () => {
+    assert.equal(iso(parseTime('2026-02-10T16:00:00', { tz: LA })), '2026-02-11T00:00:00.000Z');
+    assert.equal(iso(parseTime('2026-02-10 16:00', { tz: 'UTC' })), '2026-02-10T16:00:00.000Z');
+    assert.equal(iso(parseTime('2026-02-10', { tz: 'UTC' })), '2026-02-10T00:00:00.000Z');
+    assert.equal(iso(parseTime('2026-02-10T16:00:00-08:00', { tz: 'UTC' })), '2026-02-11T00:00:00.000Z');
+    assert.equal(iso(parseTime('2026-02-10T16:00Z', { tz: LA })), '2026-02-10T16:00:00.000Z');
+});
+
+test('times around a DST change land on the right side of it', () => {
+    // Spring forward: 02:00 PST becomes 03:00 PDT, 02:30 does not exist and moves forward
+    assert.equal(iso(parseTime('2026-03-08 01:59', { tz: LA })), '2026-03-08T09:59:00.000Z');
+    assert.equal(iso(parseTime('2026-03-08 02:30', { tz: LA })), '2026-03-08T10:30:00.000Z');
+    assert.equal(iso(parseTime('2026-03-08 03:00', { tz: LA })), '2026-03-08T10:00:00.000Z');
+    // Fall back: 01:30 happens twice, the first (PDT) is taken
+    assert.equal(iso(parseTime('2026-11-01 01:30', { tz: LA })), '2026-11-01T08:30:00.000Z');
+    assert.equal(iso(parseTime('2026-11-01 02:00', { tz: LA })), '2026-11-01T10:00:00.000Z');
+});
+
+test('epoch seconds, epoch milliseconds and relative times', () => {
+    assert.equal(parseTime(1736463600), 1736463600);
+    assert.equal(parseTime('1736463600000'), 1736463600);
+    assert.equal(parseTime('now', { now: NOW }), NOW / 1000);
+    assert.equal(parseTime('now-2h', { now: NOW }), NOW / 1000 - 7200);
+    assert.equal(parseTime('now + 15m', { now: NOW }), NOW / 1000 + 900);
+    assert.equal(parseTime('last 30 minutes', { now: NOW }), NOW / 1000 - 1800);
+});
+
+test('dates that are not on the calendar are rejected', () => {
+    ['2026-02-30T10:00', '2026-13-45', '2026-02-10 24:00', '2026-02-10T10:60', '2026-02-30T10:00Z', 'Feb 30 2026, 3pm'].forEach(input => {
+        assert.throws(() => parseTime(input, { tz: 'UTC', now: NOW }), { message: `Invalid time value: ${input}` });
+    });
+    // Feb 29 only in leap years - without a year, in the year it resolves to
+    assert.equal(iso(parseTime('2028-02-29', { tz: 'UTC' })), '2028-02-29T00:00:00.000Z');
+    assert.throws(() => parseTime('Feb 29, 3pm', { tz: 'UTC', now: NOW }), { message: 'Invalid time value: Feb 29, 3pm' });
+});
+
+test('malformed input names the problem', () => {
+    assert.throws(() => parseTime(''), { message: 'Missing time value' });
+    assert.throws(() => parseTime('now-2 fortnights'), /Unknown time unit "fortnights"/);
+    assert.throws(() => parseTime('Foo 9', { tz: 'UTC' }), /Invalid month in: Foo 9/);
+    assert.throws(() => parseTime('Jan 9, 13 pm', { tz: 'UTC' }), /Invalid time in/);
+    assert.throws(() => parseTime('yesterday', { tz: 'UTC' }), /Invalid date: yesterday/);
+    assert.throws(() => resolveTimeZone('Mars/Base'), /Unknown time zone: Mars\/Base/);
+});
+
+test('parseTimeRange ends at now when there is no to', () => {
+    const relative = parseTimeRange('now-2h', null, { tz: 'UTC', now: NOW });
+    assert.equal(relative.to - relative.from, 7200);
+    assert.equal(relative.toIso, '2026-10-19T12:00:00+00:00');
+
+    const absolute = parseTimeRange('Oct 19, 11:00 am', undefined, { tz: LA, now: Date.UTC(2026, 9, 19, 20, 0) });
+    assert.equal(absolute.fromIso, '2026-10-19T11:00:00-07:00');
+    assert.equal(absolute.toIso, '2026-10-19T13:00:00-07:00');
+    assert.equal(absolute.timeZone, LA);
+
+    assert.throws(() => parseTimeRange('now', 'now-1h', { now: NOW }), /from must be before to/);
+});
+
+test('formatIso and formatInTimeZone show the zone\'s wall clock', () => {
+    assert.equal(formatIso(1770739200, LA), '2026-02-10T08:00:00-08:00');
+    assert.equal(formatIso(1770739200, '+05:30'), '2026-02-10T21:30:00+05:30');
+    assert.equal(formatIso(1770739200, 'Z'), '2026-02-10T16:00:00+00:00');
+
+    // ICU versions differ in the space before AM / PM
+    const format = tz => formatInTimeZone(1770739200000, tz, { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }).replace(/\s/g, ' ');
+    assert.equal(format(LA), '8:00 AM PST');
+    assert.equal(format('+05:30'), '9:30 PM UTC+05:30');
+});